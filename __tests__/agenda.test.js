@@ -0,0 +1,154 @@
+import { describe, test, expect } from '@jest/globals';
+import { getAgendaDay, buildAgenda } from '../src/tools/shared/agenda.js';
+import { expandRecurringEvents } from '../src/tools/shared/recurrence.js';
+import { validateInput, getAgendaSchema } from '../src/validation.js';
+import { formatAgenda } from '../src/formatters.js';
+
+const buildObject = (component, uid, lines) => ({
+  url: `https://dav.example.com/cal/${uid}.ics`,
+  etag: `"${uid}"`,
+  _calendarName: 'Work',
+  data: [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//test//EN',
+    `BEGIN:${component}`,
+    `UID:${uid}`,
+    'DTSTAMP:20250101T000000Z',
+    ...lines,
+    `END:${component}`,
+    'END:VCALENDAR',
+  ].join('\r\n'),
+});
+const buildEvent = (uid, lines) => buildObject('VEVENT', uid, lines);
+const buildTodo = (uid, lines) => buildObject('VTODO', uid, lines);
+
+const day = getAgendaDay('2025-03-10', 'UTC');
+const uidOf = (object) => object.url.match(/cal\/(\w+)/)[1];
+
+const events = [
+  buildEvent('review', ['SUMMARY:Review', 'DTSTART:20250310T140000Z', 'DTEND:20250310T150000Z']),
+  buildEvent('offsite', ['SUMMARY:Offsite', 'DTSTART;VALUE=DATE:20250309', 'DTEND;VALUE=DATE:20250311']),
+  buildEvent('standup', ['SUMMARY:Standup', 'DTSTART:20250303T090000Z', 'DURATION:PT15M', 'RRULE:FREQ=WEEKLY']),
+  buildEvent('tomorrow', ['SUMMARY:Tomorrow', 'DTSTART:20250311T090000Z', 'DURATION:PT1H']),
+  buildEvent('cancelled', ['SUMMARY:Cancelled', 'DTSTART:20250310T100000Z', 'DURATION:PT1H', 'STATUS:CANCELLED']),
+];
+const todos = [
+  buildTodo('invoice', ['SUMMARY:Send invoice', 'DUE:20250310T120000Z']),
+  buildTodo('taxes', ['SUMMARY:File taxes', 'DUE;VALUE=DATE:20250310', 'PRIORITY:1']),
+  buildTodo('report', ['SUMMARY:Report', 'DUE:20250305T170000Z']),
+  buildTodo('older', ['SUMMARY:Older', 'DUE;VALUE=DATE:20250301']),
+  buildTodo('done', ['SUMMARY:Done', 'DUE:20250310T080000Z', 'STATUS:COMPLETED']),
+  buildTodo('later', ['SUMMARY:Later', 'DUE:20250312T080000Z']),
+  buildTodo('someday', ['SUMMARY:Someday']),
+];
+
+const agenda = () => buildAgenda({
+  events: expandRecurringEvents(events, day.start, day.end),
+  todos,
+  day,
+});
+
+describe('getAgendaDay', () => {
+  test('covers the calendar day in the timezone', () => {
+    const berlin = getAgendaDay('2025-03-10', 'Europe/Berlin');
+    expect(berlin.start.toISOString()).toBe('2025-03-09T23:00:00.000Z');
+    expect(berlin.end.toISOString()).toBe('2025-03-10T23:00:00.000Z');
+  });
+
+  test('defaults to today in the timezone', () => {
+    const now = new Date('2025-03-10T23:30:00Z');
+    expect(getAgendaDay(undefined, 'UTC', now).date).toBe('2025-03-10');
+    expect(getAgendaDay(undefined, 'Europe/Berlin', now).date).toBe('2025-03-11');
+  });
+});
+
+describe('buildAgenda', () => {
+  test('orders all-day items first, then events and due todos by time', () => {
+    expect(agenda().timeline.map(entry => [entry.type, uidOf(entry.object)])).toEqual([
+      ['event', 'offsite'],
+      ['todo', 'taxes'],
+      ['event', 'standup'],
+      ['todo', 'invoice'],
+      ['event', 'review'],
+    ]);
+  });
+
+  test('lists open todos due before the day as overdue, oldest first', () => {
+    expect(agenda().overdue.map(uidOf)).toEqual(['older', 'report']);
+  });
+
+  test('places recurring todos completed per occurrence at their first open occurrence', () => {
+    const trash = buildTodo('trash', ['SUMMARY:Trash', 'DTSTART:20250303T160000Z', 'DUE:20250303T170000Z', 'RRULE:FREQ=WEEKLY']);
+    trash.data = trash.data.replace('END:VCALENDAR', [
+      'BEGIN:VTODO',
+      'UID:trash',
+      'DTSTAMP:20250101T000000Z',
+      'RECURRENCE-ID:20250303T160000Z',
+      'DTSTART:20250303T160000Z',
+      'STATUS:COMPLETED',
+      'END:VTODO',
+      'END:VCALENDAR',
+    ].join('\r\n'));
+    const result = buildAgenda({ events: [], todos: [trash], day });
+
+    expect(result.overdue).toEqual([]);
+    expect(result.timeline.map(entry => [uidOf(entry.object), entry.time])).toEqual([
+      ['trash', Date.parse('2025-03-10T17:00:00Z')],
+    ]);
+  });
+
+  test('uses the occurrence time of recurring events', () => {
+    const standup = agenda().timeline.find(entry => uidOf(entry.object) === 'standup');
+    expect(standup.start.toString()).toBe('2025-03-10T09:00:00Z');
+  });
+});
+
+describe('formatAgenda', () => {
+  const result = () => {
+    const { timeline, overdue } = agenda();
+    return formatAgenda({
+      date: day.date,
+      timezone: 'UTC',
+      start: day.start.toISOString(),
+      end: day.end.toISOString(),
+      timeline,
+      overdue,
+    });
+  };
+
+  test('renders a chronological briefing', () => {
+    const text = result().content[0].text;
+    expect(text).toContain('# 📅 Agenda for Monday, March 10, 2025 (UTC)');
+    expect(text).toContain('**3 events, 2 todos due, 2 overdue**');
+    expect(text).toContain('## ⚠️ Overdue (2)');
+    expect(text).toContain('- **All day** 📅 Offsite (Work)');
+    expect(text).toContain('- **Today** 📋 Due: File taxes - 🔴 High (1) (Work)');
+    expect(text).toContain('- **09:00 AM-09:15 AM** 📅 Standup (Work)');
+    expect(text.indexOf('Standup')).toBeLessThan(text.indexOf('Send invoice'));
+  });
+
+  test('returns the timeline as structured content', () => {
+    const { structuredContent } = result();
+    expect(structuredContent.counts).toEqual({ events: 3, due_today: 2, overdue: 2 });
+    expect(structuredContent.timeline[1]).toMatchObject({ type: 'todo', time: '2025-03-10', all_day: true });
+    expect(structuredContent.timeline[2]).toMatchObject({ type: 'event', time: '2025-03-10T09:00:00.000Z', all_day: false });
+    expect(structuredContent.timeline[2].event.summary).toBe('Standup');
+    expect(structuredContent.overdue.map(todo => todo.summary)).toEqual(['Older', 'Report']);
+  });
+});
+
+describe('getAgendaSchema', () => {
+  test('accepts a date and timezone', () => {
+    expect(validateInput(getAgendaSchema, { date: '2025-03-10', timezone: 'Europe/Berlin' })).toEqual({
+      date: '2025-03-10',
+      timezone: 'Europe/Berlin',
+    });
+    expect(validateInput(getAgendaSchema, {})).toEqual({});
+  });
+
+  test('rejects other date formats and unknown timezones', () => {
+    expect(() => validateInput(getAgendaSchema, { date: '10.03.2025' })).toThrow('YYYY-MM-DD');
+    expect(() => validateInput(getAgendaSchema, { timezone: 'Mars/Olympus' })).toThrow('timezone');
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  createAlarmComponent,
+  addAlarms,
+  listAlarms,
+  removeAlarms,
+  copyAlarms,
+  parseAlarmText,
+} from '../src/tools/shared/alarms.js';
+import { parseICalComponent, touchComponent } from '../src/tools/shared/ical-component.js';
+import { validateInput, alarmSchema, manageAlarmsSchema } from '../src/validation.js';
+
+const loadComponent = (name, extraLines = []) => {
+  const upper = name.toUpperCase();
+  const vcalendar = parseICalComponent([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//test//EN',
+    `BEGIN:${upper}`,
+    'UID:item@test',
+    'DTSTAMP:20250101T000000Z',
+    'SUMMARY:Dentist',
+    ...extraLines,
+    `END:${upper}`,
+    'END:VCALENDAR',
+  ].join('\r\n'));
+  return vcalendar.getFirstSubcomponent(name);
+};
+
+describe('Alarm helpers', () => {
+  test('should build a relative DISPLAY alarm', () => {
+    const text = createAlarmComponent({ trigger: '-PT15M' }, { text: 'Dentist' }).toString();
+    expect(text).toContain('ACTION:DISPLAY');
+    expect(text).toContain('TRIGGER:-PT15M');
+    expect(text).toContain('DESCRIPTION:Dentist');
+    expect(text).toMatch(/UID:[0-9a-f-]{36}/);
+  });
+
+  test('should build an absolute trigger', () => {
+    const text = createAlarmComponent({ trigger: '2025-01-06T08:30:00Z' }).toString();
+    expect(text).toContain('TRIGGER;VALUE=DATE-TIME:20250106T083000Z');
+  });
+
+  test('should build an EMAIL alarm with recipients and repetition', () => {
+    const text = createAlarmComponent({
+      trigger: '-P1D',
+      related: 'END',
+      action: 'EMAIL',
+      attendees: ['me@example.com'],
+      repeat: 2,
+      duration: 'PT1H',
+    }, { text: 'Dentist' }).toString();
+
+    expect(text).toContain('TRIGGER;RELATED=END:-P1D');
+    expect(text).toContain('SUMMARY:Dentist');
+    expect(text).toContain('ATTENDEE:mailto:me@example.com');
+    expect(text).toContain('REPEAT:2');
+    expect(text).toContain('DURATION:PT1H');
+  });
+
+  test('should relate todo reminders to the due date when there is no start', () => {
+    const vtodo = loadComponent('vtodo', ['DUE:20250110T170000Z']);
+    addAlarms(vtodo, [{ trigger: '-P1D' }]);
+    expect(listAlarms(vtodo)[0]).toMatchObject({ position: 1, trigger: '-P1D', related: 'END', action: 'DISPLAY' });
+  });
+
+  test('should reject relative todo reminders without a due date', () => {
+    const vtodo = loadComponent('vtodo');
+    expect(() => addAlarms(vtodo, [{ trigger: '-PT10M' }])).toThrow('needs a due date');
+  });
+
+  test('should remove alarms by position and UID, including overrides', () => {
+    const master = loadComponent('vevent', ['DTSTART:20250106T090000Z']);
+    const [first, second] = addAlarms(master, [{ trigger: '-PT15M' }, { trigger: '-PT5M' }]);
+    const override = loadComponent('vevent', ['DTSTART:20250113T090000Z', 'RECURRENCE-ID:20250113T090000Z']);
+    override.addSubcomponent(parseAlarmText(second.toString())[0]);
+
+    const result = removeAlarms([master, override], ['1', second.getFirstPropertyValue('uid'), 'missing']);
+
+    expect(result.removed).toBe(3);
+    expect(result.notFound).toEqual(['missing']);
+    expect(listAlarms(master)).toHaveLength(0);
+    expect(listAlarms(override)).toHaveLength(0);
+    expect(first.getFirstPropertyValue('uid')).toBeTruthy();
+  });
+
+  test('should parse default alarm text and copy it with fresh UIDs', () => {
+    const text = [
+      createAlarmComponent({ trigger: '-PT10M' }).toString(),
+      createAlarmComponent({ trigger: '-PT1H' }).toString(),
+    ].join('\r\n');
+    const defaults = parseAlarmText(text);
+    expect(defaults).toHaveLength(2);
+
+    const vevent = loadComponent('vevent', ['DTSTART:20250106T090000Z']);
+    copyAlarms(vevent, defaults);
+    const alarms = listAlarms(vevent);
+    expect(alarms.map(a => a.trigger)).toEqual(['-PT10M', '-PT1H']);
+    expect(alarms[0].uid).not.toBe(defaults[0].getFirstPropertyValue('uid'));
+  });
+
+  test('should return no alarms for empty text', () => {
+    expect(parseAlarmText('')).toEqual([]);
+  });
+
+  test('should keep SEQUENCE when only reminders change', () => {
+    const vevent = loadComponent('vevent', ['DTSTART:20250106T090000Z', 'SEQUENCE:3']);
+    touchComponent(vevent, { significant: false });
+    expect(vevent.getFirstPropertyValue('sequence')).toBe(3);
+    expect(vevent.hasProperty('last-modified')).toBe(true);
+
+    touchComponent(vevent);
+    expect(vevent.getFirstPropertyValue('sequence')).toBe(4);
+  });
+
+  describe('validation', () => {
+    test('should accept durations and datetimes as triggers', () => {
+      expect(validateInput(alarmSchema, { trigger: '-PT15M' }).trigger).toBe('-PT15M');
+      expect(validateInput(alarmSchema, { trigger: '2025-01-06T08:30:00Z' }).trigger).toBe('2025-01-06T08:30:00Z');
+    });
+
+    test('should reject invalid triggers', () => {
+      expect(() => validateInput(alarmSchema, { trigger: '15 minutes before' })).toThrow('Trigger must be a duration');
+    });
+
+    test('should require recipients for EMAIL alarms', () => {
+      expect(() => validateInput(alarmSchema, { trigger: '-PT15M', action: 'EMAIL' })).toThrow('EMAIL reminders need at least one recipient');
+    });
+
+    test('should require repeat and duration together', () => {
+      expect(() => validateInput(alarmSchema, { trigger: '-PT15M', repeat: 2 })).toThrow('repeat and duration must be given together');
+    });
+
+    test('should require an etag only when changing reminders', () => {
+      const url = 'https://dav.example.com/calendars/user/work/event.ics';
+      expect(validateInput(manageAlarmsSchema, { object_url: url }).object_url).toBe(url);
+      expect(() => validateInput(manageAlarmsSchema, { object_url: url, remove_all: true })).toThrow('object_etag is required');
+    });
+  });
+});
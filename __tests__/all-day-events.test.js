@@ -0,0 +1,128 @@
+import { describe, test, expect } from '@jest/globals';
+import { validateInput, createEventSchema, isAllDayInput } from '../src/validation.js';
+import { formatICalDateOnly } from '../src/tools/shared/helpers.js';
+import { buildRecurrenceLines, expandRecurringEvents } from '../src/tools/shared/recurrence.js';
+import { formatEvent } from '../src/formatters.js';
+
+const buildAllDayEvent = (start, end, extraLines = []) => ({
+  url: 'https://example.com/calendar/holiday.ics',
+  etag: '"1"',
+  data: [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//test//EN',
+    'BEGIN:VEVENT',
+    'UID:holiday@test',
+    'DTSTAMP:20250101T000000Z',
+    `DTSTART;VALUE=DATE:${start}`,
+    ...(end ? [`DTEND;VALUE=DATE:${end}`] : []),
+    'SUMMARY:Vacation',
+    ...extraLines,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n'),
+});
+
+describe('All-day events', () => {
+  const base = {
+    calendar_url: 'https://example.com/calendar/',
+    summary: 'Vacation',
+  };
+
+  describe('validation', () => {
+    test('should infer all-day mode from a date without time', () => {
+      expect(isAllDayInput({ start_date: '2025-07-01' })).toBe(true);
+      expect(isAllDayInput({ start_date: '2025-07-01T09:00:00Z' })).toBe(false);
+      expect(isAllDayInput({ start_date: '2025-07-01T09:00:00Z', all_day: true })).toBe(true);
+    });
+
+    test('should accept a single day without end date', () => {
+      const result = validateInput(createEventSchema, { ...base, start_date: '2025-12-25' });
+      expect(result.end_date).toBeUndefined();
+    });
+
+    test('should accept an inclusive last day equal to the start', () => {
+      expect(() => validateInput(createEventSchema, {
+        ...base,
+        start_date: '2025-12-25',
+        end_date: '2025-12-25',
+      })).not.toThrow();
+    });
+
+    test('should still require an end date for timed events', () => {
+      expect(() => validateInput(createEventSchema, {
+        ...base,
+        start_date: '2025-12-25T09:00:00Z',
+      })).toThrow('End date is required');
+    });
+
+    test('should reject a last day before the start', () => {
+      expect(() => validateInput(createEventSchema, {
+        ...base,
+        start_date: '2025-07-05',
+        end_date: '2025-07-01',
+      })).toThrow('End date must be after start date');
+    });
+
+    test('should reject a timezone on all-day events', () => {
+      expect(() => validateInput(createEventSchema, {
+        ...base,
+        start_date: '2025-07-01',
+        timezone: 'Europe/Berlin',
+      })).toThrow('All-day events are not anchored to a timezone');
+    });
+  });
+
+  describe('formatICalDateOnly', () => {
+    test('should use the written date without UTC conversion', () => {
+      expect(formatICalDateOnly('2025-07-01')).toBe('20250701');
+      expect(formatICalDateOnly('2025-07-01T23:30:00-05:00')).toBe('20250701');
+    });
+
+    test('should add days across month and year boundaries', () => {
+      expect(formatICalDateOnly('2025-07-31', 1)).toBe('20250801');
+      expect(formatICalDateOnly('2025-12-31', 1)).toBe('20260101');
+    });
+  });
+
+  describe('recurrence lines', () => {
+    test('should write UNTIL, EXDATE and RDATE as dates', () => {
+      const lines = buildRecurrenceLines({
+        recurrence: { freq: 'YEARLY', until: '2030-03-14' },
+        exdates: ['2026-03-14'],
+        rdates: ['2026-03-15'],
+        allDay: true,
+      });
+
+      expect(lines).toEqual([
+        'RRULE:FREQ=YEARLY;UNTIL=20300314',
+        'EXDATE;VALUE=DATE:20260314',
+        'RDATE;VALUE=DATE:20260315',
+      ]);
+    });
+  });
+
+  describe('formatEvent', () => {
+    test('should render a single day', () => {
+      const output = formatEvent(buildAllDayEvent('20251225', '20251226'), 'Holidays');
+      expect(output).toContain('- **When**: All day, December 25, 2025\n');
+    });
+
+    test('should render a multi-day range with the inclusive last day', () => {
+      const output = formatEvent(buildAllDayEvent('20250701', '20250706'), 'Holidays');
+      expect(output).toContain('- **When**: All day, July 1, 2025 to July 5, 2025 (5 days)');
+    });
+
+    test('should render a date without DTEND as one day', () => {
+      const output = formatEvent(buildAllDayEvent('20250314', null), 'Birthdays');
+      expect(output).toContain('- **When**: All day, March 14, 2025\n');
+    });
+
+    test('should render expanded all-day occurrences', () => {
+      const birthday = buildAllDayEvent('20200314', '20200315', ['RRULE:FREQ=YEARLY']);
+      const [occurrence] = expandRecurringEvents([birthday], '2025-01-01T00:00:00Z', '2025-12-31T00:00:00Z');
+
+      expect(formatEvent(occurrence, 'Birthdays')).toContain('- **When**: All day, March 14, 2025\n');
+    });
+  });
+});
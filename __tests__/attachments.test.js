@@ -0,0 +1,227 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'node:http';
+import {
+  MAX_INLINE_ATTACHMENT_BYTES,
+  getBase64Size,
+  createAttachProperty,
+  listAttachments,
+  findAttachments,
+  removeAttachments,
+  supportsManagedAttachments,
+  addManagedAttachment,
+  removeManagedAttachment,
+} from '../src/tools/shared/attachments.js';
+import { parseICalComponent, getMasterComponent } from '../src/tools/shared/ical-component.js';
+import { validateInput, manageAttachmentsSchema } from '../src/validation.js';
+import { formatEvent } from '../src/formatters.js';
+
+const eventData = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//test//EN',
+  'BEGIN:VEVENT',
+  'UID:review@test',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250710T130000Z',
+  'DTEND:20250710T140000Z',
+  'SUMMARY:Review',
+  'ATTACH;FMTTYPE=application/pdf:https://docs.example.com/agenda%20v2.pdf',
+  'ATTACH;FMTTYPE=text/plain;ENCODING=BASE64;VALUE=BINARY;FILENAME=notes.txt:aGVsbG8gd29ybGQ=',
+  'ATTACH;FMTTYPE=image/png;MANAGED-ID=97S;SIZE=2048;FILENAME=chart.png:https://dav.example.com/attachments/97S',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+const readMaster = (data = eventData) => getMasterComponent(parseICalComponent(data));
+
+describe('Attachments', () => {
+  describe('createAttachProperty', () => {
+    test('should build a URI reference', () => {
+      const property = createAttachProperty({ uri: 'https://example.com/agenda.pdf', fmttype: 'application/pdf' });
+      expect(property.toICALString()).toBe('ATTACH;FMTTYPE=application/pdf:https://example.com/agenda.pdf');
+    });
+
+    test('should build a base64 inline binary with file name', () => {
+      const property = createAttachProperty({ data: 'aGVsbG8=', filename: 'hello.txt', fmttype: 'text/plain' });
+      const text = property.toICALString();
+
+      expect(text).toContain('ENCODING=BASE64');
+      expect(text).toContain('VALUE=BINARY');
+      expect(text).toContain('FILENAME=hello.txt');
+      expect(text).toMatch(/:aGVsbG8=$/);
+    });
+
+    test('should refuse inline data over the size cap', () => {
+      const data = 'A'.repeat(Math.ceil((MAX_INLINE_ATTACHMENT_BYTES + 3) / 3) * 4);
+      expect(() => createAttachProperty({ data, filename: 'big.bin' })).toThrow('inline attachments are limited');
+    });
+  });
+
+  describe('getBase64Size', () => {
+    test('should return the decoded size', () => {
+      expect(getBase64Size('aGVsbG8gd29ybGQ=')).toBe(11);
+      expect(getBase64Size('aGk=')).toBe(2);
+      expect(getBase64Size('aGVsbG8h')).toBe(6);
+    });
+  });
+
+  describe('listAttachments', () => {
+    test('should describe links, inline files and managed attachments', () => {
+      expect(listAttachments(readMaster())).toEqual([
+        { position: 1, filename: 'agenda v2.pdf', fmttype: 'application/pdf', uri: 'https://docs.example.com/agenda%20v2.pdf', inline: false, size: null, managed_id: null },
+        { position: 2, filename: 'notes.txt', fmttype: 'text/plain', uri: null, inline: true, size: 11, managed_id: null },
+        { position: 3, filename: 'chart.png', fmttype: 'image/png', uri: 'https://dav.example.com/attachments/97S', inline: false, size: 2048, managed_id: '97S' },
+      ]);
+    });
+
+    test('should keep the raw file name when the percent-encoding is malformed', () => {
+      const data = eventData.replace('agenda%20v2.pdf', 'report%E0%A4%A.pdf');
+      expect(listAttachments(readMaster(data))[0].filename).toBe('report%E0%A4%A.pdf');
+    });
+  });
+
+  describe('findAttachments and removeAttachments', () => {
+    test('should select by position, file name, URI or managed ID', () => {
+      const master = readMaster();
+      const { properties, notFound } = findAttachments(master, ['1', 'notes.txt', '97S', 'missing.doc']);
+
+      expect(properties).toHaveLength(3);
+      expect(notFound).toEqual(['missing.doc']);
+    });
+
+    test('should remove matching attachments from the master and overrides', () => {
+      const data = eventData.replace('END:VCALENDAR', [
+        'BEGIN:VEVENT',
+        'UID:review@test',
+        'DTSTAMP:20250101T000000Z',
+        'RECURRENCE-ID:20250717T130000Z',
+        'DTSTART:20250717T140000Z',
+        'DTEND:20250717T150000Z',
+        'SUMMARY:Review',
+        'ATTACH;FMTTYPE=application/pdf:https://docs.example.com/agenda%20v2.pdf',
+        'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\r\n'));
+      const vcalendar = parseICalComponent(data);
+      const [master, override] = vcalendar.getAllSubcomponents('vevent');
+
+      expect(removeAttachments([master, override], [1])).toEqual({ removed: 2, notFound: [] });
+      expect(master.getAllProperties('attach')).toHaveLength(2);
+      expect(override.getAllProperties('attach')).toHaveLength(0);
+    });
+  });
+
+  describe('validation', () => {
+    const base = { object_url: 'https://example.com/calendar/event.ics', object_etag: '"1"' };
+
+    test('should require either uri or data', () => {
+      expect(() => validateInput(manageAttachmentsSchema, { ...base, add: [{ filename: 'x.pdf' }] }))
+        .toThrow('Provide either uri or data');
+      expect(() => validateInput(manageAttachmentsSchema, { ...base, add: [{ uri: 'https://example.com/a', data: 'aGk=', filename: 'a' }] }))
+        .toThrow('Provide either uri or data');
+    });
+
+    test('should require a file name for data and reject non-base64 data', () => {
+      expect(() => validateInput(manageAttachmentsSchema, { ...base, add: [{ data: 'aGk=' }] }))
+        .toThrow('filename is required');
+      expect(() => validateInput(manageAttachmentsSchema, { ...base, add: [{ data: 'not base64!', filename: 'a.txt' }] }))
+        .toThrow('base64');
+    });
+
+    test('should strip line breaks from base64 data', () => {
+      const result = validateInput(manageAttachmentsSchema, { ...base, add: [{ data: 'aGVs\nbG8=', filename: 'a.txt' }] });
+      expect(result.add[0].data).toBe('aGVsbG8=');
+    });
+
+    test('should only upload files in managed mode', () => {
+      expect(() => validateInput(manageAttachmentsSchema, { ...base, managed: true, add: [{ uri: 'https://example.com/a' }] }))
+        .toThrow('Managed attachments are uploaded files');
+    });
+  });
+
+  describe('managed attachments (RFC 8607)', () => {
+    let server;
+    let baseUrl;
+    const requests = [];
+
+    beforeAll(() => new Promise(resolve => {
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+          requests.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+          if (req.method === 'OPTIONS') {
+            res.writeHead(200, { DAV: req.url.startsWith('/managed/') ? '1, 3, calendar-access, calendar-managed-attachments' : '1, 3, calendar-access' });
+          } else if (req.url.includes('action=attachment-add')) {
+            res.writeHead(201, { 'Cal-Managed-ID': '98T', ETag: '"2"' });
+          } else if (req.url.includes('action=attachment-remove')) {
+            res.writeHead(204, { ETag: '"3"' });
+          } else {
+            res.writeHead(400);
+          }
+          res.end();
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    }));
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    const client = { authHeaders: { Authorization: 'Basic dGVzdDp0ZXN0' } };
+
+    test('should detect support from the DAV header', async () => {
+      expect(await supportsManagedAttachments(client, `${baseUrl}/managed/event.ics`)).toBe(true);
+      expect(await supportsManagedAttachments(client, `${baseUrl}/plain/event.ics`)).toBe(false);
+    });
+
+    test('should upload the decoded file with attachment-add', async () => {
+      const result = await addManagedAttachment(client, `${baseUrl}/managed/event.ics`, '"1"', {
+        data: 'aGVsbG8gd29ybGQ=',
+        filename: 'notes.txt',
+        fmttype: 'text/plain',
+      });
+      const request = requests[requests.length - 1];
+
+      expect(result).toEqual({ etag: '"2"', managedId: '98T' });
+      expect(request.method).toBe('POST');
+      expect(request.url).toBe('/managed/event.ics?action=attachment-add');
+      expect(request.headers['content-type']).toBe('text/plain');
+      expect(request.headers['content-disposition']).toBe('attachment;filename="notes.txt"');
+      expect(request.headers['if-match']).toBe('"1"');
+      expect(request.body.toString()).toBe('hello world');
+    });
+
+    test('should send non-Latin-1 file names as RFC 6266 filename*', async () => {
+      await addManagedAttachment(client, `${baseUrl}/managed/event.ics`, '"1"', {
+        data: 'aGVsbG8gd29ybGQ=',
+        filename: 'Präsentation-日本 (v2).pdf',
+      });
+      const request = requests[requests.length - 1];
+
+      expect(request.headers['content-disposition']).toBe(
+        'attachment;filename="Pr_sentation-__ (v2).pdf";filename*=UTF-8\'\'Pr%C3%A4sentation-%E6%97%A5%E6%9C%AC%20%28v2%29.pdf'
+      );
+    });
+
+    test('should remove by managed ID with attachment-remove', async () => {
+      const result = await removeManagedAttachment(client, `${baseUrl}/managed/event.ics`, '"2"', '97S');
+
+      expect(result).toEqual({ etag: '"3"' });
+      expect(requests[requests.length - 1].url).toBe('/managed/event.ics?action=attachment-remove&managed-id=97S');
+    });
+  });
+
+  describe('formatEvent', () => {
+    test('should list attachment names and types', () => {
+      const output = formatEvent({ url: 'https://example.com/calendar/review.ics', etag: '"1"', data: eventData }, 'Work');
+
+      expect(output).toContain('- **Attachments**: 3 file(s)');
+      expect(output).toContain('  - agenda v2.pdf (application/pdf) - https://docs.example.com/agenda%20v2.pdf');
+      expect(output).toContain('  - notes.txt (text/plain, inline, 11 B)');
+      expect(output).toContain('  - chart.png (image/png, managed, 2 KB) - https://dav.example.com/attachments/97S');
+    });
+  });
+});
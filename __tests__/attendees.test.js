@@ -0,0 +1,125 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  normalizeEmail,
+  createAttendeeProperty,
+  findAttendee,
+  setOrganizer,
+  addAttendee,
+  updateAttendee,
+  removeAttendee,
+} from '../src/tools/shared/attendees.js';
+import { parseICalComponent, getMasterComponent } from '../src/tools/shared/ical-component.js';
+import { validateInput, createEventSchema, manageEventAttendeesSchema } from '../src/validation.js';
+
+const loadEvent = (extraLines = []) => {
+  const vcalendar = parseICalComponent([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//test//EN',
+    'BEGIN:VEVENT',
+    'UID:meeting@test',
+    'DTSTAMP:20250101T000000Z',
+    'DTSTART:20250106T090000Z',
+    'DTEND:20250106T100000Z',
+    'SUMMARY:Planning',
+    ...extraLines,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n'));
+  return getMasterComponent(vcalendar);
+};
+
+describe('Attendee helpers', () => {
+  test('should normalize emails and mailto: URIs', () => {
+    expect(normalizeEmail('mailto:Anna@Example.com')).toBe('anna@example.com');
+    expect(normalizeEmail(' bob@example.com ')).toBe('bob@example.com');
+  });
+
+  test('should create attendees with RFC defaults', () => {
+    const line = createAttendeeProperty({ email: 'anna@example.com', name: 'Anna' }).toICALString();
+    expect(line).toContain('CN=Anna');
+    expect(line).toContain('ROLE=REQ-PARTICIPANT');
+    expect(line).toContain('PARTSTAT=NEEDS-ACTION');
+    expect(line).toContain('RSVP=TRUE');
+    expect(line).toMatch(/:mailto:anna@example\.com$/);
+  });
+
+  test('should write CUTYPE and RSVP=FALSE when given', () => {
+    const line = createAttendeeProperty({ email: 'room1@example.com', cutype: 'ROOM', rsvp: false }).toICALString();
+    expect(line).toContain('CUTYPE=ROOM');
+    expect(line).toContain('RSVP=FALSE');
+  });
+
+  test('should replace the organizer', () => {
+    const vevent = loadEvent(['ORGANIZER:mailto:old@example.com']);
+    setOrganizer(vevent, { email: 'boss@example.com', name: 'Boss' });
+
+    expect(vevent.getAllProperties('organizer')).toHaveLength(1);
+    expect(vevent.getFirstPropertyValue('organizer')).toBe('mailto:boss@example.com');
+    expect(vevent.getFirstProperty('organizer').getParameter('cn')).toBe('Boss');
+  });
+
+  test('should add attendees and replace duplicates by email', () => {
+    const vevent = loadEvent();
+    expect(addAttendee(vevent, { email: 'anna@example.com' })).toBe(true);
+    expect(addAttendee(vevent, { email: 'ANNA@example.com', role: 'OPT-PARTICIPANT' })).toBe(false);
+
+    expect(vevent.getAllProperties('attendee')).toHaveLength(1);
+    expect(findAttendee(vevent, 'anna@example.com').getParameter('role')).toBe('OPT-PARTICIPANT');
+  });
+
+  test('should update only the given attendee parameters', () => {
+    const vevent = loadEvent(['ATTENDEE;CN=Anna;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION:mailto:anna@example.com']);
+    expect(updateAttendee(vevent, { email: 'anna@example.com', partstat: 'ACCEPTED', rsvp: false })).toBe(true);
+
+    const attendee = findAttendee(vevent, 'anna@example.com');
+    expect(attendee.getParameter('partstat')).toBe('ACCEPTED');
+    expect(attendee.getParameter('rsvp')).toBe('FALSE');
+    expect(attendee.getParameter('cn')).toBe('Anna');
+    expect(attendee.getParameter('role')).toBe('REQ-PARTICIPANT');
+  });
+
+  test('should report unknown attendees on update and remove', () => {
+    const vevent = loadEvent(['ATTENDEE:mailto:anna@example.com']);
+    expect(updateAttendee(vevent, { email: 'bob@example.com', role: 'CHAIR' })).toBe(false);
+    expect(removeAttendee(vevent, 'bob@example.com')).toBe(false);
+    expect(removeAttendee(vevent, 'mailto:anna@example.com')).toBe(true);
+    expect(vevent.hasProperty('attendee')).toBe(false);
+  });
+
+  describe('validation', () => {
+    const baseEvent = {
+      calendar_url: 'https://example.com/calendar/',
+      summary: 'Planning',
+      start_date: '2025-01-06T09:00:00Z',
+      end_date: '2025-01-06T10:00:00Z',
+    };
+
+    test('should require an organizer when inviting attendees', () => {
+      expect(() => validateInput(createEventSchema, {
+        ...baseEvent,
+        attendees: [{ email: 'anna@example.com' }],
+      })).toThrow('Organizer is required when inviting attendees');
+    });
+
+    test('should reject invalid attendee emails and roles', () => {
+      expect(() => validateInput(createEventSchema, {
+        ...baseEvent,
+        organizer: { email: 'boss@example.com' },
+        attendees: [{ email: 'not-an-email' }],
+      })).toThrow();
+      expect(() => validateInput(createEventSchema, {
+        ...baseEvent,
+        organizer: { email: 'boss@example.com' },
+        attendees: [{ email: 'anna@example.com', role: 'GUEST' }],
+      })).toThrow();
+    });
+
+    test('should require at least one change for manage_event_attendees', () => {
+      expect(() => validateInput(manageEventAttendeesSchema, {
+        event_url: 'https://example.com/calendar/meeting.ics',
+        event_etag: '"1"',
+      })).toThrow();
+    });
+  });
+});
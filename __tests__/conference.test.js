@@ -0,0 +1,136 @@
+import { describe, test, expect } from '@jest/globals';
+import { buildConferenceLine, getConferences, setConferences } from '../src/tools/shared/conference.js';
+import { parseICalComponent, getMasterComponent } from '../src/tools/shared/ical-component.js';
+import { validateInput, createEventSchema } from '../src/validation.js';
+import { formatEvent } from '../src/formatters.js';
+
+const buildEvent = (lines) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//test//EN',
+  'BEGIN:VEVENT',
+  'UID:sync@test',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250710T130000Z',
+  'DTEND:20250710T140000Z',
+  'SUMMARY:Sync',
+  ...lines,
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+const readConferences = (lines) => getConferences(getMasterComponent(parseICalComponent(buildEvent(lines))));
+
+describe('Conferences', () => {
+  describe('buildConferenceLine', () => {
+    test('should write VALUE=URI with an unquoted FEATURE list', () => {
+      expect(buildConferenceLine({ uri: 'https://zoom.us/j/123', features: ['AUDIO', 'VIDEO'], label: 'Zoom' }))
+        .toBe('CONFERENCE;VALUE=URI;FEATURE=AUDIO,VIDEO;LABEL=Zoom:https://zoom.us/j/123');
+    });
+
+    test('should quote labels containing separators', () => {
+      expect(buildConferenceLine({ uri: 'tel:+1-555-0100,,123456', label: 'Dial-in: US, toll-free' }))
+        .toBe('CONFERENCE;VALUE=URI;LABEL="Dial-in: US, toll-free":tel:+1-555-0100,,123456');
+    });
+
+    test('should round-trip through the parser', () => {
+      const line = buildConferenceLine({ uri: 'https://zoom.us/j/123?pwd=a;b', features: ['AUDIO', 'VIDEO'], label: 'Zoom: main' });
+      expect(readConferences([line])).toEqual([{
+        uri: 'https://zoom.us/j/123?pwd=a;b',
+        features: ['AUDIO', 'VIDEO'],
+        label: 'Zoom: main',
+        source: 'CONFERENCE',
+      }]);
+    });
+  });
+
+  describe('getConferences', () => {
+    test('should recognize Google Meet and Microsoft Teams properties', () => {
+      expect(readConferences([
+        'X-GOOGLE-CONFERENCE:https://meet.google.com/abc-defg-hij',
+        'X-MICROSOFT-SKYPETEAMSMEETINGURL:https://teams.microsoft.com/l/meetup-join/123',
+      ])).toEqual([
+        { uri: 'https://meet.google.com/abc-defg-hij', features: ['VIDEO'], label: 'Google Meet', source: 'X-GOOGLE-CONFERENCE' },
+        { uri: 'https://teams.microsoft.com/l/meetup-join/123', features: ['VIDEO'], label: 'Microsoft Teams', source: 'X-MICROSOFT-SKYPETEAMSMEETINGURL' },
+      ]);
+    });
+
+    test('should not repeat a vendor link that is also a CONFERENCE', () => {
+      const conferences = readConferences([
+        'CONFERENCE;VALUE=URI;FEATURE=VIDEO;LABEL=Meet:https://meet.google.com/abc-defg-hij',
+        'X-GOOGLE-CONFERENCE:https://meet.google.com/abc-defg-hij',
+      ]);
+
+      expect(conferences).toHaveLength(1);
+      expect(conferences[0].source).toBe('CONFERENCE');
+    });
+
+    test('should return an empty list without conference info', () => {
+      expect(readConferences([])).toEqual([]);
+    });
+  });
+
+  describe('setConferences', () => {
+    test('should replace CONFERENCE links and keep vendor properties', () => {
+      const vcalendar = parseICalComponent(buildEvent([
+        'CONFERENCE;VALUE=URI;FEATURE=VIDEO:https://zoom.us/j/old',
+        'X-GOOGLE-CONFERENCE:https://meet.google.com/abc-defg-hij',
+      ]));
+      setConferences(getMasterComponent(vcalendar), [{ uri: 'https://zoom.us/j/new', features: ['AUDIO', 'VIDEO'], label: 'Zoom' }]);
+      const master = getMasterComponent(parseICalComponent(vcalendar.toString()));
+
+      expect(getConferences(master).map(conference => conference.uri)).toEqual(['https://zoom.us/j/new', 'https://meet.google.com/abc-defg-hij']);
+      expect(getConferences(master)[0]).toMatchObject({ features: ['AUDIO', 'VIDEO'], label: 'Zoom' });
+    });
+
+    test('should remove all CONFERENCE links for an empty list', () => {
+      const vcalendar = parseICalComponent(buildEvent(['CONFERENCE;VALUE=URI:https://zoom.us/j/old']));
+      setConferences(getMasterComponent(vcalendar), []);
+      expect(vcalendar.toString()).not.toContain('CONFERENCE');
+    });
+  });
+
+  describe('validation', () => {
+    const base = {
+      calendar_url: 'https://example.com/calendar/',
+      summary: 'Sync',
+      start_date: '2025-07-10T13:00:00Z',
+      end_date: '2025-07-10T14:00:00Z',
+    };
+
+    test('should accept links and dial-ins', () => {
+      const result = validateInput(createEventSchema, {
+        ...base,
+        conferences: [
+          { uri: 'https://zoom.us/j/123', features: ['AUDIO', 'VIDEO'] },
+          { uri: 'tel:+1-555-0100,,123456', features: ['PHONE'], label: 'Dial-in' },
+        ],
+      });
+      expect(result.conferences).toHaveLength(2);
+    });
+
+    test('should reject unknown features and multi-line labels', () => {
+      expect(() => validateInput(createEventSchema, { ...base, conferences: [{ uri: 'https://zoom.us/j/1', features: ['HOLOGRAM'] }] }))
+        .toThrow('Validation failed');
+      expect(() => validateInput(createEventSchema, { ...base, conferences: [{ uri: 'https://zoom.us/j/1', label: 'a\nb' }] }))
+        .toThrow('Label must be a single line');
+    });
+  });
+
+  describe('formatEvent', () => {
+    test('should list join links with label and features', () => {
+      const output = formatEvent({
+        url: 'https://example.com/calendar/sync.ics',
+        etag: '"1"',
+        data: buildEvent([
+          'CONFERENCE;VALUE=URI;FEATURE=AUDIO,VIDEO;LABEL=Zoom:https://zoom.us/j/123',
+          'X-GOOGLE-CONFERENCE:https://meet.google.com/abc-defg-hij',
+        ]),
+      }, 'Work');
+
+      expect(output).toContain('- **Join**: 2 link(s)');
+      expect(output).toContain('  - https://zoom.us/j/123 (Zoom - AUDIO, VIDEO)');
+      expect(output).toContain('  - https://meet.google.com/abc-defg-hij (Google Meet - VIDEO)');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, test, expect } from '@jest/globals';
+import { findConflicts, checkConflicts } from '../src/tools/shared/conflicts.js';
+
+const WORK = { url: 'https://example.com/calendars/work/', displayName: 'Work', components: ['VEVENT', 'VTODO'] };
+// tsdav may return the display name as an XML text node
+const HOME = { url: 'https://example.com/calendars/home/', displayName: { _text: 'Home' }, components: ['VEVENT'] };
+const TASKS = { url: 'https://example.com/calendars/tasks/', displayName: 'Tasks', components: ['VTODO'] };
+
+const buildEvent = (uid, dateLines, extraLines = []) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//test//EN',
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  'DTSTAMP:20250701T000000Z',
+  ...dateLines,
+  `SUMMARY:${uid}`,
+  ...extraLines,
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+const timed = (uid, start, end, extraLines) => buildEvent(uid, [`DTSTART:${start}`, `DTEND:${end}`], extraLines);
+
+const createClient = (objectsByCalendar) => {
+  const requests = [];
+  return {
+    requests,
+    async fetchCalendars() {
+      return [WORK, HOME, TASKS];
+    },
+    async fetchCalendarObjects({ calendar, timeRange }) {
+      requests.push({ calendar: calendar.url, timeRange });
+      return (objectsByCalendar[calendar.url] || []).map((data, index) => ({
+        url: `${calendar.url}${index}.ics`,
+        etag: '"1"',
+        data,
+      }));
+    },
+  };
+};
+
+describe('Conflict detection', () => {
+  const client = createClient({
+    [WORK.url]: [
+      timed('standup', '20250707T090000Z', '20250707T093000Z', ['RRULE:FREQ=DAILY;COUNT=10']),
+      timed('focus', '20250710T130000Z', '20250710T150000Z', ['TRANSP:TRANSPARENT']),
+      timed('cancelled', '20250710T130000Z', '20250710T150000Z', ['STATUS:CANCELLED']),
+    ],
+    [HOME.url]: [
+      timed('dentist', '20250710T140000Z', '20250710T150000Z'),
+      buildEvent('vacation', ['DTSTART;VALUE=DATE:20250720', 'DTEND;VALUE=DATE:20250723']),
+    ],
+  });
+
+  describe('findConflicts', () => {
+    test('should report overlapping occurrences of recurring events', async () => {
+      const conflicts = await findConflicts(client, [WORK], timed('new', '20250709T091500Z', '20250709T100000Z'));
+
+      expect(conflicts).toEqual([{
+        summary: 'standup',
+        start: '2025-07-09T09:00:00.000Z',
+        end: '2025-07-09T09:30:00.000Z',
+        all_day: false,
+        calendar: 'Work',
+        url: `${WORK.url}0.ics`,
+      }]);
+    });
+
+    test('should ignore transparent and cancelled events and back-to-back meetings', async () => {
+      expect(await findConflicts(client, [WORK], timed('new', '20250710T133000Z', '20250710T140000Z'))).toEqual([]);
+      expect(await findConflicts(client, [WORK], timed('new', '20250709T093000Z', '20250709T100000Z'))).toEqual([]);
+    });
+
+    test('should not report the event itself', async () => {
+      expect(await findConflicts(client, [HOME], timed('dentist', '20250710T141500Z', '20250710T151500Z'))).toEqual([]);
+    });
+
+    test('should check every occurrence of a new recurring event', async () => {
+      // Tuesdays from July 1: the standup series starts on July 7
+      const conflicts = await findConflicts(
+        client,
+        [WORK],
+        timed('weekly', '20250701T092000Z', '20250701T094000Z', ['RRULE:FREQ=WEEKLY;COUNT=3'])
+      );
+
+      expect(conflicts.map(conflict => conflict.start)).toEqual([
+        '2025-07-08T09:00:00.000Z',
+        '2025-07-15T09:00:00.000Z',
+      ]);
+      expect(client.requests[client.requests.length - 1].timeRange).toEqual({
+        start: '2025-07-01T09:20:00.000Z',
+        end: '2025-07-15T09:40:00.000Z',
+      });
+    });
+
+    test('should report all-day events with their last day', async () => {
+      const conflicts = await findConflicts(client, [HOME], timed('new', '20250721T143000Z', '20250721T150000Z'));
+
+      expect(conflicts).toEqual([expect.objectContaining({
+        summary: 'vacation',
+        start: '2025-07-20',
+        end: '2025-07-22',
+        all_day: true,
+        calendar: 'Home',
+      })]);
+    });
+
+    test('should skip the check for transparent events', async () => {
+      const conflicts = await findConflicts(client, [HOME], timed('new', '20250710T140000Z', '20250710T150000Z', ['TRANSP:TRANSPARENT']));
+      expect(conflicts).toEqual([]);
+    });
+  });
+
+  describe('checkConflicts', () => {
+    const clash = timed('new', '20250710T143000Z', '20250710T150000Z');
+
+    test('should do nothing without a scope', async () => {
+      expect(await checkConflicts(client, { calendarUrl: WORK.url, icalData: clash })).toBeNull();
+    });
+
+    test('should only search the event\'s calendar for scope "calendar"', async () => {
+      expect(await checkConflicts(client, { scope: 'calendar', calendarUrl: WORK.url, icalData: clash })).toEqual([]);
+    });
+
+    test('should refuse the write when another calendar is busy for scope "all"', async () => {
+      await expect(checkConflicts(client, { scope: 'all', calendarUrl: WORK.url, icalData: clash }))
+        .rejects.toThrow(/overlaps 1 existing event\(s\)[\s\S]*dentist[\s\S]*allow_conflicts/);
+    });
+
+    test('should return the conflicts when allow_conflicts is set', async () => {
+      const conflicts = await checkConflicts(client, {
+        scope: 'all',
+        allowConflicts: true,
+        calendarUrl: WORK.url,
+        icalData: clash,
+      });
+
+      expect(conflicts.map(conflict => conflict.calendar)).toEqual(['Home']);
+    });
+
+    test('should skip calendars without events for scope "all"', async () => {
+      client.requests.length = 0;
+      await checkConflicts(client, { scope: 'all', allowConflicts: true, calendarUrl: WORK.url, icalData: clash });
+      expect(client.requests.map(request => request.calendar)).toEqual([WORK.url, HOME.url]);
+    });
+  });
+});
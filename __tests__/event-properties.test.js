@@ -0,0 +1,70 @@
+import { describe, test, expect } from '@jest/globals';
+import { formatEvent } from '../src/formatters.js';
+import { parseICalComponent, getMasterComponent, getCategories } from '../src/tools/shared/ical-component.js';
+
+const buildEvent = (extraLines = []) => ({
+  url: 'https://example.com/calendar/flight.ics',
+  etag: '"1"',
+  data: [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//test//EN',
+    'BEGIN:VEVENT',
+    'UID:flight@test',
+    'DTSTAMP:20250101T000000Z',
+    'DTSTART:20250710T130000Z',
+    'DTEND:20250710T140000Z',
+    'SUMMARY:Flight',
+    ...extraLines,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n'),
+});
+
+describe('Event classification and display properties', () => {
+  describe('getCategories', () => {
+    test('should combine repeated CATEGORIES properties and keep escaped commas', () => {
+      const vevent = getMasterComponent(parseICalComponent(buildEvent([
+        'CATEGORIES:Travel,Work\\, urgent',
+        'CATEGORIES:Customer',
+      ]).data));
+
+      expect(getCategories(vevent)).toEqual(['Travel', 'Work, urgent', 'Customer']);
+    });
+
+    test('should return an empty list without CATEGORIES', () => {
+      expect(getCategories(getMasterComponent(parseICalComponent(buildEvent().data)))).toEqual([]);
+    });
+  });
+
+  describe('formatEvent', () => {
+    test('should show categories, class, transparency, priority, link, status and color', () => {
+      const output = formatEvent(buildEvent([
+        'CATEGORIES:Travel,Work',
+        'CLASS:PRIVATE',
+        'TRANSP:TRANSPARENT',
+        'PRIORITY:2',
+        'URL:https://example.com/booking/42',
+        'STATUS:TENTATIVE',
+        'COLOR:darkblue',
+      ]), 'Work');
+
+      expect(output).toContain('- **Status**: TENTATIVE');
+      expect(output).toContain('- **Categories**: Travel, Work');
+      expect(output).toContain('- **Class**: PRIVATE');
+      expect(output).toContain('- **Shows as**: Free (TRANSPARENT)');
+      expect(output).toContain('- **Priority**: 🔴 High (2)');
+      expect(output).toContain('- **Link**: https://example.com/booking/42');
+      expect(output).toContain('- **Color**: darkblue');
+    });
+
+    test('should omit the fields when the event does not set them', () => {
+      const output = formatEvent(buildEvent(), 'Work');
+
+      expect(output).not.toContain('**Categories**');
+      expect(output).not.toContain('**Class**');
+      expect(output).not.toContain('**Shows as**');
+      expect(output).not.toContain('**Priority**');
+    });
+  });
+});
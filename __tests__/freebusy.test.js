@@ -0,0 +1,209 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'node:http';
+import {
+  freeBusyQuery,
+  parseFreeBusy,
+  computeBusyPeriods,
+  mergeBusyPeriods,
+  findFreeSlots,
+} from '../src/tools/shared/freebusy.js';
+import { validateInput, freeBusyQuerySchema } from '../src/validation.js';
+
+const RANGE_START = '2025-07-10T12:00:00Z';
+const RANGE_END = '2025-07-10T18:00:00Z';
+
+const vfreebusy = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//test//EN',
+  'BEGIN:VFREEBUSY',
+  'DTSTAMP:20250701T000000Z',
+  'DTSTART:20250710T120000Z',
+  'DTEND:20250710T180000Z',
+  'FREEBUSY:20250710T130000Z/20250710T140000Z,20250710T150000Z/PT30M',
+  'FREEBUSY;FBTYPE=BUSY-TENTATIVE:20250710T160000Z/20250710T163000Z',
+  'FREEBUSY;FBTYPE=FREE:20250710T170000Z/20250710T180000Z',
+  'END:VFREEBUSY',
+  'END:VCALENDAR',
+].join('\r\n');
+
+const buildEvent = (uid, start, end, extraLines = [], extraComponents = []) => ({
+  url: `https://example.com/calendar/${uid}.ics`,
+  etag: '"1"',
+  data: [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//test//EN',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    'DTSTAMP:20250701T000000Z',
+    `DTSTART:${start}`,
+    `DTEND:${end}`,
+    `SUMMARY:${uid}`,
+    ...extraLines,
+    'END:VEVENT',
+    ...extraComponents,
+    'END:VCALENDAR',
+  ].join('\r\n'),
+});
+
+const iso = (periods) => periods.map(p => ({ ...p, start: p.start.toISOString(), end: p.end.toISOString() }));
+
+describe('Free/busy helpers', () => {
+  describe('parseFreeBusy', () => {
+    test('should read busy periods with end or duration and skip FBTYPE=FREE', () => {
+      expect(iso(parseFreeBusy(vfreebusy))).toEqual([
+        { start: '2025-07-10T13:00:00.000Z', end: '2025-07-10T14:00:00.000Z', type: 'BUSY' },
+        { start: '2025-07-10T15:00:00.000Z', end: '2025-07-10T15:30:00.000Z', type: 'BUSY' },
+        { start: '2025-07-10T16:00:00.000Z', end: '2025-07-10T16:30:00.000Z', type: 'BUSY-TENTATIVE' },
+      ]);
+    });
+  });
+
+  describe('computeBusyPeriods', () => {
+    test('should skip transparent and cancelled events and mark tentative ones', () => {
+      const events = [
+        buildEvent('meeting', '20250710T130000Z', '20250710T140000Z'),
+        buildEvent('focus', '20250710T140000Z', '20250710T150000Z', ['TRANSP:TRANSPARENT']),
+        buildEvent('cancelled', '20250710T150000Z', '20250710T160000Z', ['STATUS:CANCELLED']),
+        buildEvent('maybe', '20250710T160000Z', '20250710T170000Z', ['STATUS:TENTATIVE']),
+      ];
+
+      expect(iso(computeBusyPeriods(events, RANGE_START, RANGE_END))).toEqual([
+        { start: '2025-07-10T13:00:00.000Z', end: '2025-07-10T14:00:00.000Z', type: 'BUSY' },
+        { start: '2025-07-10T16:00:00.000Z', end: '2025-07-10T17:00:00.000Z', type: 'BUSY-TENTATIVE' },
+      ]);
+    });
+
+    test('should clip events to the range', () => {
+      const events = [buildEvent('long', '20250710T100000Z', '20250710T130000Z')];
+      expect(iso(computeBusyPeriods(events, RANGE_START, RANGE_END))).toEqual([
+        { start: '2025-07-10T12:00:00.000Z', end: '2025-07-10T13:00:00.000Z', type: 'BUSY' },
+      ]);
+    });
+
+    test('should expand recurring events and honor cancelled overrides', () => {
+      const override = [
+        'BEGIN:VEVENT',
+        'UID:standup',
+        'DTSTAMP:20250701T000000Z',
+        'RECURRENCE-ID:20250711T130000Z',
+        'DTSTART:20250711T130000Z',
+        'DTEND:20250711T131500Z',
+        'STATUS:CANCELLED',
+        'SUMMARY:standup',
+        'END:VEVENT',
+      ];
+      const events = [buildEvent('standup', '20250709T130000Z', '20250709T131500Z', ['RRULE:FREQ=DAILY;COUNT=5'], override)];
+
+      expect(iso(computeBusyPeriods(events, '2025-07-10T00:00:00Z', '2025-07-13T00:00:00Z'))).toEqual([
+        { start: '2025-07-10T13:00:00.000Z', end: '2025-07-10T13:15:00.000Z', type: 'BUSY' },
+        { start: '2025-07-12T13:00:00.000Z', end: '2025-07-12T13:15:00.000Z', type: 'BUSY' },
+      ]);
+    });
+  });
+
+  describe('mergeBusyPeriods', () => {
+    test('should merge overlapping and adjacent periods across calendars', () => {
+      const merged = mergeBusyPeriods([
+        { start: new Date('2025-07-10T15:00:00Z'), end: new Date('2025-07-10T16:00:00Z'), type: 'BUSY-TENTATIVE' },
+        { start: new Date('2025-07-10T13:00:00Z'), end: new Date('2025-07-10T14:00:00Z'), type: 'BUSY' },
+        { start: new Date('2025-07-10T13:30:00Z'), end: new Date('2025-07-10T14:30:00Z'), type: 'BUSY' },
+        { start: new Date('2025-07-10T16:00:00Z'), end: new Date('2025-07-10T16:30:00Z'), type: 'BUSY' },
+      ]);
+
+      expect(iso(merged)).toEqual([
+        { start: '2025-07-10T13:00:00.000Z', end: '2025-07-10T14:30:00.000Z', type: 'BUSY' },
+        { start: '2025-07-10T15:00:00.000Z', end: '2025-07-10T16:30:00.000Z', type: 'BUSY' },
+      ]);
+    });
+  });
+
+  describe('findFreeSlots', () => {
+    const busy = [
+      { start: new Date('2025-07-10T13:00:00Z'), end: new Date('2025-07-10T14:30:00Z') },
+      { start: new Date('2025-07-10T14:50:00Z'), end: new Date('2025-07-10T17:00:00Z') },
+    ];
+
+    test('should return the gaps between busy periods', () => {
+      expect(iso(findFreeSlots(busy, RANGE_START, RANGE_END))).toEqual([
+        { start: '2025-07-10T12:00:00.000Z', end: '2025-07-10T13:00:00.000Z', minutes: 60 },
+        { start: '2025-07-10T14:30:00.000Z', end: '2025-07-10T14:50:00.000Z', minutes: 20 },
+        { start: '2025-07-10T17:00:00.000Z', end: '2025-07-10T18:00:00.000Z', minutes: 60 },
+      ]);
+    });
+
+    test('should drop slots shorter than the requested length', () => {
+      expect(findFreeSlots(busy, RANGE_START, RANGE_END, 30).map(slot => slot.minutes)).toEqual([60, 60]);
+    });
+
+    test('should return the whole range when nothing is busy', () => {
+      expect(iso(findFreeSlots([], RANGE_START, RANGE_END, 30))).toEqual([
+        { start: '2025-07-10T12:00:00.000Z', end: '2025-07-10T18:00:00.000Z', minutes: 360 },
+      ]);
+    });
+  });
+
+  describe('validation', () => {
+    test('should reject an end before the start', () => {
+      expect(() => validateInput(freeBusyQuerySchema, {
+        time_range_start: RANGE_END,
+        time_range_end: RANGE_START,
+      })).toThrow('time_range_end must be after time_range_start');
+    });
+
+    test('should reject ranges longer than a year', () => {
+      expect(() => validateInput(freeBusyQuerySchema, {
+        time_range_start: '2025-01-01T00:00:00Z',
+        time_range_end: '2026-06-01T00:00:00Z',
+      })).toThrow('Time range must not exceed one year');
+    });
+  });
+
+  describe('freeBusyQuery', () => {
+    let server;
+    let baseUrl;
+    const requests = [];
+    const client = { authHeaders: { Authorization: 'Basic dGVzdDp0ZXN0' } };
+
+    beforeAll(() => new Promise(resolve => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+          if (req.method === 'REPORT' && req.url === '/calendars/work/') {
+            res.writeHead(200, { 'Content-Type': 'text/calendar; charset=utf-8' });
+            res.end(vfreebusy);
+            return;
+          }
+          res.writeHead(403);
+          res.end();
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    }));
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    test('should issue a free-busy-query REPORT and parse the VFREEBUSY', async () => {
+      const periods = await freeBusyQuery(client, `${baseUrl}/calendars/work/`, RANGE_START, RANGE_END);
+      const request = requests[requests.length - 1];
+
+      expect(periods).toHaveLength(3);
+      expect(request.method).toBe('REPORT');
+      expect(request.headers.depth).toBe('1');
+      expect(request.headers.authorization).toBe('Basic dGVzdDp0ZXN0');
+      expect(request.body).toContain('<c:free-busy-query xmlns:c="urn:ietf:params:xml:ns:caldav">');
+      expect(request.body).toContain('<c:time-range start="20250710T120000Z" end="20250710T180000Z"/>');
+    });
+
+    test('should throw when the server does not support the report', async () => {
+      await expect(freeBusyQuery(client, `${baseUrl}/calendars/other/`, RANGE_START, RANGE_END))
+        .rejects.toThrow('free-busy-query failed with status 403');
+    });
+  });
+});
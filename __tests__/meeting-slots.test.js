@@ -0,0 +1,240 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'node:http';
+import { getWorkingPeriods, findMeetingSlots } from '../src/tools/shared/meeting-slots.js';
+import { queryAttendeeFreeBusy } from '../src/tools/shared/scheduling.js';
+import { validateInput, findMeetingTimeSchema } from '../src/validation.js';
+
+const WORKING_HOURS = { start: '09:00', end: '17:00', days: ['MO', 'TU', 'WE', 'TH', 'FR'] };
+
+const iso = (periods) => periods.map(p => ({ ...p, start: p.start.toISOString(), end: p.end.toISOString() }));
+
+const busy = (start, end) => ({ start: new Date(start), end: new Date(end), type: 'BUSY' });
+
+describe('Meeting slots', () => {
+  describe('getWorkingPeriods', () => {
+    test('should skip weekends and convert working hours from the timezone', () => {
+      // Friday July 11 to Monday July 14, 2025 (Berlin is UTC+2 in summer)
+      const periods = getWorkingPeriods(
+        new Date('2025-07-11T00:00:00Z'),
+        new Date('2025-07-15T00:00:00Z'),
+        WORKING_HOURS,
+        'Europe/Berlin'
+      );
+
+      expect(iso(periods)).toEqual([
+        { start: '2025-07-11T07:00:00.000Z', end: '2025-07-11T15:00:00.000Z' },
+        { start: '2025-07-14T07:00:00.000Z', end: '2025-07-14T15:00:00.000Z' },
+      ]);
+    });
+
+    test('should clip working hours to the range', () => {
+      const periods = getWorkingPeriods(
+        new Date('2025-07-10T12:00:00Z'),
+        new Date('2025-07-10T14:00:00Z'),
+        WORKING_HOURS,
+        'UTC'
+      );
+
+      expect(iso(periods)).toEqual([
+        { start: '2025-07-10T12:00:00.000Z', end: '2025-07-10T14:00:00.000Z' },
+      ]);
+    });
+  });
+
+  describe('findMeetingSlots', () => {
+    const start = new Date('2025-07-10T00:00:00Z');
+    const end = new Date('2025-07-11T00:00:00Z');
+
+    test('should suggest one slot per gap, avoiding busy time of all participants', () => {
+      const slots = findMeetingSlots({
+        busy: [busy('2025-07-10T09:00:00Z', '2025-07-10T11:00:00Z'), busy('2025-07-10T10:30:00Z', '2025-07-10T14:10:00Z')],
+        start,
+        end,
+        durationMinutes: 60,
+        timezone: 'UTC',
+      });
+
+      expect(iso(slots)).toEqual([
+        { start: '2025-07-10T14:15:00.000Z', end: '2025-07-10T15:15:00.000Z', score: 100 },
+      ]);
+    });
+
+    test('should keep the buffer free before and after the meeting', () => {
+      const slots = findMeetingSlots({
+        busy: [busy('2025-07-10T09:00:00Z', '2025-07-10T10:00:00Z'), busy('2025-07-10T11:30:00Z', '2025-07-10T17:00:00Z')],
+        start,
+        end,
+        durationMinutes: 60,
+        bufferMinutes: 15,
+        timezone: 'UTC',
+      });
+
+      expect(iso(slots)).toEqual([
+        { start: '2025-07-10T10:15:00.000Z', end: '2025-07-10T11:15:00.000Z', score: 100 },
+      ]);
+
+      expect(findMeetingSlots({
+        busy: [busy('2025-07-10T09:00:00Z', '2025-07-10T10:00:00Z'), busy('2025-07-10T11:00:00Z', '2025-07-10T17:00:00Z')],
+        start,
+        end,
+        durationMinutes: 60,
+        bufferMinutes: 15,
+        timezone: 'UTC',
+      })).toEqual([]);
+    });
+
+    test('should rank slots by closeness to the preferred time of day', () => {
+      const slots = findMeetingSlots({
+        busy: [],
+        start,
+        end,
+        durationMinutes: 30,
+        timezone: 'Europe/Berlin',
+        preferredTime: 'afternoon',
+      });
+
+      // 15:00 in Berlin
+      expect(slots[0].start.toISOString()).toBe('2025-07-10T13:00:00.000Z');
+    });
+
+    test('should prefer earlier days when the time of day is equally good', () => {
+      const slots = findMeetingSlots({
+        busy: [],
+        start,
+        end: new Date('2025-07-12T00:00:00Z'),
+        durationMinutes: 30,
+        timezone: 'UTC',
+        preferredTime: '11:00',
+      });
+
+      expect(slots.map(slot => slot.start.toISOString())).toEqual([
+        '2025-07-10T11:00:00.000Z',
+        '2025-07-11T11:00:00.000Z',
+      ]);
+      expect(slots[0].score).toBeGreaterThan(slots[1].score);
+    });
+
+    test('should align candidate start times to the step', () => {
+      const slots = findMeetingSlots({
+        busy: [busy('2025-07-10T09:00:00Z', '2025-07-10T09:07:00Z'), busy('2025-07-10T10:00:00Z', '2025-07-10T17:00:00Z')],
+        start,
+        end,
+        durationMinutes: 30,
+        timezone: 'UTC',
+      });
+
+      expect(slots[0].start.toISOString()).toBe('2025-07-10T09:15:00.000Z');
+    });
+  });
+
+  describe('validation', () => {
+    const base = {
+      attendees: ['anna@example.com'],
+      duration_minutes: 30,
+      window_start: '2025-07-10T00:00:00Z',
+      window_end: '2025-07-17T00:00:00Z',
+    };
+
+    test('should accept a minimal request', () => {
+      expect(validateInput(findMeetingTimeSchema, base).duration_minutes).toBe(30);
+    });
+
+    test('should require at least one participant source', () => {
+      expect(() => validateInput(findMeetingTimeSchema, {
+        ...base,
+        attendees: undefined,
+        include_my_calendars: false,
+      })).toThrow();
+    });
+
+    test('should reject working hours that end before they start', () => {
+      expect(() => validateInput(findMeetingTimeSchema, {
+        ...base,
+        working_hours: { start: '17:00', end: '09:00' },
+      })).toThrow();
+    });
+
+    test('should reject windows longer than 62 days', () => {
+      expect(() => validateInput(findMeetingTimeSchema, {
+        ...base,
+        window_end: '2025-10-01T00:00:00Z',
+      })).toThrow();
+    });
+  });
+
+  describe('queryAttendeeFreeBusy', () => {
+    let server;
+    let baseUrl;
+    const requests = [];
+    const client = { authHeaders: { Authorization: 'Basic dGVzdDp0ZXN0' } };
+
+    const reply = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//test//EN',
+      'METHOD:REPLY',
+      'BEGIN:VFREEBUSY',
+      'DTSTAMP:20250701T000000Z',
+      'FREEBUSY:20250710T130000Z/20250710T140000Z',
+      'END:VFREEBUSY',
+      'END:VCALENDAR',
+    ].join('\r\n');
+
+    beforeAll(() => new Promise(resolve => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push({ method: req.method, headers: req.headers, body });
+          res.writeHead(200, { 'Content-Type': 'application/xml; charset=utf-8' });
+          res.end('<?xml version="1.0" encoding="utf-8"?>' +
+            '<C:schedule-response xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">' +
+            '<C:response><C:recipient><D:href>mailto:anna@example.com</D:href></C:recipient>' +
+            `<C:request-status>2.0;Success</C:request-status><C:calendar-data>${reply}</C:calendar-data></C:response>` +
+            '<C:response><C:recipient><D:href>mailto:bob@example.com</D:href></C:recipient>' +
+            '<C:request-status>3.7;Invalid calendar user</C:request-status></C:response>' +
+            '</C:schedule-response>');
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    }));
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    test('should post a VFREEBUSY request and read each recipient\'s busy time', async () => {
+      const results = await queryAttendeeFreeBusy(client, { outboxUrl: `${baseUrl}/outbox/` }, {
+        originator: 'me@example.com',
+        attendees: ['Anna@Example.com', 'bob@example.com'],
+        start: '2025-07-10T00:00:00Z',
+        end: '2025-07-11T00:00:00Z',
+      });
+      const request = requests[requests.length - 1];
+
+      expect(request.method).toBe('POST');
+      expect(request.headers.originator).toBe('mailto:me@example.com');
+      expect(request.headers.recipient).toBe('mailto:anna@example.com, mailto:bob@example.com');
+      expect(request.body).toContain('METHOD:REQUEST');
+      expect(request.body).toContain('BEGIN:VFREEBUSY');
+      expect(request.body).toContain('DTSTART:20250710T000000Z');
+      expect(request.body).toContain('ATTENDEE:mailto:bob@example.com');
+
+      expect(results[0].email).toBe('anna@example.com');
+      expect(iso(results[0].periods)).toEqual([
+        { start: '2025-07-10T13:00:00.000Z', end: '2025-07-10T14:00:00.000Z', type: 'BUSY' },
+      ]);
+      expect(results[1]).toEqual({ email: 'bob@example.com', status: '3.7;Invalid calendar user', periods: null });
+    });
+
+    test('should throw without a scheduling outbox', async () => {
+      await expect(queryAttendeeFreeBusy(client, { outboxUrl: null }, {
+        originator: 'me@example.com',
+        attendees: ['anna@example.com'],
+        start: '2025-07-10T00:00:00Z',
+        end: '2025-07-11T00:00:00Z',
+      })).rejects.toThrow('scheduling outbox');
+    });
+  });
+});
@@ -0,0 +1,218 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  SORT_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  paginationInputProperties,
+  sortObjects,
+  paginate,
+} from '../src/tools/shared/pagination.js';
+import { expandRecurringEvents } from '../src/tools/shared/recurrence.js';
+import {
+  validateInput,
+  listEventsSchema,
+  calendarQuerySchema,
+  listContactsSchema,
+  addressBookQuerySchema,
+  listTodosSchema,
+  todoQuerySchema,
+} from '../src/validation.js';
+import { formatEventList, formatTodoList, formatContactList } from '../src/formatters.js';
+
+const buildEvent = (uid, summary, start, extra = []) => ({
+  url: `https://dav.example.com/cal/${uid}.ics`,
+  etag: `"${uid}"`,
+  data: [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//test//EN',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    'DTSTAMP:20250101T000000Z',
+    start.includes(':') ? `DTSTART;${start}` : `DTSTART:${start}`,
+    'DURATION:PT1H',
+    `SUMMARY:${summary}`,
+    ...extra,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n'),
+});
+
+const buildTodo = (uid, summary, due) => ({
+  url: `https://dav.example.com/cal/${uid}.ics`,
+  etag: `"${uid}"`,
+  data: [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//test//EN',
+    'BEGIN:VTODO',
+    `UID:${uid}`,
+    'DTSTAMP:20250101T000000Z',
+    ...(due ? [due] : []),
+    `SUMMARY:${summary}`,
+    'END:VTODO',
+    'END:VCALENDAR',
+  ].join('\r\n'),
+});
+
+const buildContact = (uid, fn, n, org) => ({
+  url: `https://dav.example.com/card/${uid}.vcf`,
+  etag: `"${uid}"`,
+  data: ['BEGIN:VCARD', 'VERSION:3.0', `UID:${uid}`, `FN:${fn}`, `N:${n}`, ...(org ? [`ORG:${org}`] : []), 'END:VCARD'].join('\r\n'),
+});
+
+const uids = (objects) => objects.map(object => object.etag.replace(/"/g, ''));
+
+describe('Pagination', () => {
+  describe('sortObjects', () => {
+    const events = [
+      buildEvent('c', 'Zumba', '20250712T090000Z'),
+      buildEvent('a', 'Breakfast', 'TZID=Europe/Berlin:20250710T080000'),
+      buildEvent('b', 'alpha review', '20250710T070000Z'),
+    ];
+
+    test('should sort events by start, honoring TZID', () => {
+      // 08:00 Berlin is 06:00 UTC, before 07:00 UTC
+      expect(uids(sortObjects(events, 'events'))).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should sort events by summary case-insensitively', () => {
+      expect(uids(sortObjects(events, 'events', 'summary'))).toEqual(['b', 'a', 'c']);
+    });
+
+    test('should sort expanded occurrences by their own start', () => {
+      const weekly = buildEvent('w', 'Weekly', '20250701T100000Z', ['RRULE:FREQ=WEEKLY;COUNT=3']);
+      const single = buildEvent('s', 'Single', '20250709T100000Z');
+      const expanded = expandRecurringEvents([weekly, single], '2025-07-01T00:00:00Z', '2025-08-01T00:00:00Z');
+      const sorted = sortObjects(expanded, 'events');
+
+      expect(sorted.map(event => event.occurrence?.start.toString() || 'single')).toEqual([
+        '2025-07-01T10:00:00Z',
+        '2025-07-08T10:00:00Z',
+        'single',
+        '2025-07-15T10:00:00Z',
+      ]);
+    });
+
+    test('should put todos without due date last and keep server order for ties', () => {
+      const todos = [
+        buildTodo('none1', 'Someday', null),
+        buildTodo('late', 'Later', 'DUE;VALUE=DATE:20250901'),
+        buildTodo('none2', 'Maybe', null),
+        buildTodo('soon', 'Soon', 'DUE:20250801T090000Z'),
+      ];
+      expect(uids(sortObjects(todos, 'todos'))).toEqual(['soon', 'late', 'none1', 'none2']);
+    });
+
+    test('should sort todos by priority, created date or status', () => {
+      expect(uids(sortObjects([
+        buildTodo('none', 'No priority', 'PRIORITY:0'),
+        buildTodo('low', 'Low', 'PRIORITY:9'),
+        buildTodo('high', 'High', 'PRIORITY:1'),
+      ], 'todos', 'priority'))).toEqual(['high', 'low', 'none']);
+
+      expect(uids(sortObjects([
+        buildTodo('new', 'New', 'CREATED:20250301T090000Z'),
+        buildTodo('unknown', 'Unknown', null),
+        buildTodo('old', 'Old', 'CREATED:20240101T090000Z'),
+      ], 'todos', 'created'))).toEqual(['old', 'new', 'unknown']);
+
+      expect(uids(sortObjects([
+        buildTodo('done', 'Done', 'STATUS:COMPLETED'),
+        buildTodo('open', 'Open', null),
+        buildTodo('cancelled', 'Cancelled', 'STATUS:CANCELLED'),
+        buildTodo('busy', 'Busy', 'STATUS:IN-PROCESS'),
+      ], 'todos', 'status'))).toEqual(['busy', 'open', 'done', 'cancelled']);
+    });
+
+    test('should sort contacts by name, family name or organization', () => {
+      const contacts = [
+        buildContact('z', 'Zoe Adams', 'Adams;Zoe;;;', 'Initech'),
+        buildContact('a', 'Anna Young', 'Young;Anna;;;'),
+        buildContact('m', 'Max Brown', 'Brown;Max;;;', 'Acme'),
+      ];
+      expect(uids(sortObjects(contacts, 'contacts'))).toEqual(['a', 'm', 'z']);
+      expect(uids(sortObjects(contacts, 'contacts', 'family_name'))).toEqual(['z', 'm', 'a']);
+      expect(uids(sortObjects(contacts, 'contacts', 'organization'))).toEqual(['m', 'z', 'a']);
+    });
+
+    test('should sort unparsable objects last', () => {
+      const broken = { url: 'x', etag: '"broken"', data: 'garbage' };
+      expect(uids(sortObjects([broken, ...events], 'events'))).toEqual(['a', 'b', 'c', 'broken']);
+    });
+  });
+
+  describe('paginate', () => {
+    const items = Array.from({ length: 7 }, (_, index) => index);
+
+    test('should cut a page and count the remaining results', () => {
+      expect(paginate(items, { limit: 3, offset: 2 })).toEqual({ items: [2, 3, 4], total: 7, offset: 2, limit: 3, remaining: 2 });
+    });
+
+    test('should default to the first page', () => {
+      expect(paginate(items)).toEqual({ items, total: 7, offset: 0, limit: DEFAULT_PAGE_SIZE, remaining: 0 });
+    });
+
+    test('should return an empty page past the end', () => {
+      expect(paginate(items, { offset: 10 })).toMatchObject({ items: [], total: 7, remaining: 0 });
+    });
+  });
+
+  describe('validation', () => {
+    test('should accept the sort fields of each type', () => {
+      [
+        [listEventsSchema, { calendar_url: 'https://dav.example.com/cal/' }, 'events'],
+        [calendarQuerySchema, { summary_filter: 'x' }, 'events'],
+        [listContactsSchema, { addressbook_url: 'https://dav.example.com/card/' }, 'contacts'],
+        [addressBookQuerySchema, { name_filter: 'x' }, 'contacts'],
+        [listTodosSchema, { calendar_url: 'https://dav.example.com/cal/' }, 'todos'],
+        [todoQuerySchema, { summary_filter: 'x' }, 'todos'],
+      ].forEach(([schema, base, type]) => {
+        SORT_FIELDS[type].forEach(sortBy => {
+          expect(validateInput(schema, { ...base, sort_by: sortBy, limit: 10, offset: 20 })).toMatchObject({ sort_by: sortBy, limit: 10, offset: 20 });
+        });
+        expect(paginationInputProperties(type).sort_by.enum).toEqual(SORT_FIELDS[type]);
+      });
+    });
+
+    test('should reject out-of-range limits and offsets', () => {
+      const base = { calendar_url: 'https://dav.example.com/cal/' };
+      expect(() => validateInput(listTodosSchema, { ...base, limit: 0 })).toThrow('Validation failed');
+      expect(() => validateInput(listTodosSchema, { ...base, limit: 201 })).toThrow('Validation failed');
+      expect(() => validateInput(listTodosSchema, { ...base, offset: -1 })).toThrow('Validation failed');
+      expect(() => validateInput(listTodosSchema, { ...base, sort_by: 'start' })).toThrow('Validation failed');
+    });
+  });
+
+  describe('list formatters', () => {
+    const events = [
+      buildEvent('a', 'One', '20250710T080000Z'),
+      buildEvent('b', 'Two', '20250711T080000Z'),
+      buildEvent('c', 'Three', '20250712T080000Z'),
+    ];
+
+    test('should show the range, continue numbering and say how many remain', () => {
+      const page = paginate(events, { limit: 1, offset: 1 });
+      const text = formatEventList(page.items, 'Work', page).content[0].text;
+
+      expect(text).toContain('Found events: **3** (showing 2-2)');
+      expect(text).toContain('### 2. Two');
+      expect(text).toContain('📄 **Not shown**: 1 more of 3 events. Call again with offset 2 for the next page.');
+      expect(text).not.toContain('One');
+    });
+
+    test('should not mention pages when everything fits', () => {
+      const page = paginate(events);
+      const text = formatEventList(page.items, 'Work', page).content[0].text;
+
+      expect(text).toContain('Found events: **3**\n');
+      expect(text).not.toContain('Not shown');
+    });
+
+    test('should explain an empty page past the end', () => {
+      const todos = [buildTodo('t', 'Task', null)];
+      const page = paginate(todos, { offset: 5 });
+      expect(formatTodoList(page.items, 'Work', page).content[0].text).toBe('No todos at offset 5; there are 1 in total.');
+      expect(formatContactList([], 'Main', { total: 2, offset: 4, remaining: 0 }).content[0].text).toBe('No contacts at offset 4; there are 2 in total.');
+    });
+  });
+});
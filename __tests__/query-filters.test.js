@@ -0,0 +1,191 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'node:http';
+import {
+  buildCalendarQueryBody,
+  parseCalendarQueryResponse,
+  matchesFilters,
+  queryCalendarObjects,
+} from '../src/tools/shared/query-filters.js';
+import { validateInput, calendarQuerySchema } from '../src/validation.js';
+
+const buildEvent = (uid, lines) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//test//EN',
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250710T130000Z',
+  'DTEND:20250710T140000Z',
+  ...lines,
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+const planning = buildEvent('planning', [
+  'SUMMARY:Quarterly planning with the product team and the regional sales lea',
+  ' ds',
+  'CATEGORIES:Work,Strategy',
+  'ATTENDEE;CN=Elena:mailto:elena@example.com',
+  'STATUS:CONFIRMED',
+]);
+const lunch = buildEvent('lunch', ['SUMMARY:Lunch', 'LOCATION:Café Berlin', 'STATUS:TENTATIVE']);
+
+describe('Calendar query filters', () => {
+  describe('buildCalendarQueryBody', () => {
+    test('should nest time-range and prop-filters in the component filter', () => {
+      const body = buildCalendarQueryBody({
+        timeRange: { start: '2025-07-01T00:00:00Z', end: '2025-08-01T00:00:00Z' },
+        filters: [{ property: 'SUMMARY', text: 'R&D <sync>' }, { property: 'status', text: 'CONFIRMED' }],
+      });
+
+      expect(body).toContain('<c:comp-filter name="VCALENDAR">');
+      expect(body).toContain('<c:comp-filter name="VEVENT">');
+      expect(body).toContain('<c:time-range start="20250701T000000Z" end="20250801T000000Z"/>');
+      expect(body).toContain('<c:prop-filter name="SUMMARY"><c:text-match collation="i;ascii-casemap">R&amp;D &lt;sync&gt;</c:text-match></c:prop-filter>');
+      expect(body).toContain('<c:prop-filter name="STATUS">');
+    });
+
+    test('should filter todos without a time range', () => {
+      const body = buildCalendarQueryBody({ component: 'VTODO', filters: [{ property: 'SUMMARY', text: 'tax' }] });
+      expect(body).toContain('<c:comp-filter name="VTODO">');
+      expect(body).not.toContain('time-range');
+    });
+  });
+
+  describe('parseCalendarQueryResponse', () => {
+    test('should read href, etag and calendar-data', () => {
+      const xml = '<?xml version="1.0"?><d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">' +
+        '<d:response><d:href>/cal/work/lunch.ics</d:href><d:propstat><d:prop>' +
+        '<d:getetag>&quot;7&quot;</d:getetag>' +
+        `<cal:calendar-data>${lunch.replace(/&/g, '&amp;')}</cal:calendar-data>` +
+        '</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>' +
+        '<d:response><d:href>/cal/work/gone.ics</d:href><d:status>HTTP/1.1 404 Not Found</d:status></d:response>' +
+        '</d:multistatus>';
+
+      expect(parseCalendarQueryResponse(xml, 'https://dav.example.com/cal/work/')).toEqual([
+        { url: 'https://dav.example.com/cal/work/lunch.ics', etag: '"7"', data: lunch },
+      ]);
+    });
+  });
+
+  describe('matchesFilters', () => {
+    test('should match unfolded text case-insensitively', () => {
+      expect(matchesFilters(planning, [{ property: 'SUMMARY', text: 'SALES LEADS' }])).toBe(true);
+      expect(matchesFilters(lunch, [{ property: 'LOCATION', text: 'café' }])).toBe(true);
+    });
+
+    test('should require every filter to match', () => {
+      expect(matchesFilters(planning, [
+        { property: 'CATEGORIES', text: 'strategy' },
+        { property: 'ATTENDEE', text: 'elena@' },
+        { property: 'STATUS', text: 'CONFIRMED' },
+      ])).toBe(true);
+      expect(matchesFilters(planning, [
+        { property: 'CATEGORIES', text: 'strategy' },
+        { property: 'LOCATION', text: 'Berlin' },
+      ])).toBe(false);
+    });
+
+    test('should not match other components or unparsable data', () => {
+      expect(matchesFilters(planning, [{ property: 'SUMMARY', text: 'planning' }], 'VTODO')).toBe(false);
+      expect(matchesFilters('not ical', [{ property: 'SUMMARY', text: 'planning' }])).toBe(false);
+    });
+  });
+
+  describe('queryCalendarObjects', () => {
+    let server;
+    let baseUrl;
+    const requests = [];
+
+    beforeAll(() => new Promise(resolve => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+          if (req.url.startsWith('/strict/')) {
+            res.writeHead(403, 'Forbidden');
+            res.end();
+            return;
+          }
+          res.writeHead(207, { 'Content-Type': 'application/xml' });
+          res.end('<d:multistatus xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"><d:response>' +
+            `<d:href>${req.url}planning.ics</d:href><d:propstat><d:prop><d:getetag>"1"</d:getetag>` +
+            `<c:calendar-data><![CDATA[${planning}]]></c:calendar-data></d:prop></d:propstat></d:response></d:multistatus>`);
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    }));
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    const createClient = () => {
+      const calls = [];
+      return {
+        calls,
+        authHeaders: { Authorization: 'Basic dGVzdDp0ZXN0' },
+        async fetchCalendarObjects(options) {
+          calls.push(options);
+          return [
+            { url: `${options.calendar.url}planning.ics`, etag: '"1"', data: planning },
+            { url: `${options.calendar.url}lunch.ics`, etag: '"2"', data: lunch },
+          ];
+        },
+      };
+    };
+
+    test('should send filters to the server as a REPORT', async () => {
+      const client = createClient();
+      const result = await queryCalendarObjects(client, { url: `${baseUrl}/dav/work/` }, {
+        filters: [{ property: 'SUMMARY', text: 'planning' }],
+      });
+      const request = requests[requests.length - 1];
+
+      expect(result.source).toBe('server');
+      expect(result.objects).toEqual([{ url: `${baseUrl}/dav/work/planning.ics`, etag: '"1"', data: planning }]);
+      expect(request.method).toBe('REPORT');
+      expect(request.headers.depth).toBe('1');
+      expect(request.headers.authorization).toBe('Basic dGVzdDp0ZXN0');
+      expect(request.body).toContain('<c:text-match collation="i;ascii-casemap">planning</c:text-match>');
+      expect(client.calls).toHaveLength(0);
+    });
+
+    test('should filter on the client when the server rejects the query', async () => {
+      const client = createClient();
+      const timeRange = { start: '2025-07-01T00:00:00Z', end: '2025-08-01T00:00:00Z' };
+      const result = await queryCalendarObjects(client, { url: `${baseUrl}/strict/work/` }, {
+        timeRange,
+        filters: [{ property: 'LOCATION', text: 'berlin' }],
+      });
+
+      expect(result.source).toBe('client');
+      expect(result.objects.map(object => object.etag)).toEqual(['"2"']);
+      expect(client.calls[0].timeRange).toEqual(timeRange);
+    });
+
+    test('should fetch the time range directly without text filters', async () => {
+      const client = createClient();
+      const count = requests.length;
+      const result = await queryCalendarObjects(client, { url: `${baseUrl}/dav/work/` }, {});
+
+      expect(result.objects).toHaveLength(2);
+      expect(requests).toHaveLength(count);
+    });
+  });
+
+  describe('calendarQuerySchema', () => {
+    test('should accept the new filters on their own', () => {
+      expect(validateInput(calendarQuerySchema, { attendee_filter: 'elena@example.com' }).attendee_filter).toBe('elena@example.com');
+      expect(validateInput(calendarQuerySchema, { description_filter: 'agenda' }).description_filter).toBe('agenda');
+      expect(validateInput(calendarQuerySchema, { status_filter: 'CANCELLED' }).status_filter).toBe('CANCELLED');
+    });
+
+    test('should reject unknown statuses', () => {
+      expect(() => validateInput(calendarQuerySchema, { status_filter: 'DONE' })).toThrow('Validation failed');
+    });
+  });
+});
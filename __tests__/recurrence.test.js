@@ -0,0 +1,268 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  buildRRule,
+  buildRecurrenceLines,
+  countOccurrences,
+  expandRecurringEvents,
+  findOccurrence,
+  addExdate,
+  createOverride,
+  truncateSeries,
+  splitSeries,
+} from '../src/tools/shared/recurrence.js';
+import {
+  parseICalComponent,
+  getMasterComponent,
+  toICalTime,
+} from '../src/tools/shared/ical-component.js';
+import { validateInput, createEventSchema, recurrenceSchema } from '../src/validation.js';
+
+const buildEvent = (extraLines = [], extraComponents = []) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//test//EN',
+  'BEGIN:VEVENT',
+  'UID:standup@test',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250106T090000Z',
+  'DTEND:20250106T091500Z',
+  'SUMMARY:Standup',
+  ...extraLines,
+  'END:VEVENT',
+  ...extraComponents,
+  'END:VCALENDAR',
+].join('\r\n');
+
+describe('Recurrence helpers', () => {
+  describe('buildRRule', () => {
+    test('should build a simple weekly rule', () => {
+      expect(buildRRule({ freq: 'WEEKLY', by_day: ['MO'] })).toBe('FREQ=WEEKLY;BYDAY=MO');
+    });
+
+    test('should include interval, count and month days', () => {
+      const rrule = buildRRule({ freq: 'MONTHLY', interval: 2, count: 6, by_month_day: [1, -1] });
+      expect(rrule).toBe('FREQ=MONTHLY;INTERVAL=2;COUNT=6;BYMONTHDAY=1,-1');
+    });
+
+    test('should omit an interval of 1', () => {
+      expect(buildRRule({ freq: 'DAILY', interval: 1 })).toBe('FREQ=DAILY');
+    });
+
+    test('should format UNTIL as UTC timestamp', () => {
+      const rrule = buildRRule({ freq: 'WEEKLY', until: '2025-03-31T09:00:00Z' });
+      expect(rrule).toBe('FREQ=WEEKLY;UNTIL=20250331T090000Z');
+    });
+  });
+
+  describe('buildRecurrenceLines', () => {
+    test('should return no lines without recurrence arguments', () => {
+      expect(buildRecurrenceLines({})).toEqual([]);
+    });
+
+    test('should build RRULE, EXDATE and RDATE lines', () => {
+      const lines = buildRecurrenceLines({
+        recurrence: { freq: 'WEEKLY', by_day: ['MO'] },
+        exdates: ['2025-01-13T09:00:00Z', '2025-01-20T09:00:00Z'],
+        rdates: ['2025-01-15T09:00:00Z'],
+      });
+      expect(lines).toEqual([
+        'RRULE:FREQ=WEEKLY;BYDAY=MO',
+        'EXDATE:20250113T090000Z,20250120T090000Z',
+        'RDATE:20250115T090000Z',
+      ]);
+    });
+  });
+
+  describe('countOccurrences', () => {
+    test('should count weekly occurrences in range', () => {
+      const ical = buildEvent(['RRULE:FREQ=WEEKLY;BYDAY=MO']);
+      expect(countOccurrences(ical, '2025-01-01T00:00:00Z', '2025-02-01T00:00:00Z')).toBe(4);
+    });
+
+    test('should honor EXDATE and RDATE', () => {
+      const ical = buildEvent([
+        'RRULE:FREQ=WEEKLY;BYDAY=MO',
+        'EXDATE:20250113T090000Z',
+        'RDATE:20250115T090000Z',
+      ]);
+      expect(countOccurrences(ical, '2025-01-01T00:00:00Z', '2025-02-01T00:00:00Z')).toBe(4);
+    });
+
+    test('should stop at COUNT', () => {
+      const ical = buildEvent(['RRULE:FREQ=DAILY;COUNT=3']);
+      expect(countOccurrences(ical, '2025-01-01T00:00:00Z', '2025-12-31T00:00:00Z')).toBe(3);
+    });
+
+    test('should count a non-recurring event once when in range', () => {
+      expect(countOccurrences(buildEvent(), '2025-01-01T00:00:00Z', '2025-02-01T00:00:00Z')).toBe(1);
+      expect(countOccurrences(buildEvent(), '2025-02-01T00:00:00Z', '2025-03-01T00:00:00Z')).toBe(0);
+    });
+  });
+
+  describe('expandRecurringEvents', () => {
+    const calendarObject = (data) => ({ url: 'https://example.com/cal/standup.ics', etag: '"1"', data });
+
+    test('should expand a series whose master starts before the range', () => {
+      const events = [calendarObject(buildEvent(['RRULE:FREQ=WEEKLY;BYDAY=MO']))];
+      const expanded = expandRecurringEvents(events, '2025-03-01T00:00:00Z', '2025-03-15T00:00:00Z');
+
+      expect(expanded).toHaveLength(2);
+      expect(expanded.map(e => e.occurrence.start.toString())).toEqual([
+        '2025-03-03T09:00:00Z',
+        '2025-03-10T09:00:00Z',
+      ]);
+      expect(expanded[0].url).toBe('https://example.com/cal/standup.ics');
+      expect(expanded[0].etag).toBe('"1"');
+      expect(expanded[0].occurrence.end.toString()).toBe('2025-03-03T09:15:00Z');
+    });
+
+    test('should skip EXDATEs and apply RECURRENCE-ID overrides', () => {
+      const override = [
+        'BEGIN:VEVENT',
+        'UID:standup@test',
+        'DTSTAMP:20250101T000000Z',
+        'RECURRENCE-ID:20250113T090000Z',
+        'DTSTART:20250113T140000Z',
+        'DTEND:20250113T141500Z',
+        'SUMMARY:Standup (moved)',
+        'END:VEVENT',
+      ];
+      const events = [calendarObject(buildEvent(['RRULE:FREQ=WEEKLY;BYDAY=MO', 'EXDATE:20250120T090000Z'], override))];
+      const expanded = expandRecurringEvents(events, '2025-01-06T00:00:00Z', '2025-01-28T00:00:00Z');
+
+      expect(expanded.map(e => e.occurrence.start.toString())).toEqual([
+        '2025-01-06T09:00:00Z',
+        '2025-01-13T14:00:00Z',
+        '2025-01-27T09:00:00Z',
+      ]);
+      expect(expanded[1].occurrence.isOverride).toBe(true);
+      expect(expanded[1].occurrence.recurrenceId).toBe('2025-01-13T09:00:00Z');
+    });
+
+    test('should include overrides moved into the range from a later slot', () => {
+      const override = [
+        'BEGIN:VEVENT',
+        'UID:standup@test',
+        'DTSTAMP:20250101T000000Z',
+        'RECURRENCE-ID:20250210T090000Z',
+        'DTSTART:20250131T090000Z',
+        'DTEND:20250131T091500Z',
+        'SUMMARY:Standup (early)',
+        'END:VEVENT',
+      ];
+      const events = [calendarObject(buildEvent(['RRULE:FREQ=WEEKLY;BYDAY=MO'], override))];
+      const expanded = expandRecurringEvents(events, '2025-01-29T00:00:00Z', '2025-02-01T00:00:00Z');
+
+      expect(expanded).toHaveLength(1);
+      expect(expanded[0].occurrence.start.toString()).toBe('2025-01-31T09:00:00Z');
+    });
+
+    test('should pass non-recurring events through unchanged', () => {
+      const event = calendarObject(buildEvent());
+      expect(expandRecurringEvents([event], '2025-01-01T00:00:00Z', '2025-02-01T00:00:00Z')).toEqual([event]);
+    });
+  });
+
+  describe('series editing', () => {
+    const loadSeries = (extraLines = ['RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=10'], extraComponents = []) => {
+      const vcalendar = parseICalComponent(buildEvent(extraLines, extraComponents));
+      return { vcalendar, master: getMasterComponent(vcalendar) };
+    };
+    const occurrenceAt = (master, iso) => findOccurrence(master, toICalTime(iso, master.getFirstPropertyValue('dtstart')));
+
+    test('should find an occurrence and its index', () => {
+      const { master } = loadSeries();
+      const occurrence = occurrenceAt(master, '2025-01-20T09:00:00Z');
+      expect(occurrence.index).toBe(2);
+      expect(occurrence.time.toString()).toBe('2025-01-20T09:00:00Z');
+    });
+
+    test('should return null for times that are not occurrences', () => {
+      const { master } = loadSeries();
+      expect(occurrenceAt(master, '2025-01-21T09:00:00Z')).toBeNull();
+    });
+
+    test('should exclude an occurrence via EXDATE', () => {
+      const { vcalendar, master } = loadSeries();
+      addExdate(master, occurrenceAt(master, '2025-01-13T09:00:00Z').time);
+      expect(vcalendar.toString()).toContain('EXDATE:20250113T090000Z');
+      expect(occurrenceAt(master, '2025-01-13T09:00:00Z')).toBeNull();
+    });
+
+    test('should create an override for a single occurrence', () => {
+      const { vcalendar, master } = loadSeries();
+      const override = createOverride(vcalendar, master, occurrenceAt(master, '2025-01-13T09:00:00Z').time);
+
+      expect(override.getFirstPropertyValue('recurrence-id').toString()).toBe('2025-01-13T09:00:00Z');
+      expect(override.getFirstPropertyValue('dtend').toString()).toBe('2025-01-13T09:15:00Z');
+      expect(override.hasProperty('rrule')).toBe(false);
+      expect(vcalendar.getAllSubcomponents('vevent')).toHaveLength(2);
+    });
+
+    test('should truncate a series with UNTIL and drop later overrides', () => {
+      const override = [
+        'BEGIN:VEVENT',
+        'UID:standup@test',
+        'RECURRENCE-ID:20250127T090000Z',
+        'DTSTART:20250127T100000Z',
+        'DTEND:20250127T101500Z',
+        'END:VEVENT',
+      ];
+      const { vcalendar, master } = loadSeries(['RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=10'], override);
+      const removed = truncateSeries(vcalendar, master, occurrenceAt(master, '2025-01-20T09:00:00Z').time);
+
+      expect(removed).toHaveLength(1);
+      expect(vcalendar.toString()).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20250120T085959Z');
+      expect(countOccurrences(vcalendar.toString(), '2025-01-01T00:00:00Z', '2026-01-01T00:00:00Z')).toBe(2);
+    });
+
+    test('should split a series into a new UID with the remaining count', () => {
+      const { vcalendar, master } = loadSeries();
+      const newSeries = splitSeries(vcalendar, master, occurrenceAt(master, '2025-01-20T09:00:00Z'));
+
+      expect(newSeries.uid).not.toBe('standup@test');
+      expect(newSeries.master.getFirstPropertyValue('dtstart').toString()).toBe('2025-01-20T09:00:00Z');
+      expect(newSeries.master.getFirstPropertyValue('rrule').count).toBe(8);
+      expect(countOccurrences(vcalendar.toString(), '2025-01-01T00:00:00Z', '2026-01-01T00:00:00Z')).toBe(2);
+      expect(countOccurrences(newSeries.vcalendar.toString(), '2025-01-01T00:00:00Z', '2026-01-01T00:00:00Z')).toBe(8);
+    });
+
+    test('should count excluded instances when splitting a COUNT series', () => {
+      const { vcalendar, master } = loadSeries(['RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=10', 'EXDATE:20250113T090000Z']);
+      const newSeries = splitSeries(vcalendar, master, occurrenceAt(master, '2025-01-20T09:00:00Z'));
+
+      expect(newSeries.master.getFirstPropertyValue('rrule').count).toBe(8);
+      expect(countOccurrences(vcalendar.toString(), '2025-01-01T00:00:00Z', '2026-01-01T00:00:00Z')).toBe(1);
+      expect(countOccurrences(newSeries.vcalendar.toString(), '2025-01-01T00:00:00Z', '2026-01-01T00:00:00Z')).toBe(8);
+    });
+  });
+
+  describe('recurrence validation', () => {
+    test('should accept ordinal BYDAY values', () => {
+      const result = validateInput(recurrenceSchema, { freq: 'MONTHLY', by_day: ['1MO', '-1FR'] });
+      expect(result.by_day).toEqual(['1MO', '-1FR']);
+    });
+
+    test('should reject invalid BYDAY values', () => {
+      expect(() => validateInput(recurrenceSchema, { freq: 'WEEKLY', by_day: ['MONDAY'] })).toThrow('Invalid BYDAY value');
+    });
+
+    test('should reject count combined with until', () => {
+      expect(() => validateInput(recurrenceSchema, {
+        freq: 'DAILY',
+        count: 5,
+        until: '2025-03-01T00:00:00Z',
+      })).toThrow('Use either count or until');
+    });
+
+    test('should reject until before event start', () => {
+      expect(() => validateInput(createEventSchema, {
+        calendar_url: 'https://example.com/calendar/',
+        summary: 'Standup',
+        start_date: '2025-01-06T09:00:00Z',
+        end_date: '2025-01-06T09:15:00Z',
+        recurrence: { freq: 'WEEKLY', until: '2024-12-31T00:00:00Z' },
+      })).toThrow('Recurrence until must not be before start date');
+    });
+  });
+});
@@ -0,0 +1,272 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  RESPONSE_FORMATS,
+  applyResponseFormat,
+  withResponseFormat,
+} from '../src/tools/shared/response-format.js';
+import {
+  eventListOutputSchema,
+  todoListOutputSchema,
+  contactListOutputSchema,
+  calendarListOutputSchema,
+  addressBookListOutputSchema,
+  writeResultOutputSchema,
+  searchResultsOutputSchema,
+} from '../src/output-schemas.js';
+import {
+  formatEventList,
+  formatTodoList,
+  formatContactList,
+  formatCalendarList,
+  formatAddressBookList,
+  formatSuccess,
+  formatSearchResults,
+  formatError,
+} from '../src/formatters.js';
+import { searchObjects } from '../src/tools/shared/search.js';
+
+/**
+ * Collect violations of the JSON Schema keywords used in output-schemas.js
+ */
+function schemaErrors(schema, value, path = '$') {
+  const types = [].concat(schema.type || []);
+  const typeOf = (v) => v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v;
+  const actual = typeOf(value);
+  if (types.length && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    return [`${path}: expected ${types.join('|')}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: ${value} not in enum`];
+  }
+  if (actual === 'array' && schema.items) {
+    return value.flatMap((item, i) => schemaErrors(schema.items, item, `${path}[${i}]`));
+  }
+  if (actual === 'object') {
+    const missing = (schema.required || []).filter(key => !(key in value)).map(key => `${path}.${key}: missing`);
+    const nested = Object.entries(schema.properties || {})
+      .filter(([key]) => value[key] !== undefined)
+      .flatMap(([key, sub]) => schemaErrors(sub, value[key], `${path}.${key}`));
+    return [...missing, ...nested];
+  }
+  return [];
+}
+
+const buildEvent = (uid, lines) => ({
+  url: `https://dav.example.com/cal/${uid}.ics`,
+  etag: `"${uid}"`,
+  data: [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//test//EN',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    'DTSTAMP:20250101T000000Z',
+    ...lines,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n'),
+});
+
+const timedEvent = buildEvent('standup', [
+  'DTSTART:20250310T090000Z',
+  'DTEND:20250310T091500Z',
+  'SUMMARY:Team standup',
+  'CATEGORIES:Work,Daily',
+  'ATTENDEE;CN=Ann;PARTSTAT=ACCEPTED:mailto:ann@example.com',
+]);
+
+const allDayEvent = buildEvent('offsite', [
+  'DTSTART;VALUE=DATE:20250311',
+  'DTEND;VALUE=DATE:20250312',
+  'SUMMARY:Offsite',
+]);
+
+const todo = {
+  url: 'https://dav.example.com/cal/report.ics',
+  etag: '"report"',
+  data: [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//test//EN',
+    'BEGIN:VTODO',
+    'UID:report',
+    'DTSTAMP:20250101T000000Z',
+    'SUMMARY:Write report',
+    'DUE:20250312T170000Z',
+    'PRIORITY:1',
+    'END:VTODO',
+    'END:VCALENDAR',
+  ].join('\r\n'),
+};
+
+const vcard = {
+  url: 'https://dav.example.com/card/ann.vcf',
+  etag: '"ann"',
+  data: [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'UID:ann',
+    'FN:Ann Lee',
+    'N:Lee;Ann;;;',
+    'ORG:Example Corp',
+    'EMAIL;TYPE=INTERNET,WORK:ann@example.com',
+    'TEL;TYPE=CELL:+1-555-0100',
+    'END:VCARD',
+  ].join('\r\n'),
+};
+
+const markdownResult = {
+  content: [{ type: 'text', text: '## Result' }],
+  structuredContent: { success: true, operation: 'Event created' },
+};
+
+describe('applyResponseFormat', () => {
+  test('markdown keeps the text content', () => {
+    expect(applyResponseFormat(markdownResult, 'markdown')).toBe(markdownResult);
+    expect(applyResponseFormat(markdownResult)).toBe(markdownResult);
+  });
+
+  test('json replaces the text content with the structured result', () => {
+    const result = applyResponseFormat(markdownResult, 'json');
+    expect(result.content).toHaveLength(1);
+    expect(JSON.parse(result.content[0].text)).toEqual(markdownResult.structuredContent);
+    expect(result.structuredContent).toBe(markdownResult.structuredContent);
+  });
+
+  test('both appends the structured result after the markdown', () => {
+    const result = applyResponseFormat(markdownResult, 'both');
+    expect(result.content).toHaveLength(2);
+    expect(result.content[0].text).toBe('## Result');
+    expect(JSON.parse(result.content[1].text)).toEqual(markdownResult.structuredContent);
+  });
+
+  test('leaves results without structuredContent unchanged', () => {
+    const error = formatError(new Error('boom'), 'create_event');
+    expect(applyResponseFormat(error, 'json')).toBe(error);
+  });
+});
+
+describe('withResponseFormat', () => {
+  const tool = {
+    name: 'echo',
+    description: 'Echo',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+    outputSchema: writeResultOutputSchema,
+    handler: async (args) => ({
+      content: [{ type: 'text', text: JSON.stringify(args) }],
+      structuredContent: { success: true, operation: 'Echo', ...args },
+    }),
+  };
+
+  test('adds response_format to the inputSchema without changing the tool', () => {
+    const wrapped = withResponseFormat(tool);
+    expect(wrapped.inputSchema.properties.response_format.enum).toEqual(RESPONSE_FORMATS);
+    expect(wrapped.inputSchema.required).toEqual(['text']);
+    expect(wrapped.outputSchema).toBe(writeResultOutputSchema);
+    expect(tool.inputSchema.properties.response_format).toBeUndefined();
+  });
+
+  test('removes response_format before calling the handler', async () => {
+    const result = await withResponseFormat(tool).handler({ text: 'hi', response_format: 'markdown' });
+    expect(JSON.parse(result.content[0].text)).toEqual({ text: 'hi' });
+  });
+
+  test('applies the requested format', async () => {
+    const result = await withResponseFormat(tool).handler({ text: 'hi', response_format: 'both' });
+    expect(result.content).toHaveLength(2);
+    expect(JSON.parse(result.content[1].text)).toEqual({ success: true, operation: 'Echo', text: 'hi' });
+  });
+
+  test('rejects unknown formats', async () => {
+    await expect(withResponseFormat(tool).handler({ text: 'hi', response_format: 'xml' }))
+      .rejects.toThrow('response_format');
+  });
+});
+
+describe('structuredContent of formatters', () => {
+  test('event lists match the event list schema', () => {
+    const page = { total: 3, offset: 0, limit: 2, remaining: 1 };
+    const { structuredContent } = formatEventList([timedEvent, allDayEvent], { displayName: 'Work' }, page);
+
+    expect(schemaErrors(eventListOutputSchema, structuredContent)).toEqual([]);
+    expect(structuredContent).toMatchObject({ total: 3, offset: 0, remaining: 1 });
+    expect(structuredContent.events[0]).toMatchObject({
+      url: timedEvent.url,
+      calendar: 'Work',
+      summary: 'Team standup',
+      start: '2025-03-10T09:00:00.000Z',
+      all_day: false,
+      categories: ['Work', 'Daily'],
+    });
+    expect(structuredContent.events[0].attendees[0]).toMatchObject({ email: 'ann@example.com', partstat: 'ACCEPTED' });
+    expect(structuredContent.events[1]).toMatchObject({ start: '2025-03-11', all_day: true });
+  });
+
+  test('empty event lists still return structuredContent', () => {
+    const { structuredContent } = formatEventList([], 'Work');
+    expect(schemaErrors(eventListOutputSchema, structuredContent)).toEqual([]);
+    expect(structuredContent).toMatchObject({ events: [], total: 0 });
+  });
+
+  test('todo lists match the todo list schema', () => {
+    const { structuredContent } = formatTodoList([todo], 'Tasks');
+    expect(schemaErrors(todoListOutputSchema, structuredContent)).toEqual([]);
+    expect(structuredContent.todos[0]).toMatchObject({
+      summary: 'Write report',
+      status: 'NEEDS-ACTION',
+      priority: 1,
+      due: '2025-03-12T17:00:00.000Z',
+    });
+  });
+
+  test('contact lists match the contact list schema', () => {
+    const { structuredContent } = formatContactList([vcard], 'Personal');
+    expect(schemaErrors(contactListOutputSchema, structuredContent)).toEqual([]);
+    expect(structuredContent.contacts[0]).toMatchObject({
+      full_name: 'Ann Lee',
+      family_name: 'Lee',
+      organization: 'Example Corp',
+      emails: [{ value: 'ann@example.com' }],
+      phones: [{ value: '+1-555-0100' }],
+    });
+  });
+
+  test('calendar and address book lists match their schemas', () => {
+    const calendars = formatCalendarList([{ url: 'https://dav.example.com/cal/work/', displayName: 'Work', components: ['VEVENT'] }]);
+    expect(schemaErrors(calendarListOutputSchema, calendars.structuredContent)).toEqual([]);
+    expect(calendars.structuredContent.calendars[0]).toMatchObject({ display_name: 'Work', components: ['VEVENT'] });
+
+    const addressBooks = formatAddressBookList([{ url: 'https://dav.example.com/card/', displayName: 'Personal' }]);
+    expect(schemaErrors(addressBookListOutputSchema, addressBooks.structuredContent)).toEqual([]);
+    expect(addressBooks.structuredContent.addressbooks[0].display_name).toBe('Personal');
+  });
+
+  test('write results match the write result schema', () => {
+    const { structuredContent } = formatSuccess('Event created', { url: timedEvent.url, etag: null, summary: 'Team standup' });
+    expect(schemaErrors(writeResultOutputSchema, structuredContent)).toEqual([]);
+    expect(structuredContent).toEqual({
+      success: true,
+      operation: 'Event created',
+      url: timedEvent.url,
+      etag: null,
+      summary: 'Team standup',
+    });
+  });
+
+  test('search results match the search result schema', () => {
+    const groups = [
+      { type: 'events', results: searchObjects([timedEvent, allDayEvent], 'events', 'standup') },
+      { type: 'contacts', results: searchObjects([vcard], 'contacts', 'standup') },
+    ];
+    const { structuredContent } = formatSearchResults({ query: 'standup', groups, limit: 10 });
+    expect(schemaErrors(searchResultsOutputSchema, structuredContent)).toEqual([]);
+    expect(structuredContent.total).toBe(1);
+    expect(structuredContent.groups[0].results[0]).toMatchObject({ url: timedEvent.url, title: 'Team standup' });
+  });
+
+  test('errors are flagged and carry no structuredContent', () => {
+    const result = formatError(new Error('boom'), 'create_event');
+    expect(result.isError).toBe(true);
+    expect(result.structuredContent).toBeUndefined();
+  });
+});
@@ -0,0 +1,276 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'node:http';
+import {
+  buildItipMessage,
+  getOrganizerEmail,
+  getAttendeeEmails,
+  getItipMethod,
+  findUserAttendee,
+  setParticipationStatus,
+} from '../src/tools/shared/itip.js';
+import {
+  discoverSchedulingUrls,
+  deliverItipMessage,
+  notifyAttendees,
+  parseScheduleResponse,
+} from '../src/tools/shared/scheduling.js';
+import { validateInput, respondToInvitationSchema } from '../src/validation.js';
+
+const meeting = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//test//EN',
+  'BEGIN:VEVENT',
+  'UID:meeting@test',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250106T090000Z',
+  'DTEND:20250106T100000Z',
+  'SUMMARY:Planning',
+  'SEQUENCE:2',
+  'ORGANIZER;CN=Boss:mailto:boss@example.com',
+  'ATTENDEE;ROLE=CHAIR;PARTSTAT=ACCEPTED:mailto:boss@example.com',
+  'ATTENDEE;CN=Anna;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:anna@example.com',
+  'ATTENDEE;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:bob@example.com',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'TRIGGER:-PT15M',
+  'DESCRIPTION:Reminder',
+  'END:VALARM',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+/**
+ * Minimal CalDAV server with a principal and a scheduling outbox
+ */
+function createStubServer({ rejectRecipients = [], outboxStatus = 200, advertiseOutbox = true } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      if (req.method === 'PROPFIND' && req.url === '/principals/boss/') {
+        const outbox = advertiseOutbox
+          ? '<C:schedule-outbox-URL><D:href>/calendars/boss/outbox/</D:href></C:schedule-outbox-URL>'
+          : '';
+        res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' });
+        res.end(`<?xml version="1.0"?>
+<D:multistatus xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+  <D:response>
+    <D:href>/principals/boss/</D:href>
+    <D:propstat>
+      <D:prop>
+        ${outbox}
+        <C:schedule-inbox-URL><D:href>/calendars/boss/inbox/</D:href></C:schedule-inbox-URL>
+        <C:calendar-user-address-set>
+          <D:href>mailto:Boss@example.com</D:href>
+          <D:href>/principals/boss/</D:href>
+        </C:calendar-user-address-set>
+      </D:prop>
+      <D:status>HTTP/1.1 200 OK</D:status>
+    </D:propstat>
+  </D:response>
+</D:multistatus>`);
+        return;
+      }
+
+      if (req.method === 'POST' && req.url === '/calendars/boss/outbox/') {
+        if (outboxStatus !== 200) {
+          res.writeHead(outboxStatus);
+          res.end();
+          return;
+        }
+        const recipients = req.headers.recipient.split(',').map(r => r.trim());
+        const responses = recipients.map(recipient => `
+  <C:response>
+    <C:recipient><D:href>${recipient}</D:href></C:recipient>
+    <C:request-status>${rejectRecipients.includes(recipient) ? '3.7;Invalid calendar user' : '2.0;Success'}</C:request-status>
+  </C:response>`).join('');
+        res.writeHead(200, { 'Content-Type': 'application/xml; charset=utf-8' });
+        res.end(`<?xml version="1.0"?>
+<C:schedule-response xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">${responses}
+</C:schedule-response>`);
+        return;
+      }
+
+      res.writeHead(404);
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      const client = {
+        authHeaders: { Authorization: 'Basic dGVzdDp0ZXN0' },
+        account: { principalUrl: `${baseUrl}/principals/boss/` },
+      };
+      resolve({ server, baseUrl, client, requests });
+    });
+  });
+}
+
+describe('iTIP messages', () => {
+  test('should read organizer and attendees without the organizer', () => {
+    expect(getOrganizerEmail(meeting)).toBe('boss@example.com');
+    expect(getAttendeeEmails(meeting)).toEqual(['anna@example.com', 'bob@example.com']);
+  });
+
+  test('should build a REQUEST without alarms', () => {
+    const message = buildItipMessage(meeting, 'REQUEST');
+    expect(message).toContain('METHOD:REQUEST');
+    expect(message).toContain('ATTENDEE;CN=Anna');
+    expect(message).not.toContain('VALARM');
+  });
+
+  test('should build a CANCEL for selected attendees', () => {
+    const message = buildItipMessage(meeting, 'CANCEL', { attendees: ['bob@example.com'] });
+    expect(message).toContain('METHOD:CANCEL');
+    expect(message).toContain('STATUS:CANCELLED');
+    expect(message).toContain('SEQUENCE:3');
+    expect(message).toContain('mailto:bob@example.com');
+    expect(message).not.toContain('mailto:anna@example.com');
+  });
+
+  test('should build a REPLY with only the replying attendee', () => {
+    const message = buildItipMessage(meeting, 'REPLY', { attendee: 'anna@example.com', partstat: 'ACCEPTED' });
+    expect(message).toContain('METHOD:REPLY');
+    expect(message).toContain('ORGANIZER;CN=Boss:mailto:boss@example.com');
+    expect(message).toContain('ATTENDEE;CN=Anna;PARTSTAT=ACCEPTED:mailto:anna@example.com');
+    expect(message).not.toContain('bob@example.com');
+  });
+
+  test('should reject a REPLY from someone who is not invited', () => {
+    expect(() => buildItipMessage(meeting, 'REPLY', { attendee: 'eve@example.com', partstat: 'ACCEPTED' }))
+      .toThrow('eve@example.com is not an attendee of this event');
+  });
+
+  test('should reject unknown methods', () => {
+    expect(() => buildItipMessage(meeting, 'PUBLISH')).toThrow('Unsupported iTIP method');
+  });
+});
+
+describe('Invitation responses', () => {
+  const invitation = buildItipMessage(meeting, 'REQUEST');
+
+  test('should detect the iTIP method', () => {
+    expect(getItipMethod(invitation)).toBe('REQUEST');
+    expect(getItipMethod(meeting)).toBeNull();
+  });
+
+  test('should find the invited user among their calendar addresses', () => {
+    expect(findUserAttendee(invitation, ['anna.private@example.com', 'ANNA@example.com']))
+      .toEqual({ email: 'anna@example.com', partstat: 'NEEDS-ACTION' });
+    expect(findUserAttendee(invitation, ['eve@example.com'])).toBeNull();
+  });
+
+  test('should build the calendar copy without METHOD and with the new PARTSTAT', () => {
+    const copy = setParticipationStatus(invitation, 'anna@example.com', 'TENTATIVE');
+    expect(copy).not.toContain('METHOD:');
+    expect(copy).toContain('ATTENDEE;CN=Anna;PARTSTAT=TENTATIVE:mailto:anna@example.com');
+    expect(copy).toContain('mailto:bob@example.com');
+  });
+
+  test('should add the comment to a REPLY', () => {
+    const reply = buildItipMessage(invitation, 'REPLY', {
+      attendee: 'anna@example.com',
+      partstat: 'DECLINED',
+      comment: 'On vacation',
+    });
+    expect(reply).toContain('COMMENT:On vacation');
+  });
+
+  test('should require a calendar unless declining', () => {
+    const base = { invitation_url: 'https://dav.example.com/calendars/anna/inbox/1.ics' };
+    expect(() => validateInput(respondToInvitationSchema, { ...base, response: 'ACCEPTED' }))
+      .toThrow('calendar_url is required when accepting an invitation');
+    expect(validateInput(respondToInvitationSchema, { ...base, response: 'DECLINED' }).response).toBe('DECLINED');
+  });
+});
+
+describe('CalDAV scheduling outbox', () => {
+  let stub;
+
+  beforeAll(async () => {
+    stub = await createStubServer({ rejectRecipients: ['mailto:bob@example.com'] });
+  });
+
+  afterAll(() => new Promise(resolve => stub.server.close(resolve)));
+
+  test('should discover scheduling URLs and user addresses from the principal', async () => {
+    const info = await discoverSchedulingUrls(stub.client);
+    expect(info.outboxUrl).toBe(`${stub.baseUrl}/calendars/boss/outbox/`);
+    expect(info.inboxUrl).toBe(`${stub.baseUrl}/calendars/boss/inbox/`);
+    expect(info.userAddresses).toEqual(['boss@example.com']);
+  });
+
+  test('should POST the message to the outbox and report per-recipient status', async () => {
+    const info = await discoverSchedulingUrls(stub.client);
+    const result = await notifyAttendees(stub.client, info, meeting, 'REQUEST');
+
+    const post = stub.requests.find(r => r.method === 'POST');
+    expect(post.headers['content-type']).toBe('text/calendar; charset=utf-8; method=REQUEST');
+    expect(post.headers.originator).toBe('mailto:boss@example.com');
+    expect(post.headers.recipient).toBe('mailto:anna@example.com, mailto:bob@example.com');
+    expect(post.headers.authorization).toBe('Basic dGVzdDp0ZXN0');
+    expect(post.body).toContain('METHOD:REQUEST');
+
+    expect(result.via).toBe('schedule-outbox');
+    expect(result.delivered).toBe(false);
+    expect(result.attachment.recipients).toEqual(['bob@example.com']);
+  });
+
+  test('should skip notifications when the user is not the organizer', async () => {
+    const info = { outboxUrl: `${stub.baseUrl}/calendars/boss/outbox/`, userAddresses: ['anna@example.com'] };
+    expect(await notifyAttendees(stub.client, info, meeting, 'REQUEST')).toBeNull();
+  });
+
+  test('should parse schedule-response statuses', () => {
+    const statuses = parseScheduleResponse(`<C:schedule-response xmlns:C="urn:ietf:params:xml:ns:caldav" xmlns:D="DAV:">
+      <C:response><C:recipient><D:href>mailto:Anna@example.com</D:href></C:recipient><C:request-status>2.0;Success</C:request-status></C:response>
+    </C:schedule-response>`);
+    expect(statuses).toEqual([{ recipient: 'anna@example.com', status: '2.0;Success' }]);
+  });
+});
+
+describe('Attachment fallback', () => {
+  test('should return an attachment when the server has no outbox', async () => {
+    const stub = await createStubServer({ advertiseOutbox: false });
+    try {
+      const info = await discoverSchedulingUrls(stub.client);
+      const result = await notifyAttendees(stub.client, info, meeting, 'CANCEL');
+
+      expect(info.outboxUrl).toBeNull();
+      expect(result.delivered).toBe(false);
+      expect(result.via).toBe('attachment');
+      expect(result.attachment.filename).toBe('cancel.ics');
+      expect(result.attachment.content_type).toBe('text/calendar; charset=UTF-8; method=CANCEL');
+      expect(result.attachment.content).toContain('METHOD:CANCEL');
+      expect(stub.requests.some(r => r.method === 'POST')).toBe(false);
+    } finally {
+      await new Promise(resolve => stub.server.close(resolve));
+    }
+  });
+
+  test('should fall back to an attachment when the outbox rejects the POST', async () => {
+    const stub = await createStubServer({ outboxStatus: 403 });
+    try {
+      const info = await discoverSchedulingUrls(stub.client);
+      const result = await deliverItipMessage(stub.client, info, {
+        method: 'REQUEST',
+        message: buildItipMessage(meeting, 'REQUEST'),
+        originator: 'boss@example.com',
+        recipients: ['anna@example.com'],
+      });
+
+      expect(result.delivered).toBe(false);
+      expect(result.reason).toContain('status 403');
+      expect(result.attachment.recipients).toEqual(['anna@example.com']);
+    } finally {
+      await new Promise(resolve => stub.server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, test, expect } from '@jest/globals';
+import { tokenizeQuery, scoreSearchMatch, searchObjects } from '../src/tools/shared/search.js';
+import { validateInput, fullTextSearchSchema } from '../src/validation.js';
+import { formatSearchResults } from '../src/formatters.js';
+
+const buildCalendar = (component, lines) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//test//EN',
+  `BEGIN:${component}`,
+  'DTSTAMP:20250101T000000Z',
+  ...lines,
+  `END:${component}`,
+  'END:VCALENDAR',
+].join('\r\n');
+
+const offsite = buildCalendar('VEVENT', [
+  'UID:offsite',
+  'DTSTART:20250910T090000Z',
+  'DTEND:20250910T170000Z',
+  'SUMMARY:Team offsite',
+  'LOCATION:Berlin',
+  'DESCRIPTION:Agenda: roadmap review and budget planning for the next quar',
+  ' ter',
+  'ATTENDEE;CN=Elena Novak:mailto:elena@example.com',
+]);
+const review = buildCalendar('VEVENT', [
+  'UID:review',
+  'DTSTART:20250912T090000Z',
+  'DTEND:20250912T100000Z',
+  'SUMMARY:Budget review',
+  'CATEGORIES:Finance,Planning',
+]);
+const todo = buildCalendar('VTODO', [
+  'UID:todo',
+  'SUMMARY:Book flights',
+  'DESCRIPTION:For the Berlin offsite',
+  'STATUS:NEEDS-ACTION',
+]);
+const contact = [
+  'BEGIN:VCARD',
+  'VERSION:4.0',
+  'UID:elena',
+  'FN:Elena Novak',
+  'N:Novak;Elena;;;',
+  'ORG:Example Corp',
+  'TEL;TYPE=work:+1-555-0100',
+  'NOTE:Prefers morning meetings',
+  'END:VCARD',
+].join('\r\n');
+
+describe('Full-text search', () => {
+  test('should split queries into lowercase terms', () => {
+    expect(tokenizeQuery('  Budget   REVIEW ')).toEqual(['budget', 'review']);
+  });
+
+  describe('scoreSearchMatch', () => {
+    test('should match unfolded descriptions', () => {
+      expect(scoreSearchMatch(offsite, 'events', 'next quarter')).toEqual({ score: 9, matches: ['Description'] });
+    });
+
+    test('should match attendee names and addresses', () => {
+      expect(scoreSearchMatch(offsite, 'events', 'Novak').matches).toEqual(['Attendees']);
+      expect(scoreSearchMatch(offsite, 'events', 'elena@example.com').matches).toEqual(['Attendees']);
+    });
+
+    test('should require every term to match', () => {
+      expect(scoreSearchMatch(offsite, 'events', 'offsite paris')).toBeNull();
+    });
+
+    test('should match contact notes, organizations and phone numbers by digits', () => {
+      expect(scoreSearchMatch(contact, 'contacts', 'morning').matches).toEqual(['Note']);
+      expect(scoreSearchMatch(contact, 'contacts', 'example corp').matches).toEqual(['Organization']);
+      expect(scoreSearchMatch(contact, 'contacts', '555 0100').matches).toEqual(['Phone']);
+      expect(scoreSearchMatch(contact, 'contacts', '5550199')).toBeNull();
+    });
+
+    test('should only search the component of the type', () => {
+      expect(scoreSearchMatch(todo, 'events', 'flights')).toBeNull();
+      expect(scoreSearchMatch(todo, 'todos', 'flights').matches).toEqual(['Title']);
+    });
+
+    test('should return null for unparsable data', () => {
+      expect(scoreSearchMatch('garbage', 'events', 'budget')).toBeNull();
+    });
+  });
+
+  describe('searchObjects', () => {
+    test('should rank title matches above description matches', () => {
+      const results = searchObjects([
+        { url: 'https://dav.example.com/cal/offsite.ics', data: offsite },
+        { url: 'https://dav.example.com/cal/review.ics', data: review },
+      ], 'events', 'budget');
+
+      expect(results.map(result => result.object.url)).toEqual([
+        'https://dav.example.com/cal/review.ics',
+        'https://dav.example.com/cal/offsite.ics',
+      ]);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    test('should add a phrase bonus when the words appear together', () => {
+      const [result] = searchObjects([{ url: 'a', data: review }], 'events', 'budget review');
+      expect(result.score).toBe(30);
+    });
+
+    test('should skip objects without data', () => {
+      expect(searchObjects([{ url: 'a' }], 'events', 'budget')).toEqual([]);
+    });
+  });
+
+  describe('validation', () => {
+    test('should trim the query and accept types and limit', () => {
+      expect(validateInput(fullTextSearchSchema, { query: ' offsite ', types: ['events', 'todos'], limit: 5 }))
+        .toEqual({ query: 'offsite', types: ['events', 'todos'], limit: 5 });
+    });
+
+    test('should reject short queries and unknown types', () => {
+      expect(() => validateInput(fullTextSearchSchema, { query: 'a' })).toThrow('at least 2 characters');
+      expect(() => validateInput(fullTextSearchSchema, { query: 'offsite', types: ['journals'] })).toThrow('Validation failed');
+    });
+  });
+
+  describe('formatSearchResults', () => {
+    test('should group results by type and respect the limit', () => {
+      const events = [
+        { url: 'https://dav.example.com/cal/offsite.ics', etag: '"1"', data: offsite, _calendarName: 'Work' },
+        { url: 'https://dav.example.com/cal/review.ics', etag: '"2"', data: review, _calendarName: 'Work' },
+      ];
+      const todos = [{ url: 'https://dav.example.com/cal/todo.ics', etag: '"3"', data: todo, _calendarName: 'Tasks' }];
+      const text = formatSearchResults({
+        query: 'planning',
+        limit: 1,
+        groups: [
+          { type: 'events', results: searchObjects(events, 'events', 'planning') },
+          { type: 'todos', results: searchObjects(todos, 'todos', 'planning') },
+        ],
+      }).content[0].text;
+
+      expect(text).toContain('Search results for "planning": **2**');
+      expect(text).toContain('## Events (2)');
+      expect(text).toContain('1. **Budget review** - ');
+      expect(text).toContain('   - Matched: Categories | In: Work');
+      expect(text).not.toContain('**Team offsite**');
+      expect(text).toContain('*Showing the best 1 of 2.');
+      expect(text).toContain('## Todos (0)\n\nNo matches.');
+    });
+
+    test('should report when nothing matches', () => {
+      const result = formatSearchResults({ query: 'nothing', limit: 10, groups: [{ type: 'events', results: [] }] });
+      expect(result.content[0].text).toBe('No events, todos or contacts match "nothing".');
+    });
+  });
+});
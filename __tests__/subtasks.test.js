@@ -0,0 +1,164 @@
+import { describe, test, expect } from '@jest/globals';
+import ICAL from 'ical.js';
+import {
+  getParentUid,
+  setParentUid,
+  arrangeTodoTree,
+  getTodoSubtree,
+  assertValidParent,
+} from '../src/tools/shared/subtasks.js';
+import { validateInput, createTodoSchema } from '../src/validation.js';
+import { formatTodoList } from '../src/formatters.js';
+
+const buildTodo = (uid, summary, extra = []) => ({
+  url: `https://dav.example.com/cal/${uid}.ics`,
+  etag: `"${uid}"`,
+  data: [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//test//EN',
+    'BEGIN:VTODO',
+    `UID:${uid}`,
+    'DTSTAMP:20250101T000000Z',
+    `SUMMARY:${summary}`,
+    ...extra,
+    'END:VTODO',
+    'END:VCALENDAR',
+  ].join('\r\n'),
+});
+
+const parentOf = (uid) => `RELATED-TO;RELTYPE=PARENT:${uid}`;
+
+const launch = buildTodo('launch', 'Launch website');
+const copy = buildTodo('copy', 'Write copy', [parentOf('launch'), 'STATUS:COMPLETED']);
+const pages = buildTodo('pages', 'Build pages', [parentOf('launch'), 'PERCENT-COMPLETE:20']);
+const home = buildTodo('home', 'Home page', [parentOf('pages'), 'PERCENT-COMPLETE:60']);
+const legal = buildTodo('legal', 'Legal review', [parentOf('launch'), 'STATUS:CANCELLED']);
+const other = buildTodo('other', 'Unrelated');
+
+const vtodoOf = (todo) => new ICAL.Component(ICAL.parse(todo.data)).getFirstSubcomponent('vtodo');
+
+describe('getParentUid and setParentUid', () => {
+  test('reads RELTYPE=PARENT and RELATED-TO without RELTYPE', () => {
+    expect(getParentUid(vtodoOf(copy))).toBe('launch');
+    expect(getParentUid(vtodoOf(buildTodo('a', 'A', ['RELATED-TO:launch'])))).toBe('launch');
+    expect(getParentUid(vtodoOf(buildTodo('b', 'B', ['RELATED-TO;RELTYPE=SIBLING:copy'])))).toBeNull();
+    expect(getParentUid(vtodoOf(launch))).toBeNull();
+  });
+
+  test('replaces the parent and keeps other relations', () => {
+    const vtodo = vtodoOf(buildTodo('a', 'A', [parentOf('launch'), 'RELATED-TO;RELTYPE=SIBLING:copy']));
+    setParentUid(vtodo, 'pages');
+
+    expect(getParentUid(vtodo)).toBe('pages');
+    expect(vtodo.toString()).toContain('RELATED-TO;RELTYPE=PARENT:pages');
+    expect(vtodo.toString()).toContain('RELATED-TO;RELTYPE=SIBLING:copy');
+    expect(vtodo.toString()).not.toContain(':launch');
+  });
+
+  test('removes the parent for an empty UID', () => {
+    const vtodo = vtodoOf(copy);
+    setParentUid(vtodo, '');
+    expect(getParentUid(vtodo)).toBeNull();
+  });
+});
+
+describe('arrangeTodoTree', () => {
+  test('puts subtasks after their parent in depth-first order', () => {
+    const arranged = arrangeTodoTree([home, other, pages, launch, copy]);
+    expect(arranged.map(todo => [todo.url.match(/cal\/(\w+)/)[1], todo._tree.depth]))
+      .toEqual([['other', 0], ['launch', 0], ['pages', 1], ['home', 2], ['copy', 1]]);
+  });
+
+  test('rolls completion up from subtasks, leaving out cancelled ones', () => {
+    const arranged = arrangeTodoTree([launch, copy, pages, home, legal]);
+    const byUrl = Object.fromEntries(arranged.map(todo => [todo.url, todo._tree]));
+
+    expect(byUrl[home.url].rollupPercent).toBe(60);
+    expect(byUrl[pages.url]).toMatchObject({ rollupPercent: 60, subtasks: 1, completedSubtasks: 0 });
+    expect(byUrl[launch.url]).toMatchObject({ rollupPercent: 80, subtasks: 3, completedSubtasks: 1 });
+    expect(byUrl[copy.url]).toMatchObject({ parentUid: 'launch', parentSummary: 'Launch website' });
+  });
+
+  test('counts subtasks in allTodos when the shown list is filtered', () => {
+    const arranged = arrangeTodoTree([launch, pages], [launch, copy, pages, home]);
+    expect(arranged.map(todo => todo._tree.depth)).toEqual([0, 1]);
+    expect(arranged[0]._tree).toMatchObject({ subtasks: 2, completedSubtasks: 1, rollupPercent: 80 });
+  });
+
+  test('shows todos with a missing parent at the top level', () => {
+    const arranged = arrangeTodoTree([home]);
+    expect(arranged[0]._tree).toMatchObject({ depth: 0, parentUid: 'pages', parentSummary: null });
+  });
+
+  test('breaks RELATED-TO cycles', () => {
+    const a = buildTodo('a', 'A', [parentOf('b')]);
+    const b = buildTodo('b', 'B', [parentOf('a')]);
+    const arranged = arrangeTodoTree([a, b]);
+    expect(arranged).toHaveLength(2);
+    expect(arranged.map(todo => todo._tree.depth)).toEqual([0, 1]);
+  });
+
+  test('does not modify the given todos', () => {
+    arrangeTodoTree([launch, copy]);
+    expect(launch._tree).toBeUndefined();
+  });
+});
+
+describe('getTodoSubtree', () => {
+  test('returns the todo and its descendants with the todo as root', () => {
+    const subtree = getTodoSubtree([launch, copy, pages, home, other], pages.url);
+    expect(subtree.map(todo => [todo.url, todo._tree.depth])).toEqual([[pages.url, 0], [home.url, 1]]);
+  });
+
+  test('returns null for an unknown URL', () => {
+    expect(getTodoSubtree([launch], 'https://dav.example.com/cal/missing.ics')).toBeNull();
+  });
+});
+
+describe('assertValidParent', () => {
+  const todos = [launch, copy, pages, home];
+
+  test('accepts an existing parent', () => {
+    expect(() => assertValidParent(todos, 'launch')).not.toThrow();
+    expect(() => assertValidParent(todos, 'copy', 'home')).not.toThrow();
+  });
+
+  test('rejects missing parents, self-links and cycles', () => {
+    expect(() => assertValidParent(todos, 'missing')).toThrow('Parent todo not found');
+    expect(() => assertValidParent(todos, 'pages', 'pages')).toThrow('own parent');
+    expect(() => assertValidParent(todos, 'home', 'launch')).toThrow('subtask of this todo');
+  });
+});
+
+describe('todo lists with subtasks', () => {
+  test('formatTodoList renders an indented tree with roll-ups', () => {
+    const result = formatTodoList([launch, copy, pages, home], 'Work');
+    const text = result.content[0].text;
+
+    expect(text).toContain('**Task tree**');
+    expect(text).toContain('- 📋 Launch website - 80% (1/2 subtasks done)');
+    expect(text).toContain('  - ✅ Write copy - 100%');
+    expect(text).toContain('    - 📋 Home page - 60%');
+    expect(text).toContain('### 4. ↳ 📋 Home page');
+    expect(text).toContain('- **Parent**: Build pages');
+    expect(result.structuredContent.todos.map(todo => [todo.depth, todo.subtasks, todo.rollup_percent]))
+      .toEqual([[0, 2, 80], [1, 0, 100], [1, 1, 60], [2, 0, 60]]);
+    expect(result.structuredContent.todos[1].parent_uid).toBe('launch');
+  });
+
+  test('flat lists have no task tree', () => {
+    const text = formatTodoList([launch, other], 'Work').content[0].text;
+    expect(text).not.toContain('Task tree');
+    expect(text).toContain('### 1. 📋 Launch website');
+  });
+
+  test('createTodoSchema accepts parent_uid', () => {
+    const validated = validateInput(createTodoSchema, {
+      calendar_url: 'https://dav.example.com/cal/',
+      summary: 'Home page',
+      parent_uid: ' pages ',
+    });
+    expect(validated.parent_uid).toBe('pages');
+  });
+});
@@ -0,0 +1,234 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import ICAL from 'ical.js';
+import {
+  isValidTimezone,
+  getTimezoneOffset,
+  findTransitions,
+  buildVTimezone,
+  buildVTimezoneLines,
+  formatICalDateInTimezone,
+  zonedTimeToDate,
+  formatZonedDateProperty,
+  registerMissingTimezones,
+  getDisplayTimezone,
+} from '../src/tools/shared/timezones.js';
+import { buildRecurrenceLines } from '../src/tools/shared/recurrence.js';
+import { formatEvent } from '../src/formatters.js';
+import { validateInput, createEventSchema, createTodoSchema } from '../src/validation.js';
+
+const buildZonedEvent = (tzid, start, end, withVTimezone = true) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//test//EN',
+  ...(withVTimezone ? buildVTimezoneLines(tzid, start) : []),
+  'BEGIN:VEVENT',
+  'UID:zoned@test',
+  'DTSTAMP:20250101T000000Z',
+  formatZonedDateProperty('DTSTART', start, tzid),
+  formatZonedDateProperty('DTEND', end, tzid),
+  'SUMMARY:Standup',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+const getStart = (icalData) => new ICAL.Component(ICAL.parse(icalData))
+  .getFirstSubcomponent('vevent')
+  .getFirstPropertyValue('dtstart');
+
+describe('Timezone helpers', () => {
+  const originalDisplayTimezone = process.env.DISPLAY_TIMEZONE;
+
+  afterEach(() => {
+    if (originalDisplayTimezone === undefined) {
+      delete process.env.DISPLAY_TIMEZONE;
+    } else {
+      process.env.DISPLAY_TIMEZONE = originalDisplayTimezone;
+    }
+  });
+
+  describe('offsets and transitions', () => {
+    test('should validate IANA timezone IDs', () => {
+      expect(isValidTimezone('Europe/Berlin')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    });
+
+    test('should read UTC offsets in minutes', () => {
+      expect(getTimezoneOffset('Europe/Berlin', new Date('2025-01-15T12:00:00Z'))).toBe(60);
+      expect(getTimezoneOffset('Europe/Berlin', new Date('2025-07-15T12:00:00Z'))).toBe(120);
+      expect(getTimezoneOffset('America/New_York', new Date('2025-01-15T12:00:00Z'))).toBe(-300);
+      expect(getTimezoneOffset('Asia/Kolkata', new Date('2025-01-15T12:00:00Z'))).toBe(330);
+    });
+
+    test('should find DST transitions to the minute', () => {
+      const transitions = findTransitions('Europe/Berlin', 2025);
+      expect(transitions).toEqual([
+        { at: new Date('2025-03-30T01:00:00Z'), from: 60, to: 120 },
+        { at: new Date('2025-10-26T01:00:00Z'), from: 120, to: 60 },
+      ]);
+    });
+
+    test('should find no transitions for zones without DST', () => {
+      expect(findTransitions('Asia/Tokyo', 2025)).toEqual([]);
+    });
+  });
+
+  describe('buildVTimezone', () => {
+    test('should build yearly STANDARD and DAYLIGHT observances', () => {
+      const vtimezone = buildVTimezone('Europe/Berlin', 2024);
+      const daylight = vtimezone.getFirstSubcomponent('daylight');
+      const standard = vtimezone.getFirstSubcomponent('standard');
+
+      expect(vtimezone.getFirstPropertyValue('tzid')).toBe('Europe/Berlin');
+      expect(daylight.getFirstPropertyValue('dtstart').toString()).toBe('2024-03-31T02:00:00');
+      expect(daylight.getFirstPropertyValue('tzoffsetto').toString()).toBe('+02:00');
+      expect(daylight.getFirstPropertyValue('rrule').toString()).toBe('FREQ=YEARLY;BYDAY=-1SU;BYMONTH=3');
+      expect(standard.getFirstPropertyValue('dtstart').toString()).toBe('2024-10-27T03:00:00');
+      expect(standard.getFirstPropertyValue('rrule').toString()).toBe('FREQ=YEARLY;BYDAY=-1SU;BYMONTH=10');
+    });
+
+    test('should use ordinal weekdays for rules that are not "last"', () => {
+      const vtimezone = buildVTimezone('America/New_York', 2024);
+      expect(vtimezone.getFirstSubcomponent('daylight').getFirstPropertyValue('rrule').toString())
+        .toBe('FREQ=YEARLY;BYDAY=2SU;BYMONTH=3');
+      expect(vtimezone.getFirstSubcomponent('standard').getFirstPropertyValue('rrule').toString())
+        .toBe('FREQ=YEARLY;BYDAY=1SU;BYMONTH=11');
+    });
+
+    test('should build a single observance for zones without DST', () => {
+      const vtimezone = buildVTimezone('Asia/Tokyo', 2024);
+      expect(vtimezone.getAllSubcomponents('standard')).toHaveLength(1);
+      expect(vtimezone.getAllSubcomponents('daylight')).toHaveLength(0);
+      expect(vtimezone.getFirstSubcomponent('standard').getFirstPropertyValue('tzoffsetto').toString()).toBe('+09:00');
+    });
+
+    test('should keep the wall-clock time across DST changes', () => {
+      const summer = getStart(buildZonedEvent('Europe/Berlin', '2025-07-10T09:00:00', '2025-07-10T10:00:00'));
+      const winter = getStart(buildZonedEvent('Europe/Berlin', '2025-12-10T09:00:00', '2025-12-10T10:00:00'));
+
+      expect(summer.zone.tzid).toBe('Europe/Berlin');
+      expect(summer.toJSDate().toISOString()).toBe('2025-07-10T07:00:00.000Z');
+      expect(winter.toJSDate().toISOString()).toBe('2025-12-10T08:00:00.000Z');
+    });
+
+    test('should resolve southern hemisphere zones', () => {
+      const start = getStart(buildZonedEvent('Australia/Sydney', '2025-01-10T09:00:00', '2025-01-10T10:00:00'));
+      expect(start.toJSDate().toISOString()).toBe('2025-01-09T22:00:00.000Z');
+    });
+
+    test('should emit no VTIMEZONE for UTC', () => {
+      expect(buildVTimezoneLines('UTC', '2025-01-10T09:00:00')).toEqual([]);
+    });
+  });
+
+  describe('local times', () => {
+    test('should read times without offset as wall-clock times in the zone', () => {
+      expect(formatICalDateInTimezone('2025-03-10T09:00:00', 'Europe/Berlin')).toBe('20250310T090000');
+      expect(zonedTimeToDate('2025-03-10T09:00:00', 'Europe/Berlin').toISOString()).toBe('2025-03-10T08:00:00.000Z');
+    });
+
+    test('should convert times with offset into the zone', () => {
+      expect(formatICalDateInTimezone('2025-03-10T08:00:00Z', 'Europe/Berlin')).toBe('20250310T090000');
+      expect(formatICalDateInTimezone('2025-07-10T09:00:00+02:00', 'America/New_York')).toBe('20250710T030000');
+    });
+
+    test('should resolve wall-clock times right after a DST change', () => {
+      expect(zonedTimeToDate('2025-03-30T09:00:00', 'Europe/Berlin').toISOString()).toBe('2025-03-30T07:00:00.000Z');
+      expect(zonedTimeToDate('2025-10-26T09:00:00', 'Europe/Berlin').toISOString()).toBe('2025-10-26T08:00:00.000Z');
+    });
+
+    test('should format TZID-qualified and UTC properties', () => {
+      expect(formatZonedDateProperty('DTSTART', '2025-03-10T09:00:00', 'Europe/Berlin'))
+        .toBe('DTSTART;TZID=Europe/Berlin:20250310T090000');
+      expect(formatZonedDateProperty('DUE', '2025-03-10T09:00:00', 'UTC')).toBe('DUE:20250310T090000Z');
+      expect(formatZonedDateProperty('EXDATE', ['2025-03-10T09:00:00', '2025-03-17T09:00:00'], 'Europe/Berlin'))
+        .toBe('EXDATE;TZID=Europe/Berlin:20250310T090000,20250317T090000');
+    });
+  });
+
+  describe('recurrence lines', () => {
+    test('should qualify EXDATE/RDATE with the TZID and keep UNTIL in UTC', () => {
+      const lines = buildRecurrenceLines({
+        recurrence: { freq: 'WEEKLY', until: '2025-03-31T09:00:00' },
+        exdates: ['2025-03-17T09:00:00'],
+        rdates: ['2025-03-20T09:00:00'],
+        timezone: 'Europe/Berlin',
+      });
+
+      expect(lines).toEqual([
+        'RRULE:FREQ=WEEKLY;UNTIL=20250331T070000Z',
+        'EXDATE;TZID=Europe/Berlin:20250317T090000',
+        'RDATE;TZID=Europe/Berlin:20250320T090000',
+      ]);
+    });
+  });
+
+  describe('validation', () => {
+    const event = {
+      calendar_url: 'https://example.com/calendar/',
+      summary: 'Standup',
+      start_date: '2025-03-10T09:00:00',
+      end_date: '2025-03-10T09:15:00',
+    };
+
+    test('should accept IANA timezones', () => {
+      expect(validateInput(createEventSchema, { ...event, timezone: 'Europe/Berlin' }).timezone).toBe('Europe/Berlin');
+      expect(validateInput(createTodoSchema, {
+        calendar_url: event.calendar_url,
+        summary: 'Taxes',
+        timezone: 'America/New_York',
+      }).timezone).toBe('America/New_York');
+    });
+
+    test('should reject unknown timezones', () => {
+      expect(() => validateInput(createEventSchema, { ...event, timezone: 'Berlin Time' })).toThrow('Invalid IANA timezone');
+    });
+  });
+
+  describe('display timezone', () => {
+    const calendarObject = {
+      url: 'https://example.com/calendar/zoned.ics',
+      etag: '"1"',
+      data: buildZonedEvent('Europe/Berlin', '2025-07-10T09:00:00', '2025-07-10T10:00:00'),
+    };
+
+    test('should default to UTC and ignore invalid values', () => {
+      delete process.env.DISPLAY_TIMEZONE;
+      expect(getDisplayTimezone()).toBe('UTC');
+      process.env.DISPLAY_TIMEZONE = 'Nowhere/Special';
+      expect(getDisplayTimezone()).toBe('UTC');
+    });
+
+    test('should render event times in the display timezone', () => {
+      process.env.DISPLAY_TIMEZONE = 'America/New_York';
+      const output = formatEvent(calendarObject, 'Work');
+
+      expect(output).toContain('- **When**: July 10, 2025, 03:00 AM EDT to July 10, 2025, 04:00 AM EDT');
+      expect(output).toContain('- **Timezone**: Europe/Berlin');
+    });
+
+    test('should not repeat the timezone when it is the display timezone', () => {
+      process.env.DISPLAY_TIMEZONE = 'Europe/Berlin';
+      const output = formatEvent(calendarObject, 'Work');
+
+      expect(output).toContain('- **When**: July 10, 2025, 09:00 AM GMT+2');
+      expect(output).not.toContain('**Timezone**');
+    });
+
+    test('should resolve known TZIDs without a VTIMEZONE', () => {
+      delete process.env.DISPLAY_TIMEZONE;
+      const data = buildZonedEvent('Asia/Kolkata', '2025-07-10T09:00:00', '2025-07-10T10:00:00', false);
+      registerMissingTimezones(data);
+
+      expect(getStart(data).toJSDate().toISOString()).toBe('2025-07-10T03:30:00.000Z');
+      expect(formatEvent({ ...calendarObject, data }, 'Work')).toContain('July 10, 2025, 03:30 AM UTC');
+    });
+
+    test('should show floating times as local wall-clock times', () => {
+      const data = calendarObject.data
+        .replace('DTSTART;TZID=Europe/Berlin:', 'DTSTART:')
+        .replace('DTEND;TZID=Europe/Berlin:', 'DTEND:');
+
+      expect(formatEvent({ ...calendarObject, data }, 'Work')).toContain('July 10, 2025, 09:00 AM (local time)');
+    });
+  });
+});
@@ -0,0 +1,320 @@
+import { describe, test, expect } from '@jest/globals';
+import ICAL from 'ical.js';
+import {
+  completeTodo,
+  reopenTodo,
+  detectCompletionMode,
+  isRecurringTodo,
+  markTodoCompleted,
+  getSelectedTodos,
+  changeTodos,
+} from '../src/tools/shared/todo-completion.js';
+import { validateInput, createTodoSchema, completeTodoSchema, reopenTodoSchema } from '../src/validation.js';
+import { formatTodoBulkResult } from '../src/formatters.js';
+
+const completedAt = new Date('2025-03-04T12:00:00Z');
+
+const buildTodo = (lines, extraComponents = []) => new ICAL.Component(ICAL.parse([
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//test//EN',
+  'BEGIN:VTODO',
+  'UID:trash',
+  'DTSTAMP:20250101T000000Z',
+  'SUMMARY:Take out the trash',
+  ...lines,
+  'END:VTODO',
+  ...extraComponents,
+  'END:VCALENDAR',
+].join('\r\n')));
+
+const weekly = (extra = []) => buildTodo([
+  'DTSTART:20250304T180000Z',
+  'DUE:20250304T190000Z',
+  'RRULE:FREQ=WEEKLY',
+  ...extra,
+]);
+
+const master = (vcalendar) => vcalendar.getAllSubcomponents('vtodo').find(c => !c.hasProperty('recurrence-id'));
+const value = (component, name) => component.getFirstPropertyValue(name)?.toString();
+
+describe('markTodoCompleted', () => {
+  test('sets STATUS, PERCENT-COMPLETE, COMPLETED and LAST-MODIFIED', () => {
+    const vtodo = buildTodo(['STATUS:IN-PROCESS', 'PERCENT-COMPLETE:40']).getFirstSubcomponent('vtodo');
+    markTodoCompleted(vtodo, completedAt);
+
+    expect(vtodo.getFirstPropertyValue('status')).toBe('COMPLETED');
+    expect(vtodo.getFirstPropertyValue('percent-complete')).toBe(100);
+    expect(value(vtodo, 'completed')).toBe('2025-03-04T12:00:00Z');
+    expect(vtodo.hasProperty('last-modified')).toBe(true);
+  });
+});
+
+describe('completeTodo', () => {
+  test('completes a non-recurring todo', () => {
+    const vcalendar = buildTodo(['DUE:20250304T190000Z']);
+    const result = completeTodo(vcalendar, { completedAt });
+
+    expect(result).toMatchObject({ recurring: false, finished: true, completedCopy: null });
+    expect(master(vcalendar).getFirstPropertyValue('status')).toBe('COMPLETED');
+  });
+
+  test('advance moves DTSTART and DUE to the next occurrence and reopens the todo', () => {
+    const vcalendar = weekly(['STATUS:IN-PROCESS', 'PERCENT-COMPLETE:50']);
+    const result = completeTodo(vcalendar, { mode: 'advance', completedAt });
+    const todo = master(vcalendar);
+
+    expect(result).toMatchObject({ recurring: true, mode: 'advance', finished: false });
+    expect(result.occurrence.toString()).toBe('2025-03-04T18:00:00Z');
+    expect(result.next.toString()).toBe('2025-03-11T18:00:00Z');
+    expect(value(todo, 'dtstart')).toBe('2025-03-11T18:00:00Z');
+    expect(value(todo, 'due')).toBe('2025-03-11T19:00:00Z');
+    expect(todo.getFirstPropertyValue('status')).toBe('NEEDS-ACTION');
+    expect(todo.hasProperty('percent-complete')).toBe(false);
+    expect(todo.hasProperty('completed')).toBe(false);
+  });
+
+  test('advance records the finished occurrence as a completed copy', () => {
+    const vcalendar = weekly(['BEGIN:VALARM', 'ACTION:DISPLAY', 'TRIGGER:-PT15M', 'DESCRIPTION:Trash', 'END:VALARM']);
+    const { completedCopy } = completeTodo(vcalendar, { mode: 'advance', completedAt });
+    const copy = completedCopy.getFirstSubcomponent('vtodo');
+
+    expect(copy.getFirstPropertyValue('uid')).not.toBe('trash');
+    expect(copy.getFirstPropertyValue('summary')).toBe('Take out the trash');
+    expect(copy.getFirstPropertyValue('status')).toBe('COMPLETED');
+    expect(value(copy, 'due')).toBe('2025-03-04T19:00:00Z');
+    expect(isRecurringTodo(copy)).toBe(false);
+    expect(copy.getAllSubcomponents('valarm')).toHaveLength(0);
+  });
+
+  test('advance counts the completed occurrence against COUNT', () => {
+    const vcalendar = buildTodo(['DTSTART:20250304T180000Z', 'RRULE:FREQ=DAILY;COUNT=3']);
+    completeTodo(vcalendar, { mode: 'advance', completedAt });
+    expect(master(vcalendar).getFirstPropertyValue('rrule').count).toBe(2);
+  });
+
+  test('advance completes the todo after the last occurrence', () => {
+    const vcalendar = buildTodo(['DTSTART:20250304T180000Z', 'RRULE:FREQ=DAILY;COUNT=1']);
+    const result = completeTodo(vcalendar, { mode: 'advance', completedAt });
+
+    expect(result).toMatchObject({ finished: true, next: null, completedCopy: null });
+    expect(master(vcalendar).getFirstPropertyValue('status')).toBe('COMPLETED');
+  });
+
+  test('advance keeps the TZID of zoned times', () => {
+    const vcalendar = buildTodo(
+      ['DTSTART;TZID=Europe/Berlin:20250325T180000', 'DUE;TZID=Europe/Berlin:20250325T190000', 'RRULE:FREQ=WEEKLY'],
+      [
+        'BEGIN:VTIMEZONE', 'TZID:Europe/Berlin',
+        'BEGIN:STANDARD', 'DTSTART:19701025T030000', 'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0100',
+        'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU', 'END:STANDARD',
+        'BEGIN:DAYLIGHT', 'DTSTART:19700329T020000', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0200',
+        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU', 'END:DAYLIGHT',
+        'END:VTIMEZONE',
+      ]
+    );
+    completeTodo(vcalendar, { mode: 'advance', completedAt });
+
+    // Crosses the DST change on 30 March and stays at 18:00 local time
+    expect(vcalendar.toString()).toContain('DTSTART;TZID=Europe/Berlin:20250401T180000');
+    expect(vcalendar.toString()).toContain('DUE;TZID=Europe/Berlin:20250401T190000');
+  });
+
+  test('instance adds a completed RECURRENCE-ID override and keeps the series', () => {
+    const vcalendar = weekly();
+    const result = completeTodo(vcalendar, { mode: 'instance', completedAt });
+    const override = vcalendar.getAllSubcomponents('vtodo').find(c => c.hasProperty('recurrence-id'));
+
+    expect(result).toMatchObject({ mode: 'instance', finished: false, completedCopy: null });
+    expect(result.next.toString()).toBe('2025-03-11T18:00:00Z');
+    expect(value(override, 'recurrence-id')).toBe('2025-03-04T18:00:00Z');
+    expect(value(override, 'due')).toBe('2025-03-04T19:00:00Z');
+    expect(override.getFirstPropertyValue('status')).toBe('COMPLETED');
+    expect(value(master(vcalendar), 'dtstart')).toBe('2025-03-04T18:00:00Z');
+    expect(master(vcalendar).getFirstPropertyValue('status')).toBeNull();
+  });
+
+  test('instance completes the next open occurrence and the series after the last one', () => {
+    const vcalendar = buildTodo(['DTSTART:20250304T180000Z', 'RRULE:FREQ=DAILY;COUNT=2']);
+    completeTodo(vcalendar, { mode: 'instance', completedAt });
+    const result = completeTodo(vcalendar, { mode: 'instance', completedAt });
+
+    expect(result.occurrence.toString()).toBe('2025-03-05T18:00:00Z');
+    expect(result.finished).toBe(true);
+    expect(master(vcalendar).getFirstPropertyValue('status')).toBe('COMPLETED');
+  });
+
+  test('uses the convention the todo already follows', () => {
+    const vcalendar = weekly();
+    expect(detectCompletionMode(vcalendar)).toBe('advance');
+
+    completeTodo(vcalendar, { mode: 'instance', completedAt });
+    expect(detectCompletionMode(vcalendar)).toBe('instance');
+    expect(completeTodo(vcalendar, { completedAt }).occurrence.toString()).toBe('2025-03-11T18:00:00Z');
+  });
+
+  test('leaves completed todos unchanged', () => {
+    const vcalendar = buildTodo(['STATUS:COMPLETED', 'COMPLETED:20250301T100000Z']);
+    const before = vcalendar.toString();
+
+    expect(completeTodo(vcalendar, { completedAt })).toMatchObject({ changed: false, finished: true });
+    expect(vcalendar.toString()).toBe(before);
+  });
+
+  test('rejects recurring todos without DTSTART', () => {
+    expect(() => completeTodo(buildTodo(['DUE:20250304T190000Z', 'RRULE:FREQ=DAILY'])))
+      .toThrow('no DTSTART');
+  });
+});
+
+describe('reopenTodo', () => {
+  test('clears COMPLETED and PERCENT-COMPLETE of a completed todo', () => {
+    const vcalendar = buildTodo(['DUE:20250304T190000Z']);
+    completeTodo(vcalendar, { completedAt });
+    const result = reopenTodo(vcalendar);
+    const todo = master(vcalendar);
+
+    expect(result).toEqual({ changed: true, occurrence: null });
+    expect(todo.getFirstPropertyValue('status')).toBe('NEEDS-ACTION');
+    expect(todo.hasProperty('completed')).toBe(false);
+    expect(todo.hasProperty('percent-complete')).toBe(false);
+    expect(todo.hasProperty('last-modified')).toBe(true);
+  });
+
+  test('reopens the latest completed occurrence of a recurring todo', () => {
+    const vcalendar = weekly();
+    completeTodo(vcalendar, { mode: 'instance', completedAt });
+    completeTodo(vcalendar, { mode: 'instance', completedAt });
+    const result = reopenTodo(vcalendar);
+
+    expect(result.occurrence.toString()).toBe('2025-03-11T18:00:00Z');
+    expect(completeTodo(vcalendar, { completedAt }).occurrence.toString()).toBe('2025-03-11T18:00:00Z');
+  });
+
+  test('leaves open todos unchanged', () => {
+    expect(reopenTodo(weekly())).toEqual({ changed: false, occurrence: null });
+    expect(reopenTodo(buildTodo(['STATUS:IN-PROCESS']))).toEqual({ changed: false, occurrence: null });
+  });
+});
+
+describe('bulk todo changes', () => {
+  const url = (name) => `https://dav.example.com/cal/${name}.ics`;
+
+  test('schemas take either one todo or a list', () => {
+    const single = validateInput(reopenTodoSchema, { todo_url: url('a'), todo_etag: '"1"' });
+    expect(getSelectedTodos(single)).toEqual([{ url: url('a'), etag: '"1"' }]);
+
+    const bulk = validateInput(completeTodoSchema, { todos: [{ todo_url: url('a') }, { todo_url: url('b'), todo_etag: '"2"' }] });
+    expect(getSelectedTodos(bulk)).toEqual([{ url: url('a'), etag: undefined }, { url: url('b'), etag: '"2"' }]);
+
+    expect(() => validateInput(completeTodoSchema, { todo_url: url('a') })).toThrow('either todo_url with todo_etag');
+    expect(() => validateInput(reopenTodoSchema, { todo_url: url('a'), todo_etag: '"1"', todos: [{ todo_url: url('b') }] }))
+      .toThrow('either todo_url with todo_etag');
+    expect(() => validateInput(reopenTodoSchema, { todos: [] })).toThrow('At least one todo');
+  });
+
+  test('formatTodoBulkResult reports conflicts per todo', () => {
+    const result = formatTodoBulkResult('Todos completed', [
+      { url: url('a'), status: 'updated', etag: '"2"' },
+      { url: url('b'), status: 'conflict', etag: '"7"', message: 'Precondition failed (412)' },
+    ]);
+    const text = result.content[0].text;
+
+    expect(text).toContain('Todos completed: 1 of 2 todos, 1 failed');
+    expect(text).toContain(`⚠️ ETag conflict ${url('b')} (ETag: "7")`);
+    expect(result.structuredContent).toMatchObject({ success: false, counts: { updated: 1, conflict: 1 } });
+  });
+
+  // Answers each PUT with the status given for its URL (default 204)
+  const createClient = (putStatus = {}, { data = buildTodo(['DUE:20250304T190000Z']).toString(), hrefs = {} } = {}) => {
+    const calls = [];
+    return {
+      calls,
+      async fetchCalendarObjects({ objectUrls }) {
+        return objectUrls.map(objectUrl => ({ url: hrefs[objectUrl] || objectUrl, etag: '"1"', data }));
+      },
+      async createTodo({ calendar, filename }) {
+        calls.push(['create', calendar.url + filename]);
+        const status = putStatus.copy || 201;
+        return new Response(null, status === 201 ? { status, headers: { ETag: '"copy"' } } : { status, statusText: 'Failed' });
+      },
+      async updateTodo({ todo }) {
+        calls.push(['update', todo.url, todo.etag]);
+        const status = putStatus[todo.url] || 204;
+        return new Response(null, status === 204 ? { status, headers: { ETag: '"2"' } } : { status, statusText: 'Failed' });
+      },
+    };
+  };
+  const complete = (vcalendar) => ({ changed: completeTodo(vcalendar, { completedAt }).changed });
+
+  test('changeTodos reports written todos with the new etag', async () => {
+    const client = createClient();
+    const results = await changeTodos(client, [{ url: url('a'), etag: '"1"' }], complete);
+
+    expect(results).toEqual([{ url: url('a'), status: 'updated', etag: '"2"' }]);
+    expect(client.calls).toEqual([['update', url('a'), '"1"']]);
+  });
+
+  test('changeTodos reports rejected PUTs as conflict or error, not as updated', async () => {
+    const client = createClient({ [url('a')]: 412, [url('b')]: 500 });
+    const results = await changeTodos(client, [{ url: url('a') }, { url: url('b') }, { url: url('c') }], complete);
+
+    expect(results.map(result => result.status)).toEqual(['conflict', 'error', 'updated']);
+    expect(results[0].message).toContain('Precondition failed (412)');
+    expect(results[1].message).toBe(`Updating ${url('b')} failed with status 500 Failed`);
+  });
+
+  test('changeTodos matches todos whose URL the server encodes differently', async () => {
+    const client = createClient({}, { hrefs: { [url('a@b')]: url('a%40b') } });
+    const results = await changeTodos(client, [{ url: url('a@b') }], complete);
+
+    expect(results).toEqual([{ url: url('a@b'), status: 'updated', etag: '"2"' }]);
+  });
+
+  describe('completed copies', () => {
+    const data = weekly().toString();
+    const advance = (vcalendar) => {
+      const result = completeTodo(vcalendar, { mode: 'advance', completedAt });
+      return { changed: result.changed, copies: [result.completedCopy] };
+    };
+
+    test('changeTodos stores the copy next to the written todo', async () => {
+      const client = createClient({}, { data });
+      const [result] = await changeTodos(client, [{ url: url('a') }], advance);
+
+      expect(result).toMatchObject({ status: 'updated', etag: '"2"', completed_copy: { etag: '"copy"' } });
+      expect(result.completed_copy.url).toMatch(/^https:\/\/dav\.example\.com\/cal\/.+\.ics$/);
+      expect(client.calls.map(([method]) => method)).toEqual(['update', 'create']);
+    });
+
+    test('changeTodos keeps the todo updated and reports copy_error when the copy fails', async () => {
+      const client = createClient({ copy: 507 }, { data });
+      const [result] = await changeTodos(client, [{ url: url('a') }], advance);
+
+      expect(result.status).toBe('updated');
+      expect(result.completed_copy).toBeUndefined();
+      expect(result.copy_error).toMatch(/^The todo was written, but storing the completed copy .+ failed: status 507 Failed$/);
+      expect(formatTodoBulkResult('Todos completed', [result]).content[0].text).toContain('⚠️ The todo was written');
+    });
+  });
+});
+
+describe('recurring todo validation', () => {
+  test('createTodoSchema needs a first occurrence for recurrence', () => {
+    const base = { calendar_url: 'https://dav.example.com/cal/', summary: 'Trash', recurrence: { freq: 'WEEKLY' } };
+    expect(() => validateInput(createTodoSchema, base)).toThrow('start_date or due_date');
+    expect(validateInput(createTodoSchema, { ...base, due_date: '2025-03-04T18:00:00Z' }).recurrence.freq).toBe('WEEKLY');
+  });
+
+  test('createTodoSchema rejects start dates that are not ISO 8601 datetimes', () => {
+    const base = { calendar_url: 'https://dav.example.com/cal/', summary: 'Trash' };
+    expect(() => validateInput(createTodoSchema, { ...base, start_date: 'next tuesday' })).toThrow('Validation failed');
+    expect(validateInput(createTodoSchema, { ...base, start_date: '2025-03-04T18:00:00' }).start_date).toBe('2025-03-04T18:00:00');
+  });
+
+  test('completeTodoSchema accepts the two modes', () => {
+    const args = { todo_url: 'https://dav.example.com/cal/trash.ics', todo_etag: '"1"' };
+    expect(validateInput(completeTodoSchema, { ...args, mode: 'instance' }).mode).toBe('instance');
+    expect(() => validateInput(completeTodoSchema, { ...args, mode: 'skip' })).toThrow('mode');
+  });
+});
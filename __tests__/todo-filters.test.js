@@ -0,0 +1,192 @@
+import { describe, test, expect } from '@jest/globals';
+import { readTodoFields, createTodoFilter } from '../src/tools/shared/todo-filters.js';
+import { validateInput, todoQuerySchema } from '../src/validation.js';
+
+const buildTodo = (uid, lines) => ({
+  url: `https://dav.example.com/cal/${uid}.ics`,
+  etag: `"${uid}"`,
+  data: [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//test//EN',
+    'BEGIN:VTODO',
+    `UID:${uid}`,
+    'DTSTAMP:20250101T000000Z',
+    ...lines,
+    'END:VTODO',
+    'END:VCALENDAR',
+  ].join('\r\n'),
+});
+
+const now = new Date('2025-03-10T12:00:00Z');
+
+const report = buildTodo('report', [
+  'SUMMARY:Quarterly report',
+  'DUE:20250305T160000Z',
+  'PRIORITY:1',
+  'CATEGORIES:Work,Finance',
+  'STATUS:IN-PROCESS',
+  'PERCENT-COMPLETE:40',
+]);
+const taxes = buildTodo('taxes', [
+  'SUMMARY:File taxes',
+  'DUE;VALUE=DATE:20250310',
+  'DTSTART;VALUE=DATE:20250301',
+  'PRIORITY:5',
+]);
+const plants = buildTodo('plants', [
+  'SUMMARY:Water the plan',
+  ' ts on the balcony',
+  'STATUS:COMPLETED',
+  'COMPLETED:20250308T090000Z',
+  'CATEGORIES:Home',
+]);
+const trip = buildTodo('trip', [
+  'SUMMARY:Book trip',
+  'DTSTART:20250320T090000Z',
+  'DURATION:P2D',
+]);
+const todos = [report, taxes, plants, trip];
+
+const uidsMatching = (filters) => todos.filter(createTodoFilter(filters, now)).map(todo => todo.url.match(/cal\/(\w+)/)[1]);
+
+describe('readTodoFields', () => {
+  test('reads TZID due dates', () => {
+    // Summer of a year the generated VTIMEZONE covers, whenever the tests run
+    const year = new Date().getUTCFullYear() + 1;
+    const todo = buildTodo('zoned', [`DUE;TZID=Europe/Berlin:${year}0705T170000`]);
+    expect(readTodoFields(todo.data).due).toBe(Date.parse(`${year}-07-05T15:00:00Z`));
+  });
+
+  test('reads DATE due dates, folded lines and defaults', () => {
+    expect(readTodoFields(report.data)).toMatchObject({
+      summary: 'Quarterly report',
+      status: 'IN-PROCESS',
+      priority: 1,
+      percentComplete: 40,
+      categories: ['Work', 'Finance'],
+      due: Date.parse('2025-03-05T16:00:00Z'),
+    });
+    expect(readTodoFields(plants.data)).toMatchObject({
+      summary: 'Water the plants on the balcony',
+      percentComplete: 100,
+      priority: 0,
+      due: null,
+      completed: Date.parse('2025-03-08T09:00:00Z'),
+    });
+    expect(readTodoFields(taxes.data).status).toBe('NEEDS-ACTION');
+  });
+
+  test('derives the due time from DTSTART and DURATION', () => {
+    expect(readTodoFields(trip.data).due).toBe(Date.parse('2025-03-22T09:00:00Z'));
+  });
+
+  test('returns null for unparsable data', () => {
+    expect(readTodoFields('not ical')).toBeNull();
+  });
+
+  test('reads recurring todos at their first occurrence not closed by an override', () => {
+    const weekly = buildTodo('trash', [
+      'SUMMARY:Take out the trash',
+      'DTSTART:20250304T180000Z',
+      'DUE:20250304T190000Z',
+      'RRULE:FREQ=WEEKLY',
+    ]);
+    const override = (date, status) => [
+      'BEGIN:VTODO',
+      'UID:trash',
+      'DTSTAMP:20250101T000000Z',
+      `RECURRENCE-ID:${date}T180000Z`,
+      `DTSTART:${date}T180000Z`,
+      `DUE:${date}T190000Z`,
+      `STATUS:${status}`,
+      'END:VTODO',
+    ].join('\r\n');
+    const withOverrides = (...overrides) => weekly.data.replace('END:VCALENDAR', `${overrides.join('\r\n')}\r\nEND:VCALENDAR`);
+
+    expect(readTodoFields(withOverrides(override('20250304', 'COMPLETED'))))
+      .toMatchObject({ start: Date.parse('2025-03-11T18:00:00Z'), due: Date.parse('2025-03-11T19:00:00Z'), status: 'NEEDS-ACTION' });
+    expect(readTodoFields(withOverrides(override('20250304', 'COMPLETED'), override('20250311', 'IN-PROCESS'))))
+      .toMatchObject({ due: Date.parse('2025-03-11T19:00:00Z'), status: 'IN-PROCESS' });
+    expect(readTodoFields(weekly.data).due).toBe(Date.parse('2025-03-04T19:00:00Z'));
+  });
+});
+
+describe('createTodoFilter', () => {
+  test('matches summaries across folded lines and status without STATUS line', () => {
+    expect(uidsMatching({ summary_filter: 'PLANTS ON' })).toEqual(['plants']);
+    expect(uidsMatching({ status_filter: 'NEEDS-ACTION' })).toEqual(['taxes', 'trip']);
+  });
+
+  test('filters the due date range', () => {
+    expect(uidsMatching({ time_range_start: '2025-03-05T15:30:00Z', time_range_end: '2025-03-05T16:30:00Z' }))
+      .toEqual(['report']);
+  });
+
+  test('filters by priority range and leaves out todos without priority', () => {
+    expect(uidsMatching({ priority_max: 4 })).toEqual(['report']);
+    expect(uidsMatching({ priority_min: 2 })).toEqual(['taxes']);
+  });
+
+  test('overdue counts DATE due dates as due until the end of the day', () => {
+    expect(uidsMatching({ overdue: true })).toEqual(['report']);
+    expect(uidsMatching({ overdue: false })).toEqual(['taxes', 'plants', 'trip']);
+  });
+
+  test('filters todos without due date', () => {
+    expect(uidsMatching({ no_due_date: true })).toEqual(['plants']);
+    expect(uidsMatching({ no_due_date: false })).toEqual(['report', 'taxes', 'trip']);
+  });
+
+  test('matches any of the given categories, case-insensitive', () => {
+    expect(uidsMatching({ categories: ['finance', 'home'] })).toEqual(['report', 'plants']);
+  });
+
+  test('filters percent complete, start and completion dates', () => {
+    expect(uidsMatching({ percent_complete_min: 30, percent_complete_max: 50 })).toEqual(['report']);
+    expect(uidsMatching({ start_after: '2025-03-15T00:00:00Z' })).toEqual(['trip']);
+    expect(uidsMatching({ start_before: '2025-03-15T00:00:00Z' })).toEqual(['taxes']);
+    expect(uidsMatching({ completed_after: '2025-03-03T00:00:00Z', completed_before: '2025-03-09T00:00:00Z' }))
+      .toEqual(['plants']);
+  });
+
+  test('filters recurring todos by their open occurrence', () => {
+    const trash = buildTodo('trash', ['DTSTART:20250304T180000Z', 'DUE:20250304T190000Z', 'RRULE:FREQ=WEEKLY']);
+    const done = { ...trash, data: trash.data.replace('END:VCALENDAR', [
+      'BEGIN:VTODO',
+      'UID:trash',
+      'DTSTAMP:20250101T000000Z',
+      'RECURRENCE-ID:20250304T180000Z',
+      'DTSTART:20250304T180000Z',
+      'STATUS:COMPLETED',
+      'END:VTODO',
+      'END:VCALENDAR',
+    ].join('\r\n')) };
+
+    expect(createTodoFilter({ overdue: true }, now)(trash)).toBe(true);
+    expect(createTodoFilter({ overdue: true }, now)(done)).toBe(false);
+    expect(createTodoFilter({ time_range_start: '2025-03-11T00:00:00Z', time_range_end: '2025-03-12T00:00:00Z' }, now)(done)).toBe(true);
+  });
+
+  test('combines filters', () => {
+    expect(uidsMatching({ categories: ['Work'], overdue: true, priority_max: 1 })).toEqual(['report']);
+    expect(uidsMatching({ categories: ['Work'], no_due_date: true })).toEqual([]);
+  });
+});
+
+describe('todoQuerySchema filters', () => {
+  test('accepts the new filters on their own', () => {
+    expect(validateInput(todoQuerySchema, { overdue: true }).overdue).toBe(true);
+    expect(validateInput(todoQuerySchema, { categories: [' Work '] }).categories).toEqual(['Work']);
+    expect(validateInput(todoQuerySchema, { completed_after: '2025-03-01T00:00:00Z' }).completed_after)
+      .toBe('2025-03-01T00:00:00Z');
+  });
+
+  test('rejects reversed and out-of-range values', () => {
+    expect(() => validateInput(todoQuerySchema, { priority_min: 5, priority_max: 2 })).toThrow('priority_min');
+    expect(() => validateInput(todoQuerySchema, { priority_min: 0 })).toThrow('priority_min');
+    expect(() => validateInput(todoQuerySchema, { percent_complete_min: 80, percent_complete_max: 20 }))
+      .toThrow('percent_complete_min');
+    expect(() => validateInput(todoQuerySchema, { overdue: true, no_due_date: true })).toThrow('overdue');
+  });
+});
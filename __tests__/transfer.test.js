@@ -0,0 +1,179 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'node:http';
+import { transferCalendarObject } from '../src/tools/shared/transfer.js';
+
+const event = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//test//EN',
+  'BEGIN:VEVENT',
+  'UID:event-1',
+  'DTSTAMP:20250701T000000Z',
+  'DTSTART:20250710T130000Z',
+  'DTEND:20250710T140000Z',
+  'SUMMARY:Review',
+  'X-CUSTOM:kept',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+describe('transferCalendarObject', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  beforeAll(() => new Promise(resolve => {
+    server = http.createServer((req, res) => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers });
+      if (req.url.startsWith('/dav/')) {
+        res.writeHead(201, { ETag: '"moved"' });
+      } else if (req.url.startsWith('/locked/')) {
+        res.writeHead(423, 'Locked');
+      } else {
+        res.writeHead(405, 'Method Not Allowed');
+      }
+      res.end();
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  }));
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  const createClient = ({ etag = '"1"', deleteOk = true, rollbackOk = true } = {}) => {
+    const calls = [];
+    return {
+      calls,
+      authHeaders: { Authorization: 'Basic dGVzdDp0ZXN0' },
+      async fetchCalendarObjects({ objectUrls }) {
+        return [{ url: objectUrls[0], etag, data: event }];
+      },
+      async createCalendarObject({ calendar, filename, iCalString }) {
+        calls.push(['create', calendar.url + filename, iCalString]);
+        return new Response(null, { status: 201, headers: { ETag: '"new"' } });
+      },
+      async deleteCalendarObject({ calendarObject }) {
+        calls.push(['delete', calendarObject.url, calendarObject.etag]);
+        const ok = calendarObject.etag === '"new"' ? rollbackOk : deleteOk;
+        return { ok, status: ok ? 204 : 412, statusText: ok ? 'No Content' : 'Precondition Failed' };
+      },
+    };
+  };
+
+  test('should use WebDAV MOVE with Destination, Overwrite and If-Match', async () => {
+    const client = createClient();
+    const result = await transferCalendarObject(client, {
+      mode: 'move',
+      sourceUrl: `${baseUrl}/dav/work/event-1.ics`,
+      etag: '"1"',
+      targetCalendar: { url: `${baseUrl}/dav/home/`, components: ['VEVENT'] },
+    });
+    const request = requests[requests.length - 1];
+
+    expect(result).toEqual({ url: `${baseUrl}/dav/home/event-1.ics`, etag: '"moved"', component: 'VEVENT', strategy: 'webdav' });
+    expect(request.method).toBe('MOVE');
+    expect(request.headers.destination).toBe(`${baseUrl}/dav/home/event-1.ics`);
+    expect(request.headers.overwrite).toBe('F');
+    expect(request.headers['if-match']).toBe('"1"');
+    expect(request.headers.authorization).toBe('Basic dGVzdDp0ZXN0');
+    expect(client.calls).toEqual([]);
+  });
+
+  test('should fall back to PUT and DELETE when MOVE is not supported', async () => {
+    const client = createClient();
+    const result = await transferCalendarObject(client, {
+      mode: 'move',
+      sourceUrl: `${baseUrl}/legacy/work/event-1.ics`,
+      etag: '"1"',
+      targetCalendar: { url: `${baseUrl}/legacy/home/` },
+    });
+
+    expect(result.strategy).toBe('fallback');
+    expect(result.url).toBe(`${baseUrl}/legacy/home/event-1.ics`);
+    expect(result.etag).toBe('"new"');
+    expect(client.calls).toEqual([
+      ['create', `${baseUrl}/legacy/home/event-1.ics`, event],
+      ['delete', `${baseUrl}/legacy/work/event-1.ics`, '"1"'],
+    ]);
+  });
+
+  test('should keep the source when copying via the fallback', async () => {
+    const client = createClient();
+    await transferCalendarObject(client, {
+      mode: 'copy',
+      sourceUrl: `${baseUrl}/legacy/work/event-1.ics`,
+      etag: '"1"',
+      targetCalendar: { url: `${baseUrl}/legacy/home/` },
+    });
+
+    expect(requests[requests.length - 1].method).toBe('COPY');
+    expect(client.calls.map(call => call[0])).toEqual(['create']);
+  });
+
+  test('should roll back the copy when the source cannot be deleted', async () => {
+    const client = createClient({ deleteOk: false });
+    await expect(transferCalendarObject(client, {
+      mode: 'move',
+      sourceUrl: `${baseUrl}/legacy/work/event-1.ics`,
+      etag: '"1"',
+      targetCalendar: { url: `${baseUrl}/legacy/home/` },
+    })).rejects.toThrow('the move was rolled back');
+
+    expect(client.calls[2]).toEqual(['delete', `${baseUrl}/legacy/home/event-1.ics`, '"new"']);
+  });
+
+  test('should say so when the rollback fails too', async () => {
+    const client = createClient({ deleteOk: false, rollbackOk: false });
+    await expect(transferCalendarObject(client, {
+      mode: 'move',
+      sourceUrl: `${baseUrl}/legacy/work/event-1.ics`,
+      etag: '"1"',
+      targetCalendar: { url: `${baseUrl}/legacy/home/` },
+    })).rejects.toThrow('removing the copy failed too (status 412 Precondition Failed). The object is now in both calendars');
+  });
+
+  test('should refuse a stale etag before writing anything', async () => {
+    const client = createClient({ etag: '"2"' });
+    const count = requests.length;
+    await expect(transferCalendarObject(client, {
+      mode: 'move',
+      sourceUrl: `${baseUrl}/dav/work/event-1.ics`,
+      etag: '"1"',
+      targetCalendar: { url: `${baseUrl}/dav/home/` },
+    })).rejects.toThrow('its current etag is "2"');
+
+    expect(requests).toHaveLength(count);
+    expect(client.calls).toEqual([]);
+  });
+
+  test('should refuse calendars that do not accept the component', async () => {
+    await expect(transferCalendarObject(createClient(), {
+      mode: 'copy',
+      sourceUrl: `${baseUrl}/dav/work/event-1.ics`,
+      etag: '"1"',
+      targetCalendar: { url: `${baseUrl}/dav/tasks/`, components: ['VTODO'] },
+    })).rejects.toThrow('does not accept VEVENT objects');
+  });
+
+  test('should refuse the calendar the object is already in', async () => {
+    await expect(transferCalendarObject(createClient(), {
+      mode: 'copy',
+      sourceUrl: `${baseUrl}/dav/work/event-1.ics`,
+      etag: '"1"',
+      targetCalendar: { url: `${baseUrl}/dav/work/` },
+    })).rejects.toThrow('already in');
+  });
+
+  test('should report other MOVE errors without falling back', async () => {
+    const client = createClient();
+    await expect(transferCalendarObject(client, {
+      mode: 'move',
+      sourceUrl: `${baseUrl}/locked/work/event-1.ics`,
+      etag: '"1"',
+      targetCalendar: { url: `${baseUrl}/locked/home/` },
+    })).rejects.toThrow('MOVE failed with status 423');
+    expect(client.calls).toEqual([]);
+  });
+});
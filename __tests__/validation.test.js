@@ -95,6 +95,55 @@ describe('Validation Module', () => {
       expect(() => validateInput(createEventSchema, invalidEvent)).toThrow('End date must be after start date');
     });
 
+    test('should validate classification and display fields', () => {
+      const result = validateInput(createEventSchema, {
+        calendar_url: 'https://example.com/calendar/',
+        summary: 'Flight',
+        start_date: '2025-10-15T10:00:00.000Z',
+        end_date: '2025-10-15T11:00:00.000Z',
+        categories: ['Travel'],
+        class: 'PRIVATE',
+        transp: 'TRANSPARENT',
+        priority: 1,
+        url: 'https://example.com/booking/42',
+        status: 'CONFIRMED',
+        color: 'DarkBlue',
+      });
+
+      expect(result.color).toBe('darkblue');
+      expect(result.class).toBe('PRIVATE');
+    });
+
+    test('should reject colors that are not CSS3 color names', () => {
+      expect(() => validateInput(createEventSchema, {
+        calendar_url: 'https://example.com/calendar/',
+        summary: 'Test Event',
+        start_date: '2025-10-15T10:00:00.000Z',
+        end_date: '2025-10-15T11:00:00.000Z',
+        color: '#ff0000',
+      })).toThrow('Color must be a CSS3 color name');
+    });
+
+    test('should reject words that are not CSS3 color names', () => {
+      expect(() => validateInput(createEventSchema, {
+        calendar_url: 'https://example.com/calendar/',
+        summary: 'Test Event',
+        start_date: '2025-10-15T10:00:00.000Z',
+        end_date: '2025-10-15T11:00:00.000Z',
+        color: 'notacolor',
+      })).toThrow('Color must be a CSS3 color name');
+    });
+
+    test('should reject unknown event classes', () => {
+      expect(() => validateInput(createEventSchema, {
+        calendar_url: 'https://example.com/calendar/',
+        summary: 'Test Event',
+        start_date: '2025-10-15T10:00:00.000Z',
+        end_date: '2025-10-15T11:00:00.000Z',
+        class: 'SECRET',
+      })).toThrow('Validation failed');
+    });
+
     test('should reject event with too long summary', () => {
       const invalidEvent = {
         calendar_url: 'https://example.com/calendar/',
@@ -117,6 +166,11 @@ describe('Validation Module', () => {
         expect(result.calendar_url).toBe('https://example.com/calendar/');
       });
 
+      test('should accept category_filter as the only filter', () => {
+        const result = validateInput(calendarQuerySchema, { category_filter: 'Work' });
+        expect(result.category_filter).toBe('Work');
+      });
+
       test('should transform empty string to undefined', () => {
         const data = {
           calendar_url: '',
@@ -10,20 +10,35 @@
  */
 
 import ICAL from 'ical.js';
+import { getDisplayTimezone, registerMissingTimezones } from './tools/shared/timezones.js';
+import { getCategories } from './tools/shared/ical-component.js';
+import { listAttachments } from './tools/shared/attachments.js';
+import { getConferences } from './tools/shared/conference.js';
+import { getParentUid, arrangeTodoTree } from './tools/shared/subtasks.js';
 
 /**
  * Parse iCal data string to extract event properties (RFC 5545 compliant)
+ * Reads the series master unless a RECURRENCE-ID selects an override instance
  */
-function parseICalEvent(icalData) {
+function parseICalEvent(icalData, recurrenceId = null) {
   try {
+    registerMissingTimezones(icalData);
     const jcalData = ICAL.parse(icalData);
     const comp = new ICAL.Component(jcalData);
-    const vevent = comp.getFirstSubcomponent('vevent');
+    const vevents = comp.getAllSubcomponents('vevent');
 
-    if (!vevent) {
+    if (vevents.length === 0) {
       return {};
     }
 
+    let vevent = vevents.find(v => !v.hasProperty('recurrence-id')) || vevents[0];
+    if (recurrenceId) {
+      const override = vevents.find(v => v.getFirstPropertyValue('recurrence-id')?.toString() === recurrenceId);
+      if (override) {
+        vevent = override;
+      }
+    }
+
     const event = new ICAL.Event(vevent);
 
     return {
@@ -33,15 +48,28 @@ function parseICalEvent(icalData) {
       uid: event.uid || '',
       dtstart: event.startDate,
       dtend: event.endDate,
+      timezone: vevent.getFirstProperty('dtstart')?.getParameter('tzid') || null,
+      status: vevent.getFirstPropertyValue('status') || null,
+      categories: getCategories(vevent),
+      classification: vevent.getFirstPropertyValue('class') || null,
+      transp: vevent.getFirstPropertyValue('transp') || null,
+      priority: vevent.getFirstPropertyValue('priority') || 0,
+      url: vevent.getFirstPropertyValue('url') || null,
+      color: vevent.getFirstPropertyValue('color') || null,
       isRecurring: event.isRecurring(),
       rrule: event.isRecurring() ? vevent.getFirstPropertyValue('rrule') : null,
       organizer: vevent.getFirstPropertyValue('organizer'),
+      organizerName: vevent.getFirstProperty('organizer')?.getParameter('cn') || null,
       attendees: vevent.getAllProperties('attendee').map(att => ({
         email: att.getFirstValue(),
         role: att.getParameter('role'),
         partstat: att.getParameter('partstat'),
+        rsvp: att.getParameter('rsvp'),
+        cutype: att.getParameter('cutype'),
         cn: att.getParameter('cn'),
       })),
+      conferences: getConferences(vevent),
+      attachments: listAttachments(vevent),
       alarms: vevent.getAllSubcomponents('valarm').map(valarm => ({
         action: valarm.getFirstPropertyValue('action'),
         trigger: valarm.getFirstPropertyValue('trigger'),
@@ -135,70 +163,291 @@ function parseVCard(vcardData) {
 }
 
 /**
- * Format ICAL.Time to human-readable format with proper timezone support
+ * Format ICAL.Time to human-readable format in the display timezone (DISPLAY_TIMEZONE, default UTC)
+ * Date-only values show the calendar day; floating times show their wall-clock time
  */
-function formatDateTime(icalTime) {
+function formatDateTime(icalTime, displayTimezone = getDisplayTimezone()) {
   if (!icalTime) return '';
 
   try {
-    // Convert ICAL.Time to JavaScript Date
-    const jsDate = icalTime.toJSDate();
+    if (icalTime.isDate) {
+      return new Date(Date.UTC(icalTime.year, icalTime.month - 1, icalTime.day)).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC',
+      });
+    }
+
+    // Floating times (and TZIDs that could not be resolved) have no instant to convert
+    const isFloating = !icalTime.zone || icalTime.zone.tzid === 'floating';
+    const jsDate = isFloating
+      ? new Date(Date.UTC(icalTime.year, icalTime.month - 1, icalTime.day, icalTime.hour, icalTime.minute, icalTime.second))
+      : icalTime.toJSDate();
+    const timeZone = isFloating ? 'UTC' : displayTimezone;
 
     const dateStr = jsDate.toLocaleDateString('en-US', {
       year: 'numeric',
       month: 'long',
       day: 'numeric',
-      timeZone: icalTime.timezone === 'UTC' ? 'UTC' : undefined,
+      timeZone,
     });
 
     const timeStr = jsDate.toLocaleTimeString('en-US', {
       hour: '2-digit',
       minute: '2-digit',
-      timeZoneName: 'short',
-      timeZone: icalTime.timezone === 'UTC' ? 'UTC' : undefined,
+      timeZoneName: isFloating ? undefined : 'short',
+      timeZone,
     });
 
-    return `${dateStr}, ${timeStr}`;
+    return isFloating ? `${dateStr}, ${timeStr} (local time)` : `${dateStr}, ${timeStr}`;
   } catch (error) {
     console.error('Error formatting datetime:', error);
     return '';
   }
 }
 
+/**
+ * Format a date-only (VALUE=DATE) range; DTEND is exclusive, so the last day is the day before
+ */
+function formatAllDayRange(start, end) {
+  const lastDay = end ? end.clone() : start.clone();
+  if (end) {
+    lastDay.adjust(-1, 0, 0, 0);
+  }
+
+  const days = lastDay.compare(start) > 0 ? lastDay.subtractDate(start).toSeconds() / 86400 + 1 : 1;
+  if (days === 1) {
+    return `All day, ${formatDateTime(start)}`;
+  }
+  return `All day, ${formatDateTime(start)} to ${formatDateTime(lastDay)} (${days} days)`;
+}
+
+/**
+ * Format a byte count as B, KB or MB
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * ISO 8601 value of an ICAL.Time for structured output
+ * Dates stay YYYY-MM-DD and floating times keep their wall-clock time; other times are converted to UTC
+ */
+function toIsoValue(icalTime) {
+  if (!icalTime) return null;
+  if (icalTime.isDate || !icalTime.zone || icalTime.zone.tzid === 'floating') {
+    return icalTime.toString();
+  }
+  return icalTime.toJSDate().toISOString();
+}
+
+/**
+ * Name of a calendar or address book argument, which is a display name or a collection object
+ */
+function getCollectionName(collection) {
+  if (!collection || typeof collection === 'string') return collection || undefined;
+  return extractPropertyValue(collection.displayName) || collection.url;
+}
+
+/**
+ * Plain JSON copy of a value for structuredContent (drops undefined, turns Dates into ISO strings)
+ */
+function toJsonValue(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Structured event for structuredContent (see output-schemas.js)
+ */
+function toEventData(event, calendarName) {
+  const parsed = parseICalEvent(event.data, event.occurrence?.recurrenceId);
+  const start = event.occurrence ? event.occurrence.start : parsed.dtstart;
+  const end = event.occurrence ? event.occurrence.end : parsed.dtend;
+
+  return {
+    url: event.url,
+    etag: event.etag || null,
+    calendar: event._calendarName || calendarName || null,
+    uid: parsed.uid || null,
+    summary: parsed.summary || null,
+    start: toIsoValue(start),
+    end: toIsoValue(end),
+    all_day: Boolean(start?.isDate),
+    timezone: parsed.timezone || null,
+    location: parsed.location || null,
+    description: parsed.description || null,
+    status: parsed.status || null,
+    categories: parsed.categories || [],
+    recurring: Boolean(parsed.isRecurring),
+    rrule: parsed.rrule ? parsed.rrule.toString() : null,
+    occurrence: event.occurrence
+      ? { recurrence_id: String(event.occurrence.recurrenceId), is_override: Boolean(event.occurrence.isOverride) }
+      : null,
+    organizer: parsed.organizer ? String(parsed.organizer).replace(/^mailto:/i, '') : null,
+    attendees: (parsed.attendees || []).map(attendee => ({
+      email: String(attendee.email).replace(/^mailto:/i, ''),
+      name: attendee.cn || null,
+      role: attendee.role || null,
+      partstat: attendee.partstat || null,
+    })),
+    conferences: (parsed.conferences || []).map(({ uri, label, features }) => ({ uri, label, features })),
+    data: event.data,
+  };
+}
+
+/**
+ * Structured todo for structuredContent
+ */
+function toTodoData(todo, calendarName) {
+  const parsed = parseVTodo(todo.data);
+
+  return {
+    url: todo.url,
+    etag: todo.etag || null,
+    calendar: todo._calendarName || calendarName || null,
+    uid: parsed.uid || null,
+    summary: parsed.summary || null,
+    description: parsed.description || null,
+    status: parsed.status || 'NEEDS-ACTION',
+    priority: Number(parsed.priority) || 0,
+    percent_complete: Number(parsed.percentComplete) || 0,
+    due: toIsoValue(parsed.due),
+    start: toIsoValue(parsed.dtstart),
+    completed: toIsoValue(parsed.completed),
+    rrule: parsed.rrule ? parsed.rrule.toString() : null,
+    parent_uid: parsed.parentUid || null,
+    depth: todo._tree?.depth ?? 0,
+    subtasks: todo._tree?.subtasks ?? 0,
+    rollup_percent: todo._tree?.rollupPercent ?? (Number(parsed.percentComplete) || 0),
+    data: todo.data,
+  };
+}
+
+/**
+ * Structured contact for structuredContent
+ */
+function toContactData(contact, addressBookName) {
+  const parsed = parseVCard(contact.data);
+  const toValues = (entries) => (entries || []).map(entry => ({ value: String(entry.value), type: entry.type.flat().map(String) }));
+
+  return {
+    url: contact.url,
+    etag: contact.etag || null,
+    addressbook: contact._addressbookName || addressBookName || null,
+    uid: parsed.uid || null,
+    full_name: parsed.fullName || null,
+    given_name: parsed.givenName || null,
+    family_name: parsed.familyName || null,
+    organization: parsed.organization || null,
+    emails: toValues(parsed.emails),
+    phones: toValues(parsed.phones),
+    note: parsed.note || null,
+    data: contact.data,
+  };
+}
+
+/**
+ * Page fields of list results; without a page the list is complete
+ */
+function toPageData(count, page) {
+  return page
+    ? { total: page.total, offset: page.offset, remaining: page.remaining }
+    : { total: count, offset: 0, remaining: 0 };
+}
+
 /**
  * Format a single calendar event to Markdown
  */
 export function formatEvent(event, calendarName = 'Unknown Calendar') {
-  const parsed = parseICalEvent(event.data);
+  const parsed = parseICalEvent(event.data, event.occurrence?.recurrenceId);
 
-  const startDate = formatDateTime(parsed.dtstart);
-  const endDate = formatDateTime(parsed.dtend);
+  // Expanded occurrences carry their own start/end (see expandRecurringEvents)
+  const start = event.occurrence ? event.occurrence.start : parsed.dtstart;
+  const end = event.occurrence ? event.occurrence.end : parsed.dtend;
 
   let output = `## ${parsed.summary || 'Untitled Event'}\n\n`;
-  output += `- **When**: ${startDate}`;
 
-  if (endDate && endDate !== startDate) {
-    output += ` to ${endDate}`;
+  if (start?.isDate) {
+    output += `- **When**: ${formatAllDayRange(start, end)}\n`;
+  } else {
+    const startDate = formatDateTime(start);
+    const endDate = formatDateTime(end);
+
+    output += `- **When**: ${startDate}`;
+    if (endDate && endDate !== startDate) {
+      output += ` to ${endDate}`;
+    }
+    output += '\n';
+  }
+
+  // Times are shown in the display timezone; name the zone the event is anchored to
+  if (parsed.timezone && parsed.timezone !== getDisplayTimezone()) {
+    output += `- **Timezone**: ${parsed.timezone}\n`;
   }
-  output += '\n';
 
   if (parsed.location) {
     output += `- **Where**: ${parsed.location}\n`;
   }
 
+  if (parsed.conferences?.length) {
+    output += `- **Join**: ${parsed.conferences.length} link(s)\n`;
+    parsed.conferences.forEach(conference => {
+      const details = [conference.label, conference.features.join(', ')].filter(Boolean).join(' - ');
+      output += `  - ${conference.uri}${details ? ` (${details})` : ''}\n`;
+    });
+  }
+
   if (parsed.description) {
     output += `- **Description**: ${parsed.description}\n`;
   }
 
+  if (parsed.status) {
+    output += `- **Status**: ${parsed.status}\n`;
+  }
+
+  if (parsed.categories?.length) {
+    output += `- **Categories**: ${parsed.categories.join(', ')}\n`;
+  }
+
+  // PRIVATE/CONFIDENTIAL events should not be shared in detail; TRANSPARENT ones do not block time
+  if (parsed.classification) {
+    output += `- **Class**: ${parsed.classification}\n`;
+  }
+
+  if (parsed.transp) {
+    output += `- **Shows as**: ${parsed.transp === 'TRANSPARENT' ? 'Free (TRANSPARENT)' : 'Busy (OPAQUE)'}\n`;
+  }
+
+  if (parsed.priority && parsed.priority !== 0) {
+    output += `- **Priority**: ${formatPriority(parsed.priority)}\n`;
+  }
+
+  if (parsed.url) {
+    output += `- **Link**: ${parsed.url}\n`;
+  }
+
+  if (parsed.color) {
+    output += `- **Color**: ${parsed.color}\n`;
+  }
+
   // Show recurrence info if event is recurring
   if (parsed.isRecurring && parsed.rrule) {
     output += `- **Recurring**: ${parsed.rrule.toString()}\n`;
   }
 
+  if (event.occurrence) {
+    const modified = event.occurrence.isOverride ? ', modified instance' : '';
+    output += `- **Occurrence**: ${event.occurrence.recurrenceId} (of recurring series${modified})\n`;
+  }
+
   // Show organizer if present
   if (parsed.organizer) {
     const organizerEmail = parsed.organizer.replace('mailto:', '');
-    output += `- **Organizer**: ${organizerEmail}\n`;
+    const organizer = parsed.organizerName ? `${parsed.organizerName} <${organizerEmail}>` : organizerEmail;
+    output += `- **Organizer**: ${organizer}\n`;
   }
 
   // Show attendees if present
@@ -206,12 +455,28 @@ export function formatEvent(event, calendarName = 'Unknown Calendar') {
     output += `- **Attendees**: ${parsed.attendees.length} person(s)\n`;
     parsed.attendees.forEach(att => {
       const email = att.email ? att.email.replace('mailto:', '') : '';
-      const name = att.cn || email;
-      const status = att.partstat ? ` (${att.partstat})` : '';
+      const name = att.cn ? `${att.cn} <${email}>` : email;
+      const details = [att.partstat, att.role, att.cutype, att.rsvp === 'TRUE' ? 'RSVP requested' : null]
+        .filter(Boolean);
+      const status = details.length ? ` (${details.join(', ')})` : '';
       output += `  - ${name}${status}\n`;
     });
   }
 
+  if (parsed.attachments?.length) {
+    output += `- **Attachments**: ${parsed.attachments.length} file(s)\n`;
+    parsed.attachments.forEach(attachment => {
+      const details = [
+        attachment.fmttype,
+        attachment.inline ? 'inline' : null,
+        attachment.managed_id ? 'managed' : null,
+        attachment.size ? formatFileSize(attachment.size) : null,
+      ].filter(Boolean);
+      const link = attachment.uri && attachment.filename !== attachment.uri ? ` - ${attachment.uri}` : '';
+      output += `  - ${attachment.filename || attachment.uri || 'Unnamed attachment'}${details.length ? ` (${details.join(', ')})` : ''}${link}\n`;
+    });
+  }
+
   // Show alarms if present
   if (parsed.alarms && parsed.alarms.length > 0) {
     output += `- **Reminders**: ${parsed.alarms.length} alarm(s)\n`;
@@ -223,33 +488,80 @@ export function formatEvent(event, calendarName = 'Unknown Calendar') {
   output += `- **Calendar**: ${calendarName}\n`;
   output += `- **URL**: ${event.url}\n`;
 
+  if (event.occurrence) {
+    output += `- **ETag**: ${event.etag} *(series master)*\n`;
+  }
+
   return output;
 }
 
+/**
+ * Header line of a list, with the shown range when paginated
+ * @param {Object|null} page - { total, offset, remaining } from tools/shared/pagination.js
+ */
+function formatListHeader(noun, count, page) {
+  if (!page || count === page.total) {
+    return `Found ${noun}: **${count}**\n\n`;
+  }
+  return `Found ${noun}: **${page.total}** (showing ${page.offset + 1}-${page.offset + count})\n\n`;
+}
+
+/**
+ * Note on how many results follow the current page
+ */
+function formatListRemaining(noun, count, page) {
+  if (!page || page.remaining === 0) {
+    return '';
+  }
+  return `📄 **Not shown**: ${page.remaining} more of ${page.total} ${noun}. Call again with offset ${page.offset + count} for the next page.\n\n`;
+}
+
+/**
+ * Message for a page past the last result
+ */
+function formatEmptyPage(noun, page) {
+  return `No ${noun} at offset ${page.offset}; there are ${page.total} in total.`;
+}
+
 /**
  * Format a list of calendar events to LLM-friendly Markdown
+ * With a page (see tools/shared/pagination.js), events are the page's items and the output says how many follow
  */
-export function formatEventList(events, calendarName = 'Unknown Calendar') {
+export function formatEventList(events, calendarName = 'Unknown Calendar', page = null) {
+  const name = getCollectionName(calendarName);
+
   if (!events || events.length === 0) {
     return {
       content: [{
         type: 'text',
-        text: 'No events found.'
-      }]
+        text: page?.total ? formatEmptyPage('events', page) : 'No events found.'
+      }],
+      structuredContent: { events: [], ...toPageData(0, page) }
     };
   }
 
-  let output = `Found events: **${events.length}**\n\n`;
+  let output = formatListHeader('events', events.length, page);
+  const firstNumber = page ? page.offset + 1 : 1;
 
   events.forEach((event, index) => {
-    output += `### ${index + 1}. `;
-    output += formatEvent(event, calendarName).replace(/^## /, '') + '\n';
+    output += `### ${firstNumber + index}. `;
+    output += formatEvent(event, name).replace(/^## /, '') + '\n';
   });
 
+  output += formatListRemaining('events', events.length, page);
+
   output += `---\n<details>\n<summary>Raw Data (JSON)</summary>\n\n\`\`\`json\n`;
   output += JSON.stringify(events.map(e => ({
     url: e.url,
     etag: e.etag,
+    ...(e.occurrence && {
+      occurrence: {
+        start: e.occurrence.start.toString(),
+        end: e.occurrence.end ? e.occurrence.end.toString() : null,
+        recurrenceId: e.occurrence.recurrenceId,
+        isOverride: e.occurrence.isOverride,
+      },
+    }),
     data: e.data
   })), null, 2);
   output += '\n```\n</details>';
@@ -258,7 +570,260 @@ export function formatEventList(events, calendarName = 'Unknown Calendar') {
     content: [{
       type: 'text',
       text: output
-    }]
+    }],
+    structuredContent: toJsonValue({ events: events.map(event => toEventData(event, name)), ...toPageData(events.length, page) })
+  };
+}
+
+/**
+ * Format iTIP invitations from the scheduling inbox to Markdown
+ * Each invitation is an inbox object with `attendee` ({ email, partstat }) of the current user
+ */
+export function formatInvitationList(invitations) {
+  if (!invitations || invitations.length === 0) {
+    return {
+      content: [{
+        type: 'text',
+        text: 'No pending invitations.'
+      }],
+      structuredContent: { invitations: [], total: 0 }
+    };
+  }
+
+  let output = `Pending invitations: **${invitations.length}**\n\n`;
+
+  invitations.forEach((invitation, index) => {
+    output += `### ${index + 1}. `;
+    output += formatEvent(invitation, 'Scheduling Inbox').replace(/^## /, '');
+    if (invitation.attendee) {
+      output += `- **Invited as**: ${invitation.attendee.email} (${invitation.attendee.partstat})\n`;
+    }
+    output += '\n';
+  });
+
+  output += `---\n<details>\n<summary>Raw Data (JSON)</summary>\n\n\`\`\`json\n`;
+  output += JSON.stringify(invitations.map(i => ({
+    url: i.url,
+    etag: i.etag,
+    method: i.method,
+    attendee: i.attendee,
+    data: i.data
+  })), null, 2);
+  output += '\n```\n</details>';
+
+  return {
+    content: [{
+      type: 'text',
+      text: output
+    }],
+    structuredContent: toJsonValue({
+      invitations: invitations.map(invitation => ({
+        ...toEventData(invitation, 'Scheduling Inbox'),
+        method: invitation.method || null,
+        invited_as: invitation.attendee || null,
+      })),
+      total: invitations.length,
+    })
+  };
+}
+
+/**
+ * Format free/busy results (see tools/shared/freebusy.js) to Markdown
+ * @param {Object} result - { start, end, busy, free, minFreeMinutes, calendars: [{ name, url, source }] }
+ */
+export function formatFreeBusy(result) {
+  const formatInstant = (date) => formatDateTime(ICAL.Time.fromJSDate(date, true));
+
+  let output = `## Free/busy: ${formatInstant(result.start)} to ${formatInstant(result.end)}\n\n`;
+
+  output += `Busy periods: **${result.busy.length}**\n`;
+  result.busy.forEach(period => {
+    output += `- ${formatInstant(period.start)} to ${formatInstant(period.end)} (${period.type})\n`;
+  });
+
+  const minimum = result.minFreeMinutes ? ` (at least ${result.minFreeMinutes} min)` : '';
+  output += `\nFree slots${minimum}: **${result.free.length}**\n`;
+  result.free.forEach(slot => {
+    output += `- ${formatInstant(slot.start)} to ${formatInstant(slot.end)} (${slot.minutes} min)\n`;
+  });
+
+  output += '\n- **Calendars**: ';
+  output += result.calendars
+    .map(calendar => `${calendar.name} (${calendar.source === 'server' ? 'server free-busy-query' : 'computed from events'})`)
+    .join(', ');
+  output += '\n';
+
+  output += `\n---\n<details>\n<summary>Raw Data (JSON)</summary>\n\n\`\`\`json\n`;
+  output += JSON.stringify({
+    start: result.start,
+    end: result.end,
+    busy: result.busy,
+    free: result.free,
+    calendars: result.calendars,
+  }, null, 2);
+  output += '\n```\n</details>';
+
+  return {
+    content: [{
+      type: 'text',
+      text: output
+    }],
+    structuredContent: toJsonValue({ start: result.start, end: result.end, busy: result.busy, free: result.free, calendars: result.calendars })
+  };
+}
+
+/**
+ * Format meeting slot suggestions (see tools/shared/meeting-slots.js) to Markdown
+ * @param {Object} result - { slots, durationMinutes, bufferMinutes, workingHours, timezone, preferredTime, participants, unavailable }
+ */
+export function formatMeetingSlots(result) {
+  const formatInstant = (date) => formatDateTime(ICAL.Time.fromJSDate(date, true), result.timezone);
+  const workingDays = (result.workingHours.days || []).join(', ');
+
+  let output = `## Meeting time candidates: **${result.slots.length}**\n\n`;
+  output += `- **Duration**: ${result.durationMinutes} min`;
+  if (result.bufferMinutes) {
+    output += ` (+ ${result.bufferMinutes} min buffer before and after)`;
+  }
+  output += '\n';
+  output += `- **Working hours**: ${result.workingHours.start}-${result.workingHours.end} ${workingDays} (${result.timezone})\n`;
+  if (result.preferredTime) {
+    output += `- **Preferred time**: ${result.preferredTime}\n`;
+  }
+  output += '\n';
+
+  if (result.slots.length === 0) {
+    output += 'No common free time found. Try a longer window, shorter duration or wider working hours.\n';
+  }
+
+  result.slots.forEach((slot, index) => {
+    output += `${index + 1}. ${formatInstant(slot.start)} to ${formatInstant(slot.end)} (score ${slot.score})\n`;
+  });
+
+  output += '\n- **Participants**: ';
+  output += result.participants
+    .map(participant => `${participant.name} (${participant.source === 'server' ? 'server free-busy-query' : participant.source === 'outbox' ? 'scheduling outbox' : 'computed from events'})`)
+    .join(', ');
+  output += '\n';
+
+  if (result.unavailable.length > 0) {
+    output += `- **Unknown availability**: ${result.unavailable.map(u => `${u.email} (${u.status})`).join(', ')}. Their busy time is not taken into account.\n`;
+  }
+
+  output += `\n---\n<details>\n<summary>Raw Data (JSON)</summary>\n\n\`\`\`json\n`;
+  output += JSON.stringify({
+    slots: result.slots,
+    participants: result.participants,
+    unavailable: result.unavailable,
+  }, null, 2);
+  output += '\n```\n</details>';
+
+  return {
+    content: [{
+      type: 'text',
+      text: output
+    }],
+    structuredContent: toJsonValue({
+      slots: result.slots,
+      duration_minutes: result.durationMinutes,
+      timezone: result.timezone,
+      participants: result.participants,
+      unavailable: result.unavailable,
+    })
+  };
+}
+
+/**
+ * Time of day of an ICAL.Time in a timezone, e.g. "09:30 AM"; floating times keep their wall-clock time
+ */
+function formatTimeOfDay(icalTime, timezone) {
+  const isFloating = !icalTime.zone || icalTime.zone.tzid === 'floating';
+  const jsDate = isFloating
+    ? new Date(Date.UTC(icalTime.year, icalTime.month - 1, icalTime.day, icalTime.hour, icalTime.minute))
+    : icalTime.toJSDate();
+  return jsDate.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', timeZone: isFloating ? 'UTC' : timezone });
+}
+
+/**
+ * Format a daily agenda (see tools/shared/agenda.js)
+ * @param {Object} agenda - { date, timezone, start, end, timeline, overdue }
+ */
+export function formatAgenda(agenda) {
+  const events = agenda.timeline.filter(entry => entry.type === 'event');
+  const dueToday = agenda.timeline.filter(entry => entry.type === 'todo');
+  const [year, month, day] = agenda.date.split('-').map(Number);
+  const heading = new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+
+  let output = `# 📅 Agenda for ${heading} (${agenda.timezone})\n\n`;
+  output += `**${events.length} event${events.length === 1 ? '' : 's'}, ${dueToday.length} todo${dueToday.length === 1 ? '' : 's'} due, ${agenda.overdue.length} overdue**\n\n`;
+
+  if (agenda.overdue.length > 0) {
+    output += `## ⚠️ Overdue (${agenda.overdue.length})\n\n`;
+    agenda.overdue.forEach(todo => {
+      const parsed = parseVTodo(todo.data);
+      const priority = Number(parsed.priority) ? ` - ${formatPriority(Number(parsed.priority))}` : '';
+      output += `- ${getStatusEmoji(parsed.status)} **${parsed.summary || 'Untitled Task'}** - due ${formatDateTime(parsed.due, agenda.timezone)}${priority}`;
+      output += todo._calendarName ? ` (${todo._calendarName})\n` : '\n';
+    });
+    output += '\n';
+  }
+
+  output += `## Today\n\n`;
+  if (agenda.timeline.length === 0) {
+    output += 'Nothing scheduled and no todos due.\n';
+  }
+  agenda.timeline.forEach(entry => {
+    const container = entry.object._calendarName ? ` (${entry.object._calendarName})` : '';
+    if (entry.type === 'event') {
+      const parsed = parseICalEvent(entry.object.data, entry.object.occurrence?.recurrenceId);
+      let when = 'All day';
+      if (!entry.allDay) {
+        // Events from the day before show their start date
+        const startsEarlier = entry.time < new Date(agenda.start).getTime();
+        when = startsEarlier ? `Since ${formatDateTime(entry.start, agenda.timezone)}` : formatTimeOfDay(entry.start, agenda.timezone);
+        if (entry.end && !startsEarlier) {
+          when += `-${formatTimeOfDay(entry.end, agenda.timezone)}`;
+        }
+      }
+      const location = parsed.location ? ` - ${parsed.location}` : '';
+      output += `- **${when}** 📅 ${parsed.summary || 'Untitled Event'}${location}${container}\n`;
+    } else {
+      const parsed = parseVTodo(entry.object.data);
+      const when = entry.allDay ? 'Today' : formatTimeOfDay(parsed.due, agenda.timezone);
+      const priority = Number(parsed.priority) ? ` - ${formatPriority(Number(parsed.priority))}` : '';
+      output += `- **${when}** ${getStatusEmoji(parsed.status)} Due: ${parsed.summary || 'Untitled Task'}${priority}${container}\n`;
+    }
+  });
+
+  output += `\n💡 **What you can do next**:
+- Tick off todos: use complete_todo with the todo URLs
+- Get full details: use calendar_multi_get or todo_multi_get`;
+
+  return {
+    content: [{
+      type: 'text',
+      text: output
+    }],
+    structuredContent: toJsonValue({
+      date: agenda.date,
+      timezone: agenda.timezone,
+      start: agenda.start,
+      end: agenda.end,
+      counts: { events: events.length, due_today: dueToday.length, overdue: agenda.overdue.length },
+      timeline: agenda.timeline.map(entry => ({
+        type: entry.type,
+        time: entry.allDay ? agenda.date : new Date(entry.time).toISOString(),
+        all_day: entry.allDay,
+        ...(entry.type === 'event' ? { event: toEventData(entry.object) } : { todo: toTodoData(entry.object) }),
+      })),
+      overdue: agenda.overdue.map(todo => toTodoData(todo)),
+    })
   };
 }
 
@@ -344,13 +909,26 @@ export function formatContact(contact, addressBookName = 'Unknown Address Book')
 
 /**
  * Format a list of contacts to LLM-friendly Markdown
+ * With a page, contacts are the page's items and the output says how many follow
  */
-export function formatContactList(contacts, addressBookName = 'Unknown Address Book') {
+export function formatContactList(contacts, addressBookName = 'Unknown Address Book', page = null) {
+  const name = getCollectionName(addressBookName);
+
+  if (page?.total && (!contacts || contacts.length === 0)) {
+    return {
+      content: [{
+        type: 'text',
+        text: formatEmptyPage('contacts', page)
+      }],
+      structuredContent: { contacts: [], ...toPageData(0, page) }
+    };
+  }
+
   if (!contacts || contacts.length === 0) {
     return {
       content: [{
         type: 'text',
-        text: `No contacts found in ${addressBookName}.
+        text: `No contacts found in ${name || 'the address book'}.
 
 💡 **Next steps**:
 - Try broader search: use addressbook_query with partial name
@@ -358,17 +936,21 @@ export function formatContactList(contacts, addressBookName = 'Unknown Address B
 - Create new contact: use create_contact if contact doesn't exist yet
 
 📝 **Available address books**: Use list_addressbooks to see all address books`
-      }]
+      }],
+      structuredContent: { contacts: [], ...toPageData(0, page) }
     };
   }
 
-  let output = `Found contacts: **${contacts.length}**\n\n`;
+  let output = formatListHeader('contacts', contacts.length, page);
+  const firstNumber = page ? page.offset + 1 : 1;
 
   contacts.forEach((contact, index) => {
-    output += `### ${index + 1}. `;
-    output += formatContact(contact, addressBookName).replace(/^## /, '') + '\n';
+    output += `### ${firstNumber + index}. `;
+    output += formatContact(contact, name).replace(/^## /, '') + '\n';
   });
 
+  output += formatListRemaining('contacts', contacts.length, page);
+
   output += `---\n<details>\n<summary>Raw Data (JSON)</summary>\n\n\`\`\`json\n`;
   output += JSON.stringify(contacts.map(c => ({
     url: c.url,
@@ -387,7 +969,8 @@ export function formatContactList(contacts, addressBookName = 'Unknown Address B
     content: [{
       type: 'text',
       text: output
-    }]
+    }],
+    structuredContent: toJsonValue({ contacts: contacts.map(contact => toContactData(contact, name)), ...toPageData(contacts.length, page) })
   };
 }
 
@@ -395,7 +978,7 @@ export function formatContactList(contacts, addressBookName = 'Unknown Address B
  * Helper: Extract string value from property (handles both string and object)
  * tsdav sometimes returns { _text: "value" } instead of "value"
  */
-function extractPropertyValue(prop) {
+export function extractPropertyValue(prop) {
   if (!prop) return '';
   if (typeof prop === 'string') return prop;
   if (typeof prop === 'object') {
@@ -413,7 +996,8 @@ export function formatCalendarList(calendars) {
       content: [{
         type: 'text',
         text: 'No calendars found.'
-      }]
+      }],
+      structuredContent: { calendars: [] }
     };
   }
 
@@ -452,7 +1036,16 @@ export function formatCalendarList(calendars) {
     content: [{
       type: 'text',
       text: output
-    }]
+    }],
+    structuredContent: toJsonValue({
+      calendars: calendars.map(cal => ({
+        url: cal.url,
+        display_name: extractPropertyValue(cal.displayName) || null,
+        description: extractPropertyValue(cal.description) || null,
+        components: cal.components || [],
+        color: extractPropertyValue(cal.calendarColor) || null,
+      })),
+    })
   };
 }
 
@@ -465,7 +1058,8 @@ export function formatAddressBookList(addressBooks) {
       content: [{
         type: 'text',
         text: 'No address books found.'
-      }]
+      }],
+      structuredContent: { addressbooks: [] }
     };
   }
 
@@ -493,7 +1087,14 @@ export function formatAddressBookList(addressBooks) {
     content: [{
       type: 'text',
       text: output
-    }]
+    }],
+    structuredContent: toJsonValue({
+      addressbooks: addressBooks.map(ab => ({
+        url: ab.url,
+        display_name: extractPropertyValue(ab.displayName) || null,
+        description: extractPropertyValue(ab.description) || null,
+      })),
+    })
   };
 }
 
@@ -515,6 +1116,24 @@ export function formatSuccess(operation, details = {}) {
     output += `- **Message**: ${details.message}\n`;
   }
 
+  // iTIP delivery results (see tools/shared/scheduling.js)
+  const schedulingResults = [details.scheduling].flat().filter(Boolean);
+  schedulingResults.forEach(result => {
+    if (result.delivered) {
+      output += `- **Scheduling**: ${result.method} sent to ${result.recipients.join(', ')} via scheduling outbox\n`;
+    } else {
+      output += `- **Scheduling**: ${result.method} for ${result.attachment.recipients.join(', ')} was not delivered by the server (${result.reason}). Send the attached iCalendar payload by email.\n`;
+    }
+  });
+
+  // Overlapping events reported by the conflict check (see tools/shared/conflicts.js)
+  (details.conflicts || []).forEach(conflict => {
+    const when = conflict.all_day
+      ? `all day, ${conflict.start}${conflict.end !== conflict.start ? ` to ${conflict.end}` : ''}`
+      : `${formatDateTime(ICAL.Time.fromJSDate(new Date(conflict.start), true))} to ${formatDateTime(ICAL.Time.fromJSDate(new Date(conflict.end), true))}`;
+    output += `- **Conflict**: ${conflict.summary} (${when}, ${conflict.calendar})\n`;
+  });
+
   output += `\n---\n<details>\n<summary>Rohdaten (JSON)</summary>\n\n\`\`\`json\n`;
   output += JSON.stringify({ success: true, ...details }, null, 2);
   output += '\n```\n</details>';
@@ -523,7 +1142,60 @@ export function formatSuccess(operation, details = {}) {
     content: [{
       type: 'text',
       text: output
-    }]
+    }],
+    structuredContent: toJsonValue({ success: true, operation, ...details })
+  };
+}
+
+const TODO_RESULT_LABELS = {
+  updated: '✅',
+  unchanged: '➖',
+  conflict: '⚠️ ETag conflict',
+  not_found: '❌ Not found',
+  error: '❌ Failed',
+};
+
+/**
+ * Format the per-todo results of a bulk todo change (see tools/shared/todo-completion.js)
+ * @param {string} operation - What was done, e.g. "Todos completed"
+ * @param {Array<Object>} results - { url, status, etag, message, ... } per todo
+ * @returns {Object} MCP response; success is false if any todo was not changed as asked
+ */
+export function formatTodoBulkResult(operation, results) {
+  const counts = {};
+  results.forEach(result => {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+  });
+  const failed = results.filter(result => !['updated', 'unchanged'].includes(result.status)).length;
+
+  let output = failed === 0
+    ? `✅ **${operation}: ${results.length} todo${results.length === 1 ? '' : 's'}**\n\n`
+    : `⚠️ **${operation}: ${results.length - failed} of ${results.length} todos, ${failed} failed**\n\n`;
+
+  results.forEach(result => {
+    output += `- ${TODO_RESULT_LABELS[result.status] || result.status} ${result.url}`;
+    if (result.etag) {
+      output += ` (ETag: ${result.etag})`;
+    }
+    if (result.message) {
+      output += ` - ${result.message}`;
+    }
+    if (result.copy_error) {
+      output += ` - ⚠️ ${result.copy_error}`;
+    }
+    output += '\n';
+  });
+
+  if (counts.conflict) {
+    output += `\nReload the conflicting todos and try again with their current ETags.\n`;
+  }
+
+  return {
+    content: [{
+      type: 'text',
+      text: output
+    }],
+    structuredContent: toJsonValue({ success: failed === 0, operation, counts, results })
   };
 }
 
@@ -548,6 +1220,10 @@ export function formatCalendarUpdateSuccess(calendar, updatedFields) {
     if (updatedFields.timezone) {
       output += `- Timezone: ${updatedFields.timezone}\n`;
     }
+    if (updatedFields.default_alarms) {
+      const triggers = updatedFields.default_alarms.map(alarm => `${alarm.action || 'DISPLAY'} ${alarm.trigger}`);
+      output += `- Default reminders: ${triggers.length > 0 ? triggers.join(', ') : 'cleared'}\n`;
+    }
   }
 
   output += `\n---\n<details>\n<summary>Raw Data (JSON)</summary>\n\n\`\`\`json\n`;
@@ -558,7 +1234,14 @@ export function formatCalendarUpdateSuccess(calendar, updatedFields) {
     content: [{
       type: 'text',
       text: output
-    }]
+    }],
+    structuredContent: toJsonValue({
+      success: true,
+      operation: 'Calendar updated',
+      url: calendar.url,
+      display_name: displayName,
+      updated_fields: updatedFields || {},
+    })
   };
 }
 
@@ -576,7 +1259,8 @@ export function formatCalendarDeleteSuccess(calendarUrl) {
     content: [{
       type: 'text',
       text: output
-    }]
+    }],
+    structuredContent: { success: true, operation: 'Calendar deleted', url: calendarUrl, deleted: true }
   };
 }
 
@@ -585,6 +1269,7 @@ export function formatCalendarDeleteSuccess(calendarUrl) {
  */
 function parseVTodo(icalData) {
   try {
+    registerMissingTimezones(icalData);
     const jcalData = ICAL.parse(icalData);
     const comp = new ICAL.Component(jcalData);
     const vtodo = comp.getFirstSubcomponent('vtodo');
@@ -603,6 +1288,13 @@ function parseVTodo(icalData) {
       due: vtodo.getFirstPropertyValue('due'),
       completed: vtodo.getFirstPropertyValue('completed'),
       dtstart: vtodo.getFirstPropertyValue('dtstart'),
+      parentUid: getParentUid(vtodo),
+      rrule: vtodo.getFirstPropertyValue('rrule'),
+      alarms: vtodo.getAllSubcomponents('valarm').map(valarm => ({
+        action: valarm.getFirstPropertyValue('action'),
+        trigger: valarm.getFirstPropertyValue('trigger'),
+        description: valarm.getFirstPropertyValue('description'),
+      })),
     };
   } catch (error) {
     console.error('Error parsing VTODO:', error);
@@ -656,6 +1348,14 @@ export function formatTodo(todo, calendarName = 'Unknown Calendar') {
     output += `- **Progress**: ${parsed.percentComplete}%\n`;
   }
 
+  if (todo._tree?.subtasks > 0) {
+    output += `- **Subtasks**: ${todo._tree.completedSubtasks} of ${todo._tree.subtasks} done, ${todo._tree.rollupPercent}% overall\n`;
+  }
+
+  if (parsed.parentUid) {
+    output += `- **Parent**: ${todo._tree?.parentSummary || parsed.parentUid}\n`;
+  }
+
   if (parsed.description) {
     output += `- **Description**: ${parsed.description}\n`;
   }
@@ -668,6 +1368,17 @@ export function formatTodo(todo, calendarName = 'Unknown Calendar') {
     output += `- **Completed**: ${formatDateTime(parsed.completed)}\n`;
   }
 
+  if (parsed.rrule) {
+    output += `- **Recurring**: ${parsed.rrule.toString()}\n`;
+  }
+
+  if (parsed.alarms && parsed.alarms.length > 0) {
+    output += `- **Reminders**: ${parsed.alarms.length} alarm(s)\n`;
+    parsed.alarms.forEach(alarm => {
+      output += `  - ${alarm.action}: ${alarm.trigger ? alarm.trigger.toString() : 'Unknown trigger'}\n`;
+    });
+  }
+
   output += `- **Calendar**: ${calendarName}\n`;
   output += `- **URL**: ${todo.url}\n`;
   output += `- **ETag**: ${todo.etag} *(required for updates)*\n`;
@@ -675,26 +1386,56 @@ export function formatTodo(todo, calendarName = 'Unknown Calendar') {
   return output;
 }
 
+/**
+ * Indented overview of todos arranged by arrangeTodoTree, with roll-up completion
+ */
+function formatTodoTree(todos) {
+  let output = '**Task tree**\n';
+  todos.forEach(todo => {
+    const parsed = parseVTodo(todo.data);
+    const { depth, subtasks, completedSubtasks, rollupPercent } = todo._tree;
+    output += `${'  '.repeat(depth)}- ${getStatusEmoji(parsed.status)} ${parsed.summary || 'Untitled Task'} - ${rollupPercent}%`;
+    output += subtasks > 0 ? ` (${completedSubtasks}/${subtasks} subtasks done)\n` : '\n';
+  });
+  return output + '\n';
+}
+
 /**
  * Format a list of todos to LLM-friendly Markdown
+ * Subtasks follow their parent (see tools/shared/subtasks.js); lists with subtasks start with an indented tree.
+ * With a page, todos are the page's items and the output says how many follow
  */
-export function formatTodoList(todos, calendarName = 'Unknown Calendar') {
+export function formatTodoList(todos, calendarName = 'Unknown Calendar', page = null) {
+  const name = getCollectionName(calendarName);
+
+  if (todos?.length && !todos.every(todo => todo._tree)) {
+    todos = arrangeTodoTree(todos);
+  }
+
   if (!todos || todos.length === 0) {
     return {
       content: [{
         type: 'text',
-        text: 'No todos found.'
-      }]
+        text: page?.total ? formatEmptyPage('todos', page) : 'No todos found.'
+      }],
+      structuredContent: { todos: [], ...toPageData(0, page) }
     };
   }
 
-  let output = `Found todos: **${todos.length}**\n\n`;
+  let output = formatListHeader('todos', todos.length, page);
+  const firstNumber = page ? page.offset + 1 : 1;
+
+  if (todos.some(todo => todo._tree.depth > 0 || todo._tree.subtasks > 0)) {
+    output += formatTodoTree(todos);
+  }
 
   todos.forEach((todo, index) => {
-    output += `### ${index + 1}. `;
-    output += formatTodo(todo, calendarName).replace(/^## /, '') + '\n';
+    output += `### ${firstNumber + index}. ${todo._tree.depth > 0 ? '↳ ' : ''}`;
+    output += formatTodo(todo, name).replace(/^## /, '') + '\n';
   });
 
+  output += formatListRemaining('todos', todos.length, page);
+
   output += `---\n<details>\n<summary>Raw Data (JSON)</summary>\n\n\`\`\`json\n`;
   output += JSON.stringify(todos.map(t => ({
     url: t.url,
@@ -707,7 +1448,108 @@ export function formatTodoList(todos, calendarName = 'Unknown Calendar') {
     content: [{
       type: 'text',
       text: output
-    }]
+    }],
+    structuredContent: toJsonValue({ todos: todos.map(todo => toTodoData(todo, name)), ...toPageData(todos.length, page) })
+  };
+}
+
+/**
+ * Format full-text search results (see tools/shared/search.js) to Markdown, grouped by resource type
+ * @param {Object} result - { query, limit, groups: [{ type, results: [{ object, score, matches }] }] }
+ */
+export function formatSearchResults({ query, groups, limit }) {
+  const total = groups.reduce((sum, group) => sum + group.results.length, 0);
+  if (total === 0) {
+    return {
+      content: [{
+        type: 'text',
+        text: `No events, todos or contacts match "${query}".`
+      }],
+      structuredContent: { query, total: 0, groups: groups.map(({ type }) => ({ type, total: 0, results: [] })) }
+    };
+  }
+
+  const titles = { events: 'Events', todos: 'Todos', contacts: 'Contacts' };
+  const describe = {
+    events: (object) => {
+      const parsed = parseICalEvent(object.data);
+      const when = parsed.dtstart?.isDate
+        ? formatAllDayRange(parsed.dtstart, parsed.dtend)
+        : formatDateTime(parsed.dtstart);
+      return `**${parsed.summary || 'Untitled Event'}** - ${when}${parsed.isRecurring ? ' (recurring)' : ''}`;
+    },
+    todos: (object) => {
+      const parsed = parseVTodo(object.data);
+      const due = parsed.due ? `, due ${formatDateTime(parsed.due)}` : '';
+      return `${getStatusEmoji(parsed.status)} **${parsed.summary || 'Untitled Task'}** (${parsed.status}${due})`;
+    },
+    contacts: (object) => {
+      const parsed = parseVCard(object.data);
+      return `**${parsed.fullName || 'Unnamed Contact'}**${parsed.organization ? ` - ${parsed.organization}` : ''}`;
+    },
+  };
+
+  const getTitle = {
+    events: (object) => parseICalEvent(object.data).summary || 'Untitled Event',
+    todos: (object) => parseVTodo(object.data).summary || 'Untitled Task',
+    contacts: (object) => parseVCard(object.data).fullName || 'Unnamed Contact',
+  };
+
+  let output = `Search results for "${query}": **${total}**\n\n`;
+
+  groups.forEach(({ type, results }) => {
+    output += `## ${titles[type]} (${results.length})\n\n`;
+    if (results.length === 0) {
+      output += 'No matches.\n\n';
+      return;
+    }
+
+    results.slice(0, limit).forEach(({ object, matches }, index) => {
+      const container = type === 'contacts' ? object._addressbookName : object._calendarName;
+      output += `${index + 1}. ${describe[type](object)}\n`;
+      output += `   - Matched: ${matches.join(', ')}${container ? ` | In: ${container}` : ''}\n`;
+      output += `   - URL: ${object.url}\n`;
+    });
+    if (results.length > limit) {
+      output += `\n*Showing the best ${limit} of ${results.length}. Refine the query to narrow them down.*\n`;
+    }
+    output += '\n';
+  });
+
+  output += `---\n<details>\n<summary>Raw Data (JSON)</summary>\n\n\`\`\`json\n`;
+  output += JSON.stringify(groups.flatMap(({ type, results }) => results.slice(0, limit).map(r => ({
+    type,
+    url: r.object.url,
+    etag: r.object.etag,
+    score: r.score,
+    matches: r.matches,
+  }))), null, 2);
+  output += '\n```\n</details>';
+
+  output += `\n💡 **What you can do next**:
+- Get full details: use calendar_multi_get, todo_multi_get or addressbook_multi_get with the URLs above`;
+
+  return {
+    content: [{
+      type: 'text',
+      text: output
+    }],
+    structuredContent: toJsonValue({
+      query,
+      total,
+      groups: groups.map(({ type, results }) => ({
+        type,
+        total: results.length,
+        results: results.slice(0, limit).map(({ object, score, matches }) => ({
+          url: object.url,
+          etag: object.etag || null,
+          title: getTitle[type](object),
+          container: (type === 'contacts' ? object._addressbookName : object._calendarName) || null,
+          score,
+          matches,
+        })),
+      })),
+    })
   };
 }
 
@@ -749,6 +1591,7 @@ export function formatError(error, context = '') {
     content: [{
       type: 'text',
       text: output
-    }]
+    }],
+    isError: true
   };
 }
@@ -223,6 +223,7 @@ function createMCPServer(sessionId) {
       name: t.name,
       description: t.description,
       inputSchema: t.inputSchema,
+      outputSchema: t.outputSchema,
     }));
     requestLogger.debug({ count: toolList.length }, 'Returning tools list');
     return { tools: toolList };
@@ -0,0 +1,347 @@
+/**
+ * Output schemas (JSON Schema) for MCP tool results
+ * Describe the structuredContent built in formatters.js; each tool declares one as outputSchema
+ */
+
+const nullableString = { type: ['string', 'null'] };
+
+// Shared: Position of a page in the full result list (see tools/shared/pagination.js)
+const pageProperties = {
+  total: { type: 'integer', description: 'Number of matching items' },
+  offset: { type: 'integer', description: 'Items skipped before this page' },
+  remaining: { type: 'integer', description: 'Items after this page; call again with offset + returned count to get them' },
+};
+
+const eventSchema = {
+  type: 'object',
+  properties: {
+    url: { type: 'string' },
+    etag: nullableString,
+    calendar: nullableString,
+    uid: nullableString,
+    summary: nullableString,
+    start: { ...nullableString, description: 'ISO 8601 datetime in UTC (floating times without offset), or YYYY-MM-DD for all-day events' },
+    end: nullableString,
+    all_day: { type: 'boolean' },
+    timezone: { ...nullableString, description: 'TZID the event is anchored to' },
+    location: nullableString,
+    description: nullableString,
+    status: nullableString,
+    categories: { type: 'array', items: { type: 'string' } },
+    recurring: { type: 'boolean' },
+    rrule: nullableString,
+    occurrence: {
+      type: ['object', 'null'],
+      description: 'Set for one occurrence of an expanded recurring series',
+      properties: {
+        recurrence_id: { type: 'string' },
+        is_override: { type: 'boolean' },
+      },
+    },
+    organizer: nullableString,
+    attendees: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          email: { type: 'string' },
+          name: nullableString,
+          role: nullableString,
+          partstat: nullableString,
+        },
+      },
+    },
+    conferences: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          uri: { type: 'string' },
+          label: nullableString,
+          features: { type: 'array', items: { type: 'string' } },
+        },
+      },
+    },
+    data: { type: 'string', description: 'Raw iCalendar data' },
+  },
+  required: ['url'],
+};
+
+const todoSchema = {
+  type: 'object',
+  properties: {
+    url: { type: 'string' },
+    etag: nullableString,
+    calendar: nullableString,
+    uid: nullableString,
+    summary: nullableString,
+    description: nullableString,
+    status: { type: 'string' },
+    priority: { type: 'integer', description: '0 = undefined, 1 = highest, 9 = lowest' },
+    percent_complete: { type: 'integer' },
+    due: nullableString,
+    start: nullableString,
+    completed: nullableString,
+    rrule: nullableString,
+    parent_uid: { ...nullableString, description: 'UID of the parent todo (RELATED-TO;RELTYPE=PARENT)' },
+    depth: { type: 'integer', description: 'Nesting level in the listed tree, 0 for top-level todos' },
+    subtasks: { type: 'integer', description: 'Number of direct subtasks' },
+    rollup_percent: { type: 'integer', description: 'Completion including subtasks' },
+    data: { type: 'string', description: 'Raw iCalendar data' },
+  },
+  required: ['url'],
+};
+
+const contactSchema = {
+  type: 'object',
+  properties: {
+    url: { type: 'string' },
+    etag: nullableString,
+    addressbook: nullableString,
+    uid: nullableString,
+    full_name: nullableString,
+    given_name: nullableString,
+    family_name: nullableString,
+    organization: nullableString,
+    emails: {
+      type: 'array',
+      items: { type: 'object', properties: { value: { type: 'string' }, type: { type: 'array', items: { type: 'string' } } } },
+    },
+    phones: {
+      type: 'array',
+      items: { type: 'object', properties: { value: { type: 'string' }, type: { type: 'array', items: { type: 'string' } } } },
+    },
+    note: nullableString,
+    data: { type: 'string', description: 'Raw vCard data' },
+  },
+  required: ['url'],
+};
+
+const periodSchema = {
+  type: 'object',
+  properties: {
+    start: { type: 'string' },
+    end: { type: 'string' },
+  },
+  required: ['start', 'end'],
+};
+
+export const eventListOutputSchema = {
+  type: 'object',
+  properties: {
+    events: { type: 'array', items: eventSchema },
+    ...pageProperties,
+  },
+  required: ['events', 'total'],
+};
+
+export const invitationListOutputSchema = {
+  type: 'object',
+  properties: {
+    invitations: {
+      type: 'array',
+      items: {
+        ...eventSchema,
+        properties: {
+          ...eventSchema.properties,
+          method: nullableString,
+          invited_as: {
+            type: ['object', 'null'],
+            properties: { email: { type: 'string' }, partstat: { type: 'string' } },
+          },
+        },
+      },
+    },
+    total: { type: 'integer' },
+  },
+  required: ['invitations', 'total'],
+};
+
+export const todoListOutputSchema = {
+  type: 'object',
+  properties: {
+    todos: { type: 'array', items: todoSchema },
+    ...pageProperties,
+  },
+  required: ['todos', 'total'],
+};
+
+export const contactListOutputSchema = {
+  type: 'object',
+  properties: {
+    contacts: { type: 'array', items: contactSchema },
+    ...pageProperties,
+  },
+  required: ['contacts', 'total'],
+};
+
+export const calendarListOutputSchema = {
+  type: 'object',
+  properties: {
+    calendars: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          url: { type: 'string' },
+          display_name: nullableString,
+          description: nullableString,
+          components: { type: 'array', items: { type: 'string' } },
+          color: nullableString,
+        },
+        required: ['url'],
+      },
+    },
+  },
+  required: ['calendars'],
+};
+
+export const addressBookListOutputSchema = {
+  type: 'object',
+  properties: {
+    addressbooks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          url: { type: 'string' },
+          display_name: nullableString,
+          description: nullableString,
+        },
+        required: ['url'],
+      },
+    },
+  },
+  required: ['addressbooks'],
+};
+
+/**
+ * Result of create, update, delete and other write operations
+ * Operation-specific details (scheduling, conflicts, alarms, ...) are passed through as extra properties.
+ */
+export const writeResultOutputSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    operation: { type: 'string', description: 'What was done, e.g. "Event created"' },
+    url: { ...nullableString, description: 'URL of the created or changed resource' },
+    etag: { ...nullableString, description: 'New ETag, needed for the next update' },
+    message: nullableString,
+  },
+  required: ['success', 'operation'],
+  additionalProperties: true,
+};
+
+export const freeBusyOutputSchema = {
+  type: 'object',
+  properties: {
+    start: { type: 'string' },
+    end: { type: 'string' },
+    busy: {
+      type: 'array',
+      items: { ...periodSchema, properties: { ...periodSchema.properties, type: { type: 'string' } } },
+    },
+    free: {
+      type: 'array',
+      items: { ...periodSchema, properties: { ...periodSchema.properties, minutes: { type: 'number' } } },
+    },
+    calendars: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { name: { type: 'string' }, url: { type: 'string' }, source: { type: 'string' } },
+      },
+    },
+  },
+  required: ['start', 'end', 'busy', 'free'],
+};
+
+export const meetingSlotsOutputSchema = {
+  type: 'object',
+  properties: {
+    slots: {
+      type: 'array',
+      items: { ...periodSchema, properties: { ...periodSchema.properties, score: { type: 'number' } } },
+    },
+    duration_minutes: { type: 'number' },
+    timezone: { type: 'string' },
+    participants: {
+      type: 'array',
+      items: { type: 'object', properties: { name: { type: 'string' }, source: { type: 'string' } } },
+    },
+    unavailable: {
+      type: 'array',
+      items: { type: 'object', properties: { email: { type: 'string' }, status: { type: 'string' } } },
+    },
+  },
+  required: ['slots'],
+};
+
+export const agendaOutputSchema = {
+  type: 'object',
+  properties: {
+    date: { type: 'string', description: 'Day of the agenda (YYYY-MM-DD)' },
+    timezone: { type: 'string' },
+    start: { type: 'string', description: 'Start of the day in UTC' },
+    end: { type: 'string', description: 'Start of the next day in UTC' },
+    counts: {
+      type: 'object',
+      properties: {
+        events: { type: 'integer' },
+        due_today: { type: 'integer' },
+        overdue: { type: 'integer' },
+      },
+    },
+    timeline: {
+      type: 'array',
+      description: 'Events and todos due that day in chronological order, all-day items first',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['event', 'todo'] },
+          time: { type: 'string', description: 'Start or due time in UTC, or the date for all-day items' },
+          all_day: { type: 'boolean' },
+          event: eventSchema,
+          todo: todoSchema,
+        },
+        required: ['type', 'time', 'all_day'],
+      },
+    },
+    overdue: { type: 'array', items: todoSchema, description: 'Open todos due before the day, oldest first' },
+  },
+  required: ['date', 'timezone', 'timeline', 'overdue'],
+};
+
+export const searchResultsOutputSchema = {
+  type: 'object',
+  properties: {
+    query: { type: 'string' },
+    total: { type: 'integer' },
+    groups: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['events', 'todos', 'contacts'] },
+          total: { type: 'integer' },
+          results: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                url: { type: 'string' },
+                etag: nullableString,
+                title: { type: 'string', description: 'Event or todo summary, or contact name' },
+                container: nullableString,
+                score: { type: 'number' },
+                matches: { type: 'array', items: { type: 'string' } },
+              },
+              required: ['url', 'score'],
+            },
+          },
+        },
+      },
+    },
+  },
+  required: ['query', 'total', 'groups'],
+};
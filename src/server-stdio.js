@@ -15,6 +15,11 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import { ListToolsRequestSchema, CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import { tsdavManager } from './tsdav-client.js';
 import { tools } from './tools/index.js';
+import * as calendarTools from './tools/calendar/index.js';
+import * as contactTools from './tools/contacts/index.js';
+import * as todoTools from './tools/todos/index.js';
+import * as searchTools from './tools/search/index.js';
+import * as agendaTools from './tools/agenda/index.js';
 import { createToolErrorResponse, MCP_ERROR_CODES } from './error-handler.js';
 import { logger, createRequestLogger } from './logger.js';
 import { initializeToolCallLogger, getToolCallLogger } from './tool-call-logger.js';
@@ -100,6 +105,7 @@ function createMCPServer() {
       name: t.name,
       description: t.description,
       inputSchema: t.inputSchema,
+      outputSchema: t.outputSchema,
     }));
     requestLogger.debug({ count: toolList.length }, 'Returning tools list');
     return { tools: toolList };
@@ -216,6 +222,14 @@ async function gracefulShutdown(signal) {
   }
 }
 
+/**
+ * Count the registered tools that a category module exports
+ */
+function countTools(categoryTools) {
+  const names = new Set(Object.values(categoryTools).map(tool => tool.name));
+  return tools.filter(t => names.has(t.name)).length;
+}
+
 /**
  * Health check for STDIO mode
  */
@@ -231,9 +245,11 @@ function performHealthCheck() {
     tools: {
       total: tools.length,
       categories: {
-        calendar: tools.filter(t => t.name.startsWith('calendar_') || t.name.startsWith('list_calendars') || t.name.startsWith('list_events') || t.name.startsWith('create_event') || t.name.startsWith('update_event') || t.name.startsWith('delete_event') || t.name.startsWith('calendar_query') || t.name.startsWith('make_calendar') || t.name.startsWith('update_calendar') || t.name.startsWith('delete_calendar') || t.name.startsWith('calendar_multi_get')).length,
-        contacts: tools.filter(t => t.name.startsWith('addressbook_') || t.name.startsWith('list_addressbooks') || t.name.startsWith('list_contacts') || t.name.startsWith('create_contact') || t.name.startsWith('update_contact') || t.name.startsWith('delete_contact') || t.name.startsWith('addressbook_query') || t.name.startsWith('addressbook_multi_get')).length,
-        todos: tools.filter(t => t.name.startsWith('todo_') || t.name.startsWith('list_todos') || t.name.startsWith('create_todo') || t.name.startsWith('update_todo') || t.name.startsWith('delete_todo') || t.name.startsWith('todo_query') || t.name.startsWith('todo_multi_get')).length
+        calendar: countTools(calendarTools),
+        contacts: countTools(contactTools),
+        todos: countTools(todoTools),
+        search: countTools(searchTools),
+        agenda: countTools(agendaTools)
       }
     }
   };
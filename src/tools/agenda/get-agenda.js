@@ -0,0 +1,51 @@
+import { tsdavManager } from '../../tsdav-client.js';
+import { validateInput, getAgendaSchema } from '../../validation.js';
+import { formatAgenda } from '../../formatters.js';
+import { agendaOutputSchema } from '../../output-schemas.js';
+import { searchMultipleCalendars, searchMultipleTodoCalendars } from '../../utils/tool-helpers.js';
+import { expandRecurringEvents } from '../shared/recurrence.js';
+import { getDisplayTimezone } from '../shared/timezones.js';
+import { getAgendaDay, buildAgenda } from '../shared/agenda.js';
+
+/**
+ * Daily briefing: the day's events with overdue and due todos from all calendars
+ */
+export const getAgenda = {
+  name: 'get_agenda',
+  description: 'Get a "my day" briefing in one call: all events of a day from every calendar, plus open todos that are due that day or overdue, in chronological order. Use for morning digests and questions like "what is on today?" or "what do I have to do tomorrow?". Defaults to today.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      date: {
+        type: 'string',
+        description: 'Optional: Day to show (YYYY-MM-DD). Default: today in the timezone.',
+      },
+      timezone: {
+        type: 'string',
+        description: 'Optional: IANA timezone the day and times are in (default: DISPLAY_TIMEZONE or UTC)',
+      },
+    },
+    required: [],
+  },
+  outputSchema: agendaOutputSchema,
+  handler: async (args) => {
+    const validated = validateInput(getAgendaSchema, args);
+    const client = tsdavManager.getCalDavClient();
+    const timezone = validated.timezone || getDisplayTimezone();
+    const day = getAgendaDay(validated.date, timezone);
+
+    const calendars = await client.fetchCalendars();
+    const supports = (component) => calendars.filter(c => !c.components || c.components.includes(component));
+
+    const timeRange = { start: day.start.toISOString(), end: day.end.toISOString() };
+    const events = expandRecurringEvents(
+      await searchMultipleCalendars(client, supports('VEVENT'), { timeRange }),
+      timeRange.start,
+      timeRange.end
+    );
+    const todos = await searchMultipleTodoCalendars(client, supports('VTODO'));
+
+    const { timeline, overdue } = buildAgenda({ events, todos, day });
+    return formatAgenda({ date: day.date, timezone, start: timeRange.start, end: timeRange.end, timeline, overdue });
+  },
+};
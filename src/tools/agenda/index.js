@@ -0,0 +1,6 @@
+/**
+ * Agenda Tools - CalDAV events and todos
+ * Exports tools that combine events and todos into one view
+ */
+
+export { getAgenda } from './get-agenda.js';
@@ -1,6 +1,7 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, calendarMultiGetSchema } from '../../validation.js';
 import { formatEventList } from '../../formatters.js';
+import { eventListOutputSchema } from '../../output-schemas.js';
 
 /**
  * Batch fetch multiple specific calendar events by their URLs
@@ -23,6 +24,7 @@ export const calendarMultiGet = {
     },
     required: ['calendar_url', 'event_urls'],
   },
+  outputSchema: eventListOutputSchema,
   handler: async (args) => {
     const validated = validateInput(calendarMultiGetSchema, args);
     const client = tsdavManager.getCalDavClient();
@@ -1,14 +1,30 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, calendarQuerySchema } from '../../validation.js';
 import { formatEventList } from '../../formatters.js';
+import { eventListOutputSchema } from '../../output-schemas.js';
 import { buildTimeRangeOptions } from '../shared/helpers.js';
+import { expandRecurringEvents } from '../shared/recurrence.js';
+import { queryCalendarObjects } from '../shared/query-filters.js';
+import { paginationInputProperties, sortObjects, paginate } from '../shared/pagination.js';
+
+/**
+ * Text filter arguments and the iCalendar property each one searches
+ */
+const FILTER_PROPERTIES = {
+  summary_filter: 'SUMMARY',
+  location_filter: 'LOCATION',
+  description_filter: 'DESCRIPTION',
+  category_filter: 'CATEGORIES',
+  attendee_filter: 'ATTENDEE',
+  status_filter: 'STATUS',
+};
 
 /**
  * Search and filter calendar events efficiently
  */
 export const calendarQuery = {
   name: 'calendar_query',
-  description: '⭐ PREFERRED: Search and filter calendar events efficiently. Use instead of list_events to avoid loading thousands of entries. Omit calendar_url to search across ALL calendars automatically.',
+  description: '⭐ PREFERRED: Search and filter calendar events efficiently. Use instead of list_events to avoid loading thousands of entries. Omit calendar_url to search across ALL calendars automatically. With a time range, recurring events are expanded into one entry per occurrence.',
   inputSchema: {
     type: 'object',
     properties: {
@@ -32,9 +48,28 @@ export const calendarQuery = {
         type: 'string',
         description: 'Search event locations containing this text. Example: "Berlin", "Office", "Zoom". Can be used alone as sufficient filter.',
       },
+      category_filter: {
+        type: 'string',
+        description: 'Search event categories containing this text (case-insensitive). Example: "Work", "Travel". Can be used alone as sufficient filter.',
+      },
+      description_filter: {
+        type: 'string',
+        description: 'Search event descriptions/notes containing this text (case-insensitive). Can be used alone as sufficient filter.',
+      },
+      attendee_filter: {
+        type: 'string',
+        description: 'Search events with an attendee whose email address contains this text. Example: "elena@example.com" or "example.com". Can be used alone as sufficient filter.',
+      },
+      status_filter: {
+        type: 'string',
+        enum: ['TENTATIVE', 'CONFIRMED', 'CANCELLED'],
+        description: 'Only events with this STATUS. Can be used alone as sufficient filter.',
+      },
+      ...paginationInputProperties('events'),
     },
     required: [],
   },
+  outputSchema: eventListOutputSchema,
   handler: async (args) => {
     const validated = validateInput(calendarQuerySchema, args);
     const client = tsdavManager.getCalDavClient();
@@ -58,34 +93,33 @@ export const calendarQuery = {
     // Build timeRange options
     const timeRangeOptions = buildTimeRangeOptions(validated.time_range_start, validated.time_range_end);
 
+    // Text filters are sent to the server as prop-filters (RFC 4791 calendar-query)
+    const filters = Object.entries(FILTER_PROPERTIES)
+      .filter(([arg]) => validated[arg])
+      .map(([arg, property]) => ({ property, text: validated[arg] }));
+
     // Search across all selected calendars
-    let allEvents = [];
+    let filteredEvents = [];
     for (const calendar of calendarsToSearch) {
-      const options = { calendar, ...timeRangeOptions };
-      const events = await client.fetchCalendarObjects(options);
+      const { objects } = await queryCalendarObjects(client, calendar, {
+        component: 'VEVENT',
+        timeRange: timeRangeOptions.timeRange,
+        filters,
+      });
       // Add calendar info to each event
-      events.forEach(event => {
+      objects.forEach(event => {
         event._calendarName = calendar.displayName || calendar.url;
       });
-      allEvents = allEvents.concat(events);
+      filteredEvents = filteredEvents.concat(objects);
     }
 
-    let filteredEvents = allEvents;
-
-    if (validated.summary_filter) {
-      const summaryLower = validated.summary_filter.toLowerCase();
-      filteredEvents = filteredEvents.filter(event => {
-        const summary = event.data?.match(/SUMMARY:(.+)/)?.[1] || '';
-        return summary.toLowerCase().includes(summaryLower);
-      });
-    }
-
-    if (validated.location_filter) {
-      const locationLower = validated.location_filter.toLowerCase();
-      filteredEvents = filteredEvents.filter(event => {
-        const location = event.data?.match(/LOCATION:(.+)/)?.[1] || '';
-        return location.toLowerCase().includes(locationLower);
-      });
+    // Expand recurring series into the occurrences that fall inside the range
+    if (timeRangeOptions.timeRange) {
+      filteredEvents = expandRecurringEvents(
+        filteredEvents,
+        timeRangeOptions.timeRange.start,
+        timeRangeOptions.timeRange.end
+      );
     }
 
     // Determine calendar name for display
@@ -93,6 +127,7 @@ export const calendarQuery = {
       ? (calendarsToSearch[0].displayName || calendarsToSearch[0].url)
       : `All Calendars (${calendarsToSearch.length})`;
 
-    return formatEventList(filteredEvents, calendarName);
+    const page = paginate(sortObjects(filteredEvents, 'events', validated.sort_by), validated);
+    return formatEventList(page.items, calendarName, page);
   },
 };
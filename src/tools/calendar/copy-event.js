@@ -0,0 +1,54 @@
+import { tsdavManager } from '../../tsdav-client.js';
+import { validateInput, copyEventSchema } from '../../validation.js';
+import { formatSuccess, extractPropertyValue } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
+import { findCalendarOrThrow } from '../shared/helpers.js';
+import { transferCalendarObject } from '../shared/transfer.js';
+
+/**
+ * Copy an event or todo to another calendar, keeping its UID and properties
+ */
+export const copyEvent = {
+  name: 'copy_event',
+  description: 'Copy an event or todo to another calendar (e.g., "also put this in the family calendar"). The original stays in place; the copy keeps the UID, attendees, reminders and all other properties. Returns the new URL and etag.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      event_url: {
+        type: 'string',
+        description: 'The URL of the event or todo to copy',
+      },
+      event_etag: {
+        type: 'string',
+        description: 'The etag of the event or todo',
+      },
+      target_calendar_url: {
+        type: 'string',
+        description: 'The URL of the calendar to copy it to',
+      },
+    },
+    required: ['event_url', 'event_etag', 'target_calendar_url'],
+  },
+  outputSchema: writeResultOutputSchema,
+  handler: async (args) => {
+    const validated = validateInput(copyEventSchema, args);
+    const client = tsdavManager.getCalDavClient();
+    const calendars = await client.fetchCalendars();
+    const targetCalendar = findCalendarOrThrow(calendars, validated.target_calendar_url);
+
+    const result = await transferCalendarObject(client, {
+      mode: 'copy',
+      sourceUrl: validated.event_url,
+      etag: validated.event_etag,
+      targetCalendar,
+    });
+
+    return formatSuccess('Event copied successfully', {
+      url: result.url,
+      etag: result.etag,
+      component: result.component,
+      strategy: result.strategy,
+      message: `Copied to ${extractPropertyValue(targetCalendar.displayName) || targetCalendar.url}${result.etag ? '' : '. Fetch the object to get its new etag.'}`,
+    });
+  },
+};
@@ -1,14 +1,30 @@
 import { tsdavManager } from '../../tsdav-client.js';
-import { validateInput, createEventSchema, sanitizeICalString } from '../../validation.js';
+import { validateInput, createEventSchema, sanitizeICalString, isAllDayInput } from '../../validation.js';
 import { formatSuccess } from '../../formatters.js';
-import { formatICalDate, generateUID, findCalendarOrThrow } from '../shared/helpers.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
+import { formatICalDate, formatICalDateOnly, generateUID, findCalendarOrThrow } from '../shared/helpers.js';
+import { recurrenceInputSchema, buildRecurrenceLines, countOccurrences } from '../shared/recurrence.js';
+import {
+  createOrganizerProperty,
+  createAttendeeProperty,
+  organizerInputSchema,
+  attendeeInputSchema,
+} from '../shared/attendees.js';
+import { notifyAttendees, notifyAttendeesInputSchema } from '../shared/scheduling.js';
+import { alarmInputSchema, addAlarms, copyAlarms, fetchDefaultAlarms } from '../shared/alarms.js';
+import { parseICalComponent } from '../shared/ical-component.js';
+import { buildVTimezoneLines, formatZonedDateProperty } from '../shared/timezones.js';
+import { checkConflicts, checkConflictsInputSchema, allowConflictsInputSchema } from '../shared/conflicts.js';
+import { conferenceInputSchema, buildConferenceLine } from '../shared/conference.js';
+
+const DEFAULT_PREVIEW_WEEKS = 4;
 
 /**
  * Create a new calendar event
  */
 export const createEvent = {
   name: 'create_event',
-  description: 'Create a new calendar event with title, date, time, optional description and location',
+  description: 'Create a new calendar event with title, date, time, optional description and location, and optional categories, classification (public/private), free/busy transparency, priority, link, status, color and video call links (conferences). Supports all-day and multi-day events (holidays, vacations, birthdays), double-booking checks via check_conflicts, recurring events (e.g., "weekly standup every Monday until March") via recurrence, exdates and rdates, and meeting invitations via organizer and attendees.',
   inputSchema: {
     type: 'object',
     properties: {
@@ -22,11 +38,19 @@ export const createEvent = {
       },
       start_date: {
         type: 'string',
-        description: 'Start date in ISO 8601 format',
+        description: 'Start date in ISO 8601 format. Without an offset it is read in timezone, if given. A date without time (YYYY-MM-DD) creates an all-day event.',
       },
       end_date: {
         type: 'string',
-        description: 'End date in ISO 8601 format',
+        description: 'End date in ISO 8601 format. For all-day events: the last day (YYYY-MM-DD, inclusive), optional for single-day events.',
+      },
+      all_day: {
+        type: 'boolean',
+        description: 'Optional: All-day event without times (default: true when start_date is YYYY-MM-DD)',
+      },
+      timezone: {
+        type: 'string',
+        description: 'Optional: IANA timezone the event is anchored to (e.g., Europe/Berlin). Keeps the local time across DST changes, e.g. "9am Berlin" stays 9am in summer and winter.',
       },
       description: {
         type: 'string',
@@ -36,9 +60,79 @@ export const createEvent = {
         type: 'string',
         description: 'Event location (optional)',
       },
+      categories: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Optional: Categories/tags (e.g., ["Work", "Travel"])',
+      },
+      class: {
+        type: 'string',
+        enum: ['PUBLIC', 'PRIVATE', 'CONFIDENTIAL'],
+        description: 'Optional: Access classification. PRIVATE/CONFIDENTIAL events are hidden or shown as busy to people the calendar is shared with (default: PUBLIC)',
+      },
+      transp: {
+        type: 'string',
+        enum: ['OPAQUE', 'TRANSPARENT'],
+        description: 'Optional: OPAQUE blocks time (busy), TRANSPARENT does not (free, e.g. reminders or focus time). Default: OPAQUE',
+      },
+      priority: {
+        type: 'number',
+        description: 'Optional priority: 0=none, 1-3=high, 4-6=medium, 7-9=low',
+      },
+      url: {
+        type: 'string',
+        description: 'Optional: Link for the event (e.g., agenda or ticket page)',
+      },
+      status: {
+        type: 'string',
+        enum: ['TENTATIVE', 'CONFIRMED', 'CANCELLED'],
+        description: 'Optional: Event status',
+      },
+      color: {
+        type: 'string',
+        description: 'Optional: Display color as a CSS3 color name (e.g., "tomato", "darkblue")',
+      },
+      conferences: {
+        type: 'array',
+        items: conferenceInputSchema,
+        description: 'Optional: Video call links and dial-ins (RFC 7986 CONFERENCE), e.g. [{"uri": "https://zoom.us/j/123", "features": ["AUDIO", "VIDEO"], "label": "Zoom"}]',
+      },
+      recurrence: {
+        ...recurrenceInputSchema,
+        description: 'Optional: Recurrence rule (RRULE). start_date is the first occurrence. Use either count or until, not both.',
+      },
+      exdates: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Optional: Occurrence start times to skip (ISO 8601), e.g. holidays',
+      },
+      rdates: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Optional: Extra occurrence start times outside the rule (ISO 8601)',
+      },
+      preview_weeks: {
+        type: 'number',
+        description: 'Optional: Report how many occurrences fall in the next N weeks (default: 4)',
+      },
+      organizer: organizerInputSchema,
+      attendees: {
+        type: 'array',
+        items: attendeeInputSchema,
+        description: 'Optional: Meeting attendees. Requires organizer.',
+      },
+      notify_attendees: notifyAttendeesInputSchema,
+      alarms: {
+        type: 'array',
+        items: alarmInputSchema,
+        description: 'Optional: Reminders (e.g., [{"trigger": "-PT15M"}]). Defaults to the calendar\'s default reminders; pass [] for none.',
+      },
+      check_conflicts: checkConflictsInputSchema,
+      allow_conflicts: allowConflictsInputSchema,
     },
-    required: ['calendar_url', 'summary', 'start_date', 'end_date'],
+    required: ['calendar_url', 'summary', 'start_date'],
   },
+  outputSchema: writeResultOutputSchema,
   handler: async (args) => {
     const validated = validateInput(createEventSchema, args);
     const client = tsdavManager.getCalDavClient();
@@ -52,28 +146,148 @@ export const createEvent = {
     const description = validated.description ? sanitizeICalString(validated.description) : '';
     const location = validated.location ? sanitizeICalString(validated.location) : '';
 
-    const iCalString = `BEGIN:VCALENDAR
+    const allDay = isAllDayInput(validated);
+    const recurrenceLines = buildRecurrenceLines({ ...validated, allDay });
+    const isRecurring = recurrenceLines.length > 0;
+
+    const participantLines = [];
+    if (validated.organizer) {
+      participantLines.push(createOrganizerProperty(validated.organizer).toICALString());
+    }
+    (validated.attendees || []).forEach(attendee => {
+      participantLines.push(createAttendeeProperty(attendee).toICALString());
+    });
+    const propertyLines = [];
+    if (validated.categories?.length) {
+      propertyLines.push(`CATEGORIES:${validated.categories.map(sanitizeICalString).join(',')}`);
+    }
+    if (validated.class) {
+      propertyLines.push(`CLASS:${validated.class}`);
+    }
+    if (validated.transp) {
+      propertyLines.push(`TRANSP:${validated.transp}`);
+    }
+    if (validated.priority !== undefined) {
+      propertyLines.push(`PRIORITY:${validated.priority}`);
+    }
+    if (validated.url) {
+      propertyLines.push(`URL:${validated.url}`);
+    }
+    if (validated.status) {
+      propertyLines.push(`STATUS:${validated.status}`);
+    }
+    if (validated.color) {
+      propertyLines.push(`COLOR:${validated.color}`);
+    }
+    (validated.conferences || []).forEach(conference => {
+      propertyLines.push(buildConferenceLine(conference));
+    });
+
+    const extraLines = [...propertyLines, ...recurrenceLines, ...participantLines];
+
+    // With a timezone, DTSTART/DTEND are local times with TZID and a matching VTIMEZONE
+    const timezoneLines = validated.timezone ? buildVTimezoneLines(validated.timezone, validated.start_date) : [];
+    let dateLines;
+    if (allDay) {
+      // DTEND of a DATE event is exclusive: the day after the last day
+      dateLines = [
+        `DTSTART;VALUE=DATE:${formatICalDateOnly(validated.start_date)}`,
+        `DTEND;VALUE=DATE:${formatICalDateOnly(validated.end_date || validated.start_date, 1)}`,
+      ];
+    } else if (validated.timezone) {
+      dateLines = [
+        formatZonedDateProperty('DTSTART', validated.start_date, validated.timezone),
+        formatZonedDateProperty('DTEND', validated.end_date, validated.timezone),
+      ];
+    } else {
+      dateLines = [
+        `DTSTART:${formatICalDate(new Date(validated.start_date))}`,
+        `DTEND:${formatICalDate(new Date(validated.end_date))}`,
+      ];
+    }
+
+    let iCalString = `BEGIN:VCALENDAR
 VERSION:2.0
-PRODID:-//tsdav-mcp-server//EN
+PRODID:-//tsdav-mcp-server//EN${timezoneLines.length > 0 ? `\n${timezoneLines.join('\n')}` : ''}
 BEGIN:VEVENT
 UID:${uid}
 DTSTAMP:${formatICalDate(now)}
-DTSTART:${formatICalDate(new Date(validated.start_date))}
-DTEND:${formatICalDate(new Date(validated.end_date))}
-SUMMARY:${summary}${description ? `\nDESCRIPTION:${description}` : ''}${location ? `\nLOCATION:${location}` : ''}
+${dateLines.join('\n')}
+SUMMARY:${summary}${description ? `\nDESCRIPTION:${description}` : ''}${location ? `\nLOCATION:${location}` : ''}${extraLines.length > 0 ? `\n${extraLines.join('\n')}` : ''}
 END:VEVENT
 END:VCALENDAR`;
 
+    // Explicit reminders replace the calendar defaults; [] means no reminders
+    const defaultAlarms = validated.alarms ? [] : await fetchDefaultAlarms(client, calendar.url, { allDay });
+    const alarmCount = validated.alarms ? validated.alarms.length : defaultAlarms.length;
+
+    if (alarmCount > 0) {
+      const vcalendar = parseICalComponent(iCalString);
+      const vevent = vcalendar.getFirstSubcomponent('vevent');
+      if (validated.alarms) {
+        addAlarms(vevent, validated.alarms);
+      } else {
+        copyAlarms(vevent, defaultAlarms);
+      }
+      iCalString = vcalendar.toString();
+    }
+
+    const conflicts = await checkConflicts(client, {
+      scope: validated.check_conflicts,
+      allowConflicts: validated.allow_conflicts,
+      calendarUrl: calendar.url,
+      icalData: iCalString,
+    });
+
     const response = await client.createCalendarObject({
       calendar,
       filename: `${uid}.ics`,
       iCalString,
     });
 
-    return formatSuccess('Event created successfully', {
+    const details = {
       url: response.url,
       etag: response.etag,
       summary: validated.summary,
-    });
+    };
+
+    if (allDay) {
+      details.all_day = true;
+    }
+
+    if (validated.timezone) {
+      details.timezone = validated.timezone;
+    }
+
+    if (alarmCount > 0) {
+      details.alarms = alarmCount;
+    }
+
+    if (conflicts?.length) {
+      details.conflicts = conflicts;
+    }
+
+    if (validated.attendees?.length) {
+      details.attendees = validated.attendees.map(attendee => attendee.email);
+
+      if (validated.notify_attendees !== false) {
+        const schedulingInfo = await tsdavManager.getSchedulingInfo();
+        details.scheduling = await notifyAttendees(client, schedulingInfo, iCalString, 'REQUEST');
+      }
+    }
+
+    if (isRecurring) {
+      // Preview how many occurrences the rule produces from now on
+      const previewWeeks = validated.preview_weeks || DEFAULT_PREVIEW_WEEKS;
+      const previewEnd = new Date(now.getTime() + previewWeeks * 7 * 24 * 60 * 60 * 1000);
+      const occurrences = countOccurrences(iCalString, now, previewEnd);
+
+      details.recurrence = recurrenceLines;
+      details.occurrences_in_preview = occurrences;
+      details.preview_weeks = previewWeeks;
+      details.message = `Recurring event: ${occurrences} occurrence(s) in the next ${previewWeeks} week(s)`;
+    }
+
+    return formatSuccess('Event created successfully', details);
   },
 };
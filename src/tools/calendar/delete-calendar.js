@@ -1,6 +1,7 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, deleteCalendarSchema } from '../../validation.js';
 import { formatCalendarDeleteSuccess } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
 
 /**
  * Permanently delete a calendar and all its events
@@ -18,6 +19,7 @@ export const deleteCalendar = {
     },
     required: ['calendar_url'],
   },
+  outputSchema: writeResultOutputSchema,
   handler: async (args) => {
     const validated = validateInput(deleteCalendarSchema, args);
     const client = tsdavManager.getCalDavClient();
@@ -1,13 +1,16 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, deleteEventSchema } from '../../validation.js';
 import { formatSuccess } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
+import { fetchCalendarObjectByUrl, checkWriteResponse } from '../shared/helpers.js';
+import { notifyAttendees, notifyAttendeesInputSchema } from '../shared/scheduling.js';
 
 /**
  * Delete a calendar event permanently
  */
 export const deleteEvent = {
   name: 'delete_event',
-  description: 'Delete a calendar event permanently. Requires event URL and etag',
+  description: 'Delete a calendar event permanently. Requires event URL and etag. Attendees of meetings you organize receive a cancellation.',
   inputSchema: {
     type: 'object',
     properties: {
@@ -19,19 +22,35 @@ export const deleteEvent = {
         type: 'string',
         description: 'The etag of the event',
       },
+      notify_attendees: notifyAttendeesInputSchema,
     },
     required: ['event_url', 'event_etag'],
   },
+  outputSchema: writeResultOutputSchema,
   handler: async (args) => {
     const validated = validateInput(deleteEventSchema, args);
     const client = tsdavManager.getCalDavClient();
 
-    await client.deleteCalendarObject({
+    // Read the meeting before it is gone so attendees can be sent a CANCEL
+    const calendarObject = validated.notify_attendees !== false
+      ? await fetchCalendarObjectByUrl(client, validated.event_url)
+      : null;
+
+    const response = await client.deleteCalendarObject({
       calendarObject: {
         url: validated.event_url,
         etag: validated.event_etag,
       },
     });
+    checkWriteResponse(response, 'Deleting', validated.event_url);
+
+    if (calendarObject) {
+      const schedulingInfo = await tsdavManager.getSchedulingInfo();
+      const scheduling = await notifyAttendees(client, schedulingInfo, calendarObject.data, 'CANCEL');
+      if (scheduling) {
+        return formatSuccess('Event deleted successfully', { scheduling });
+      }
+    }
 
     return formatSuccess('Event deleted successfully');
   },
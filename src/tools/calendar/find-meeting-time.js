@@ -0,0 +1,157 @@
+import { tsdavManager } from '../../tsdav-client.js';
+import { validateInput, findMeetingTimeSchema } from '../../validation.js';
+import { formatMeetingSlots, extractPropertyValue } from '../../formatters.js';
+import { meetingSlotsOutputSchema } from '../../output-schemas.js';
+import { fetchCalendarBusyPeriods } from '../shared/freebusy.js';
+import { queryAttendeeFreeBusy } from '../shared/scheduling.js';
+import { findMeetingSlots, DEFAULT_WORKING_HOURS } from '../shared/meeting-slots.js';
+import { getDisplayTimezone, zonedTimeToDate } from '../shared/timezones.js';
+
+/**
+ * Suggest meeting times that fit every participant's free/busy time
+ * Other users are queried via the CalDAV scheduling outbox (VFREEBUSY), calendars via free-busy-query
+ */
+export const findMeetingTime = {
+  name: 'find_meeting_time',
+  description: 'Find meeting times when all participants are free, within working hours. Use for "find 30 minutes with Anna and Bob next week", "when can the team meet for an hour?". Participants are attendee emails (users on the same CalDAV server) and/or calendar URLs. Returns ranked candidate slots.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      attendees: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Optional: Emails of other users on the same server. Their free/busy time is requested via the scheduling outbox.',
+      },
+      calendar_urls: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Optional: Calendar URLs to check (e.g., calendars shared by team members)',
+      },
+      include_my_calendars: {
+        type: 'boolean',
+        description: 'Optional: Also avoid busy time in all of your own calendars (default: true)',
+      },
+      duration_minutes: {
+        type: 'number',
+        description: 'Meeting length in minutes',
+      },
+      window_start: {
+        type: 'string',
+        description: 'Earliest meeting start (ISO 8601). Without an offset it is read in timezone.',
+      },
+      window_end: {
+        type: 'string',
+        description: 'Latest meeting end (ISO 8601, at most 62 days after window_start)',
+      },
+      working_hours: {
+        type: 'object',
+        description: 'Optional: Working hours (default: 09:00-17:00, Monday to Friday)',
+        properties: {
+          start: { type: 'string', description: 'Start of the working day (HH:MM)' },
+          end: { type: 'string', description: 'End of the working day (HH:MM)' },
+          days: {
+            type: 'array',
+            items: { type: 'string', enum: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'] },
+            description: 'Working days (default: MO-FR)',
+          },
+        },
+        required: ['start', 'end'],
+      },
+      timezone: {
+        type: 'string',
+        description: 'Optional: IANA timezone of the working hours (default: DISPLAY_TIMEZONE or UTC)',
+      },
+      buffer_minutes: {
+        type: 'number',
+        description: 'Optional: Free minutes required before and after the meeting (default: 0)',
+      },
+      preferred_time: {
+        type: 'string',
+        description: 'Optional: Preferred time of day: "morning", "midday", "afternoon" or HH:MM. Slots closer to it rank higher.',
+      },
+      max_results: {
+        type: 'number',
+        description: 'Optional: Number of suggestions (default: 5)',
+      },
+    },
+    required: ['duration_minutes', 'window_start', 'window_end'],
+  },
+  outputSchema: meetingSlotsOutputSchema,
+  handler: async (args) => {
+    const validated = validateInput(findMeetingTimeSchema, args);
+    const client = tsdavManager.getCalDavClient();
+    const timezone = validated.timezone || getDisplayTimezone();
+    const start = zonedTimeToDate(validated.window_start, timezone);
+    const end = zonedTimeToDate(validated.window_end, timezone);
+
+    const busy = [];
+    const participants = [];
+    const unavailable = [];
+
+    const calendars = await client.fetchCalendars();
+    const selected = [];
+    if (validated.include_my_calendars !== false) {
+      selected.push(...calendars.filter(calendar => !calendar.components || calendar.components.includes('VEVENT')));
+    }
+    (validated.calendar_urls || []).forEach(url => {
+      if (!selected.some(calendar => calendar.url === url)) {
+        // Calendars of other users need not be in our own calendar list
+        selected.push(calendars.find(calendar => calendar.url === url) || { url });
+      }
+    });
+
+    for (const calendar of selected) {
+      const { periods, source } = await fetchCalendarBusyPeriods(client, calendar, start, end);
+      busy.push(...periods);
+      participants.push({ name: extractPropertyValue(calendar.displayName) || calendar.url, source });
+    }
+
+    if (validated.attendees?.length) {
+      const schedulingInfo = await tsdavManager.getSchedulingInfo();
+      const originator = schedulingInfo?.userAddresses?.[0];
+      if (!originator) {
+        throw new Error('Cannot determine your calendar user address, which is needed to request free/busy time of attendees. Pass their calendar URLs instead.');
+      }
+
+      const results = await queryAttendeeFreeBusy(client, schedulingInfo, {
+        originator,
+        attendees: validated.attendees,
+        start,
+        end,
+      });
+
+      results.forEach(result => {
+        if (result.periods) {
+          busy.push(...result.periods);
+          participants.push({ name: result.email, source: 'outbox' });
+        } else {
+          unavailable.push({ email: result.email, status: result.status });
+        }
+      });
+    }
+
+    const workingHours = { ...DEFAULT_WORKING_HOURS, ...validated.working_hours };
+    const slots = findMeetingSlots({
+      busy,
+      start,
+      end,
+      durationMinutes: validated.duration_minutes,
+      bufferMinutes: validated.buffer_minutes || 0,
+      workingHours,
+      timezone,
+      preferredTime: validated.preferred_time,
+      maxResults: validated.max_results || 5,
+    });
+
+    return formatMeetingSlots({
+      slots,
+      durationMinutes: validated.duration_minutes,
+      bufferMinutes: validated.buffer_minutes || 0,
+      workingHours,
+      timezone,
+      preferredTime: validated.preferred_time,
+      participants,
+      unavailable,
+    });
+  },
+};
@@ -0,0 +1,73 @@
+import { tsdavManager } from '../../tsdav-client.js';
+import { validateInput, freeBusyQuerySchema } from '../../validation.js';
+import { formatFreeBusy, extractPropertyValue } from '../../formatters.js';
+import { freeBusyOutputSchema } from '../../output-schemas.js';
+import { findCalendarOrThrow } from '../shared/helpers.js';
+import { fetchCalendarBusyPeriods, mergeBusyPeriods, findFreeSlots } from '../shared/freebusy.js';
+
+const DEFAULT_MIN_FREE_MINUTES = 30;
+
+/**
+ * Report busy periods and open slots across calendars
+ * Uses the CALDAV:free-busy-query REPORT and falls back to computing busy time from events
+ */
+export const freeBusyQuery = {
+  name: 'free_busy_query',
+  description: 'Find busy times and open slots across calendars without loading every event. Use for "when am I free Thursday afternoon?", "do I have an hour tomorrow morning?". Tentative events count as busy; transparent (free) and cancelled events do not.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      time_range_start: {
+        type: 'string',
+        description: 'Start datetime (ISO 8601, e.g., 2025-10-30T12:00:00Z)',
+      },
+      time_range_end: {
+        type: 'string',
+        description: 'End datetime (ISO 8601, at most one year after the start)',
+      },
+      calendar_urls: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Optional: Calendars to check. Omit to check all calendars.',
+      },
+      min_free_minutes: {
+        type: 'number',
+        description: `Optional: Only report open slots of at least this many minutes (default: ${DEFAULT_MIN_FREE_MINUTES})`,
+      },
+    },
+    required: ['time_range_start', 'time_range_end'],
+  },
+  outputSchema: freeBusyOutputSchema,
+  handler: async (args) => {
+    const validated = validateInput(freeBusyQuerySchema, args);
+    const client = tsdavManager.getCalDavClient();
+    const calendars = await client.fetchCalendars();
+
+    const selected = validated.calendar_urls
+      ? validated.calendar_urls.map(url => findCalendarOrThrow(calendars, url))
+      : calendars.filter(calendar => !calendar.components || calendar.components.includes('VEVENT'));
+
+    const start = validated.time_range_start;
+    const end = validated.time_range_end;
+    const busy = [];
+    const sources = [];
+
+    for (const calendar of selected) {
+      const { periods, source } = await fetchCalendarBusyPeriods(client, calendar, start, end);
+      busy.push(...periods);
+      sources.push({ name: extractPropertyValue(calendar.displayName) || calendar.url, url: calendar.url, source });
+    }
+
+    const minFreeMinutes = validated.min_free_minutes || DEFAULT_MIN_FREE_MINUTES;
+    const merged = mergeBusyPeriods(busy);
+
+    return formatFreeBusy({
+      start: new Date(start),
+      end: new Date(end),
+      busy: merged,
+      free: findFreeSlots(merged, start, end, minFreeMinutes),
+      minFreeMinutes,
+      calendars: sources,
+    });
+  },
+};
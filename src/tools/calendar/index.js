@@ -8,8 +8,18 @@ export { listEvents } from './list-events.js';
 export { createEvent } from './create-event.js';
 export { updateEventFields } from './update-event-fields.js';
 export { updateEventRaw } from './update-event-raw.js';
+export { updateEventOccurrence } from './update-event-occurrence.js';
+export { manageEventAttendees } from './manage-event-attendees.js';
+export { listInvitations } from './list-invitations.js';
+export { respondToInvitation } from './respond-to-invitation.js';
+export { manageAlarms } from './manage-alarms.js';
+export { manageAttachments } from './manage-attachments.js';
 export { deleteEvent } from './delete-event.js';
+export { moveEvent } from './move-event.js';
+export { copyEvent } from './copy-event.js';
 export { calendarQuery } from './calendar-query.js';
+export { freeBusyQuery } from './free-busy-query.js';
+export { findMeetingTime } from './find-meeting-time.js';
 export { makeCalendar } from './make-calendar.js';
 export { updateCalendar } from './update-calendar.js';
 export { deleteCalendar } from './delete-calendar.js';
@@ -1,5 +1,6 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { formatCalendarList } from '../../formatters.js';
+import { calendarListOutputSchema } from '../../output-schemas.js';
 
 /**
  * List all available calendars from the CalDAV server
@@ -12,6 +13,7 @@ export const listCalendars = {
     properties: {},
     required: [],
   },
+  outputSchema: calendarListOutputSchema,
   handler: async () => {
     const client = tsdavManager.getCalDavClient();
     const calendars = await client.fetchCalendars();
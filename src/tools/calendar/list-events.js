@@ -1,14 +1,17 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, listEventsSchema } from '../../validation.js';
 import { formatEventList } from '../../formatters.js';
+import { eventListOutputSchema } from '../../output-schemas.js';
 import { findCalendarOrThrow, buildTimeRangeOptions } from '../shared/helpers.js';
+import { expandRecurringEvents } from '../shared/recurrence.js';
+import { paginationInputProperties, sortObjects, paginate } from '../shared/pagination.js';
 
 /**
  * List ALL events from a single calendar without filtering
  */
 export const listEvents = {
   name: 'list_events',
-  description: 'List ALL events from a single calendar without filtering. WARNING: Returns all events which can be many thousands - use calendar_query instead for searching with filters (supports multi-calendar search).',
+  description: 'List ALL events from a single calendar without filtering, sorted by start and paginated (limit/offset). WARNING: Calendars can hold many thousands of events - use calendar_query instead for searching with filters (supports multi-calendar search).',
   inputSchema: {
     type: 'object',
     properties: {
@@ -18,15 +21,17 @@ export const listEvents = {
       },
       time_range_start: {
         type: 'string',
-        description: 'Optional: Start date in ISO 8601 format (e.g., 2025-01-01T00:00:00.000Z)',
+        description: 'Optional: Start date in ISO 8601 format (e.g., 2025-01-01T00:00:00.000Z). When set, recurring events are expanded into individual occurrences.',
       },
       time_range_end: {
         type: 'string',
         description: 'Optional: End date in ISO 8601 format',
       },
+      ...paginationInputProperties('events'),
     },
     required: ['calendar_url'],
   },
+  outputSchema: eventListOutputSchema,
   handler: async (args) => {
     const validated = validateInput(listEventsSchema, args);
     const client = tsdavManager.getCalDavClient();
@@ -36,8 +41,14 @@ export const listEvents = {
     const timeRangeOptions = buildTimeRangeOptions(validated.time_range_start, validated.time_range_end);
     const options = { calendar, ...timeRangeOptions };
 
-    const events = await client.fetchCalendarObjects(options);
+    let events = await client.fetchCalendarObjects(options);
 
-    return formatEventList(events, calendar);
+    // Expand recurring series into the occurrences that fall inside the range
+    if (timeRangeOptions.timeRange) {
+      events = expandRecurringEvents(events, timeRangeOptions.timeRange.start, timeRangeOptions.timeRange.end);
+    }
+
+    const page = paginate(sortObjects(events, 'events', validated.sort_by), validated);
+    return formatEventList(page.items, calendar, page);
   },
 };
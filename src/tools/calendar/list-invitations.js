@@ -0,0 +1,52 @@
+import { tsdavManager } from '../../tsdav-client.js';
+import { validateInput, listInvitationsSchema } from '../../validation.js';
+import { formatInvitationList } from '../../formatters.js';
+import { invitationListOutputSchema } from '../../output-schemas.js';
+import { getItipMethod, findUserAttendee } from '../shared/itip.js';
+
+/**
+ * List meeting invitations (iTIP REQUEST) from the principal's scheduling inbox (RFC 6638)
+ */
+export const listInvitations = {
+  name: 'list_invitations',
+  description: 'List pending meeting invitations from the CalDAV scheduling inbox. Use this when user asks "do I have new invitations?" or before respond_to_invitation to get the invitation URL.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      include_responded: {
+        type: 'boolean',
+        description: 'Optional: Also list invitations the user already responded to (default: false, only NEEDS-ACTION)',
+      },
+    },
+  },
+  outputSchema: invitationListOutputSchema,
+  handler: async (args) => {
+    const validated = validateInput(listInvitationsSchema, args);
+    const client = tsdavManager.getCalDavClient();
+    const schedulingInfo = await tsdavManager.getSchedulingInfo();
+
+    if (!schedulingInfo.inboxUrl) {
+      throw new Error(
+        'This server does not advertise a CalDAV scheduling inbox (RFC 6638).\n\n' +
+        'Invitations can only be read from servers with CalDAV scheduling support.'
+      );
+    }
+
+    const objects = await client.fetchCalendarObjects({
+      calendar: { url: schedulingInfo.inboxUrl },
+    });
+
+    const invitations = objects
+      .filter(object => object.data && getItipMethod(object.data) === 'REQUEST')
+      .map(object => ({
+        ...object,
+        method: 'REQUEST',
+        attendee: findUserAttendee(object.data, schedulingInfo.userAddresses),
+      }))
+      .filter(invitation => validated.include_responded
+        || !invitation.attendee
+        || invitation.attendee.partstat === 'NEEDS-ACTION');
+
+    return formatInvitationList(invitations);
+  },
+};
@@ -1,6 +1,7 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, makeCalendarSchema } from '../../validation.js';
 import { formatSuccess } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
 import { getCalendarHome, sanitizeNameForUrl } from '../shared/helpers.js';
 
 /**
@@ -39,6 +40,7 @@ export const makeCalendar = {
     },
     required: ['display_name'],
   },
+  outputSchema: writeResultOutputSchema,
   handler: async (args) => {
     const validated = validateInput(makeCalendarSchema, args);
     const client = tsdavManager.getCalDavClient();
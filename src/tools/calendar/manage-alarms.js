@@ -0,0 +1,106 @@
+import { tsdavManager } from '../../tsdav-client.js';
+import { validateInput, manageAlarmsSchema } from '../../validation.js';
+import { formatSuccess } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
+import { fetchCalendarObjectByUrl, checkWriteResponse } from '../shared/helpers.js';
+import { parseICalComponent, getMasterComponent, touchComponent } from '../shared/ical-component.js';
+import { alarmInputSchema, addAlarms, listAlarms, removeAlarms } from '../shared/alarms.js';
+
+/**
+ * List, add and remove VALARM reminders on an event or todo
+ * Added reminders go to the series master; removals also apply to RECURRENCE-ID overrides
+ */
+export const manageAlarms = {
+  name: 'manage_alarms',
+  description: 'List, add or remove reminders (VALARM) on an event or todo. Use for "remind me 15 minutes before", "email me a day before the deadline", "remove the reminder". Call with only object_url to list existing reminders.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      object_url: {
+        type: 'string',
+        description: 'The URL of the event or todo',
+      },
+      object_etag: {
+        type: 'string',
+        description: 'The etag of the event or todo (required when adding or removing reminders)',
+      },
+      add: {
+        type: 'array',
+        items: alarmInputSchema,
+        description: 'Optional: Reminders to add',
+      },
+      remove: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Optional: Reminders to remove, by UID or by position as listed (e.g., "1" for the first)',
+      },
+      remove_all: {
+        type: 'boolean',
+        description: 'Optional: Remove all reminders',
+      },
+    },
+    required: ['object_url'],
+  },
+  outputSchema: writeResultOutputSchema,
+  handler: async (args) => {
+    const validated = validateInput(manageAlarmsSchema, args);
+    const client = tsdavManager.getCalDavClient();
+
+    const calendarObject = await fetchCalendarObjectByUrl(client, validated.object_url);
+    const vcalendar = parseICalComponent(calendarObject.data);
+    const componentName = vcalendar.getFirstSubcomponent('vevent') ? 'vevent' : 'vtodo';
+    const master = getMasterComponent(vcalendar, componentName);
+    const overrides = vcalendar.getAllSubcomponents(componentName).filter(c => c !== master);
+
+    const hasChanges = validated.add?.length || validated.remove?.length || validated.remove_all;
+
+    if (!hasChanges) {
+      const alarms = listAlarms(master);
+      return formatSuccess('Reminders listed successfully', {
+        url: validated.object_url,
+        etag: calendarObject.etag,
+        alarms,
+        message: `${alarms.length} reminder(s)`,
+      });
+    }
+
+    const summary = [];
+
+    if (validated.remove_all) {
+      const count = [master, ...overrides]
+        .reduce((total, component) => total + component.getAllSubcomponents('valarm').length, 0);
+      [master, ...overrides].forEach(component => component.removeAllSubcomponents('valarm'));
+      summary.push(`removed ${count} reminder(s)`);
+    } else if (validated.remove?.length) {
+      const { removed, notFound } = removeAlarms([master, ...overrides], validated.remove);
+      summary.push(`removed ${removed} reminder(s)`);
+      if (notFound.length) {
+        summary.push(`not found: ${notFound.join(', ')}`);
+      }
+    }
+
+    if (validated.add?.length) {
+      addAlarms(master, validated.add);
+      summary.push(`added ${validated.add.length} reminder(s)`);
+    }
+
+    // Reminders are personal, so attendees do not need a new SEQUENCE
+    touchComponent(master, { significant: false });
+
+    const response = await client.updateCalendarObject({
+      calendarObject: {
+        url: validated.object_url,
+        data: vcalendar.toString(),
+        etag: validated.object_etag,
+      },
+    });
+    const etag = checkWriteResponse(response, 'Updating', validated.object_url);
+
+    return formatSuccess('Reminders updated successfully', {
+      url: validated.object_url,
+      etag,
+      alarms: listAlarms(master),
+      message: summary.join('; '),
+    });
+  },
+};
@@ -0,0 +1,160 @@
+import { tsdavManager } from '../../tsdav-client.js';
+import { validateInput, manageAttachmentsSchema } from '../../validation.js';
+import { formatSuccess } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
+import { fetchCalendarObjectByUrl, checkWriteResponse } from '../shared/helpers.js';
+import { parseICalComponent, getMasterComponent, touchComponent } from '../shared/ical-component.js';
+import {
+  attachmentInputSchema,
+  createAttachProperty,
+  listAttachments,
+  findAttachments,
+  removeAttachments,
+  supportsManagedAttachments,
+  addManagedAttachment,
+  removeManagedAttachment,
+} from '../shared/attachments.js';
+
+/**
+ * Read the master component of a calendar object, event or todo
+ */
+function readMaster(calendarObject) {
+  const vcalendar = parseICalComponent(calendarObject.data);
+  const componentName = vcalendar.getFirstSubcomponent('vevent') ? 'vevent' : 'vtodo';
+  const master = getMasterComponent(vcalendar, componentName);
+  return { vcalendar, master, overrides: vcalendar.getAllSubcomponents(componentName).filter(c => c !== master) };
+}
+
+/**
+ * List, add and remove ATTACH properties on an event or todo
+ * Links and small files are stored in the calendar object; with managed, files are uploaded
+ * as RFC 8607 managed attachments and the server maintains the ATTACH property
+ */
+export const manageAttachments = {
+  name: 'manage_attachments',
+  description: 'List, add or remove attachments (ATTACH) on an event or todo, e.g. a meeting agenda link or a small document. Call with only object_url to list existing attachments. Set managed to upload files to servers with RFC 8607 managed attachments.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      object_url: {
+        type: 'string',
+        description: 'The URL of the event or todo',
+      },
+      object_etag: {
+        type: 'string',
+        description: 'The etag of the event or todo (required when adding or removing attachments)',
+      },
+      add: {
+        type: 'array',
+        items: attachmentInputSchema,
+        description: 'Optional: Attachments to add',
+      },
+      remove: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Optional: Attachments to remove, by position as listed (e.g., "1"), file name, URI or managed ID',
+      },
+      managed: {
+        type: 'boolean',
+        description: 'Optional: Upload and remove files as server-managed attachments (RFC 8607) instead of storing them inline',
+      },
+    },
+    required: ['object_url'],
+  },
+  outputSchema: writeResultOutputSchema,
+  handler: async (args) => {
+    const validated = validateInput(manageAttachmentsSchema, args);
+    const client = tsdavManager.getCalDavClient();
+
+    const calendarObject = await fetchCalendarObjectByUrl(client, validated.object_url);
+    const { vcalendar, master, overrides } = readMaster(calendarObject);
+
+    const hasChanges = validated.add?.length || validated.remove?.length;
+
+    if (!hasChanges) {
+      const attachments = listAttachments(master);
+      return formatSuccess('Attachments listed successfully', {
+        url: validated.object_url,
+        etag: calendarObject.etag,
+        attachments,
+        message: `${attachments.length} attachment(s)`,
+      });
+    }
+
+    const summary = [];
+
+    if (validated.managed) {
+      if (!(await supportsManagedAttachments(client, validated.object_url))) {
+        throw new Error('The server does not support managed attachments (RFC 8607). Omit managed to store files inline, or add them as links by uri.');
+      }
+
+      // Each POST changes the ETag; servers that do not return it are asked again
+      let etag = validated.object_etag;
+      const nextEtag = async (newEtag) => newEtag || (await fetchCalendarObjectByUrl(client, validated.object_url)).etag;
+
+      if (validated.remove?.length) {
+        const { properties, notFound } = findAttachments(master, validated.remove);
+        const managedIds = properties.map(property => property.getParameter('managed-id')).filter(Boolean);
+        for (const managedId of managedIds) {
+          const result = await removeManagedAttachment(client, validated.object_url, etag, managedId);
+          etag = await nextEtag(result.etag);
+        }
+        summary.push(`removed ${managedIds.length} attachment(s)`);
+        if (managedIds.length < properties.length) {
+          summary.push(`${properties.length - managedIds.length} not managed by the server (remove them without managed)`);
+        }
+        if (notFound.length) {
+          summary.push(`not found: ${notFound.join(', ')}`);
+        }
+      }
+
+      for (const attachment of validated.add || []) {
+        const result = await addManagedAttachment(client, validated.object_url, etag, attachment);
+        etag = await nextEtag(result.etag);
+      }
+      if (validated.add?.length) {
+        summary.push(`uploaded ${validated.add.length} attachment(s)`);
+      }
+
+      const updated = await fetchCalendarObjectByUrl(client, validated.object_url);
+      return formatSuccess('Attachments updated successfully', {
+        url: validated.object_url,
+        etag: updated.etag,
+        attachments: listAttachments(readMaster(updated).master),
+        message: summary.join('; '),
+      });
+    }
+
+    if (validated.remove?.length) {
+      const { removed, notFound } = removeAttachments([master, ...overrides], validated.remove);
+      summary.push(`removed ${removed} attachment(s)`);
+      if (notFound.length) {
+        summary.push(`not found: ${notFound.join(', ')}`);
+      }
+    }
+
+    if (validated.add?.length) {
+      validated.add.forEach(attachment => master.addProperty(createAttachProperty(attachment)));
+      summary.push(`added ${validated.add.length} attachment(s)`);
+    }
+
+    // Attachments do not change the meeting itself, so attendees do not need a new SEQUENCE
+    touchComponent(master, { significant: false });
+
+    const response = await client.updateCalendarObject({
+      calendarObject: {
+        url: validated.object_url,
+        data: vcalendar.toString(),
+        etag: validated.object_etag,
+      },
+    });
+    const etag = checkWriteResponse(response, 'Updating', validated.object_url);
+
+    return formatSuccess('Attachments updated successfully', {
+      url: validated.object_url,
+      etag,
+      attachments: listAttachments(master),
+      message: summary.join('; '),
+    });
+  },
+};
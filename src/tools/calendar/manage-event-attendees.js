@@ -0,0 +1,136 @@
+import { tsdavManager } from '../../tsdav-client.js';
+import { validateInput, manageEventAttendeesSchema } from '../../validation.js';
+import { formatSuccess } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
+import { fetchCalendarObjectByUrl, checkWriteResponse } from '../shared/helpers.js';
+import { parseICalComponent, getMasterComponent, touchComponent } from '../shared/ical-component.js';
+import {
+  setOrganizer,
+  addAttendee,
+  updateAttendee,
+  removeAttendee,
+  organizerInputSchema,
+  attendeeInputSchema,
+} from '../shared/attendees.js';
+import { notifyAttendees, notifyAttendeesInputSchema } from '../shared/scheduling.js';
+
+/**
+ * Add, update and remove event attendees and set the organizer
+ * Changes apply to the series master and all RECURRENCE-ID overrides
+ */
+export const manageEventAttendees = {
+  name: 'manage_event_attendees',
+  description: 'Turn an event into a meeting invitation or change its participants: set the ORGANIZER and add, update or remove ATTENDEEs with ROLE, PARTSTAT, RSVP and CUTYPE. Use for "invite Anna to the meeting", "make Bob optional", "remove Carol from the meeting".',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      event_url: {
+        type: 'string',
+        description: 'The URL of the event',
+      },
+      event_etag: {
+        type: 'string',
+        description: 'The etag of the event (required for conflict detection)',
+      },
+      organizer: organizerInputSchema,
+      add: {
+        type: 'array',
+        items: attendeeInputSchema,
+        description: 'Optional: Attendees to invite. Re-adding an existing email replaces that attendee.',
+      },
+      update: {
+        type: 'array',
+        items: attendeeInputSchema,
+        description: 'Optional: Existing attendees to change (matched by email). Only the given parameters are changed.',
+      },
+      remove: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Optional: Emails of attendees to remove',
+      },
+      notify_attendees: notifyAttendeesInputSchema,
+    },
+    required: ['event_url', 'event_etag'],
+  },
+  outputSchema: writeResultOutputSchema,
+  handler: async (args) => {
+    const validated = validateInput(manageEventAttendeesSchema, args);
+    const client = tsdavManager.getCalDavClient();
+
+    const calendarObject = await fetchCalendarObjectByUrl(client, validated.event_url);
+    const vcalendar = parseICalComponent(calendarObject.data);
+    const master = getMasterComponent(vcalendar);
+    const vevents = vcalendar.getAllSubcomponents('vevent');
+
+    const added = [];
+    const updated = [];
+    const removed = [];
+    const notFound = [];
+
+    // Overrides get the same changes; the result describes the master
+    vevents.forEach(vevent => {
+      const isMaster = vevent === master;
+
+      if (validated.organizer) {
+        setOrganizer(vevent, validated.organizer);
+      }
+      (validated.add || []).forEach(attendee => {
+        if (addAttendee(vevent, attendee) && isMaster) added.push(attendee.email);
+      });
+      (validated.update || []).forEach(attendee => {
+        const found = updateAttendee(vevent, attendee);
+        if (isMaster) (found ? updated : notFound).push(attendee.email);
+      });
+      (validated.remove || []).forEach(email => {
+        const found = removeAttendee(vevent, email);
+        if (isMaster) (found ? removed : notFound).push(email);
+      });
+
+      // ORGANIZER is required once an event has attendees (RFC 5545 section 3.8.4.3)
+      if (vevent.hasProperty('attendee') && !vevent.hasProperty('organizer')) {
+        throw new Error('Organizer is required when an event has attendees. Provide the organizer argument.');
+      }
+
+      touchComponent(vevent);
+    });
+
+    const updatedData = vcalendar.toString();
+    const response = await client.updateCalendarObject({
+      calendarObject: {
+        url: validated.event_url,
+        data: updatedData,
+        etag: validated.event_etag,
+      },
+    });
+    const etag = checkWriteResponse(response, 'Updating', validated.event_url);
+
+    // Remaining attendees get the updated meeting, removed ones a cancellation
+    const scheduling = [];
+    if (validated.notify_attendees !== false) {
+      const schedulingInfo = await tsdavManager.getSchedulingInfo();
+      scheduling.push(await notifyAttendees(client, schedulingInfo, updatedData, 'REQUEST'));
+      if (removed.length) {
+        scheduling.push(await notifyAttendees(client, schedulingInfo, calendarObject.data, 'CANCEL', { attendees: removed }));
+      }
+    }
+
+    const summary = [];
+    if (validated.organizer) summary.push(`organizer set to ${validated.organizer.email}`);
+    if (added.length) summary.push(`added ${added.join(', ')}`);
+    if (updated.length) summary.push(`updated ${updated.join(', ')}`);
+    if (removed.length) summary.push(`removed ${removed.join(', ')}`);
+    if (notFound.length) summary.push(`not invited: ${notFound.join(', ')}`);
+
+    return formatSuccess('Event attendees updated successfully', {
+      url: validated.event_url,
+      etag,
+      added,
+      updated,
+      removed,
+      not_found: notFound,
+      attendee_count: master.getAllProperties('attendee').length,
+      message: summary.join('; '),
+      scheduling: scheduling.filter(Boolean),
+    });
+  },
+};
@@ -0,0 +1,54 @@
+import { tsdavManager } from '../../tsdav-client.js';
+import { validateInput, moveEventSchema } from '../../validation.js';
+import { formatSuccess, extractPropertyValue } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
+import { findCalendarOrThrow } from '../shared/helpers.js';
+import { transferCalendarObject } from '../shared/transfer.js';
+
+/**
+ * Move an event or todo to another calendar, keeping its UID and properties
+ */
+export const moveEvent = {
+  name: 'move_event',
+  description: 'Move an event or todo to another calendar (e.g., "move this to my work calendar"). Keeps the UID, attendees, reminders and all other properties. Returns the new URL and etag.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      event_url: {
+        type: 'string',
+        description: 'The URL of the event or todo to move',
+      },
+      event_etag: {
+        type: 'string',
+        description: 'The etag of the event or todo',
+      },
+      target_calendar_url: {
+        type: 'string',
+        description: 'The URL of the calendar to move it to',
+      },
+    },
+    required: ['event_url', 'event_etag', 'target_calendar_url'],
+  },
+  outputSchema: writeResultOutputSchema,
+  handler: async (args) => {
+    const validated = validateInput(moveEventSchema, args);
+    const client = tsdavManager.getCalDavClient();
+    const calendars = await client.fetchCalendars();
+    const targetCalendar = findCalendarOrThrow(calendars, validated.target_calendar_url);
+
+    const result = await transferCalendarObject(client, {
+      mode: 'move',
+      sourceUrl: validated.event_url,
+      etag: validated.event_etag,
+      targetCalendar,
+    });
+
+    return formatSuccess('Event moved successfully', {
+      url: result.url,
+      etag: result.etag,
+      component: result.component,
+      strategy: result.strategy,
+      message: `Moved to ${extractPropertyValue(targetCalendar.displayName) || targetCalendar.url}${result.etag ? '' : '. Fetch the object to get its new etag.'}`,
+    });
+  },
+};
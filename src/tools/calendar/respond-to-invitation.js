@@ -0,0 +1,170 @@
+import { tsdavManager } from '../../tsdav-client.js';
+import { validateInput, respondToInvitationSchema } from '../../validation.js';
+import { formatSuccess } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
+import { fetchCalendarObjectByUrl, findCalendarOrThrow, checkWriteResponse } from '../shared/helpers.js';
+import { parseICalComponent, getMasterComponent } from '../shared/ical-component.js';
+import {
+  buildItipMessage,
+  getItipMethod,
+  getOrganizerEmail,
+  findUserAttendee,
+  setParticipationStatus,
+} from '../shared/itip.js';
+import { deliverItipMessage } from '../shared/scheduling.js';
+
+const RESPONSE_LABELS = {
+  ACCEPTED: 'Accepted',
+  DECLINED: 'Declined',
+  TENTATIVE: 'Tentatively accepted',
+};
+
+/**
+ * UID of a stored calendar object, or null if it cannot be parsed
+ */
+function getObjectUid(object) {
+  try {
+    return object.data ? getMasterComponent(parseICalComponent(object.data)).getFirstPropertyValue('uid') : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Accept, decline or tentatively accept an invitation from the scheduling inbox
+ *
+ * 1. Save the event with the new PARTSTAT to the chosen calendar (updating an earlier copy with the same UID)
+ * 2. Send an iTIP REPLY to the organizer
+ * 3. Remove the processed invitation from the inbox, once the event was saved and the reply delivered
+ */
+export const respondToInvitation = {
+  name: 'respond_to_invitation',
+  description: 'Accept, decline or tentatively accept a meeting invitation from list_invitations. Saves the event to the chosen calendar, sends a reply to the organizer and, once the reply is delivered, removes the invitation from the inbox.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      invitation_url: {
+        type: 'string',
+        description: 'The URL of the invitation (from list_invitations)',
+      },
+      response: {
+        type: 'string',
+        enum: ['ACCEPTED', 'DECLINED', 'TENTATIVE'],
+        description: 'Participation status to reply with',
+      },
+      calendar_url: {
+        type: 'string',
+        description: 'Calendar to save the event in (required for ACCEPTED and TENTATIVE, optional for DECLINED)',
+      },
+      attendee_email: {
+        type: 'string',
+        description: 'Optional: Which of your addresses was invited (default: detected from your calendar user addresses)',
+      },
+      comment: {
+        type: 'string',
+        description: 'Optional: Note to the organizer',
+      },
+    },
+    required: ['invitation_url', 'response'],
+  },
+  outputSchema: writeResultOutputSchema,
+  handler: async (args) => {
+    const validated = validateInput(respondToInvitationSchema, args);
+    const client = tsdavManager.getCalDavClient();
+    const schedulingInfo = await tsdavManager.getSchedulingInfo();
+
+    const invitation = await fetchCalendarObjectByUrl(client, validated.invitation_url);
+
+    if (getItipMethod(invitation.data) !== 'REQUEST') {
+      throw new Error('This inbox item is not a meeting invitation (METHOD:REQUEST). Use list_invitations to find pending invitations.');
+    }
+
+    const attendeeEmail = validated.attendee_email
+      || findUserAttendee(invitation.data, schedulingInfo.userAddresses)?.email;
+
+    if (!attendeeEmail) {
+      throw new Error('Could not determine which of your addresses was invited. Provide attendee_email.');
+    }
+
+    const organizer = getOrganizerEmail(invitation.data);
+    if (!organizer) {
+      throw new Error('Invitation has no ORGANIZER to reply to');
+    }
+
+    const eventData = setParticipationStatus(invitation.data, attendeeEmail, validated.response);
+    const master = getMasterComponent(parseICalComponent(eventData));
+    const uid = master.getFirstPropertyValue('uid');
+    const summary = master.getFirstPropertyValue('summary') || 'Untitled Event';
+
+    const details = {
+      response: validated.response,
+      organizer,
+      attendee: attendeeEmail,
+    };
+
+    if (validated.calendar_url) {
+      const calendars = await client.fetchCalendars();
+      const calendar = findCalendarOrThrow(calendars, validated.calendar_url);
+
+      // An updated invitation replaces the copy saved for an earlier one
+      const objects = await client.fetchCalendarObjects({ calendar });
+      const existing = objects.find(object => getObjectUid(object) === uid);
+
+      if (existing) {
+        const response = await client.updateCalendarObject({
+          calendarObject: {
+            url: existing.url,
+            data: eventData,
+            etag: existing.etag,
+          },
+        });
+        details.url = existing.url;
+        details.etag = checkWriteResponse(response, 'Updating', existing.url);
+      } else {
+        const filename = `${uid.replace(/[^\w@.-]/g, '_')}.ics`;
+        const url = new URL(filename, calendar.url).href;
+        const response = await client.createCalendarObject({
+          calendar,
+          filename,
+          iCalString: eventData,
+        });
+        details.url = url;
+        details.etag = checkWriteResponse(response, 'Creating', url);
+      }
+    }
+
+    const message = buildItipMessage(invitation.data, 'REPLY', {
+      attendee: attendeeEmail,
+      partstat: validated.response,
+      comment: validated.comment,
+    });
+    details.scheduling = await deliverItipMessage(client, schedulingInfo, {
+      method: 'REPLY',
+      message,
+      originator: attendeeEmail,
+      recipients: [organizer],
+    });
+
+    details.message = `${RESPONSE_LABELS[validated.response]} "${summary}"`
+      + (details.url ? ' and saved it to the calendar' : '');
+
+    // Without a delivered reply the invitation stays in the inbox, so it is not lost
+    if (details.scheduling.delivered) {
+      const response = await client.deleteCalendarObject({
+        calendarObject: {
+          url: invitation.url,
+          etag: invitation.etag,
+        },
+      });
+      try {
+        checkWriteResponse(response, 'Deleting', invitation.url);
+      } catch (error) {
+        details.message += `. The invitation could not be removed from the inbox: ${error.message}`;
+      }
+    } else {
+      details.message += '. The reply was not delivered, so the invitation stays in the inbox; send the attached reply to the organizer by email';
+    }
+
+    return formatSuccess('Invitation answered successfully', details);
+  },
+};
@@ -1,13 +1,16 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, updateCalendarSchema } from '../../validation.js';
 import { formatCalendarUpdateSuccess } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
+import { alarmInputSchema, createAlarmComponent } from '../shared/alarms.js';
+import { escapeXml, REQUEST_TIMEOUT_MS } from '../shared/webdav.js';
 
 /**
  * Update an existing calendar's properties
  */
 export const updateCalendar = {
   name: 'update_calendar',
-  description: 'Update an existing calendar\'s properties (display name, description, color, timezone). Use this when user asks to "rename calendar", "change calendar color", or "update calendar properties"',
+  description: 'Update an existing calendar\'s properties (display name, description, color, timezone, default reminders). Use this when user asks to "rename calendar", "change calendar color", "remind me 10 minutes before every event in this calendar", or "update calendar properties"',
   inputSchema: {
     type: 'object',
     properties: {
@@ -31,9 +34,15 @@ export const updateCalendar = {
         type: 'string',
         description: 'Optional: New timezone ID (e.g., Europe/Berlin)',
       },
+      default_alarms: {
+        type: 'array',
+        items: alarmInputSchema,
+        description: 'Optional: Default reminders for new events in this calendar (CALDAV:default-alarm-vevent-datetime). Pass [] to clear.',
+      },
     },
     required: ['calendar_url'],
   },
+  outputSchema: writeResultOutputSchema,
   handler: async (args) => {
     const validated = validateInput(updateCalendarSchema, args);
     const client = tsdavManager.getCalDavClient();
@@ -41,28 +50,45 @@ export const updateCalendar = {
     // Build WebDAV PROPPATCH XML
     let proppatchXml = '<?xml version="1.0" encoding="UTF-8"?>\n';
     proppatchXml += '<d:propertyupdate xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" xmlns:x="http://apple.com/ns/ical/">\n';
-    proppatchXml += '  <d:set>\n';
-    proppatchXml += '    <d:prop>\n';
+
+    let setProps = '';
 
     if (validated.display_name) {
-      proppatchXml += `      <d:displayname>${validated.display_name}</d:displayname>\n`;
+      setProps += `      <d:displayname>${validated.display_name}</d:displayname>\n`;
     }
     if (validated.description) {
-      proppatchXml += `      <c:calendar-description>${validated.description}</c:calendar-description>\n`;
+      setProps += `      <c:calendar-description>${validated.description}</c:calendar-description>\n`;
     }
     if (validated.color) {
-      proppatchXml += `      <x:calendar-color>${validated.color}</x:calendar-color>\n`;
+      setProps += `      <x:calendar-color>${validated.color}</x:calendar-color>\n`;
     }
     if (validated.timezone) {
       // Validate timezone format (basic check)
       if (!validated.timezone.includes('/')) {
         throw new Error(`Invalid timezone format: ${validated.timezone}. Expected format: "Europe/Berlin", "America/New_York", etc.`);
       }
-      proppatchXml += `      <c:calendar-timezone>${validated.timezone}</c:calendar-timezone>\n`;
+      setProps += `      <c:calendar-timezone>${validated.timezone}</c:calendar-timezone>\n`;
+    }
+    if (validated.default_alarms?.length) {
+      const alarmText = validated.default_alarms.map(alarm => createAlarmComponent(alarm).toString()).join('\r\n');
+      setProps += `      <c:default-alarm-vevent-datetime>${escapeXml(alarmText)}</c:default-alarm-vevent-datetime>\n`;
+    }
+
+    if (setProps) {
+      proppatchXml += '  <d:set>\n';
+      proppatchXml += '    <d:prop>\n';
+      proppatchXml += setProps;
+      proppatchXml += '    </d:prop>\n';
+      proppatchXml += '  </d:set>\n';
+    }
+
+    // An empty default_alarms list clears the calendar's default reminders
+    if (validated.default_alarms?.length === 0) {
+      proppatchXml += '  <d:remove>\n';
+      proppatchXml += '    <d:prop><c:default-alarm-vevent-datetime/></d:prop>\n';
+      proppatchXml += '  </d:remove>\n';
     }
 
-    proppatchXml += '    </d:prop>\n';
-    proppatchXml += '  </d:set>\n';
     proppatchXml += '</d:propertyupdate>';
 
     // Use raw fetch with HTTP PROPPATCH method
@@ -73,6 +99,7 @@ export const updateCalendar = {
         ...client.authHeaders,
       },
       body: proppatchXml,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
     });
 
     if (!response.ok) {
@@ -101,6 +128,7 @@ export const updateCalendar = {
       description: validated.description,
       color: validated.color,
       timezone: validated.timezone,
+      default_alarms: validated.default_alarms,
     });
   },
 };
@@ -1,8 +1,14 @@
 import { tsdavManager } from '../../tsdav-client.js';
-import { validateInput } from '../../validation.js';
+import { validateInput, conferenceSchema } from '../../validation.js';
 import { formatSuccess, formatError } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
 import { z } from 'zod';
 import { updateFields } from 'tsdav-utils';
+import { notifyAttendees, notifyAttendeesInputSchema } from '../shared/scheduling.js';
+import { checkConflicts, checkConflictsInputSchema, allowConflictsInputSchema } from '../shared/conflicts.js';
+import { conferenceInputSchema, setConferences } from '../shared/conference.js';
+import { parseICalComponent, getMasterComponent } from '../shared/ical-component.js';
+import { checkWriteResponse } from '../shared/helpers.js';
 
 /**
  * Schema for field-based event updates
@@ -13,7 +19,11 @@ import { updateFields } from 'tsdav-utils';
 const updateEventFieldsSchema = z.object({
   event_url: z.string().url('Event URL must be a valid URL'),
   event_etag: z.string().min(1, 'Event etag is required'),
-  fields: z.record(z.string()).optional()
+  fields: z.record(z.string()).optional(),
+  conferences: z.array(conferenceSchema).max(10).optional(),
+  notify_attendees: z.boolean().optional(),
+  check_conflicts: z.enum(['calendar', 'all']).optional(),
+  allow_conflicts: z.boolean().optional()
 });
 
 /**
@@ -27,7 +37,7 @@ const updateEventFieldsSchema = z.object({
  */
 export const updateEventFields = {
   name: 'update_event',
-  description: 'PREFERRED: Update event fields without iCal formatting. Supports: SUMMARY (title), DESCRIPTION (details), LOCATION (place), DTSTART (start time), DTEND (end time), STATUS (TENTATIVE/CONFIRMED/CANCELLED), and any RFC 5545 property including custom X-* properties (e.g., X-ZOOM-LINK, X-MEETING-ROOM).',
+  description: 'PREFERRED: Update event fields without iCal formatting. Supports: SUMMARY (title), DESCRIPTION (details), LOCATION (place), DTSTART (start time), DTEND (end time), STATUS (TENTATIVE/CONFIRMED/CANCELLED), and any RFC 5545 property including custom X-* properties (e.g., X-MEETING-ROOM). Video call links are set with conferences.',
   inputSchema: {
     type: 'object',
     properties: {
@@ -71,10 +81,19 @@ export const updateEventFields = {
             description: 'Event status: TENTATIVE, CONFIRMED, or CANCELLED'
           }
         }
-      }
+      },
+      conferences: {
+        type: 'array',
+        items: conferenceInputSchema,
+        description: 'Optional: Replace the video call links and dial-ins (RFC 7986 CONFERENCE), e.g. [{"uri": "https://zoom.us/j/123", "features": ["AUDIO", "VIDEO"], "label": "Zoom"}]. An empty array removes them.'
+      },
+      notify_attendees: notifyAttendeesInputSchema,
+      check_conflicts: checkConflictsInputSchema,
+      allow_conflicts: allowConflictsInputSchema
     },
     required: ['event_url', 'event_etag']
   },
+  outputSchema: writeResultOutputSchema,
   handler: async (args) => {
     try {
       const validated = validateInput(updateEventFieldsSchema, args);
@@ -95,9 +114,26 @@ export const updateEventFields = {
 
       // Step 2: Update fields using tsdav-utils (field-agnostic)
       // Accepts any RFC 5545 property name (UPPERCASE)
-      const updatedData = updateFields(calendarObject, validated.fields || {});
+      let updatedData = updateFields(calendarObject, validated.fields || {});
+      const updatedFields = Object.keys(validated.fields || {});
+
+      // CONFERENCE carries parameters, so it is replaced on the parsed master instead
+      if (validated.conferences) {
+        const vcalendar = parseICalComponent(updatedData);
+        setConferences(getMasterComponent(vcalendar), validated.conferences);
+        updatedData = vcalendar.toString();
+        updatedFields.push('CONFERENCE');
+      }
+
+      // Step 3: Check the new time against other events (refuses unless allow_conflicts)
+      const conflicts = await checkConflicts(client, {
+        scope: validated.check_conflicts,
+        allowConflicts: validated.allow_conflicts,
+        calendarUrl,
+        icalData: updatedData
+      });
 
-      // Step 3: Send the updated event back to server
+      // Step 4: Send the updated event back to server
       const updateResponse = await client.updateCalendarObject({
         calendarObject: {
           url: validated.event_url,
@@ -106,14 +142,26 @@ export const updateEventFields = {
         }
       });
 
-      return formatSuccess('Event updated successfully', {
-        etag: updateResponse.etag,
-        updated_fields: Object.keys(validated.fields || {}),
-        message: `Updated ${Object.keys(validated.fields || {}).length} field(s): ${Object.keys(validated.fields || {}).join(', ')}`
-      });
+      const details = {
+        etag: checkWriteResponse(updateResponse, 'Updating', validated.event_url),
+        updated_fields: updatedFields,
+        message: `Updated ${updatedFields.length} field(s): ${updatedFields.join(', ')}`
+      };
+
+      if (conflicts?.length) {
+        details.conflicts = conflicts;
+      }
+
+      // Step 5: Send the update to meeting attendees
+      if (validated.notify_attendees !== false) {
+        const schedulingInfo = await tsdavManager.getSchedulingInfo();
+        details.scheduling = await notifyAttendees(client, schedulingInfo, updatedData, 'REQUEST');
+      }
+
+      return formatSuccess('Event updated successfully', details);
 
     } catch (error) {
-      return formatError('update_event_fields', error);
+      return formatError(error, 'update_event_fields');
     }
   }
 };
@@ -0,0 +1,209 @@
+import { tsdavManager } from '../../tsdav-client.js';
+import { validateInput, updateEventOccurrenceSchema } from '../../validation.js';
+import { formatSuccess } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
+import { fetchCalendarObjectByUrl, getParentCollectionUrl, checkWriteResponse } from '../shared/helpers.js';
+import {
+  parseICalComponent,
+  getMasterComponent,
+  findOverrideComponent,
+  toICalTime,
+  applyFieldUpdates,
+  touchComponent,
+} from '../shared/ical-component.js';
+import {
+  findOccurrence,
+  addExdate,
+  createOverride,
+  truncateSeries,
+  splitSeries,
+} from '../shared/recurrence.js';
+import { notifyAttendees, notifyAttendeesInputSchema } from '../shared/scheduling.js';
+
+/**
+ * Edit or cancel occurrences of a recurring event
+ *
+ * Scopes:
+ * - this-only: RECURRENCE-ID override (modify) or EXDATE (cancel)
+ * - this-and-following: split the series with a new UNTIL (cancel truncates, modify starts a new series)
+ * - all: patch the series master (modify) or delete the whole series (cancel)
+ */
+export const updateEventOccurrence = {
+  name: 'update_event_occurrence',
+  description: 'Move, edit or cancel occurrences of a RECURRING event. Choose scope "this-only" (single instance), "this-and-following" (split the series) or "all" (entire series). Get occurrence dates from calendar_query with a time range. Use update_event for non-recurring events.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      event_url: {
+        type: 'string',
+        description: 'The URL of the recurring event (series master URL)',
+      },
+      event_etag: {
+        type: 'string',
+        description: 'The etag of the event (required for conflict detection)',
+      },
+      occurrence_date: {
+        type: 'string',
+        description: 'Original start of the occurrence to change (ISO 8601, e.g., 2025-01-13T09:00:00Z). Use the occurrence start shown by calendar_query, not the new time.',
+      },
+      scope: {
+        type: 'string',
+        enum: ['this-only', 'this-and-following', 'all'],
+        description: 'Which occurrences to change: only this one, this one and all later ones, or the whole series',
+      },
+      action: {
+        type: 'string',
+        enum: ['modify', 'cancel'],
+        description: 'Optional: "modify" (default) applies fields, "cancel" removes the occurrence(s)',
+      },
+      fields: {
+        type: 'object',
+        description: 'Fields to change for action "modify" - use UPPERCASE property names (SUMMARY, LOCATION, DESCRIPTION, DTSTART, DTEND, STATUS). Moving DTSTART without DTEND keeps the duration.',
+        additionalProperties: {
+          type: 'string',
+        },
+      },
+      notify_attendees: notifyAttendeesInputSchema,
+    },
+    required: ['event_url', 'event_etag', 'occurrence_date', 'scope'],
+  },
+  outputSchema: writeResultOutputSchema,
+  handler: async (args) => {
+    const validated = validateInput(updateEventOccurrenceSchema, args);
+    const client = tsdavManager.getCalDavClient();
+
+    const calendarObject = await fetchCalendarObjectByUrl(client, validated.event_url);
+    const vcalendar = parseICalComponent(calendarObject.data);
+    const master = getMasterComponent(vcalendar);
+
+    if (!master.hasProperty('rrule') && !master.hasProperty('rdate')) {
+      throw new Error('Event is not recurring. Use update_event or delete_event instead.');
+    }
+
+    const recurrenceId = toICalTime(validated.occurrence_date, master.getFirstPropertyValue('dtstart'));
+    const occurrence = findOccurrence(master, recurrenceId);
+
+    if (!occurrence) {
+      throw new Error(
+        `No occurrence of this event starts at ${validated.occurrence_date}.\n\n` +
+        `Use calendar_query with a time range to list the occurrence start times of the series.`
+      );
+    }
+
+    // Cutting at the first occurrence affects the whole series
+    const scope = validated.scope === 'this-and-following' && occurrence.index === 0
+      ? 'all'
+      : validated.scope;
+    const fields = validated.fields || {};
+
+    const notify = validated.notify_attendees !== false;
+    const schedulingInfo = notify ? await tsdavManager.getSchedulingInfo() : null;
+
+    if (scope === 'all' && validated.action === 'cancel') {
+      const deleteResponse = await client.deleteCalendarObject({
+        calendarObject: {
+          url: validated.event_url,
+          etag: validated.event_etag,
+        },
+      });
+      checkWriteResponse(deleteResponse, 'Deleting', validated.event_url);
+
+      return formatSuccess('Recurring event deleted successfully', {
+        url: validated.event_url,
+        scope,
+        message: 'Cancelled all occurrences (series deleted)',
+        scheduling: notify ? await notifyAttendees(client, schedulingInfo, calendarObject.data, 'CANCEL') : null,
+      });
+    }
+
+    let newSeries = null;
+    let message;
+
+    if (scope === 'all') {
+      applyFieldUpdates(master, fields);
+      touchComponent(master);
+      message = `Updated ${Object.keys(fields).join(', ')} on all occurrences`;
+    } else if (scope === 'this-only' && validated.action === 'cancel') {
+      const override = findOverrideComponent(vcalendar, occurrence.time);
+      if (override) {
+        vcalendar.removeSubcomponent(override);
+      }
+      addExdate(master, occurrence.time);
+      touchComponent(master);
+      message = `Cancelled occurrence ${occurrence.time.toString()}`;
+    } else if (scope === 'this-only') {
+      const override = findOverrideComponent(vcalendar, occurrence.time)
+        || createOverride(vcalendar, master, occurrence.time);
+      applyFieldUpdates(override, fields);
+      touchComponent(override);
+      message = `Updated ${Object.keys(fields).join(', ')} on occurrence ${occurrence.time.toString()}`;
+    } else if (validated.action === 'cancel') {
+      truncateSeries(vcalendar, master, occurrence.time);
+      touchComponent(master);
+      message = `Cancelled occurrences from ${occurrence.time.toString()} onwards`;
+    } else {
+      newSeries = splitSeries(vcalendar, master, occurrence);
+      applyFieldUpdates(newSeries.master, fields);
+      touchComponent(master);
+      message = `Split series at ${occurrence.time.toString()} and updated ${Object.keys(fields).join(', ')} on the new series`;
+    }
+
+    // Write the original first so an ETag conflict leaves nothing half-done
+    const updateResponse = await client.updateCalendarObject({
+      calendarObject: {
+        url: validated.event_url,
+        data: vcalendar.toString(),
+        etag: validated.event_etag,
+      },
+    });
+    const etag = checkWriteResponse(updateResponse, 'Updating', validated.event_url);
+
+    const details = {
+      url: validated.event_url,
+      etag,
+      scope,
+      action: validated.action,
+      occurrence: occurrence.time.toString(),
+      message,
+    };
+
+    if (newSeries) {
+      const calendarUrl = getParentCollectionUrl(validated.event_url);
+      const newSeriesUrl = new URL(`${newSeries.uid}.ics`, calendarUrl).href;
+      const createResponse = await client.createCalendarObject({
+        calendar: { url: calendarUrl },
+        filename: `${newSeries.uid}.ics`,
+        iCalString: newSeries.vcalendar.toString(),
+      });
+
+      let newSeriesEtag;
+      try {
+        newSeriesEtag = checkWriteResponse(createResponse, 'Creating', newSeriesUrl);
+      } catch (error) {
+        throw new Error(`${error.message}. The original series was already cut and now ends before ${occurrence.time.toString()}; create the following occurrences again with create_event.`);
+      }
+
+      details.new_series = {
+        url: newSeriesUrl,
+        etag: newSeriesEtag,
+        uid: newSeries.uid,
+      };
+    }
+
+    // Attendees are only told once both writes went through.
+    // The updated series carries the EXDATE/UNTIL/override, so a REQUEST covers every scope
+    const scheduling = [];
+    if (notify) {
+      scheduling.push(await notifyAttendees(client, schedulingInfo, vcalendar.toString(), 'REQUEST'));
+      if (newSeries) {
+        scheduling.push(await notifyAttendees(client, schedulingInfo, newSeries.vcalendar.toString(), 'REQUEST'));
+      }
+    }
+
+    if (scheduling.some(Boolean)) {
+      details.scheduling = scheduling.filter(Boolean);
+    }
+
+    return formatSuccess('Event occurrence updated successfully', details);
+  },
+};
@@ -1,6 +1,9 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, updateEventSchema } from '../../validation.js';
 import { formatSuccess } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
+import { checkWriteResponse } from '../shared/helpers.js';
+import { notifyAttendees, notifyAttendeesInputSchema } from '../shared/scheduling.js';
 
 /**
  * Update an existing calendar event with raw iCal data
@@ -23,9 +26,11 @@ export const updateEventRaw = {
         type: 'string',
         description: 'The complete updated iCal data',
       },
+      notify_attendees: notifyAttendeesInputSchema,
     },
     required: ['event_url', 'event_etag', 'updated_ical_data'],
   },
+  outputSchema: writeResultOutputSchema,
   handler: async (args) => {
     const validated = validateInput(updateEventSchema, args);
     const client = tsdavManager.getCalDavClient();
@@ -38,8 +43,15 @@ export const updateEventRaw = {
       },
     });
 
-    return formatSuccess('Event updated successfully', {
-      etag: response.etag,
-    });
+    const details = {
+      etag: checkWriteResponse(response, 'Updating', validated.event_url),
+    };
+
+    if (validated.notify_attendees !== false) {
+      const schedulingInfo = await tsdavManager.getSchedulingInfo();
+      details.scheduling = await notifyAttendees(client, schedulingInfo, validated.updated_ical_data, 'REQUEST');
+    }
+
+    return formatSuccess('Event updated successfully', details);
   },
 };
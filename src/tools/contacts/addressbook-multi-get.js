@@ -1,6 +1,7 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, addressBookMultiGetSchema } from '../../validation.js';
 import { formatContactList } from '../../formatters.js';
+import { contactListOutputSchema } from '../../output-schemas.js';
 
 /**
  * Batch fetch multiple specific contacts by their URLs
@@ -23,6 +24,7 @@ export const addressbookMultiGet = {
     },
     required: ['addressbook_url', 'contact_urls'],
   },
+  outputSchema: contactListOutputSchema,
   handler: async (args) => {
     const validated = validateInput(addressBookMultiGetSchema, args);
     const client = tsdavManager.getCardDavClient();
@@ -1,6 +1,8 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, addressBookQuerySchema } from '../../validation.js';
 import { formatContactList } from '../../formatters.js';
+import { contactListOutputSchema } from '../../output-schemas.js';
+import { paginationInputProperties, sortObjects, paginate } from '../shared/pagination.js';
 
 /**
  * Search and filter contacts efficiently
@@ -27,9 +29,11 @@ export const addressbookQuery = {
         type: 'string',
         description: 'Search contact organizations/companies. Example: "Google" or "Acme Corp". At least one filter (name, email, or org) is required.',
       },
+      ...paginationInputProperties('contacts'),
     },
     required: [],
   },
+  outputSchema: contactListOutputSchema,
   handler: async (args) => {
     const validated = validateInput(addressBookQuerySchema, args);
     const client = tsdavManager.getCardDavClient();
@@ -80,6 +84,7 @@ export const addressbookQuery = {
 
     // Format and return results (pass first addressbook for context, or null if multiple)
     const singleAddressbook = addressbooksToSearch.length === 1 ? addressbooksToSearch[0] : null;
-    return formatContactList(filteredContacts, singleAddressbook);
+    const page = paginate(sortObjects(filteredContacts, 'contacts', validated.sort_by), validated);
+    return formatContactList(page.items, singleAddressbook, page);
   },
 };
@@ -1,6 +1,7 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, createContactSchema, sanitizeVCardString } from '../../validation.js';
 import { formatSuccess } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
 import { findAddressbookOrThrow } from '../shared/helpers.js';
 
 /**
@@ -47,6 +48,7 @@ export const createContact = {
     },
     required: ['addressbook_url', 'full_name'],
   },
+  outputSchema: writeResultOutputSchema,
   handler: async (args) => {
     const validated = validateInput(createContactSchema, args);
     const client = tsdavManager.getCardDavClient();
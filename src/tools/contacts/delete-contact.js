@@ -1,6 +1,7 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, deleteContactSchema } from '../../validation.js';
 import { formatSuccess } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
 
 /**
  * Delete a contact (vCard) permanently
@@ -22,6 +23,7 @@ export const deleteContact = {
     },
     required: ['vcard_url', 'vcard_etag'],
   },
+  outputSchema: writeResultOutputSchema,
   handler: async (args) => {
     const validated = validateInput(deleteContactSchema, args);
     const client = tsdavManager.getCardDavClient();
@@ -1,5 +1,6 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { formatAddressBookList } from '../../formatters.js';
+import { addressBookListOutputSchema } from '../../output-schemas.js';
 
 /**
  * List all available address books from the CardDAV server
@@ -12,6 +13,7 @@ export const listAddressbooks = {
     properties: {},
     required: [],
   },
+  outputSchema: addressBookListOutputSchema,
   handler: async () => {
     const client = tsdavManager.getCardDavClient();
     const addressBooks = await client.fetchAddressBooks();
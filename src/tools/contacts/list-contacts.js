@@ -1,14 +1,16 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, listContactsSchema } from '../../validation.js';
 import { formatContactList } from '../../formatters.js';
+import { contactListOutputSchema } from '../../output-schemas.js';
 import { findAddressbookOrThrow } from '../shared/helpers.js';
+import { paginationInputProperties, sortObjects, paginate } from '../shared/pagination.js';
 
 /**
  * List ALL contacts from an address book without filtering
  */
 export const listContacts = {
   name: 'list_contacts',
-  description: 'List ALL contacts from an address book without filtering. WARNING: Returns all contacts which can be thousands - use addressbook_query instead when searching for specific contacts by name, email, or organization to save tokens',
+  description: 'List ALL contacts from an address book without filtering, sorted by name and paginated (limit/offset). WARNING: Address books can hold thousands of contacts - use addressbook_query instead when searching for specific contacts by name, email, or organization to save tokens',
   inputSchema: {
     type: 'object',
     properties: {
@@ -16,9 +18,11 @@ export const listContacts = {
         type: 'string',
         description: 'The URL of the address book to fetch contacts from',
       },
+      ...paginationInputProperties('contacts'),
     },
     required: ['addressbook_url'],
   },
+  outputSchema: contactListOutputSchema,
   handler: async (args) => {
     const validated = validateInput(listContactsSchema, args);
     const client = tsdavManager.getCardDavClient();
@@ -27,6 +31,7 @@ export const listContacts = {
 
     const vcards = await client.fetchVCards({ addressBook });
 
-    return formatContactList(vcards, addressBook);
+    const page = paginate(sortObjects(vcards, 'contacts', validated.sort_by), validated);
+    return formatContactList(page.items, addressBook, page);
   },
 };
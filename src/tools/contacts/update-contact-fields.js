@@ -1,6 +1,7 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput } from '../../validation.js';
 import { formatSuccess, formatError } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
 import { z } from 'zod';
 import { updateFields } from 'tsdav-utils';
 
@@ -91,6 +92,7 @@ export const updateContactFields = {
     },
     required: ['vcard_url', 'vcard_etag']
   },
+  outputSchema: writeResultOutputSchema,
   handler: async (args) => {
     try {
       const validated = validateInput(updateContactFieldsSchema, args);
@@ -129,7 +131,7 @@ export const updateContactFields = {
       });
 
     } catch (error) {
-      return formatError('update_contact', error);
+      return formatError(error, 'update_contact');
     }
   }
 };
@@ -1,6 +1,7 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, updateContactSchema } from '../../validation.js';
 import { formatSuccess } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
 
 /**
  * Update an existing contact with raw vCard data
@@ -26,6 +27,7 @@ export const updateContactRaw = {
     },
     required: ['vcard_url', 'vcard_etag', 'updated_vcard_data'],
   },
+  outputSchema: writeResultOutputSchema,
   handler: async (args) => {
     const validated = validateInput(updateContactSchema, args);
     const client = tsdavManager.getCardDavClient();
@@ -12,21 +12,40 @@ import * as contactTools from './contacts/index.js';
 // Todo Tools (VTODO)
 import * as todoTools from './todos/index.js';
 
+// Search Tools (CalDAV + CardDAV)
+import * as searchTools from './search/index.js';
+
+// Agenda Tools (CalDAV events + todos)
+import * as agendaTools from './agenda/index.js';
+
+import { withResponseFormat } from './shared/response-format.js';
+
 /**
  * All available MCP tools
- * Total: 26 tools organized in 3 categories
+ * Total: 41 tools organized in 5 categories
+ * Each tool accepts response_format (markdown, json or both) and declares an outputSchema
  */
 export const tools = [
   // ================================
-  // CALENDAR TOOLS (11 tools)
+  // CALENDAR TOOLS (21 tools)
   // ================================
   calendarTools.listCalendars,
   calendarTools.listEvents,
   calendarTools.createEvent,
   calendarTools.updateEventFields,
   calendarTools.updateEventRaw,
+  calendarTools.updateEventOccurrence,
+  calendarTools.manageEventAttendees,
+  calendarTools.listInvitations,
+  calendarTools.respondToInvitation,
+  calendarTools.manageAlarms,
+  calendarTools.manageAttachments,
   calendarTools.deleteEvent,
+  calendarTools.moveEvent,
+  calendarTools.copyEvent,
   calendarTools.calendarQuery,
+  calendarTools.freeBusyQuery,
+  calendarTools.findMeetingTime,
   calendarTools.makeCalendar,
   calendarTools.updateCalendar,
   calendarTools.deleteCalendar,
@@ -45,7 +64,7 @@ export const tools = [
   contactTools.addressbookMultiGet,
 
   // ================================
-  // TODO TOOLS (7 tools)
+  // TODO TOOLS (10 tools)
   // ================================
   todoTools.listTodos,
   todoTools.createTodo,
@@ -54,4 +73,17 @@ export const tools = [
   todoTools.deleteTodo,
   todoTools.todoQuery,
   todoTools.todoMultiGet,
-];
+  todoTools.getTodoTree,
+  todoTools.completeTodo,
+  todoTools.reopenTodo,
+
+  // ================================
+  // SEARCH TOOLS (1 tool)
+  // ================================
+  searchTools.fullTextSearch,
+
+  // ================================
+  // AGENDA TOOLS (1 tool)
+  // ================================
+  agendaTools.getAgenda,
+].map(withResponseFormat);
@@ -0,0 +1,73 @@
+import { tsdavManager } from '../../tsdav-client.js';
+import { validateInput, fullTextSearchSchema } from '../../validation.js';
+import { formatSearchResults, extractPropertyValue } from '../../formatters.js';
+import { searchResultsOutputSchema } from '../../output-schemas.js';
+import { searchMultipleCalendars, searchMultipleTodoCalendars } from '../../utils/tool-helpers.js';
+import { searchObjects } from '../shared/search.js';
+
+/**
+ * Search events, todos and contacts for free text
+ * Every calendar and addressbook is fetched and matched on the client, as CalDAV/CardDAV
+ * filters cannot match one text against several properties
+ */
+export const fullTextSearch = {
+  name: 'full_text_search',
+  description: 'Search events, todos and contacts at once for free text, including descriptions, notes, attendee names, categories and phone numbers. Use when the user does not say what kind of item they mean ("anything about the Berlin offsite?", "who has number 555-0100?") or when a word may be in notes. Results are ranked and grouped by type.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Words to search for (case-insensitive). Every word must appear in the item; items with the words in titles or names rank first.',
+      },
+      types: {
+        type: 'array',
+        items: { type: 'string', enum: ['events', 'todos', 'contacts'] },
+        description: 'Optional: Resource types to search (default: all)',
+      },
+      limit: {
+        type: 'number',
+        description: 'Optional: Maximum results per type (default: 10, max: 50)',
+      },
+    },
+    required: ['query'],
+  },
+  outputSchema: searchResultsOutputSchema,
+  handler: async (args) => {
+    const validated = validateInput(fullTextSearchSchema, args);
+    const types = validated.types || ['events', 'todos', 'contacts'];
+    const limit = validated.limit || 10;
+    const groups = [];
+
+    if (types.includes('events') || types.includes('todos')) {
+      const client = tsdavManager.getCalDavClient();
+      const calendars = await client.fetchCalendars();
+      const supports = (component) => calendars.filter(c => !c.components || c.components.includes(component));
+
+      if (types.includes('events')) {
+        const events = await searchMultipleCalendars(client, supports('VEVENT'));
+        groups.push({ type: 'events', results: searchObjects(events, 'events', validated.query) });
+      }
+      if (types.includes('todos')) {
+        const todos = await searchMultipleTodoCalendars(client, supports('VTODO'));
+        groups.push({ type: 'todos', results: searchObjects(todos, 'todos', validated.query) });
+      }
+    }
+
+    if (types.includes('contacts')) {
+      const client = tsdavManager.getCardDavClient();
+      const addressBooks = await client.fetchAddressBooks();
+      let vcards = [];
+      for (const addressBook of addressBooks) {
+        const addressBookVCards = await client.fetchVCards({ addressBook });
+        addressBookVCards.forEach(vcard => {
+          vcard._addressbookName = extractPropertyValue(addressBook.displayName) || addressBook.url;
+        });
+        vcards = vcards.concat(addressBookVCards);
+      }
+      groups.push({ type: 'contacts', results: searchObjects(vcards, 'contacts', validated.query) });
+    }
+
+    return formatSearchResults({ query: validated.query, groups, limit });
+  },
+};
@@ -0,0 +1,6 @@
+/**
+ * Search Tools - CalDAV and CardDAV
+ * Exports tools that search across resource types
+ */
+
+export { fullTextSearch } from './full-text-search.js';
@@ -0,0 +1,139 @@
+/**
+ * Daily agenda: the events of a day together with the todos that are overdue or due that day
+ * Days are calendar days in a timezone; all-day events and DATE due dates are matched by their date.
+ */
+
+import ICAL from 'ical.js';
+import { getMasterComponent } from './ical-component.js';
+import { formatICalDateInTimezone, zonedTimeToDate, registerMissingTimezones } from './timezones.js';
+import { readTodoFields } from './todo-filters.js';
+
+/**
+ * Statuses of todos that no longer need doing
+ */
+const CLOSED_TODO_STATUSES = ['COMPLETED', 'CANCELLED'];
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the start and end of a calendar day in a timezone
+ * @param {string|undefined} date - YYYY-MM-DD, or undefined for today
+ * @param {string} timezone - IANA timezone ID
+ * @param {Date} [now=new Date()] - Current time, to find today
+ * @returns {{date: string, start: Date, end: Date}} end is the start of the next day
+ */
+export function getAgendaDay(date, timezone, now = new Date()) {
+  const day = date || formatICalDateInTimezone(now, timezone).replace(/^(\d{4})(\d{2})(\d{2}).*$/, '$1-$2-$3');
+  return {
+    date: day,
+    start: zonedTimeToDate(`${day}T00:00:00`, timezone),
+    end: zonedTimeToDate(`${addDays(day, 1)}T00:00:00`, timezone),
+  };
+}
+
+/**
+ * Read start, end and status of an event or expanded occurrence
+ */
+function readEvent(event) {
+  registerMissingTimezones(event.data);
+  const vcalendar = new ICAL.Component(ICAL.parse(event.data));
+  const override = event.occurrence?.isOverride
+    ? vcalendar.getAllSubcomponents('vevent').find(vevent =>
+      String(vevent.getFirstPropertyValue('recurrence-id')) === event.occurrence.recurrenceId)
+    : null;
+  const vevent = override || getMasterComponent(vcalendar);
+  const parsed = new ICAL.Event(vevent);
+
+  return {
+    start: event.occurrence ? event.occurrence.start : parsed.startDate,
+    end: event.occurrence ? event.occurrence.end : parsed.endDate,
+    status: String(vevent.getFirstPropertyValue('status') || '').toUpperCase(),
+  };
+}
+
+/**
+ * Check whether an event takes place during the day
+ * All-day events cover their dates up to the exclusive end date; timed events must overlap the day.
+ */
+function isOnDay(start, end, day) {
+  if (start.isDate) {
+    const lastDate = end && end.compare(start) > 0 ? end.toString() : addDays(start.toString(), 1);
+    return start.toString() <= day.date && day.date < lastDate;
+  }
+
+  const startTime = start.toJSDate().getTime();
+  const endTime = end ? end.toJSDate().getTime() : startTime;
+  return startTime < day.end.getTime() && (endTime > day.start.getTime() || startTime >= day.start.getTime());
+}
+
+/**
+ * Build the agenda of a day
+ * The timeline lists all-day items first, then the rest by time: events that take place that day
+ * (cancelled ones left out) and open todos due that day. Open todos due before the day are overdue.
+ * Recurring todos count with their first occurrence that is not completed or cancelled.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.events - Events, with recurring ones expanded for the day (see recurrence.js)
+ * @param {Array<Object>} params.todos - Todos of all calendars
+ * @param {{date: string, start: Date, end: Date}} params.day - Day from getAgendaDay
+ * @returns {{timeline: Array<Object>, overdue: Array<Object>}} Timeline entries are
+ *   { type: 'event'|'todo', object, allDay, time, start?, end? } with time in milliseconds and
+ *   ICAL.Time start/end for events; overdue holds todo objects, oldest due date first
+ */
+export function buildAgenda({ events, todos, day }) {
+  const timeline = [];
+
+  events.forEach(event => {
+    try {
+      const { start, end, status } = readEvent(event);
+      if (start && status !== 'CANCELLED' && isOnDay(start, end, day)) {
+        timeline.push({
+          type: 'event',
+          object: event,
+          allDay: start.isDate,
+          time: start.isDate ? day.start.getTime() : start.toJSDate().getTime(),
+          start,
+          end,
+        });
+      }
+    } catch {
+      // Unparsable events are left out
+    }
+  });
+
+  const overdue = [];
+  todos.forEach(todo => {
+    const fields = todo.data ? readTodoFields(todo.data) : null;
+    if (!fields || fields.due === null || CLOSED_TODO_STATUSES.includes(fields.status)) {
+      return;
+    }
+
+    const isOverdue = fields.dueDate ? fields.dueDate < day.date : fields.due < day.start.getTime();
+    const isDueToday = fields.dueDate
+      ? fields.dueDate === day.date
+      : fields.due >= day.start.getTime() && fields.due < day.end.getTime();
+
+    if (isOverdue) {
+      overdue.push({ todo, due: fields.due });
+    } else if (isDueToday) {
+      timeline.push({
+        type: 'todo',
+        object: todo,
+        allDay: Boolean(fields.dueDate),
+        time: fields.dueDate ? day.start.getTime() : fields.due,
+      });
+    }
+  });
+
+  // Stable sort: all-day items first, events before todos among them
+  timeline.sort((a, b) => (b.allDay - a.allDay) || (a.time - b.time) || (a.type === b.type ? 0 : a.type === 'event' ? -1 : 1));
+  overdue.sort((a, b) => a.due - b.due);
+
+  return { timeline, overdue: overdue.map(({ todo }) => todo) };
+}
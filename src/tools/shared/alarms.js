@@ -0,0 +1,231 @@
+/**
+ * VALARM helpers (RFC 5545 section 3.6.6)
+ * Reminders with relative (-PT15M) or absolute triggers and DISPLAY or EMAIL actions
+ */
+
+import ICAL from 'ical.js';
+import { randomUUID } from 'node:crypto';
+import { logger } from '../../logger.js';
+import { DURATION_PATTERN } from '../../validation.js';
+import { propfind, findElement, unescapeXml } from './webdav.js';
+
+/**
+ * JSON Schema for an alarm argument in tool inputSchemas
+ */
+export const alarmInputSchema = {
+  type: 'object',
+  properties: {
+    trigger: {
+      type: 'string',
+      description: 'When to remind: a duration relative to the start (e.g., -PT15M = 15 minutes before, -P1D = 1 day before) or an absolute ISO 8601 datetime',
+    },
+    related: {
+      type: 'string',
+      enum: ['START', 'END'],
+      description: 'Optional: Whether a relative trigger refers to the start or the end/due date (default: START; todos without a start use their due date)',
+    },
+    action: {
+      type: 'string',
+      enum: ['DISPLAY', 'EMAIL'],
+      description: 'Optional: DISPLAY (notification, default) or EMAIL',
+    },
+    description: {
+      type: 'string',
+      description: 'Optional: Reminder text (default: the event or todo title)',
+    },
+    summary: {
+      type: 'string',
+      description: 'Optional: Email subject for EMAIL reminders (default: the event or todo title)',
+    },
+    attendees: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Email recipients (required for EMAIL reminders)',
+    },
+    repeat: {
+      type: 'number',
+      description: 'Optional: Number of additional repetitions (requires duration)',
+    },
+    duration: {
+      type: 'string',
+      description: 'Optional: Interval between repetitions, e.g. PT5M (requires repeat)',
+    },
+  },
+  required: ['trigger'],
+};
+
+/**
+ * Build a VALARM component from tool arguments
+ *
+ * @param {Object} alarm - { trigger, related, action, description, summary, attendees, repeat, duration }
+ * @param {Object} [defaults] - { text: fallback description/summary, related: fallback RELATED }
+ * @returns {ICAL.Component} VALARM component with a UID (RFC 9074)
+ */
+export function createAlarmComponent(alarm, defaults = {}) {
+  const valarm = new ICAL.Component('valarm');
+  const action = alarm.action || 'DISPLAY';
+  const text = defaults.text || 'Reminder';
+
+  valarm.addPropertyWithValue('uid', randomUUID());
+  valarm.addPropertyWithValue('action', action);
+
+  if (DURATION_PATTERN.test(alarm.trigger)) {
+    const trigger = valarm.addPropertyWithValue('trigger', ICAL.Duration.fromString(alarm.trigger));
+    const related = alarm.related || defaults.related;
+    if (related === 'END') {
+      trigger.setParameter('related', 'END');
+    }
+  } else {
+    const trigger = new ICAL.Property('trigger');
+    trigger.resetType('date-time');
+    trigger.setValue(ICAL.Time.fromJSDate(new Date(alarm.trigger), true));
+    valarm.addProperty(trigger);
+  }
+
+  valarm.addPropertyWithValue('description', alarm.description || text);
+
+  if (action === 'EMAIL') {
+    valarm.addPropertyWithValue('summary', alarm.summary || text);
+    (alarm.attendees || []).forEach(email => {
+      valarm.addPropertyWithValue('attendee', `mailto:${email}`);
+    });
+  }
+
+  if (alarm.repeat !== undefined && alarm.duration) {
+    valarm.addPropertyWithValue('repeat', alarm.repeat);
+    valarm.addPropertyWithValue('duration', ICAL.Duration.fromString(alarm.duration));
+  }
+
+  return valarm;
+}
+
+/**
+ * Add alarms to a VEVENT or VTODO
+ * Relative triggers on todos without DTSTART refer to DUE (RELATED=END).
+ *
+ * @param {ICAL.Component} component - VEVENT or VTODO
+ * @param {Object[]} alarms - Alarm arguments
+ * @returns {ICAL.Component[]} Added VALARM components
+ * @throws {Error} If a relative todo reminder has neither DTSTART nor DUE to refer to
+ */
+export function addAlarms(component, alarms = []) {
+  const isTodo = component.name === 'vtodo';
+  const defaults = {
+    text: component.getFirstPropertyValue('summary') || undefined,
+    related: isTodo && !component.hasProperty('dtstart') ? 'END' : 'START',
+  };
+
+  return alarms.map(alarm => {
+    const related = alarm.related || defaults.related;
+    if (isTodo && DURATION_PATTERN.test(alarm.trigger)) {
+      const anchor = related === 'END' ? 'due' : 'dtstart';
+      if (!component.hasProperty(anchor)) {
+        throw new Error(`Relative reminder ${alarm.trigger} needs a ${anchor === 'due' ? 'due date' : 'start date'} on the todo. Use an absolute trigger instead.`);
+      }
+    }
+
+    const valarm = createAlarmComponent(alarm, defaults);
+    component.addSubcomponent(valarm);
+    return valarm;
+  });
+}
+
+/**
+ * Describe the alarms of a component
+ * @param {ICAL.Component} component - VEVENT or VTODO
+ * @returns {Object[]} { position, uid, action, trigger, related, description, attendees }
+ */
+export function listAlarms(component) {
+  return component.getAllSubcomponents('valarm').map((valarm, index) => {
+    const trigger = valarm.getFirstProperty('trigger');
+    return {
+      position: index + 1,
+      uid: valarm.getFirstPropertyValue('uid') || null,
+      action: valarm.getFirstPropertyValue('action'),
+      trigger: trigger ? trigger.getFirstValue().toString() : null,
+      related: trigger?.getParameter('related') || (trigger?.type === 'duration' ? 'START' : null),
+      description: valarm.getFirstPropertyValue('description') || null,
+      attendees: valarm.getAllProperties('attendee').map(p => String(p.getFirstValue()).replace(/^mailto:/i, '')),
+    };
+  });
+}
+
+/**
+ * Remove alarms by UID or 1-based position (as shown by listAlarms)
+ * Alarms with a UID are also removed from the other components (e.g. RECURRENCE-ID overrides)
+ *
+ * @param {ICAL.Component[]} components - Master first, then overrides
+ * @param {Array<string|number>} selectors - Alarm UIDs or positions on the master
+ * @returns {{removed: number, notFound: Array<string|number>}}
+ */
+export function removeAlarms(components, selectors = []) {
+  const masterAlarms = components[0].getAllSubcomponents('valarm');
+  const matched = new Set();
+  let removed = 0;
+
+  selectors.forEach(selector => {
+    const positional = /^\d+$/.test(String(selector)) ? masterAlarms[Number(selector) - 1] : null;
+    const uid = positional ? positional.getFirstPropertyValue('uid') : String(selector);
+
+    components.forEach(component => {
+      component.getAllSubcomponents('valarm')
+        .filter(valarm => valarm === positional || (uid && valarm.getFirstPropertyValue('uid') === uid))
+        .forEach(valarm => {
+          component.removeSubcomponent(valarm);
+          matched.add(selector);
+          removed++;
+        });
+    });
+  });
+
+  return { removed, notFound: selectors.filter(selector => !matched.has(selector)) };
+}
+
+/**
+ * Parse VALARM text as stored in CALDAV:default-alarm-vevent-datetime
+ * @param {string} text - One or more BEGIN:VALARM ... END:VALARM blocks
+ * @returns {ICAL.Component[]} VALARM components
+ */
+export function parseAlarmText(text) {
+  if (!text || !text.trim()) {
+    return [];
+  }
+  const jcal = ICAL.parse(text.trim());
+  // A single component parses to one jCal array, several to a list of them
+  const components = typeof jcal[0] === 'string' ? [jcal] : jcal;
+  return components.map(c => new ICAL.Component(c)).filter(c => c.name === 'valarm');
+}
+
+/**
+ * Copy alarms (e.g. calendar defaults) onto a component, each with a fresh UID
+ * @param {ICAL.Component} component - VEVENT or VTODO
+ * @param {ICAL.Component[]} valarms - VALARM components to copy
+ */
+export function copyAlarms(component, valarms = []) {
+  valarms.forEach(valarm => {
+    const copy = ICAL.Component.fromString(valarm.toString());
+    copy.updatePropertyWithValue('uid', randomUUID());
+    component.addSubcomponent(copy);
+  });
+}
+
+/**
+ * Read a calendar's default event alarms
+ * (CALDAV:default-alarm-vevent-datetime, or default-alarm-vevent-date for all-day events)
+ * Returns no alarms if the server does not support the property
+ *
+ * @param {Object} client - CalDAV client (for authHeaders)
+ * @param {string} calendarUrl - Calendar collection URL
+ * @param {Object} [options] - { allDay: read the defaults for all-day events }
+ * @returns {Promise<ICAL.Component[]>} VALARM components
+ */
+export async function fetchDefaultAlarms(client, calendarUrl, { allDay = false } = {}) {
+  const property = allDay ? 'default-alarm-vevent-date' : 'default-alarm-vevent-datetime';
+  try {
+    const xml = await propfind(client, calendarUrl, `<c:${property}/>`);
+    return parseAlarmText(unescapeXml(findElement(xml, property) || ''));
+  } catch (error) {
+    logger.debug({ error: error.message, calendarUrl }, 'Could not read default alarms');
+    return [];
+  }
+}
@@ -0,0 +1,289 @@
+/**
+ * ATTACH helpers (RFC 5545 section 3.8.1.1, RFC 8607 managed attachments)
+ * URI references and base64 inline binaries on events and todos
+ */
+
+import ICAL from 'ical.js';
+import { REQUEST_TIMEOUT_MS } from './webdav.js';
+
+/**
+ * Largest inline (base64 in the calendar object) attachment, in decoded bytes
+ * Inline data is sent with every sync of the event, so it is kept small
+ */
+export const MAX_INLINE_ATTACHMENT_BYTES = 256 * 1024;
+
+/**
+ * Largest attachment uploaded as an RFC 8607 managed attachment, in decoded bytes
+ */
+export const MAX_MANAGED_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+/**
+ * JSON Schema for an attachment argument in tool inputSchemas
+ */
+export const attachmentInputSchema = {
+  type: 'object',
+  properties: {
+    uri: {
+      type: 'string',
+      description: 'Link to the document (e.g., https://docs.example.com/agenda). Use either uri or data.',
+    },
+    data: {
+      type: 'string',
+      description: `Base64-encoded file content (inline: at most ${MAX_INLINE_ATTACHMENT_BYTES / 1024} KB; managed: at most ${MAX_MANAGED_ATTACHMENT_BYTES / 1024 / 1024} MB)`,
+    },
+    filename: {
+      type: 'string',
+      description: 'File name shown to users (required for data)',
+    },
+    fmttype: {
+      type: 'string',
+      description: 'Optional: Media type (e.g., application/pdf, text/plain)',
+    },
+  },
+};
+
+/**
+ * Decoded size of base64 data in bytes
+ * @param {string} data - Base64 string
+ * @returns {number}
+ */
+export function getBase64Size(data) {
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor(data.length * 3 / 4) - padding;
+}
+
+/**
+ * Build an ATTACH property from tool arguments
+ *
+ * @param {Object} attachment - { uri } or { data, filename }, optional fmttype
+ * @returns {ICAL.Property} ATTACH property
+ * @throws {Error} If inline data exceeds MAX_INLINE_ATTACHMENT_BYTES
+ */
+export function createAttachProperty(attachment) {
+  const property = new ICAL.Property('attach');
+
+  if (attachment.data) {
+    const size = getBase64Size(attachment.data);
+    if (size > MAX_INLINE_ATTACHMENT_BYTES) {
+      throw new Error(`Attachment ${attachment.filename} is ${Math.ceil(size / 1024)} KB; inline attachments are limited to ${MAX_INLINE_ATTACHMENT_BYTES / 1024} KB. Link it by uri or use managed attachments.`);
+    }
+    property.resetType('binary');
+    property.setParameter('encoding', 'BASE64');
+    property.setValue(new ICAL.Binary(attachment.data));
+  } else {
+    property.setValue(attachment.uri);
+  }
+
+  if (attachment.fmttype) {
+    property.setParameter('fmttype', attachment.fmttype);
+  }
+  if (attachment.filename) {
+    property.setParameter('filename', attachment.filename);
+  }
+
+  return property;
+}
+
+/**
+ * Last path segment of an ATTACH URI, percent-decoded when the encoding is valid
+ */
+function getUriFilename(uri) {
+  const segment = uri.replace(/[?#].*$/, '').split('/').pop();
+  try {
+    return decodeURIComponent(segment) || null;
+  } catch {
+    return segment || null;
+  }
+}
+
+/**
+ * Describe the attachments of a component
+ * @param {ICAL.Component} component - VEVENT or VTODO
+ * @returns {Object[]} { position, filename, fmttype, uri, inline, size, managed_id }
+ */
+export function listAttachments(component) {
+  return component.getAllProperties('attach').map((property, index) => {
+    const inline = property.type === 'binary';
+    const value = String(property.getFirstValue() || '');
+    const size = property.getParameter('size');
+
+    return {
+      position: index + 1,
+      filename: property.getParameter('filename') ||
+        property.getParameter('x-apple-filename') ||
+        (inline ? null : getUriFilename(value)),
+      fmttype: property.getParameter('fmttype') || null,
+      uri: inline ? null : value,
+      inline,
+      size: inline ? getBase64Size(value) : (size ? Number(size) : null),
+      managed_id: property.getParameter('managed-id') || null,
+    };
+  });
+}
+
+/**
+ * Check whether an ATTACH property matches a selector
+ * Selectors are 1-based positions, MANAGED-IDs, file names or URIs
+ */
+function matchesAttachment(property, index, selector) {
+  const value = String(selector);
+  if (/^\d+$/.test(value)) {
+    return index === Number(value) - 1;
+  }
+  return [
+    property.getParameter('managed-id'),
+    property.getParameter('filename'),
+    property.getParameter('x-apple-filename'),
+    property.type === 'binary' ? null : String(property.getFirstValue()),
+  ].includes(value);
+}
+
+/**
+ * Find the master's attachments matching selectors
+ * @param {ICAL.Component} component - VEVENT or VTODO
+ * @param {Array<string|number>} selectors - Positions (as listed), MANAGED-IDs, file names or URIs
+ * @returns {{properties: ICAL.Property[], notFound: Array<string|number>}}
+ */
+export function findAttachments(component, selectors = []) {
+  const all = component.getAllProperties('attach');
+  const properties = new Set();
+  const notFound = [];
+
+  selectors.forEach(selector => {
+    const matches = all.filter((property, index) => matchesAttachment(property, index, selector));
+    if (matches.length === 0) {
+      notFound.push(selector);
+    }
+    matches.forEach(property => properties.add(property));
+  });
+
+  return { properties: [...properties], notFound };
+}
+
+/**
+ * Remove attachments by selector from the master and the same values from overrides
+ *
+ * @param {ICAL.Component[]} components - Master first, then overrides
+ * @param {Array<string|number>} selectors - Positions (as listed), MANAGED-IDs, file names or URIs
+ * @returns {{removed: number, notFound: Array<string|number>}}
+ */
+export function removeAttachments(components, selectors = []) {
+  const { properties, notFound } = findAttachments(components[0], selectors);
+  const values = new Set(properties.map(property => String(property.getFirstValue())));
+  let removed = 0;
+
+  components.forEach(component => {
+    component.getAllProperties('attach')
+      .filter(property => values.has(String(property.getFirstValue())))
+      .forEach(property => {
+        component.removeProperty(property);
+        removed++;
+      });
+  });
+
+  return { removed, notFound };
+}
+
+/**
+ * Check the DAV header for RFC 8607 managed attachment support
+ * @param {Object} client - CalDAV client (for authHeaders)
+ * @param {string} objectUrl - Event or todo URL
+ * @returns {Promise<boolean>}
+ */
+export async function supportsManagedAttachments(client, objectUrl) {
+  try {
+    const response = await fetch(objectUrl, {
+      method: 'OPTIONS',
+      headers: { ...client.authHeaders },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    return /calendar-managed-attachments/i.test(response.headers.get('dav') || '');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * POST an RFC 8607 attachment action to a calendar object
+ */
+async function postAttachmentAction(client, objectUrl, params, { etag, headers = {}, body } = {}) {
+  const url = new URL(objectUrl);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+
+  const response = await fetch(url.href, {
+    method: 'POST',
+    headers: {
+      ...headers,
+      ...(etag && { 'If-Match': etag }),
+      ...client.authHeaders,
+    },
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`${params.action} failed with status ${response.status} ${response.statusText}`);
+  }
+
+  return {
+    etag: response.headers.get('etag'),
+    managedId: response.headers.get('cal-managed-id'),
+  };
+}
+
+/**
+ * Build the Content-Disposition of an upload
+ * Header values must be Latin-1, so other names get an ASCII fallback plus an RFC 6266 filename*.
+ */
+function buildContentDisposition(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  if (fallback === filename) {
+    return `attachment;filename="${filename}"`;
+  }
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment;filename="${fallback}";filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Upload a managed attachment (RFC 8607 section 3.4.1)
+ * The server stores the file and adds an ATTACH with MANAGED-ID to the calendar object.
+ *
+ * @param {Object} client - CalDAV client (for authHeaders)
+ * @param {string} objectUrl - Event or todo URL
+ * @param {string} etag - Current ETag of the calendar object
+ * @param {Object} attachment - { data, filename, fmttype }
+ * @returns {Promise<{etag: string|null, managedId: string|null}>} New ETag (if sent) and MANAGED-ID
+ * @throws {Error} If the file is too large or the server rejects it
+ */
+export async function addManagedAttachment(client, objectUrl, etag, attachment) {
+  const body = Buffer.from(attachment.data, 'base64');
+  if (body.length > MAX_MANAGED_ATTACHMENT_BYTES) {
+    throw new Error(`Attachment ${attachment.filename} exceeds ${MAX_MANAGED_ATTACHMENT_BYTES / 1024 / 1024} MB`);
+  }
+
+  return postAttachmentAction(client, objectUrl, { action: 'attachment-add' }, {
+    etag,
+    headers: {
+      'Content-Type': attachment.fmttype || 'application/octet-stream',
+      'Content-Disposition': buildContentDisposition(attachment.filename),
+    },
+    body,
+  });
+}
+
+/**
+ * Remove a managed attachment (RFC 8607 section 3.4.3)
+ *
+ * @param {Object} client - CalDAV client (for authHeaders)
+ * @param {string} objectUrl - Event or todo URL
+ * @param {string} etag - Current ETag of the calendar object
+ * @param {string} managedId - MANAGED-ID of the attachment
+ * @returns {Promise<{etag: string|null}>} New ETag, if the server sent one
+ */
+export async function removeManagedAttachment(client, objectUrl, etag, managedId) {
+  const { etag: newEtag } = await postAttachmentAction(client, objectUrl, {
+    action: 'attachment-remove',
+    'managed-id': managedId,
+  }, { etag });
+  return { etag: newEtag };
+}
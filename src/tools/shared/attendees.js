@@ -0,0 +1,165 @@
+/**
+ * ORGANIZER and ATTENDEE helpers (RFC 5545 sections 3.8.4.1 and 3.8.4.3)
+ */
+
+import ICAL from 'ical.js';
+
+/**
+ * JSON Schema for an organizer argument in tool inputSchemas
+ */
+export const organizerInputSchema = {
+  type: 'object',
+  description: 'Meeting organizer (required when inviting attendees)',
+  properties: {
+    email: { type: 'string', description: 'Organizer email address' },
+    name: { type: 'string', description: 'Optional: Display name (CN)' },
+  },
+  required: ['email'],
+};
+
+/**
+ * JSON Schema for an attendee argument in tool inputSchemas
+ */
+export const attendeeInputSchema = {
+  type: 'object',
+  properties: {
+    email: { type: 'string', description: 'Attendee email address' },
+    name: { type: 'string', description: 'Optional: Display name (CN)' },
+    role: {
+      type: 'string',
+      enum: ['CHAIR', 'REQ-PARTICIPANT', 'OPT-PARTICIPANT', 'NON-PARTICIPANT'],
+      description: 'Optional: Participation role (default: REQ-PARTICIPANT, use OPT-PARTICIPANT for optional attendees)',
+    },
+    partstat: {
+      type: 'string',
+      enum: ['NEEDS-ACTION', 'ACCEPTED', 'DECLINED', 'TENTATIVE', 'DELEGATED'],
+      description: 'Optional: Participation status (default: NEEDS-ACTION)',
+    },
+    rsvp: { type: 'boolean', description: 'Optional: Whether a reply is requested (default: true)' },
+    cutype: {
+      type: 'string',
+      enum: ['INDIVIDUAL', 'GROUP', 'RESOURCE', 'ROOM', 'UNKNOWN'],
+      description: 'Optional: Calendar user type, e.g. ROOM for meeting rooms',
+    },
+  },
+  required: ['email'],
+};
+
+/**
+ * Normalize an email or mailto: URI for comparisons
+ * @param {string} value - Email address or calendar user address
+ * @returns {string} Lowercase email without mailto: prefix
+ */
+export function normalizeEmail(value) {
+  return String(value || '').replace(/^mailto:/i, '').trim().toLowerCase();
+}
+
+/**
+ * Build an ATTENDEE property from tool arguments
+ * New attendees default to ROLE=REQ-PARTICIPANT, PARTSTAT=NEEDS-ACTION and RSVP=TRUE
+ *
+ * @param {Object} attendee - { email, name, role, partstat, rsvp, cutype }
+ * @returns {ICAL.Property} ATTENDEE property
+ */
+export function createAttendeeProperty(attendee) {
+  const property = new ICAL.Property('attendee');
+  property.setValue(`mailto:${attendee.email}`);
+
+  if (attendee.name) {
+    property.setParameter('cn', attendee.name);
+  }
+  if (attendee.cutype) {
+    property.setParameter('cutype', attendee.cutype);
+  }
+  property.setParameter('role', attendee.role || 'REQ-PARTICIPANT');
+  property.setParameter('partstat', attendee.partstat || 'NEEDS-ACTION');
+  property.setParameter('rsvp', attendee.rsvp === false ? 'FALSE' : 'TRUE');
+
+  return property;
+}
+
+/**
+ * Build an ORGANIZER property from tool arguments
+ * @param {Object} organizer - { email, name }
+ * @returns {ICAL.Property} ORGANIZER property
+ */
+export function createOrganizerProperty(organizer) {
+  const property = new ICAL.Property('organizer');
+  property.setValue(`mailto:${organizer.email}`);
+  if (organizer.name) {
+    property.setParameter('cn', organizer.name);
+  }
+  return property;
+}
+
+/**
+ * Find an ATTENDEE property by email
+ * @param {ICAL.Component} component - VEVENT or VTODO
+ * @param {string} email - Attendee email (with or without mailto:)
+ * @returns {ICAL.Property|undefined} Matching property
+ */
+export function findAttendee(component, email) {
+  const target = normalizeEmail(email);
+  return component.getAllProperties('attendee').find(p => normalizeEmail(p.getFirstValue()) === target);
+}
+
+/**
+ * Replace the ORGANIZER of a component
+ * @param {ICAL.Component} component - VEVENT or VTODO
+ * @param {Object} organizer - { email, name }
+ */
+export function setOrganizer(component, organizer) {
+  component.removeAllProperties('organizer');
+  component.addProperty(createOrganizerProperty(organizer));
+}
+
+/**
+ * Add an attendee, or replace it if the email is already invited
+ * @param {ICAL.Component} component - VEVENT or VTODO
+ * @param {Object} attendee - { email, name, role, partstat, rsvp, cutype }
+ * @returns {boolean} True if the attendee was newly added
+ */
+export function addAttendee(component, attendee) {
+  const existing = findAttendee(component, attendee.email);
+  if (existing) {
+    component.removeProperty(existing);
+  }
+  component.addProperty(createAttendeeProperty(attendee));
+  return !existing;
+}
+
+/**
+ * Update parameters of an existing attendee; omitted arguments are left unchanged
+ * @param {ICAL.Component} component - VEVENT or VTODO
+ * @param {Object} attendee - { email, name, role, partstat, rsvp, cutype }
+ * @returns {boolean} True if the attendee exists on the component
+ */
+export function updateAttendee(component, attendee) {
+  const property = findAttendee(component, attendee.email);
+  if (!property) {
+    return false;
+  }
+
+  if (attendee.name !== undefined) property.setParameter('cn', attendee.name);
+  if (attendee.role !== undefined) property.setParameter('role', attendee.role);
+  if (attendee.partstat !== undefined) property.setParameter('partstat', attendee.partstat);
+  if (attendee.rsvp !== undefined) property.setParameter('rsvp', attendee.rsvp ? 'TRUE' : 'FALSE');
+  if (attendee.cutype !== undefined) property.setParameter('cutype', attendee.cutype);
+
+  return true;
+}
+
+/**
+ * Remove an attendee by email
+ * @param {ICAL.Component} component - VEVENT or VTODO
+ * @param {string} email - Attendee email
+ * @returns {boolean} True if an attendee was removed
+ */
+export function removeAttendee(component, email) {
+  const property = findAttendee(component, email);
+  if (!property) {
+    return false;
+  }
+  component.removeProperty(property);
+  return true;
+}
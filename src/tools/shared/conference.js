@@ -0,0 +1,114 @@
+/**
+ * Conference (video/phone meeting) helpers (RFC 7986 section 5.11)
+ * Writes CONFERENCE properties and reads them back, together with common vendor properties
+ */
+
+import ICAL from 'ical.js';
+
+/**
+ * FEATURE values defined by RFC 7986
+ */
+export const CONFERENCE_FEATURES = ['AUDIO', 'CHAT', 'FEED', 'MODERATOR', 'PHONE', 'SCREEN', 'VIDEO'];
+
+/**
+ * Vendor properties carrying a meeting link, recognized when reading
+ */
+const VENDOR_CONFERENCE_PROPERTIES = {
+  'x-google-conference': 'Google Meet',
+  'x-microsoft-skypeteamsmeetingurl': 'Microsoft Teams',
+  'x-microsoft-onlinemeetingexternallink': 'Microsoft Teams',
+};
+
+/**
+ * JSON Schema for a conference argument in tool inputSchemas
+ */
+export const conferenceInputSchema = {
+  type: 'object',
+  properties: {
+    uri: {
+      type: 'string',
+      description: 'Join link or dial-in (e.g., https://zoom.us/j/123, tel:+1-555-0100,,123456)',
+    },
+    features: {
+      type: 'array',
+      items: { type: 'string', enum: CONFERENCE_FEATURES },
+      description: 'Optional: What the link offers, e.g. ["AUDIO", "VIDEO"] for a video call or ["PHONE"] for a dial-in',
+    },
+    label: {
+      type: 'string',
+      description: 'Optional: Label shown to users (e.g., "Zoom", "Dial-in (US)")',
+    },
+  },
+  required: ['uri'],
+};
+
+/**
+ * Quote a parameter value if it contains separators (DQUOTE is not allowed inside)
+ */
+function formatParameterValue(value) {
+  const clean = String(value).replace(/"/g, '\'');
+  return /[:;,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+/**
+ * Build a CONFERENCE content line
+ * FEATURE is written as an unquoted comma-separated list so readers see each feature
+ *
+ * @param {Object} conference - { uri, features, label }
+ * @returns {string} e.g. CONFERENCE;VALUE=URI;FEATURE=AUDIO,VIDEO;LABEL=Zoom:https://zoom.us/j/123
+ */
+export function buildConferenceLine(conference) {
+  let line = 'CONFERENCE;VALUE=URI';
+  if (conference.features?.length) {
+    line += `;FEATURE=${conference.features.join(',')}`;
+  }
+  if (conference.label) {
+    line += `;LABEL=${formatParameterValue(conference.label)}`;
+  }
+  return `${line}:${conference.uri}`;
+}
+
+/**
+ * Replace the CONFERENCE properties of a component
+ * Vendor properties are left alone; an empty list removes all CONFERENCE links
+ *
+ * @param {ICAL.Component} component - VEVENT
+ * @param {Array<Object>} conferences - { uri, features, label } objects
+ */
+export function setConferences(component, conferences) {
+  component.removeAllProperties('conference');
+  conferences.forEach(conference => {
+    component.addProperty(ICAL.Property.fromString(buildConferenceLine(conference)));
+  });
+}
+
+/**
+ * Read the conference links of a component
+ * CONFERENCE properties come first; vendor properties are added unless they repeat a CONFERENCE URI
+ *
+ * @param {ICAL.Component} component - VEVENT
+ * @returns {Array<{uri: string, features: string[], label: string|null, source: string}>}
+ *   source is CONFERENCE or the vendor property name
+ */
+export function getConferences(component) {
+  const conferences = component.getAllProperties('conference').map(property => ({
+    uri: String(property.getFirstValue()),
+    features: [property.getParameter('feature') || []].flat()
+      .flatMap(value => String(value).split(','))
+      .map(value => value.trim().toUpperCase())
+      .filter(Boolean),
+    label: property.getParameter('label') || null,
+    source: 'CONFERENCE',
+  }));
+
+  Object.entries(VENDOR_CONFERENCE_PROPERTIES).forEach(([name, label]) => {
+    component.getAllProperties(name).forEach(property => {
+      const uri = String(property.getFirstValue() || '').trim();
+      if (uri && !conferences.some(conference => conference.uri === uri)) {
+        conferences.push({ uri, features: ['VIDEO'], label, source: name.toUpperCase() });
+      }
+    });
+  });
+
+  return conferences;
+}
@@ -0,0 +1,147 @@
+/**
+ * Scheduling conflict detection
+ * Finds existing opaque events that overlap an event about to be created or updated
+ */
+
+import ICAL from 'ical.js';
+import { getBusyOccurrences } from './freebusy.js';
+import { registerMissingTimezones } from './timezones.js';
+import { extractPropertyValue } from '../../formatters.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Occurrences of a recurring event are checked up to this far ahead
+ */
+const CONFLICT_HORIZON_DAYS = 365;
+
+/**
+ * Upper bound on checked occurrences of a recurring event
+ */
+const MAX_CHECKED_OCCURRENCES = 100;
+
+/**
+ * JSON Schemas for the conflict check arguments in tool inputSchemas
+ */
+export const checkConflictsInputSchema = {
+  type: 'string',
+  enum: ['calendar', 'all'],
+  description: 'Optional: Check for overlapping busy events before saving: "calendar" (the event\'s calendar) or "all" (all calendars). Transparent and cancelled events are ignored. Off by default.',
+};
+
+export const allowConflictsInputSchema = {
+  type: 'boolean',
+  description: 'Optional: Save even if check_conflicts finds overlapping events; they are listed in the response (default: false, the write is refused)',
+};
+
+/**
+ * Local calendar date (YYYY-MM-DD) of a Date, as ical.js maps floating DATE values to local midnight
+ */
+function toLocalDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Get the busy periods of an event, expanding recurrences within the horizon
+ * @param {string} icalData - iCalendar data of the event
+ * @returns {Array<{start: Date, end: Date}>} Periods; empty if the event does not block time
+ */
+function getEventPeriods(icalData) {
+  registerMissingTimezones(icalData);
+  const vcalendar = new ICAL.Component(ICAL.parse(icalData));
+  const master = vcalendar.getAllSubcomponents('vevent').find(v => !v.hasProperty('recurrence-id'));
+  if (!master || !master.hasProperty('dtstart')) {
+    return [];
+  }
+
+  const start = master.getFirstPropertyValue('dtstart').toJSDate();
+  const horizon = new Date(start.getTime() + CONFLICT_HORIZON_DAYS * DAY_MS);
+  return getBusyOccurrences([{ data: icalData }], start, horizon).slice(0, MAX_CHECKED_OCCURRENCES);
+}
+
+/**
+ * Find existing events that overlap an event
+ *
+ * @param {Object} client - CalDAV client
+ * @param {Array<Object>} calendars - Calendars to search
+ * @param {string} icalData - iCalendar data of the new or updated event
+ * @returns {Promise<Array<{summary: string, start: string, end: string, all_day: boolean, calendar: string, url: string}>>}
+ *   Conflicting occurrences, sorted by start. The event itself (same UID) is never reported.
+ */
+export async function findConflicts(client, calendars, icalData) {
+  const periods = getEventPeriods(icalData);
+  if (periods.length === 0) {
+    return [];
+  }
+
+  const uid = new ICAL.Component(ICAL.parse(icalData)).getFirstSubcomponent('vevent').getFirstPropertyValue('uid');
+  const rangeStart = periods[0].start;
+  const rangeEnd = new Date(Math.max(...periods.map(period => period.end.getTime())));
+  const conflicts = [];
+
+  for (const calendar of calendars) {
+    const objects = await client.fetchCalendarObjects({
+      calendar,
+      timeRange: { start: rangeStart.toISOString(), end: rangeEnd.toISOString() },
+    });
+
+    getBusyOccurrences(objects, rangeStart, rangeEnd).forEach(occurrence => {
+      if (occurrence.vevent.getFirstPropertyValue('uid') === uid) {
+        return;
+      }
+      if (!periods.some(period => period.start < occurrence.end && occurrence.start < period.end)) {
+        return;
+      }
+
+      const allDay = occurrence.vevent.getFirstPropertyValue('dtstart').isDate;
+      conflicts.push({
+        summary: occurrence.vevent.getFirstPropertyValue('summary') || 'Untitled Event',
+        // All-day events report their last day (DTEND is exclusive)
+        start: allDay ? toLocalDate(occurrence.start) : occurrence.start.toISOString(),
+        end: allDay ? toLocalDate(new Date(occurrence.end.getTime() - DAY_MS)) : occurrence.end.toISOString(),
+        all_day: allDay,
+        calendar: extractPropertyValue(calendar.displayName) || calendar.url,
+        url: occurrence.object.url,
+      });
+    });
+  }
+
+  return conflicts.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Run the conflict check requested by a tool call
+ * Refuses the write by throwing unless allow_conflicts is set.
+ *
+ * @param {Object} client - CalDAV client
+ * @param {Object} options
+ * @param {string} [options.scope] - 'calendar' or 'all'; no check when omitted
+ * @param {boolean} [options.allowConflicts=false] - Report conflicts instead of refusing
+ * @param {string} options.calendarUrl - URL of the event's calendar
+ * @param {string} options.icalData - iCalendar data to be written
+ * @returns {Promise<Array<Object>|null>} Conflicts, or null if no check was requested
+ * @throws {Error} If conflicts were found and allow_conflicts is not set
+ */
+export async function checkConflicts(client, { scope, allowConflicts = false, calendarUrl, icalData }) {
+  if (!scope) {
+    return null;
+  }
+
+  const all = await client.fetchCalendars();
+  const calendars = scope === 'all'
+    ? all.filter(calendar => !calendar.components || calendar.components.includes('VEVENT'))
+    : [all.find(calendar => calendar.url === calendarUrl) || { url: calendarUrl }];
+
+  const conflicts = await findConflicts(client, calendars, icalData);
+
+  if (conflicts.length > 0 && !allowConflicts) {
+    const list = conflicts
+      .slice(0, 10)
+      .map(conflict => `- ${conflict.summary} (${conflict.start} to ${conflict.end}, ${conflict.calendar})`)
+      .join('\n');
+    throw new Error(`The event overlaps ${conflicts.length} existing event(s) and was not saved:\n${list}\nChoose another time, or set allow_conflicts to true to save it anyway.`);
+  }
+
+  return conflicts;
+}
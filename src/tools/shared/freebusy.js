@@ -0,0 +1,257 @@
+/**
+ * Free/busy helpers (RFC 4791 section 7.10, RFC 5545 section 3.6.4)
+ * Queries VFREEBUSY from the server or derives busy periods from events,
+ * then merges them and finds the open slots in between
+ */
+
+import ICAL from 'ical.js';
+import { logger } from '../../logger.js';
+import { formatICalDate } from './helpers.js';
+import { REQUEST_TIMEOUT_MS } from './webdav.js';
+import { expandRecurringEvents } from './recurrence.js';
+import { registerMissingTimezones } from './timezones.js';
+
+/**
+ * FBTYPE values by weight, used when overlapping periods are merged
+ */
+const BUSY_TYPE_WEIGHT = { 'BUSY-TENTATIVE': 1, BUSY: 2, 'BUSY-UNAVAILABLE': 3 };
+
+/**
+ * Issue a CALDAV:free-busy-query REPORT on a calendar collection
+ *
+ * @param {Object} client - CalDAV client (for authHeaders)
+ * @param {string} calendarUrl - Calendar collection URL
+ * @param {string|Date} start - Range start
+ * @param {string|Date} end - Range end
+ * @returns {Promise<Array<{start: Date, end: Date, type: string}>>} Busy periods
+ * @throws {Error} If the server does not support the report
+ */
+export async function freeBusyQuery(client, calendarUrl, start, end) {
+  const body = '<?xml version="1.0" encoding="utf-8"?>\n' +
+    '<c:free-busy-query xmlns:c="urn:ietf:params:xml:ns:caldav">\n' +
+    `  <c:time-range start="${formatICalDate(start)}" end="${formatICalDate(end)}"/>\n` +
+    '</c:free-busy-query>';
+
+  const response = await fetch(calendarUrl, {
+    method: 'REPORT',
+    headers: {
+      'Content-Type': 'application/xml; charset=utf-8',
+      Depth: '1',
+      ...client.authHeaders,
+    },
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`free-busy-query failed with status ${response.status} ${response.statusText}`);
+  }
+
+  const text = await response.text();
+  if (!text.includes('BEGIN:VFREEBUSY')) {
+    throw new Error('free-busy-query response contains no VFREEBUSY');
+  }
+
+  return parseFreeBusy(text);
+}
+
+/**
+ * Get a calendar's busy periods, from the server's free-busy-query or computed from its events
+ *
+ * @param {Object} client - CalDAV client
+ * @param {Object} calendar - Calendar from fetchCalendars
+ * @param {string|Date} start - Range start
+ * @param {string|Date} end - Range end
+ * @returns {Promise<{periods: Array<{start: Date, end: Date, type: string}>, source: string}>}
+ *   source is 'server' or 'events'
+ */
+export async function fetchCalendarBusyPeriods(client, calendar, start, end) {
+  try {
+    return { periods: await freeBusyQuery(client, calendar.url, start, end), source: 'server' };
+  } catch (error) {
+    logger.debug({ error: error.message, calendarUrl: calendar.url }, 'free-busy-query unavailable, computing from events');
+
+    const timeRange = { start: new Date(start).toISOString(), end: new Date(end).toISOString() };
+    const events = await client.fetchCalendarObjects({ calendar, timeRange });
+    return { periods: computeBusyPeriods(events, start, end), source: 'events' };
+  }
+}
+
+/**
+ * Read the busy periods of a VFREEBUSY
+ * @param {string} icalData - iCalendar data containing a VFREEBUSY
+ * @returns {Array<{start: Date, end: Date, type: string}>} Busy periods (FBTYPE=FREE is skipped)
+ */
+export function parseFreeBusy(icalData) {
+  const vcalendar = new ICAL.Component(ICAL.parse(icalData));
+  const vfreebusy = vcalendar.name === 'vfreebusy' ? vcalendar : vcalendar.getFirstSubcomponent('vfreebusy');
+
+  if (!vfreebusy) {
+    return [];
+  }
+
+  return vfreebusy.getAllProperties('freebusy').flatMap(property => {
+    const type = (property.getParameter('fbtype') || 'BUSY').toUpperCase();
+    if (type === 'FREE') {
+      return [];
+    }
+    return property.getValues().map(period => ({
+      start: period.start.toJSDate(),
+      end: period.getEnd().toJSDate(),
+      type,
+    }));
+  });
+}
+
+/**
+ * Get the FBTYPE an event contributes, following RFC 4791 section 7.10
+ * @param {ICAL.Component} vevent - VEVENT (master or override)
+ * @returns {string|null} BUSY or BUSY-TENTATIVE, or null if the event does not block time
+ */
+export function getBusyType(vevent) {
+  if (String(vevent.getFirstPropertyValue('transp') || '').toUpperCase() === 'TRANSPARENT') {
+    return null;
+  }
+
+  const status = String(vevent.getFirstPropertyValue('status') || '').toUpperCase();
+  if (status === 'CANCELLED') {
+    return null;
+  }
+  return status === 'TENTATIVE' ? 'BUSY-TENTATIVE' : 'BUSY';
+}
+
+/**
+ * Expand calendar objects into the occurrences that block time within a range
+ * Recurring events are expanded; TRANSP:TRANSPARENT and STATUS:CANCELLED events are skipped.
+ *
+ * @param {Array<Object>} calendarObjects - Calendar objects with data
+ * @param {string|Date} start - Range start
+ * @param {string|Date} end - Range end
+ * @returns {Array<{object: Object, vevent: ICAL.Component, start: Date, end: Date, type: string}>}
+ *   Overlapping occurrences with their calendar object and (override) VEVENT, not clipped to the range
+ */
+export function getBusyOccurrences(calendarObjects, start, end) {
+  const rangeStart = new Date(start).getTime();
+  const rangeEnd = new Date(end).getTime();
+
+  return expandRecurringEvents(calendarObjects, start, end).flatMap(object => {
+    try {
+      registerMissingTimezones(object.data);
+      const vevents = new ICAL.Component(ICAL.parse(object.data)).getAllSubcomponents('vevent');
+
+      let vevent = vevents.find(v => !v.hasProperty('recurrence-id')) || vevents[0];
+      if (object.occurrence?.isOverride) {
+        vevent = vevents.find(v => v.getFirstPropertyValue('recurrence-id')?.toString() === object.occurrence.recurrenceId) || vevent;
+      }
+      if (!vevent || !vevent.hasProperty('dtstart')) {
+        return [];
+      }
+
+      const type = getBusyType(vevent);
+      if (!type) {
+        return [];
+      }
+
+      const event = new ICAL.Event(vevent);
+      const eventStart = (object.occurrence ? object.occurrence.start : event.startDate).toJSDate().getTime();
+      const eventEnd = (object.occurrence ? object.occurrence.end : event.endDate)?.toJSDate().getTime() ?? eventStart;
+
+      if (eventEnd <= rangeStart || eventStart >= rangeEnd || eventEnd <= eventStart) {
+        return [];
+      }
+
+      return [{ object, vevent, start: new Date(eventStart), end: new Date(eventEnd), type }];
+    } catch (error) {
+      console.error('Error reading busy time:', error);
+      return [];
+    }
+  });
+}
+
+/**
+ * Derive busy periods from calendar objects, for servers without free-busy-query
+ *
+ * @param {Array<Object>} calendarObjects - Calendar objects with data
+ * @param {string|Date} start - Range start
+ * @param {string|Date} end - Range end
+ * @returns {Array<{start: Date, end: Date, type: string}>} Busy periods clipped to the range
+ */
+export function computeBusyPeriods(calendarObjects, start, end) {
+  const rangeStart = new Date(start);
+  const rangeEnd = new Date(end);
+
+  return getBusyOccurrences(calendarObjects, start, end).map(occurrence => ({
+    start: occurrence.start > rangeStart ? occurrence.start : rangeStart,
+    end: occurrence.end < rangeEnd ? occurrence.end : rangeEnd,
+    type: occurrence.type,
+  }));
+}
+
+/**
+ * Merge overlapping or adjacent busy periods
+ * A merged period keeps the strongest FBTYPE (BUSY-UNAVAILABLE > BUSY > BUSY-TENTATIVE).
+ *
+ * @param {Array<{start: Date, end: Date, type: string}>} periods - Busy periods from any number of calendars
+ * @returns {Array<{start: Date, end: Date, type: string}>} Sorted, non-overlapping periods
+ */
+export function mergeBusyPeriods(periods) {
+  const sorted = [...periods].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  sorted.forEach(period => {
+    const last = merged[merged.length - 1];
+    if (last && period.start <= last.end) {
+      if (period.end > last.end) {
+        last.end = period.end;
+      }
+      if ((BUSY_TYPE_WEIGHT[period.type] || 0) > (BUSY_TYPE_WEIGHT[last.type] || 0)) {
+        last.type = period.type;
+      }
+    } else {
+      merged.push({ ...period });
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Find the open slots between busy periods
+ *
+ * @param {Array<{start: Date, end: Date}>} busyPeriods - Merged busy periods (see mergeBusyPeriods)
+ * @param {string|Date} start - Range start
+ * @param {string|Date} end - Range end
+ * @param {number} [minMinutes=0] - Minimum slot length in minutes
+ * @returns {Array<{start: Date, end: Date, minutes: number}>} Free slots
+ *
+ * @example
+ * findFreeSlots(busy, '2025-07-10T12:00:00Z', '2025-07-10T18:00:00Z', 30)
+ */
+export function findFreeSlots(busyPeriods, start, end, minMinutes = 0) {
+  const rangeEnd = new Date(end);
+  const slots = [];
+  let cursor = new Date(start);
+
+  const addSlot = (slotEnd) => {
+    const minutes = Math.floor((slotEnd - cursor) / 60000);
+    if (minutes > 0 && minutes >= minMinutes) {
+      slots.push({ start: cursor, end: slotEnd, minutes });
+    }
+  };
+
+  busyPeriods.forEach(period => {
+    if (period.end <= cursor || period.start >= rangeEnd) {
+      return;
+    }
+    if (period.start > cursor) {
+      addSlot(period.start);
+    }
+    cursor = period.end > cursor ? period.end : cursor;
+  });
+
+  if (cursor < rangeEnd) {
+    addSlot(rangeEnd);
+  }
+
+  return slots;
+}
@@ -11,6 +11,25 @@ export function formatICalDate(date) {
   return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
 }
 
+/**
+ * Format a calendar date as an iCal DATE value (for VALUE=DATE)
+ * The date part of ISO strings is used as written, without converting to UTC.
+ *
+ * @param {string|Date} date - Date (YYYY-MM-DD or ISO 8601 datetime)
+ * @param {number} [addDays=0] - Days to add (e.g., 1 for an exclusive DTEND)
+ * @returns {string} Formatted iCal date string (YYYYMMDD)
+ *
+ * @example
+ * formatICalDateOnly('2025-07-05', 1) // Returns: 20250706
+ */
+export function formatICalDateOnly(date, addDays = 0) {
+  const match = typeof date === 'string' && date.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  const day = match
+    ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + addDays))
+    : new Date(new Date(date).getTime() + addDays * 24 * 60 * 60 * 1000);
+  return day.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
 /**
  * Generate unique UID for calendar objects
  * @param {string} prefix - Prefix for the UID (e.g., 'event', 'todo', 'contact')
@@ -130,3 +149,52 @@ export function buildTimeRangeOptions(timeRangeStart, timeRangeEnd) {
 
   return options;
 }
+
+/**
+ * Get the collection URL that contains a calendar object
+ * @param {string} objectUrl - URL of an event/todo (.ics)
+ * @returns {string} Calendar URL with trailing slash
+ */
+export function getParentCollectionUrl(objectUrl) {
+  return objectUrl.substring(0, objectUrl.lastIndexOf('/') + 1);
+}
+
+/**
+ * Fetch a single calendar object (event or todo) by its URL
+ * @param {Object} client - CalDAV client instance
+ * @param {string} objectUrl - URL of the calendar object
+ * @returns {Promise<Object>} Calendar object with url, etag and data
+ * @throws {Error} If the object does not exist
+ */
+export async function fetchCalendarObjectByUrl(client, objectUrl) {
+  const objects = await client.fetchCalendarObjects({
+    calendar: { url: getParentCollectionUrl(objectUrl) },
+    objectUrls: [objectUrl],
+  });
+
+  if (!objects || objects.length === 0 || !objects[0].data) {
+    throw new Error(`Calendar object not found: ${objectUrl}`);
+  }
+
+  return objects[0];
+}
+
+/**
+ * Check the result of a tsdav write (PUT or DELETE)
+ * tsdav returns the fetch Response and does not throw on HTTP errors.
+ *
+ * @param {Response} response - Response of the write
+ * @param {string} action - What was written, for the error message (e.g., 'Updating', 'Deleting')
+ * @param {string} url - URL of the written object
+ * @returns {string|null} ETag of the written object, if the server sent one
+ * @throws {Error} Precondition failed (412) if the object was modified, otherwise the HTTP status
+ */
+export function checkWriteResponse(response, action, url) {
+  if (response?.ok === false) {
+    if (response.status === 412) {
+      throw new Error(`Precondition failed (412): ${url} was modified. Reload it before trying again.`);
+    }
+    throw new Error(`${action} ${url} failed with status ${response.status} ${response.statusText || ''}`.trim());
+  }
+  return response?.headers?.get('etag') || null;
+}
@@ -0,0 +1,193 @@
+/**
+ * ical.js component helpers for tools that modify stored calendar objects
+ * Used where flat field updates (tsdav-utils updateFields) are not enough,
+ * e.g. RECURRENCE-ID overrides, parameters and nested components
+ */
+
+import ICAL from 'ical.js';
+
+/**
+ * Properties whose values are DATE or DATE-TIME
+ */
+const DATE_PROPERTIES = ['DTSTART', 'DTEND', 'DUE', 'RECURRENCE-ID', 'COMPLETED'];
+
+/**
+ * Parse iCalendar data into a VCALENDAR component
+ * @param {string} icalData - Complete iCalendar data
+ * @returns {ICAL.Component} VCALENDAR component
+ */
+export function parseICalComponent(icalData) {
+  return new ICAL.Component(ICAL.parse(icalData));
+}
+
+/**
+ * Get the series master (the component without RECURRENCE-ID)
+ * @param {ICAL.Component} vcalendar - VCALENDAR component
+ * @param {string} [componentName='vevent'] - Component type (vevent or vtodo)
+ * @returns {ICAL.Component} Master component
+ * @throws {Error} If the calendar object has no such component
+ */
+export function getMasterComponent(vcalendar, componentName = 'vevent') {
+  const components = vcalendar.getAllSubcomponents(componentName);
+  const master = components.find(c => !c.hasProperty('recurrence-id')) || components[0];
+
+  if (!master) {
+    throw new Error(`Calendar object contains no ${componentName.toUpperCase()} component`);
+  }
+
+  return master;
+}
+
+/**
+ * Get the categories of a component
+ * CATEGORIES may appear several times and each holds a comma-separated list
+ * @param {ICAL.Component} component - VEVENT or VTODO
+ * @returns {string[]} Category names
+ */
+export function getCategories(component) {
+  return component.getAllProperties('categories')
+    .flatMap(property => property.getValues())
+    .map(value => String(value).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Find the RECURRENCE-ID override for an occurrence
+ * @param {ICAL.Component} vcalendar - VCALENDAR component
+ * @param {ICAL.Time} recurrenceId - Original start of the occurrence
+ * @param {string} [componentName='vevent'] - Component type
+ * @returns {ICAL.Component|undefined} Override component, if any
+ */
+export function findOverrideComponent(vcalendar, recurrenceId, componentName = 'vevent') {
+  const targetTime = recurrenceId.toJSDate().getTime();
+  return vcalendar.getAllSubcomponents(componentName).find(c => {
+    const rid = c.getFirstPropertyValue('recurrence-id');
+    return rid && rid.toJSDate().getTime() === targetTime;
+  });
+}
+
+/**
+ * Parse a date value in ISO 8601 or iCal basic format (20250128T100000Z, 20250128)
+ * @param {string|Date} value - Date value
+ * @returns {{ date: Date, isDate: boolean }} Parsed JS date and whether it is date-only
+ */
+function parseDateValue(value) {
+  if (value instanceof Date) {
+    return { date: value, isDate: false };
+  }
+
+  const basic = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+  if (basic) {
+    const [, year, month, day, hour, minute, second, utc] = basic;
+    if (!hour) {
+      return { date: new Date(`${year}-${month}-${day}T00:00:00Z`), isDate: true };
+    }
+    return { date: new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${utc}`), isDate: false };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return { date: new Date(`${value}T00:00:00Z`), isDate: true };
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date value: ${value}`);
+  }
+  return { date, isDate: false };
+}
+
+/**
+ * Convert a date value to an ICAL.Time matching the type of a template time
+ * Date-only templates produce DATE values; zoned templates keep their zone
+ *
+ * @param {string|Date} value - ISO 8601 or iCal basic format date
+ * @param {ICAL.Time} [template] - Existing time whose value type/zone should be matched
+ * @returns {ICAL.Time} Converted time
+ *
+ * @example
+ * toICalTime('2025-01-13T09:00:00Z', vevent.getFirstPropertyValue('dtstart'))
+ */
+export function toICalTime(value, template = null) {
+  const { date, isDate } = parseDateValue(value);
+
+  if (isDate || template?.isDate) {
+    return ICAL.Time.fromData({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      isDate: true,
+    });
+  }
+
+  const time = ICAL.Time.fromJSDate(date, true);
+  if (template?.zone?.component) {
+    return time.convertToZone(template.zone);
+  }
+  return time;
+}
+
+/**
+ * Set a DATE/DATE-TIME property, keeping TZID in sync with the value
+ * @param {ICAL.Component} component - Component to modify
+ * @param {string} name - Property name (e.g., DTSTART)
+ * @param {ICAL.Time} time - New value
+ * @returns {ICAL.Property} Updated property
+ */
+export function setDateProperty(component, name, time) {
+  // ical.js writes VALUE=DATE itself based on the value type
+  const property = component.updatePropertyWithValue(name.toLowerCase(), time);
+  property.removeParameter('tzid');
+  if (!time.isDate && time.zone?.tzid && time.zone.component) {
+    property.setParameter('tzid', time.zone.tzid);
+  }
+  return property;
+}
+
+/**
+ * Apply flat field updates (UPPERCASE property names) to a component
+ * Date properties accept ISO 8601 or iCal format; moving DTSTART without DTEND keeps the duration
+ *
+ * @param {ICAL.Component} component - VEVENT or VTODO component
+ * @param {Object<string, string>} fields - Property name to value map
+ */
+export function applyFieldUpdates(component, fields = {}) {
+  const entries = Object.entries(fields).map(([name, value]) => [name.toUpperCase(), value]);
+  const hasEnd = entries.some(([name]) => name === 'DTEND' || name === 'DURATION');
+
+  for (const [name, value] of entries) {
+    if (DATE_PROPERTIES.includes(name)) {
+      const current = component.getFirstPropertyValue(name.toLowerCase());
+      const time = toICalTime(value, current);
+
+      if (name === 'DTSTART' && !hasEnd && component.hasProperty('dtend')) {
+        const start = component.getFirstPropertyValue('dtstart');
+        const end = component.getFirstPropertyValue('dtend');
+        const newEnd = time.clone();
+        newEnd.addDuration(end.subtractDate(start));
+        setDateProperty(component, 'DTEND', newEnd);
+      }
+
+      setDateProperty(component, name, time);
+    } else {
+      component.updatePropertyWithValue(name.toLowerCase(), value);
+    }
+  }
+}
+
+/**
+ * Mark a component as modified: refresh DTSTAMP and LAST-MODIFIED, bump SEQUENCE
+ * SEQUENCE is only for significant changes (RFC 5546 section 2.1.4); attendees' clients treat a
+ * bump as a rescheduled meeting, so personal changes such as reminders pass significant: false.
+ *
+ * @param {ICAL.Component} component - VEVENT or VTODO component
+ * @param {Object} [options]
+ * @param {boolean} [options.significant=true] - Whether to bump SEQUENCE
+ */
+export function touchComponent(component, { significant = true } = {}) {
+  const now = ICAL.Time.fromJSDate(new Date(), true);
+  component.updatePropertyWithValue('dtstamp', now);
+  component.updatePropertyWithValue('last-modified', now);
+  if (significant) {
+    component.updatePropertyWithValue('sequence', (component.getFirstPropertyValue('sequence') || 0) + 1);
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * iTIP message builders (RFC 5546)
+ * Turns stored calendar objects into METHOD:REQUEST, REPLY and CANCEL messages
+ */
+
+import { parseICalComponent } from './ical-component.js';
+import { normalizeEmail, findAttendee } from './attendees.js';
+
+/**
+ * Supported iTIP methods
+ */
+export const ITIP_METHODS = ['REQUEST', 'REPLY', 'CANCEL'];
+
+/**
+ * Get the organizer email of a calendar object
+ * @param {string} icalData - Complete iCalendar data
+ * @param {string} [componentName='vevent'] - Component type
+ * @returns {string|null} Organizer email without mailto:
+ */
+export function getOrganizerEmail(icalData, componentName = 'vevent') {
+  const vcalendar = parseICalComponent(icalData);
+  const component = vcalendar.getAllSubcomponents(componentName).find(c => c.hasProperty('organizer'));
+  return component ? normalizeEmail(component.getFirstPropertyValue('organizer')) : null;
+}
+
+/**
+ * Collect attendee emails across the master and all overrides, excluding the organizer
+ * @param {string} icalData - Complete iCalendar data
+ * @param {string} [componentName='vevent'] - Component type
+ * @returns {string[]} Unique attendee emails
+ */
+export function getAttendeeEmails(icalData, componentName = 'vevent') {
+  const vcalendar = parseICalComponent(icalData);
+  const emails = new Set();
+
+  vcalendar.getAllSubcomponents(componentName).forEach(component => {
+    const organizer = normalizeEmail(component.getFirstPropertyValue('organizer'));
+    component.getAllProperties('attendee').forEach(attendee => {
+      const email = normalizeEmail(attendee.getFirstValue());
+      if (email && email !== organizer) {
+        emails.add(email);
+      }
+    });
+  });
+
+  return [...emails];
+}
+
+/**
+ * Build an iTIP message from a calendar object
+ *
+ * - REQUEST: the full object (master and overrides) for new or updated meetings
+ * - CANCEL: every component with STATUS:CANCELLED and a bumped SEQUENCE;
+ *   `attendees` limits the message to the given (e.g. removed) attendees
+ * - REPLY: only ORGANIZER and the replying attendee with the new PARTSTAT
+ *
+ * VALARMs are personal and never sent.
+ *
+ * @param {string} icalData - Complete iCalendar data
+ * @param {string} method - REQUEST, REPLY or CANCEL
+ * @param {Object} [options]
+ * @param {string[]} [options.attendees] - CANCEL: only include these attendees
+ * @param {string} [options.attendee] - REPLY: email of the replying attendee
+ * @param {string} [options.partstat] - REPLY: ACCEPTED, DECLINED or TENTATIVE
+ * @param {string} [options.comment] - REPLY: optional note to the organizer
+ * @param {string} [options.componentName='vevent'] - Component type
+ * @returns {string} iTIP message (iCalendar data with METHOD)
+ * @throws {Error} If the method is unknown or the replying attendee is not invited
+ */
+export function buildItipMessage(icalData, method, options = {}) {
+  const { componentName = 'vevent' } = options;
+
+  if (!ITIP_METHODS.includes(method)) {
+    throw new Error(`Unsupported iTIP method: ${method}. Use one of: ${ITIP_METHODS.join(', ')}`);
+  }
+
+  const vcalendar = parseICalComponent(icalData);
+  const components = vcalendar.getAllSubcomponents(componentName);
+
+  if (components.length === 0) {
+    throw new Error(`Calendar object contains no ${componentName.toUpperCase()} component`);
+  }
+
+  vcalendar.updatePropertyWithValue('method', method);
+
+  components.forEach(component => {
+    component.removeAllSubcomponents('valarm');
+
+    if (method === 'CANCEL') {
+      component.updatePropertyWithValue('status', 'CANCELLED');
+      component.updatePropertyWithValue('sequence', (component.getFirstPropertyValue('sequence') || 0) + 1);
+
+      if (options.attendees) {
+        const keep = options.attendees.map(normalizeEmail);
+        component.getAllProperties('attendee')
+          .filter(p => !keep.includes(normalizeEmail(p.getFirstValue())))
+          .forEach(p => component.removeProperty(p));
+      }
+    }
+
+    if (method === 'REPLY') {
+      const attendee = findAttendee(component, options.attendee);
+      if (!attendee) {
+        throw new Error(`${options.attendee} is not an attendee of this event`);
+      }
+
+      component.getAllProperties('attendee')
+        .filter(p => p !== attendee)
+        .forEach(p => component.removeProperty(p));
+      attendee.setParameter('partstat', options.partstat);
+      attendee.removeParameter('rsvp');
+      if (options.comment) {
+        component.updatePropertyWithValue('comment', options.comment);
+      }
+    }
+  });
+
+  return vcalendar.toString();
+}
+
+/**
+ * Get the METHOD of an iTIP message
+ * @param {string} icalData - Complete iCalendar data
+ * @returns {string|null} METHOD value (e.g. REQUEST), or null for plain calendar objects
+ */
+export function getItipMethod(icalData) {
+  const method = parseICalComponent(icalData).getFirstPropertyValue('method');
+  return method ? String(method).toUpperCase() : null;
+}
+
+/**
+ * Find which of the user's calendar addresses is invited to a meeting
+ * @param {string} icalData - Complete iCalendar data
+ * @param {string[]} userAddresses - The user's emails (calendar-user-address-set)
+ * @returns {{email: string, partstat: string}|null} Matching attendee
+ */
+export function findUserAttendee(icalData, userAddresses = []) {
+  const vcalendar = parseICalComponent(icalData);
+  const component = vcalendar.getAllSubcomponents('vevent').find(c => !c.hasProperty('recurrence-id'))
+    || vcalendar.getFirstSubcomponent('vevent');
+
+  if (!component) {
+    return null;
+  }
+
+  for (const email of userAddresses) {
+    const attendee = findAttendee(component, email);
+    if (attendee) {
+      return { email: normalizeEmail(email), partstat: attendee.getParameter('partstat') || 'NEEDS-ACTION' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn an iTIP REQUEST into the attendee's calendar copy with their new PARTSTAT
+ * METHOD is removed (not allowed in stored CalDAV objects, RFC 4791 section 4.1)
+ *
+ * @param {string} icalData - iTIP REQUEST data
+ * @param {string} attendeeEmail - Email of the responding attendee
+ * @param {string} partstat - ACCEPTED, DECLINED or TENTATIVE
+ * @returns {string} Calendar object data
+ * @throws {Error} If the attendee is not invited to any component
+ */
+export function setParticipationStatus(icalData, attendeeEmail, partstat) {
+  const vcalendar = parseICalComponent(icalData);
+  vcalendar.removeAllProperties('method');
+
+  // Overrides may leave the attendee out of single occurrences
+  const attendees = vcalendar.getAllSubcomponents('vevent')
+    .map(component => findAttendee(component, attendeeEmail))
+    .filter(Boolean);
+
+  if (attendees.length === 0) {
+    throw new Error(`${attendeeEmail} is not an attendee of this event`);
+  }
+
+  attendees.forEach(attendee => {
+    attendee.setParameter('partstat', partstat);
+    attendee.removeParameter('rsvp');
+  });
+
+  return vcalendar.toString();
+}
@@ -0,0 +1,171 @@
+/**
+ * Meeting slot search
+ * Finds start times inside working hours that avoid every participant's busy time,
+ * ranked by closeness to a preferred time of day and by how soon they are
+ */
+
+import { mergeBusyPeriods, findFreeSlots } from './freebusy.js';
+import { formatICalDateInTimezone, getTimezoneOffset, zonedTimeToDate } from './timezones.js';
+
+const MINUTE_MS = 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Named preferred times of day (local HH:MM)
+ */
+export const PREFERRED_TIMES = {
+  morning: '10:00',
+  midday: '12:30',
+  afternoon: '15:00',
+};
+
+/**
+ * Default working hours: 09:00-17:00, Monday to Friday
+ */
+export const DEFAULT_WORKING_HOURS = {
+  start: '09:00',
+  end: '17:00',
+  days: ['MO', 'TU', 'WE', 'TH', 'FR'],
+};
+
+/**
+ * Minutes since local midnight for "HH:MM"
+ */
+function parseTimeOfDay(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Local date (YYYY-MM-DD) and minutes since midnight of an instant in a timezone
+ */
+function toLocal(date, timezone) {
+  const local = formatICalDateInTimezone(date, timezone);
+  return {
+    date: `${local.slice(0, 4)}-${local.slice(4, 6)}-${local.slice(6, 8)}`,
+    minutes: Number(local.slice(9, 11)) * 60 + Number(local.slice(11, 13)),
+  };
+}
+
+/**
+ * Get the working-hour periods within a range
+ *
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {Object} workingHours - { start: 'HH:MM', end: 'HH:MM', days: ['MO', ...] }
+ * @param {string} timezone - IANA timezone the working hours are in
+ * @returns {Array<{start: Date, end: Date}>} Working periods clipped to the range
+ */
+export function getWorkingPeriods(start, end, workingHours, timezone) {
+  const days = workingHours.days || DEFAULT_WORKING_HOURS.days;
+  const periods = [];
+  const lastDate = toLocal(end, timezone).date;
+
+  for (let date = toLocal(start, timezone).date; date <= lastDate;) {
+    const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+    if (days.includes(weekday)) {
+      const periodStart = zonedTimeToDate(`${date}T${workingHours.start}:00`, timezone);
+      const periodEnd = zonedTimeToDate(`${date}T${workingHours.end}:00`, timezone);
+      const clippedStart = periodStart > start ? periodStart : start;
+      const clippedEnd = periodEnd < end ? periodEnd : end;
+      if (clippedEnd > clippedStart) {
+        periods.push({ start: clippedStart, end: clippedEnd });
+      }
+    }
+
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    date = next.toISOString().slice(0, 10);
+  }
+
+  return periods;
+}
+
+/**
+ * Round an instant up to the next step boundary in local time (e.g., :00, :15, :30, :45)
+ */
+function alignToStep(date, stepMinutes, timezone) {
+  const offset = getTimezoneOffset(timezone, date) * MINUTE_MS;
+  const step = stepMinutes * MINUTE_MS;
+  return new Date(Math.ceil((date.getTime() + offset) / step) * step - offset);
+}
+
+/**
+ * Find and rank meeting slots
+ * Busy periods are widened by the buffer so that meetings never start or end right next to
+ * another commitment. At most one candidate is suggested per open gap.
+ *
+ * @param {Object} options
+ * @param {Array<{start: Date, end: Date}>} options.busy - Busy periods of all participants
+ * @param {Date} options.start - Search window start
+ * @param {Date} options.end - Search window end
+ * @param {number} options.durationMinutes - Meeting length
+ * @param {number} [options.bufferMinutes=0] - Free time required before and after the meeting
+ * @param {Object} [options.workingHours] - { start, end, days } (default: 09:00-17:00, MO-FR)
+ * @param {string} [options.timezone='UTC'] - IANA timezone of the working hours and preferred time
+ * @param {string} [options.preferredTime] - 'morning', 'midday', 'afternoon' or 'HH:MM'
+ * @param {number} [options.stepMinutes=15] - Granularity of candidate start times
+ * @param {number} [options.maxResults=5] - Number of suggestions
+ * @returns {Array<{start: Date, end: Date, score: number}>} Ranked suggestions (score 0-100)
+ */
+export function findMeetingSlots({
+  busy,
+  start,
+  end,
+  durationMinutes,
+  bufferMinutes = 0,
+  workingHours = DEFAULT_WORKING_HOURS,
+  timezone = 'UTC',
+  preferredTime,
+  stepMinutes = 15,
+  maxResults = 5,
+}) {
+  const buffer = bufferMinutes * MINUTE_MS;
+  const duration = durationMinutes * MINUTE_MS;
+  const padded = mergeBusyPeriods(busy.map(period => ({
+    ...period,
+    start: new Date(period.start.getTime() - buffer),
+    end: new Date(period.end.getTime() + buffer),
+  })));
+
+  const target = preferredTime ? parseTimeOfDay(PREFERRED_TIMES[preferredTime] || preferredTime) : null;
+  const windowDays = Math.max(1, Math.ceil((end - start) / (24 * 60 * MINUTE_MS)));
+
+  // Preference counts 70% when given; the remainder favors earlier days
+  const scoreSlot = (slotStart) => {
+    const daysAhead = Math.floor((slotStart - start) / (24 * 60 * MINUTE_MS));
+    const soon = 1 - daysAhead / windowDays;
+    if (target === null) {
+      return Math.round(100 * soon);
+    }
+    const distance = Math.abs(toLocal(slotStart, timezone).minutes - target);
+    const preference = Math.max(0, 1 - distance / 240);
+    return Math.round(100 * (0.7 * preference + 0.3 * soon));
+  };
+
+  const suggestions = [];
+
+  getWorkingPeriods(start, end, workingHours, timezone).forEach(period => {
+    findFreeSlots(padded, period.start, period.end, durationMinutes).forEach(gap => {
+      let best = null;
+
+      for (let slotStart = alignToStep(gap.start, stepMinutes, timezone);
+        slotStart.getTime() + duration <= gap.end.getTime();
+        slotStart = new Date(slotStart.getTime() + stepMinutes * MINUTE_MS)) {
+        const score = scoreSlot(slotStart);
+        if (!best || score > best.score) {
+          best = { start: slotStart, end: new Date(slotStart.getTime() + duration), score };
+        }
+      }
+
+      if (best) {
+        suggestions.push(best);
+      }
+    });
+  });
+
+  return suggestions
+    .sort((a, b) => b.score - a.score || a.start - b.start)
+    .slice(0, maxResults);
+}
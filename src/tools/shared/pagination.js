@@ -0,0 +1,156 @@
+/**
+ * Sorting and pagination for list and query tools
+ * Results are sorted before a page is cut, so offsets stay stable between calls
+ */
+
+import ICAL from 'ical.js';
+import { getMasterComponent } from './ical-component.js';
+import { registerMissingTimezones } from './timezones.js';
+
+/**
+ * Results per page when no limit is given
+ */
+export const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Largest accepted limit
+ */
+export const MAX_PAGE_SIZE = 200;
+
+/**
+ * Time of an ICAL.Time in milliseconds, or null
+ */
+function toTime(value) {
+  return value instanceof ICAL.Time ? value.toJSDate().getTime() : null;
+}
+
+/**
+ * Lowercase text of a property value, or null
+ */
+function toText(value) {
+  const text = Array.isArray(value) ? value.filter(Boolean).join(' ') : value;
+  return text ? String(text).trim().toLowerCase() || null : null;
+}
+
+/**
+ * Order of todo statuses when sorting by status: work in progress first, finished todos last
+ */
+const TODO_STATUS_ORDER = ['IN-PROCESS', 'NEEDS-ACTION', 'COMPLETED', 'CANCELLED'];
+
+/**
+ * Sort keys per resource type
+ * Each getter receives the parsed root component and the listed object (for expanded occurrences).
+ * Todos sort by priority from 1 (highest) to 9; PRIORITY 0 means undefined and sorts last.
+ */
+const SORT_KEYS = {
+  events: {
+    start: (vcalendar, object) => object.occurrence
+      ? toTime(object.occurrence.start)
+      : toTime(new ICAL.Event(getMasterComponent(vcalendar)).startDate),
+    end: (vcalendar, object) => object.occurrence
+      ? toTime(object.occurrence.end)
+      : toTime(new ICAL.Event(getMasterComponent(vcalendar)).endDate),
+    summary: (vcalendar) => toText(getMasterComponent(vcalendar).getFirstPropertyValue('summary')),
+  },
+  todos: {
+    due: (vcalendar) => toTime(getMasterComponent(vcalendar, 'vtodo').getFirstPropertyValue('due')),
+    priority: (vcalendar) => Number(getMasterComponent(vcalendar, 'vtodo').getFirstPropertyValue('priority')) || null,
+    created: (vcalendar) => toTime(getMasterComponent(vcalendar, 'vtodo').getFirstPropertyValue('created')),
+    status: (vcalendar) => {
+      const status = String(getMasterComponent(vcalendar, 'vtodo').getFirstPropertyValue('status') || 'NEEDS-ACTION');
+      const rank = TODO_STATUS_ORDER.indexOf(status.toUpperCase());
+      return rank === -1 ? null : rank;
+    },
+    summary: (vcalendar) => toText(getMasterComponent(vcalendar, 'vtodo').getFirstPropertyValue('summary')),
+  },
+  contacts: {
+    name: (vcard) => toText(vcard.getFirstPropertyValue('fn')),
+    family_name: (vcard) => toText(vcard.getFirstPropertyValue('n')?.[0]) ?? toText(vcard.getFirstPropertyValue('fn')),
+    organization: (vcard) => toText(vcard.getFirstPropertyValue('org')),
+  },
+};
+
+/**
+ * Accepted sort_by values per resource type, default first
+ */
+export const SORT_FIELDS = Object.fromEntries(
+  Object.entries(SORT_KEYS).map(([type, keys]) => [type, Object.keys(keys)])
+);
+
+/**
+ * JSON Schema properties for limit, offset and sort_by in tool inputSchemas
+ * @param {string} type - events, todos or contacts
+ * @returns {Object} inputSchema properties
+ */
+export function paginationInputProperties(type) {
+  return {
+    limit: {
+      type: 'number',
+      description: `Optional: Maximum ${type} to return (default: ${DEFAULT_PAGE_SIZE}, max: ${MAX_PAGE_SIZE})`,
+    },
+    offset: {
+      type: 'number',
+      description: `Optional: Number of ${type} to skip, for the next page (default: 0). The response says which offset to use next.`,
+    },
+    sort_by: {
+      type: 'string',
+      enum: SORT_FIELDS[type],
+      description: `Optional: Sort order (default: ${SORT_FIELDS[type][0]}). Items without the value come last.`,
+    },
+  };
+}
+
+/**
+ * Sort objects by a field, keeping server order for equal keys
+ *
+ * @param {Array<Object>} objects - Calendar objects, occurrences or vCards ({ data })
+ * @param {string} type - events, todos or contacts
+ * @param {string} [sortBy] - One of SORT_FIELDS[type] (default: the first)
+ * @returns {Array<Object>} New sorted array
+ */
+export function sortObjects(objects, type, sortBy = SORT_FIELDS[type][0]) {
+  const getKey = SORT_KEYS[type][sortBy];
+  const keyed = objects.map((object, index) => {
+    let key = null;
+    try {
+      if (type !== 'contacts') {
+        registerMissingTimezones(object.data);
+      }
+      key = getKey(new ICAL.Component(ICAL.parse(object.data)), object);
+    } catch {
+      // Unparsable objects sort last
+    }
+    return { object, index, key };
+  });
+
+  keyed.sort((a, b) => {
+    if (a.key === null || b.key === null) {
+      return (a.key === null) - (b.key === null) || a.index - b.index;
+    }
+    const order = typeof a.key === 'number' ? a.key - b.key : a.key.localeCompare(b.key);
+    return order || a.index - b.index;
+  });
+
+  return keyed.map(({ object }) => object);
+}
+
+/**
+ * Cut a page out of sorted results
+ *
+ * @param {Array<Object>} objects - All results
+ * @param {Object} [options]
+ * @param {number} [options.limit=DEFAULT_PAGE_SIZE] - Page size
+ * @param {number} [options.offset=0] - Results to skip
+ * @returns {{items: Array<Object>, total: number, offset: number, limit: number, remaining: number}}
+ *   remaining is the number of results after this page
+ */
+export function paginate(objects, { limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+  const items = objects.slice(offset, offset + limit);
+  return {
+    items,
+    total: objects.length,
+    offset,
+    limit,
+    remaining: Math.max(objects.length - offset - items.length, 0),
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * CalDAV calendar-query filters (RFC 4791 sections 7.8 and 9.7)
+ * Sends comp-filter/prop-filter/text-match REPORTs so the server does the searching,
+ * and applies the same filters with ical.js when the server rejects them
+ */
+
+import ICAL from 'ical.js';
+import { logger } from '../../logger.js';
+import { formatICalDate } from './helpers.js';
+import { escapeXml, unescapeXml, findElement, findElements, REQUEST_TIMEOUT_MS } from './webdav.js';
+
+/**
+ * Build a CALDAV:calendar-query REPORT body
+ * All prop-filters must match (RFC 4791 section 9.7.1); text-match is a case-insensitive substring match.
+ *
+ * @param {Object} params
+ * @param {string} [params.component='VEVENT'] - VEVENT or VTODO
+ * @param {{start: string, end: string}} [params.timeRange] - Only objects overlapping this range
+ * @param {Array<{property: string, text: string}>} [params.filters] - e.g. { property: 'SUMMARY', text: 'standup' }
+ * @returns {string} XML body
+ */
+export function buildCalendarQueryBody({ component = 'VEVENT', timeRange, filters = [] }) {
+  const conditions = [];
+  if (timeRange) {
+    conditions.push(`<c:time-range start="${formatICalDate(timeRange.start)}" end="${formatICalDate(timeRange.end)}"/>`);
+  }
+  filters.forEach(({ property, text }) => {
+    conditions.push(
+      `<c:prop-filter name="${property.toUpperCase()}">` +
+      `<c:text-match collation="i;ascii-casemap">${escapeXml(text)}</c:text-match>` +
+      '</c:prop-filter>'
+    );
+  });
+
+  return '<?xml version="1.0" encoding="utf-8"?>\n' +
+    '<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">\n' +
+    '  <d:prop><d:getetag/><c:calendar-data/></d:prop>\n' +
+    '  <c:filter>\n' +
+    '    <c:comp-filter name="VCALENDAR">\n' +
+    `      <c:comp-filter name="${component}">\n` +
+    conditions.map(condition => `        ${condition}\n`).join('') +
+    '      </c:comp-filter>\n' +
+    '    </c:comp-filter>\n' +
+    '  </c:filter>\n' +
+    '</c:calendar-query>';
+}
+
+/**
+ * Read calendar objects from a calendar-query multistatus response
+ * @param {string} xml - Multistatus response body
+ * @param {string} baseUrl - URL used to resolve relative hrefs
+ * @returns {Array<{url: string, etag: string|null, data: string}>} Objects that returned calendar-data
+ */
+export function parseCalendarQueryResponse(xml, baseUrl) {
+  return findElements(xml, 'response').flatMap(response => {
+    const href = findElement(response, 'href');
+    const data = findElement(response, 'calendar-data');
+    if (!href || !data || !data.includes('BEGIN:VCALENDAR')) {
+      return [];
+    }
+    const etag = findElement(response, 'getetag');
+    return [{
+      url: new URL(unescapeXml(href.trim()), baseUrl).href,
+      etag: etag ? unescapeXml(etag.trim()) : null,
+      data: unescapeXml(data).trim(),
+    }];
+  });
+}
+
+/**
+ * Issue a calendar-query REPORT with filters on a calendar collection
+ *
+ * @param {Object} client - CalDAV client (for authHeaders)
+ * @param {string} calendarUrl - Calendar collection URL
+ * @param {Object} query - See buildCalendarQueryBody
+ * @returns {Promise<Array<{url: string, etag: string|null, data: string}>>} Matching objects
+ * @throws {Error} If the server rejects the query (e.g. 403 CALDAV:supported-filter)
+ */
+export async function calendarQueryReport(client, calendarUrl, query) {
+  const response = await fetch(calendarUrl, {
+    method: 'REPORT',
+    headers: {
+      'Content-Type': 'application/xml; charset=utf-8',
+      Depth: '1',
+      ...client.authHeaders,
+    },
+    body: buildCalendarQueryBody(query),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`calendar-query failed with status ${response.status} ${response.statusText}`);
+  }
+
+  return parseCalendarQueryResponse(await response.text(), calendarUrl);
+}
+
+/**
+ * Get the text a prop-filter is matched against
+ * Multi-valued properties such as CATEGORIES are joined with commas, as in the iCalendar text
+ */
+function getPropertyTexts(component, property) {
+  return component.getAllProperties(property.toLowerCase())
+    .map(prop => prop.getValues().map(value => String(value)).join(','));
+}
+
+/**
+ * Check calendar data against filters with ical.js, like the server would
+ * An object matches if one of its components (master or override) has every filtered property.
+ *
+ * @param {string} icalData - iCalendar data
+ * @param {Array<{property: string, text: string}>} filters - Property text filters
+ * @param {string} [component='VEVENT'] - VEVENT or VTODO
+ * @returns {boolean} True if the object matches, false if not or if it cannot be parsed
+ */
+export function matchesFilters(icalData, filters, component = 'VEVENT') {
+  try {
+    const vcalendar = new ICAL.Component(ICAL.parse(icalData));
+    return vcalendar.getAllSubcomponents(component.toLowerCase()).some(subcomponent =>
+      filters.every(({ property, text }) => {
+        const needle = text.toLowerCase();
+        return getPropertyTexts(subcomponent, property).some(value => value.toLowerCase().includes(needle));
+      })
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Fetch the calendar objects matching filters, searching on the server when possible
+ * Falls back to fetching the time range and filtering with ical.js when the server rejects the query.
+ *
+ * @param {Object} client - CalDAV client
+ * @param {Object} calendar - Calendar from fetchCalendars
+ * @param {Object} query - See buildCalendarQueryBody
+ * @returns {Promise<{objects: Array<Object>, source: string}>} source is 'server' or 'client'
+ */
+export async function queryCalendarObjects(client, calendar, { component = 'VEVENT', timeRange, filters = [] }) {
+  if (filters.length === 0) {
+    return { objects: await client.fetchCalendarObjects({ calendar, ...(timeRange && { timeRange }) }), source: 'server' };
+  }
+
+  try {
+    return { objects: await calendarQueryReport(client, calendar.url, { component, timeRange, filters }), source: 'server' };
+  } catch (error) {
+    logger.debug({ error: error.message, calendarUrl: calendar.url }, 'calendar-query filter rejected, filtering on the client');
+
+    const objects = await client.fetchCalendarObjects({ calendar, ...(timeRange && { timeRange }) });
+    return {
+      objects: objects.filter(object => object.data && matchesFilters(object.data, filters, component)),
+      source: 'client',
+    };
+  }
+}
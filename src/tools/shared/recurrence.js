@@ -0,0 +1,476 @@
+/**
+ * Recurrence helpers for RRULE, EXDATE and RDATE (RFC 5545 section 3.8.5)
+ */
+
+import ICAL from 'ical.js';
+import { formatICalDate, formatICalDateOnly, generateUID } from './helpers.js';
+import { setDateProperty } from './ical-component.js';
+import { formatZonedDateProperty, registerMissingTimezones, zonedTimeToDate } from './timezones.js';
+
+/**
+ * Upper bound for occurrence iteration to protect against unbounded rules
+ */
+export const MAX_OCCURRENCE_ITERATIONS = 10000;
+
+/**
+ * JSON Schema for the recurrence argument in tool inputSchemas (see recurrenceSchema in validation.js)
+ */
+export const recurrenceInputSchema = {
+  type: 'object',
+  properties: {
+    freq: {
+      type: 'string',
+      enum: ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'],
+      description: 'Recurrence frequency',
+    },
+    interval: {
+      type: 'number',
+      description: 'Repeat every N periods (default: 1). Example: 2 with WEEKLY = every other week',
+    },
+    count: {
+      type: 'number',
+      description: 'Total number of occurrences',
+    },
+    until: {
+      type: 'string',
+      description: 'Last possible occurrence start (ISO 8601)',
+    },
+    by_day: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Weekdays: MO, TU, WE, TH, FR, SA, SU. Prefix with an ordinal for MONTHLY/YEARLY (e.g., "1MO" = first Monday, "-1FR" = last Friday)',
+    },
+    by_month_day: {
+      type: 'array',
+      items: { type: 'number' },
+      description: 'Days of the month (1-31, or -1 for the last day)',
+    },
+  },
+  required: ['freq'],
+};
+
+/**
+ * Build an RRULE value from validated recurrence arguments
+ * @param {Object} recurrence - Recurrence arguments (freq, interval, count, until, by_day, by_month_day)
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - IANA timezone in which an until without offset is read
+ * @param {boolean} [options.allDay] - DTSTART is a DATE, so UNTIL is a DATE as well
+ * @returns {string} RRULE value (e.g., FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE)
+ */
+export function buildRRule(recurrence, { timezone, allDay } = {}) {
+  const parts = [`FREQ=${recurrence.freq}`];
+
+  if (recurrence.interval && recurrence.interval > 1) {
+    parts.push(`INTERVAL=${recurrence.interval}`);
+  }
+  if (recurrence.count) {
+    parts.push(`COUNT=${recurrence.count}`);
+  }
+  if (recurrence.until && allDay) {
+    parts.push(`UNTIL=${formatICalDateOnly(recurrence.until)}`);
+  } else if (recurrence.until) {
+    // UNTIL is always UTC when DTSTART has a TZID (RFC 5545 section 3.3.10)
+    const until = timezone ? zonedTimeToDate(recurrence.until, timezone) : recurrence.until;
+    parts.push(`UNTIL=${formatICalDate(until)}`);
+  }
+  if (recurrence.by_day && recurrence.by_day.length > 0) {
+    parts.push(`BYDAY=${recurrence.by_day.map(day => day.toUpperCase()).join(',')}`);
+  }
+  if (recurrence.by_month_day && recurrence.by_month_day.length > 0) {
+    parts.push(`BYMONTHDAY=${recurrence.by_month_day.join(',')}`);
+  }
+
+  return parts.join(';');
+}
+
+/**
+ * Build the RRULE, EXDATE and RDATE content lines for a component
+ * @param {Object} options - Validated tool arguments
+ * @param {Object} [options.recurrence] - Recurrence rule arguments
+ * @param {Array<string>} [options.exdates] - Excluded occurrence start times (ISO 8601)
+ * @param {Array<string>} [options.rdates] - Additional occurrence start times (ISO 8601)
+ * @param {string} [options.timezone] - IANA timezone of DTSTART; EXDATE/RDATE then carry the same TZID
+ * @param {boolean} [options.allDay] - DTSTART is a DATE; EXDATE/RDATE/UNTIL are written as dates
+ * @returns {Array<string>} iCal content lines (without line terminators)
+ */
+export function buildRecurrenceLines({ recurrence, exdates, rdates, timezone, allDay } = {}) {
+  const lines = [];
+  const formatDates = (name, dates) => {
+    if (allDay) {
+      return `${name};VALUE=DATE:${dates.map(date => formatICalDateOnly(date)).join(',')}`;
+    }
+    if (timezone) {
+      return formatZonedDateProperty(name, dates, timezone);
+    }
+    return `${name}:${dates.map(date => formatICalDate(date)).join(',')}`;
+  };
+
+  if (recurrence) {
+    lines.push(`RRULE:${buildRRule(recurrence, { timezone, allDay })}`);
+  }
+  if (exdates && exdates.length > 0) {
+    lines.push(formatDates('EXDATE', exdates));
+  }
+  if (rdates && rdates.length > 0) {
+    lines.push(formatDates('RDATE', rdates));
+  }
+
+  return lines;
+}
+
+/**
+ * Count the occurrences of the first VEVENT/VTODO in a time range
+ * Honors RRULE, RDATE and EXDATE via ical.js RecurExpansion
+ *
+ * @param {string} icalData - Complete iCalendar data
+ * @param {string|Date} rangeStart - Range start (inclusive)
+ * @param {string|Date} rangeEnd - Range end (exclusive)
+ * @param {string} [componentName='vevent'] - Component to expand (vevent or vtodo)
+ * @returns {number} Number of occurrences starting within the range
+ *
+ * @example
+ * countOccurrences(iCalString, new Date(), inFourWeeks) // Returns: 4 for a weekly rule
+ */
+export function countOccurrences(icalData, rangeStart, rangeEnd, componentName = 'vevent') {
+  const comp = new ICAL.Component(ICAL.parse(icalData));
+  const component = comp.getFirstSubcomponent(componentName);
+
+  if (!component || !component.hasProperty('dtstart')) {
+    return 0;
+  }
+
+  const startTime = new Date(rangeStart).getTime();
+  const endTime = new Date(rangeEnd).getTime();
+
+  const expansion = new ICAL.RecurExpansion({
+    component,
+    dtstart: component.getFirstPropertyValue('dtstart'),
+  });
+
+  let count = 0;
+  let next;
+  for (let i = 0; i < MAX_OCCURRENCE_ITERATIONS && (next = expansion.next()); i++) {
+    const occurrenceTime = next.toJSDate().getTime();
+    if (occurrenceTime >= endTime) break;
+    if (occurrenceTime >= startTime) count++;
+  }
+
+  return count;
+}
+
+/**
+ * Check whether an occurrence overlaps the time range [rangeStart, rangeEnd)
+ * Zero-length occurrences count when they start inside the range
+ */
+function overlapsRange(start, end, rangeStartTime, rangeEndTime) {
+  const startTime = start.toJSDate().getTime();
+  const endTime = end ? end.toJSDate().getTime() : startTime;
+  if (startTime >= rangeEndTime) return false;
+  return endTime > rangeStartTime || startTime >= rangeStartTime;
+}
+
+/**
+ * Expand a single recurring calendar object into its occurrences within a range
+ *
+ * @param {Object} calendarObject - Calendar object with url, etag and data
+ * @param {number} rangeStartTime - Range start in epoch milliseconds
+ * @param {number} rangeEndTime - Range end in epoch milliseconds
+ * @returns {Array<Object>|null} Occurrence objects, or null if the object is not recurring
+ */
+function expandCalendarObject(calendarObject, rangeStartTime, rangeEndTime) {
+  registerMissingTimezones(calendarObject.data);
+  const comp = new ICAL.Component(ICAL.parse(calendarObject.data));
+  const master = comp.getAllSubcomponents('vevent').find(v => !v.hasProperty('recurrence-id'));
+
+  if (!master || !master.hasProperty('dtstart')) {
+    return null;
+  }
+
+  // ICAL.Event relates RECURRENCE-ID overrides from the same VCALENDAR automatically
+  const event = new ICAL.Event(master);
+  if (!event.isRecurring()) {
+    return null;
+  }
+
+  const occurrences = [];
+  const seenRecurrenceIds = new Set();
+
+  const addOccurrence = (details) => {
+    const isOverride = details.item !== event;
+    const recurrenceId = isOverride
+      ? details.item.recurrenceId.toString()
+      : details.recurrenceId.toString();
+
+    seenRecurrenceIds.add(recurrenceId);
+    if (!overlapsRange(details.startDate, details.endDate, rangeStartTime, rangeEndTime)) {
+      return;
+    }
+
+    occurrences.push({
+      ...calendarObject,
+      occurrence: {
+        start: details.startDate,
+        end: details.endDate,
+        recurrenceId,
+        isOverride,
+      },
+    });
+  };
+
+  // RecurExpansion applies RRULE, RDATE and EXDATE
+  const iterator = event.iterator();
+  let next;
+  for (let i = 0; i < MAX_OCCURRENCE_ITERATIONS && (next = iterator.next()); i++) {
+    if (next.toJSDate().getTime() >= rangeEndTime) break;
+    addOccurrence(event.getOccurrenceDetails(next));
+  }
+
+  // Overrides whose original slot lies after the range may have been moved into it
+  for (const exception of Object.values(event.exceptions)) {
+    if (seenRecurrenceIds.has(exception.recurrenceId.toString())) continue;
+    if (exception.recurrenceId.toJSDate().getTime() < rangeEndTime) continue;
+    addOccurrence({
+      item: exception,
+      recurrenceId: exception.recurrenceId,
+      startDate: exception.startDate,
+      endDate: exception.endDate,
+    });
+  }
+
+  occurrences.sort((a, b) => a.occurrence.start.compare(b.occurrence.start));
+  return occurrences;
+}
+
+/**
+ * Expand recurring events into individual occurrences within a time range
+ * Non-recurring events are passed through unchanged. Each occurrence keeps the
+ * master's url, etag and data and gains an `occurrence` property:
+ * { start: ICAL.Time, end: ICAL.Time, recurrenceId: string, isOverride: boolean }
+ *
+ * @param {Array<Object>} events - Calendar objects from fetchCalendarObjects
+ * @param {string|Date} rangeStart - Range start (inclusive)
+ * @param {string|Date} rangeEnd - Range end (exclusive)
+ * @returns {Array<Object>} Events with recurring masters replaced by their occurrences
+ *
+ * @example
+ * const expanded = expandRecurringEvents(events, '2025-01-01T00:00:00Z', '2025-02-01T00:00:00Z');
+ * // A weekly series becomes one entry per week, each with event.occurrence.start
+ */
+export function expandRecurringEvents(events, rangeStart, rangeEnd) {
+  const rangeStartTime = new Date(rangeStart).getTime();
+  const rangeEndTime = new Date(rangeEnd).getTime();
+
+  return events.flatMap(calendarObject => {
+    if (!calendarObject.data) {
+      return [calendarObject];
+    }
+
+    try {
+      const occurrences = expandCalendarObject(calendarObject, rangeStartTime, rangeEndTime);
+      return occurrences === null ? [calendarObject] : occurrences;
+    } catch (error) {
+      console.error('Error expanding recurring event:', error);
+      return [calendarObject];
+    }
+  });
+}
+
+/**
+ * Locate an occurrence of a recurring component by its original start time
+ *
+ * @param {ICAL.Component} master - Series master (VEVENT or VTODO)
+ * @param {ICAL.Time} recurrenceId - Original start of the occurrence
+ * @returns {{ time: ICAL.Time, index: number }|null} Occurrence start and its position in the series
+ */
+export function findOccurrence(master, recurrenceId) {
+  const targetTime = recurrenceId.toJSDate().getTime();
+  const expansion = new ICAL.RecurExpansion({
+    component: master,
+    dtstart: master.getFirstPropertyValue('dtstart'),
+  });
+
+  let next;
+  for (let index = 0; index < MAX_OCCURRENCE_ITERATIONS && (next = expansion.next()); index++) {
+    const occurrenceTime = next.toJSDate().getTime();
+    if (occurrenceTime === targetTime) {
+      return { time: next, index };
+    }
+    if (occurrenceTime > targetTime) break;
+  }
+
+  return null;
+}
+
+/**
+ * Exclude a single occurrence from a series via EXDATE
+ * @param {ICAL.Component} master - Series master
+ * @param {ICAL.Time} occurrenceTime - Start of the occurrence to exclude
+ */
+export function addExdate(master, occurrenceTime) {
+  const property = master.addPropertyWithValue('exdate', occurrenceTime.clone());
+  if (!occurrenceTime.isDate && occurrenceTime.zone?.component) {
+    property.setParameter('tzid', occurrenceTime.zone.tzid);
+  }
+}
+
+/**
+ * Create a RECURRENCE-ID override for one occurrence, initialized from the master
+ *
+ * @param {ICAL.Component} vcalendar - VCALENDAR containing the series
+ * @param {ICAL.Component} master - Series master
+ * @param {ICAL.Time} occurrenceTime - Original start of the occurrence
+ * @returns {ICAL.Component} The new override component (already added to vcalendar)
+ */
+export function createOverride(vcalendar, master, occurrenceTime) {
+  const override = new ICAL.Component(ICAL.parse(master.toString()));
+  ['rrule', 'rdate', 'exdate'].forEach(name => override.removeAllProperties(name));
+
+  const start = master.getFirstPropertyValue('dtstart');
+  setDateProperty(override, 'RECURRENCE-ID', occurrenceTime.clone());
+  setDateProperty(override, 'DTSTART', occurrenceTime.clone());
+
+  // DTEND for events, DUE for todos
+  ['DTEND', 'DUE'].forEach(name => {
+    if (master.hasProperty(name.toLowerCase())) {
+      const end = occurrenceTime.clone();
+      end.addDuration(master.getFirstPropertyValue(name.toLowerCase()).subtractDate(start));
+      setDateProperty(override, name, end);
+    }
+  });
+
+  vcalendar.addSubcomponent(override);
+  return override;
+}
+
+/**
+ * Check whether a RDATE/EXDATE value (time or period) starts at or after a point in time
+ */
+function startsAtOrAfter(value, time) {
+  const start = value.start || value;
+  return start.toJSDate().getTime() >= time;
+}
+
+/**
+ * End a series right before an occurrence ("this and following" cut)
+ * Replaces COUNT with UNTIL, drops later RDATEs and removes later overrides
+ *
+ * @param {ICAL.Component} vcalendar - VCALENDAR containing the series
+ * @param {ICAL.Component} master - Series master
+ * @param {ICAL.Time} occurrenceTime - First occurrence that should no longer belong to the series
+ * @returns {Array<ICAL.Component>} Removed override components
+ */
+export function truncateSeries(vcalendar, master, occurrenceTime) {
+  const cutTime = occurrenceTime.toJSDate().getTime();
+  const componentName = master.name;
+
+  const rrule = master.getFirstPropertyValue('rrule');
+  if (rrule) {
+    let until = occurrenceTime.clone();
+    if (until.isDate) {
+      until.adjust(-1, 0, 0, 0);
+    } else {
+      // UNTIL must be UTC unless DTSTART is floating (RFC 5545 section 3.3.10)
+      if (until.zone?.tzid !== 'floating') {
+        until = until.convertToZone(ICAL.Timezone.utcTimezone);
+      }
+      until.adjust(0, 0, 0, -1);
+    }
+    rrule.count = null;
+    rrule.until = until;
+    master.updatePropertyWithValue('rrule', rrule);
+  }
+
+  master.getAllProperties('rdate').forEach(property => {
+    const remaining = property.getValues().filter(value => !startsAtOrAfter(value, cutTime));
+    if (remaining.length === 0) {
+      master.removeProperty(property);
+    } else {
+      property.setValues(remaining);
+    }
+  });
+
+  const removed = vcalendar.getAllSubcomponents(componentName).filter(component => {
+    const rid = component.getFirstPropertyValue('recurrence-id');
+    return rid && rid.toJSDate().getTime() >= cutTime;
+  });
+  removed.forEach(component => vcalendar.removeSubcomponent(component));
+
+  return removed;
+}
+
+/**
+ * Count the instances an RRULE generates before a time
+ * COUNT includes instances removed by EXDATE, so they are counted too.
+ */
+function countRuleInstancesBefore(rrule, dtstart, cutTime) {
+  const iterator = rrule.iterator(dtstart);
+  let count = 0;
+  let next;
+  for (let i = 0; i < MAX_OCCURRENCE_ITERATIONS && (next = iterator.next()); i++) {
+    if (next.toJSDate().getTime() >= cutTime) break;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Split a series at an occurrence: the original ends before it, a new series
+ * (with a new UID) starts with it and takes over later RDATEs and overrides
+ *
+ * @param {ICAL.Component} vcalendar - VCALENDAR containing the series (modified in place)
+ * @param {ICAL.Component} master - Series master
+ * @param {{ time: ICAL.Time, index: number }} occurrence - Result of findOccurrence
+ * @returns {{ vcalendar: ICAL.Component, master: ICAL.Component, uid: string }} The new series
+ */
+export function splitSeries(vcalendar, master, occurrence) {
+  const componentName = master.name;
+  const cutTime = occurrence.time.toJSDate().getTime();
+  const uid = generateUID(componentName === 'vtodo' ? 'todo' : 'event');
+
+  // Build the new series from a copy of the untouched master
+  const newCalendar = new ICAL.Component(ICAL.parse(vcalendar.toString()));
+  newCalendar.getAllSubcomponents(componentName).forEach(c => newCalendar.removeSubcomponent(c));
+
+  const newMaster = new ICAL.Component(ICAL.parse(master.toString()));
+  newMaster.updatePropertyWithValue('uid', uid);
+  newMaster.removeAllProperties('sequence');
+
+  const start = master.getFirstPropertyValue('dtstart');
+  setDateProperty(newMaster, 'DTSTART', occurrence.time.clone());
+  if (master.hasProperty('dtend')) {
+    const end = occurrence.time.clone();
+    end.addDuration(master.getFirstPropertyValue('dtend').subtractDate(start));
+    setDateProperty(newMaster, 'DTEND', end);
+  }
+
+  const rrule = newMaster.getFirstPropertyValue('rrule');
+  if (rrule && rrule.count) {
+    const remaining = rrule.count - countRuleInstancesBefore(rrule, start, cutTime);
+    if (remaining > 0) {
+      rrule.count = remaining;
+      newMaster.updatePropertyWithValue('rrule', rrule);
+    } else {
+      // The cut is at an RDATE after the last rule instance
+      newMaster.removeAllProperties('rrule');
+    }
+  }
+
+  newMaster.getAllProperties('rdate').forEach(property => {
+    const remaining = property.getValues().filter(value => startsAtOrAfter(value, cutTime));
+    if (remaining.length === 0) {
+      newMaster.removeProperty(property);
+    } else {
+      property.setValues(remaining);
+    }
+  });
+
+  newCalendar.addSubcomponent(newMaster);
+
+  // Later overrides move to the new series
+  truncateSeries(vcalendar, master, occurrence.time).forEach(override => {
+    override.updatePropertyWithValue('uid', uid);
+    newCalendar.addSubcomponent(override);
+  });
+
+  return { vcalendar: newCalendar, master: newMaster, uid };
+}
@@ -0,0 +1,65 @@
+/**
+ * response_format option shared by all tools
+ * Every result carries structuredContent; the option picks what goes into the text content
+ */
+
+import { validateInput, responseFormatSchema } from '../../validation.js';
+
+/**
+ * Accepted response_format values, default first
+ */
+export const RESPONSE_FORMATS = ['markdown', 'json', 'both'];
+
+/**
+ * JSON Schema for the response_format argument in tool inputSchemas
+ */
+export const responseFormatInputSchema = {
+  type: 'string',
+  enum: RESPONSE_FORMATS,
+  description: 'Optional: Text content of the result - "markdown" for reading (default), "json" for the structured result as JSON text, or "both". The structured result is always returned as structuredContent.',
+};
+
+/**
+ * Shape a tool result's text content for a response format
+ * Results without structuredContent (errors) are returned unchanged.
+ *
+ * @param {Object} result - Tool result ({ content, structuredContent })
+ * @param {string} [format='markdown'] - markdown, json or both
+ * @returns {Object} Tool result
+ */
+export function applyResponseFormat(result, format = 'markdown') {
+  if (!result?.structuredContent || format === 'markdown') {
+    return result;
+  }
+
+  const json = { type: 'text', text: JSON.stringify(result.structuredContent, null, 2) };
+  return {
+    ...result,
+    content: format === 'json' ? [json] : [...result.content, json],
+  };
+}
+
+/**
+ * Add the response_format option to a tool
+ * The option is removed from the arguments before they reach the tool's own validation.
+ *
+ * @param {Object} tool - Tool ({ name, description, inputSchema, outputSchema, handler })
+ * @returns {Object} Tool with response_format in its inputSchema
+ */
+export function withResponseFormat(tool) {
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...tool.inputSchema.properties,
+        response_format: responseFormatInputSchema,
+      },
+    },
+    handler: async (args = {}) => {
+      const { response_format: format, ...toolArgs } = args;
+      validateInput(responseFormatSchema, { response_format: format });
+      return applyResponseFormat(await tool.handler(toolArgs), format);
+    },
+  };
+}
@@ -0,0 +1,250 @@
+/**
+ * CalDAV scheduling (RFC 6638)
+ * Discovers the principal's scheduling collections and delivers iTIP messages
+ * through the schedule outbox, falling back to an attachment payload for an external mailer
+ */
+
+import { logger } from '../../logger.js';
+import { normalizeEmail } from './attendees.js';
+import { findElement, findElements, extractHrefs, propfind, unescapeXml, REQUEST_TIMEOUT_MS } from './webdav.js';
+import { buildItipMessage, getOrganizerEmail, getAttendeeEmails } from './itip.js';
+import { formatICalDate, generateUID } from './helpers.js';
+import { parseFreeBusy } from './freebusy.js';
+
+/**
+ * JSON Schema for the notify_attendees argument in tool inputSchemas
+ */
+export const notifyAttendeesInputSchema = {
+  type: 'boolean',
+  description: 'Optional: Send iTIP invitations/updates/cancellations to attendees (default: true)',
+};
+
+/**
+ * Discover the principal's scheduling collections and calendar user addresses
+ * Never throws: servers without RFC 6638 support yield null URLs
+ *
+ * @param {Object} client - Logged-in CalDAV client
+ * @returns {Promise<{principalUrl: string|null, outboxUrl: string|null, inboxUrl: string|null, userAddresses: string[]}>}
+ */
+export async function discoverSchedulingUrls(client) {
+  const info = { principalUrl: null, outboxUrl: null, inboxUrl: null, userAddresses: [] };
+
+  try {
+    info.principalUrl = client.account?.principalUrl || null;
+
+    if (!info.principalUrl) {
+      const rootUrl = client.account?.rootUrl || client.serverUrl;
+      const xml = await propfind(client, rootUrl, '<d:current-user-principal/>');
+      info.principalUrl = extractHrefs(xml, 'current-user-principal', rootUrl)[0] || null;
+    }
+
+    if (info.principalUrl) {
+      const xml = await propfind(
+        client,
+        info.principalUrl,
+        '<c:schedule-outbox-URL/><c:schedule-inbox-URL/><c:calendar-user-address-set/>'
+      );
+      info.outboxUrl = extractHrefs(xml, 'schedule-outbox-URL', info.principalUrl)[0] || null;
+      info.inboxUrl = extractHrefs(xml, 'schedule-inbox-URL', info.principalUrl)[0] || null;
+      info.userAddresses = extractHrefs(xml, 'calendar-user-address-set', info.principalUrl)
+        .filter(href => /^mailto:/i.test(href))
+        .map(normalizeEmail);
+    }
+  } catch (error) {
+    logger.warn({ error: error.message }, 'CalDAV scheduling discovery failed');
+  }
+
+  return info;
+}
+
+/**
+ * Parse a CALDAV:schedule-response into per-recipient request statuses
+ * Free/busy responses also carry the recipient's VFREEBUSY as calendarData.
+ *
+ * @param {string} xml - schedule-response body
+ * @returns {Array<{recipient: string, status: string, calendarData?: string}>}
+ */
+export function parseScheduleResponse(xml) {
+  return findElements(xml, 'response').map(response => {
+    const recipient = findElement(findElement(response, 'recipient') || '', 'href') || '';
+    const status = findElement(response, 'request-status') || '';
+    const calendarData = findElement(response, 'calendar-data');
+    return {
+      recipient: normalizeEmail(recipient),
+      status: status.trim(),
+      ...(calendarData && { calendarData: unescapeXml(calendarData).trim() }),
+    };
+  });
+}
+
+/**
+ * Build the attachment payload used when the message cannot be delivered by the server
+ * @param {string} method - iTIP method
+ * @param {string} message - iTIP message
+ * @param {string[]} recipients - Recipient emails
+ * @returns {Object} Attachment for an external mailer (iMIP, RFC 6047)
+ */
+function buildAttachment(method, message, recipients) {
+  return {
+    filename: method === 'REPLY' ? 'reply.ics' : method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+    content_type: `text/calendar; charset=UTF-8; method=${method}`,
+    recipients,
+    content: message,
+  };
+}
+
+/**
+ * Deliver an iTIP message via the schedule outbox, or return it as an attachment payload
+ *
+ * @param {Object} client - CalDAV client (for authHeaders)
+ * @param {Object} schedulingInfo - Result of discoverSchedulingUrls
+ * @param {Object} params
+ * @param {string} params.method - REQUEST, REPLY or CANCEL
+ * @param {string} params.message - iTIP message
+ * @param {string} params.originator - Sender email
+ * @param {string[]} params.recipients - Recipient emails
+ * @returns {Promise<Object>} Delivery result: { method, recipients, delivered, via, statuses?, reason?, attachment? }
+ */
+export async function deliverItipMessage(client, schedulingInfo, { method, message, originator, recipients }) {
+  const result = { method, recipients, delivered: false, via: 'attachment' };
+
+  if (!schedulingInfo?.outboxUrl) {
+    result.reason = 'Server does not advertise a CalDAV scheduling outbox';
+    result.attachment = buildAttachment(method, message, recipients);
+    return result;
+  }
+
+  try {
+    const response = await fetch(schedulingInfo.outboxUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': `text/calendar; charset=utf-8; method=${method}`,
+        Originator: `mailto:${originator}`,
+        Recipient: recipients.map(email => `mailto:${email}`).join(', '),
+        ...client.authHeaders,
+      },
+      body: message,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Scheduling outbox rejected the message with status ${response.status} ${response.statusText}`);
+    }
+
+    // 1.x (pending) and 2.x (success) request statuses count as delivered
+    const statuses = parseScheduleResponse(await response.text());
+    const failed = recipients.filter(email => {
+      const entry = statuses.find(s => s.recipient === email);
+      return entry && !/^[12]\./.test(entry.status);
+    });
+
+    result.statuses = statuses;
+    result.via = 'schedule-outbox';
+    result.delivered = failed.length === 0;
+
+    if (failed.length > 0) {
+      result.reason = `Server could not deliver to: ${failed.join(', ')}`;
+      result.attachment = buildAttachment(method, message, failed);
+    }
+  } catch (error) {
+    logger.warn({ error: error.message, method }, 'iTIP delivery via scheduling outbox failed');
+    result.reason = error.message;
+    result.attachment = buildAttachment(method, message, recipients);
+  }
+
+  return result;
+}
+
+/**
+ * Notify attendees about a created, updated or deleted meeting
+ * Only the organizer sends REQUEST and CANCEL; objects without attendees are skipped.
+ *
+ * @param {Object} client - CalDAV client
+ * @param {Object} schedulingInfo - Result of discoverSchedulingUrls
+ * @param {string} icalData - Calendar object the message is built from
+ * @param {string} method - REQUEST or CANCEL
+ * @param {Object} [options] - buildItipMessage options; `attendees` also limits the recipients
+ * @returns {Promise<Object|null>} Delivery result, or null if nobody needs to be notified
+ */
+export async function notifyAttendees(client, schedulingInfo, icalData, method, options = {}) {
+  const organizer = getOrganizerEmail(icalData, options.componentName);
+  const recipients = (options.attendees || getAttendeeEmails(icalData, options.componentName))
+    .map(normalizeEmail)
+    .filter(email => email !== organizer);
+
+  if (!organizer || recipients.length === 0) {
+    return null;
+  }
+
+  // Attendees editing their copy must not re-invite everyone
+  if (schedulingInfo?.userAddresses?.length && !schedulingInfo.userAddresses.includes(organizer)) {
+    return null;
+  }
+
+  const message = buildItipMessage(icalData, method, options);
+  return deliverItipMessage(client, schedulingInfo, { method, message, originator: organizer, recipients });
+}
+
+/**
+ * Ask the server for other users' free/busy time (RFC 6638 section 3.2.5)
+ * Posts a VFREEBUSY REQUEST to the schedule outbox; the response holds one VFREEBUSY per recipient.
+ *
+ * @param {Object} client - CalDAV client (for authHeaders)
+ * @param {Object} schedulingInfo - Result of discoverSchedulingUrls
+ * @param {Object} params
+ * @param {string} params.originator - Requesting user's email
+ * @param {string[]} params.attendees - Emails to query
+ * @param {string|Date} params.start - Range start
+ * @param {string|Date} params.end - Range end
+ * @returns {Promise<Array<{email: string, status: string, periods: Array|null}>>} periods is null if the server had no data
+ * @throws {Error} If the server has no scheduling outbox or rejects the request
+ */
+export async function queryAttendeeFreeBusy(client, schedulingInfo, { originator, attendees, start, end }) {
+  if (!schedulingInfo?.outboxUrl) {
+    throw new Error('Server does not advertise a CalDAV scheduling outbox, so free/busy of other users is not available. Pass their calendar URLs instead.');
+  }
+
+  const recipients = attendees.map(normalizeEmail);
+  const message = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//tsdav-mcp-server//EN',
+    'METHOD:REQUEST',
+    'BEGIN:VFREEBUSY',
+    `UID:${generateUID('freebusy')}`,
+    `DTSTAMP:${formatICalDate(new Date())}`,
+    `DTSTART:${formatICalDate(start)}`,
+    `DTEND:${formatICalDate(end)}`,
+    `ORGANIZER:mailto:${originator}`,
+    ...recipients.map(email => `ATTENDEE:mailto:${email}`),
+    'END:VFREEBUSY',
+    'END:VCALENDAR',
+  ].join('\r\n');
+
+  const response = await fetch(schedulingInfo.outboxUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8; method=REQUEST',
+      Originator: `mailto:${originator}`,
+      Recipient: recipients.map(email => `mailto:${email}`).join(', '),
+      ...client.authHeaders,
+    },
+    body: message,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Scheduling outbox rejected the free/busy request with status ${response.status} ${response.statusText}`);
+  }
+
+  const statuses = parseScheduleResponse(await response.text());
+  return recipients.map(email => {
+    const entry = statuses.find(s => s.recipient === email);
+    const delivered = entry && /^2\./.test(entry.status) && entry.calendarData;
+    return {
+      email,
+      status: entry?.status || 'No response',
+      periods: delivered ? parseFreeBusy(entry.calendarData) : null,
+    };
+  });
+}
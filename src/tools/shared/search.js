@@ -0,0 +1,171 @@
+/**
+ * Full-text search over events, todos and contacts
+ * Matches query terms against the searchable properties of each object and ranks the results
+ */
+
+import ICAL from 'ical.js';
+
+/**
+ * Searchable properties per resource type: [property, label, weight]
+ * Matches in heavier fields (titles, names) rank above matches in notes and descriptions.
+ */
+export const SEARCH_FIELDS = {
+  events: [
+    ['summary', 'Title', 10],
+    ['categories', 'Categories', 6],
+    ['location', 'Location', 5],
+    ['attendee', 'Attendees', 4],
+    ['organizer', 'Organizer', 4],
+    ['description', 'Description', 3],
+    ['comment', 'Comment', 2],
+  ],
+  todos: [
+    ['summary', 'Title', 10],
+    ['categories', 'Categories', 6],
+    ['location', 'Location', 5],
+    ['attendee', 'Attendees', 4],
+    ['description', 'Description', 3],
+    ['comment', 'Comment', 2],
+  ],
+  contacts: [
+    ['fn', 'Name', 10],
+    ['n', 'Name', 8],
+    ['nickname', 'Nickname', 6],
+    ['org', 'Organization', 6],
+    ['email', 'Email', 5],
+    ['tel', 'Phone', 5],
+    ['title', 'Job title', 4],
+    ['categories', 'Categories', 4],
+    ['note', 'Note', 3],
+    ['adr', 'Address', 2],
+  ],
+};
+
+/**
+ * Component searched in calendar objects of each type
+ */
+const COMPONENT_NAMES = { events: 'vevent', todos: 'vtodo' };
+
+/**
+ * Split a query into lowercase terms
+ * @param {string} query - Free-text query
+ * @returns {string[]} Terms
+ */
+export function tokenizeQuery(query) {
+  return String(query).toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Get the searchable text of a property
+ * Structured values (N, ADR, ORG) are joined; ATTENDEE and ORGANIZER include the CN parameter.
+ */
+function getPropertyText(property) {
+  const values = property.getValues().flat(2).map(value => String(value));
+  const cn = property.getParameter('cn');
+  return [cn, ...values].filter(Boolean).join(' ');
+}
+
+/**
+ * Collect the searchable fields of an object
+ * @param {string} data - iCalendar or vCard data
+ * @param {string} type - events, todos or contacts
+ * @returns {Array<{label: string, weight: number, text: string, digits: string|null}>}
+ */
+function getSearchableFields(data, type) {
+  const root = new ICAL.Component(ICAL.parse(data));
+  const components = type === 'contacts'
+    ? [root]
+    : root.getAllSubcomponents(COMPONENT_NAMES[type]);
+
+  return components.flatMap(component =>
+    SEARCH_FIELDS[type].flatMap(([name, label, weight]) =>
+      component.getAllProperties(name).map(property => {
+        const text = getPropertyText(property);
+        return {
+          label,
+          weight,
+          text: text.toLowerCase(),
+          digits: name === 'tel' ? text.replace(/\D/g, '') : null,
+        };
+      })
+    )
+  );
+}
+
+/**
+ * Check whether a field contains a term
+ * Phone numbers also match by digits, so "555 0100" finds "+1-555-0100".
+ */
+function fieldMatches(field, term) {
+  if (field.text.includes(term)) {
+    return true;
+  }
+  const digits = term.replace(/\D/g, '');
+  return Boolean(field.digits && digits.length >= 3 && /^[\d\s()+\-./]+$/.test(term) && field.digits.includes(digits));
+}
+
+/**
+ * Score an object against query terms
+ * Every term must match some field. Each term scores the weight of the heaviest field it matches,
+ * and a field containing the whole query as a phrase adds its weight once more.
+ *
+ * @param {string} data - iCalendar or vCard data
+ * @param {string} type - events, todos or contacts
+ * @param {string} query - Free-text query
+ * @returns {{score: number, matches: string[]}|null} Score and matched field labels, or null if not matched
+ */
+export function scoreSearchMatch(data, type, query) {
+  const terms = tokenizeQuery(query);
+  if (terms.length === 0) {
+    return null;
+  }
+
+  let fields;
+  try {
+    fields = getSearchableFields(data, type);
+  } catch {
+    return null;
+  }
+
+  let score = 0;
+  const matched = new Set();
+
+  for (const term of terms) {
+    const matching = fields.filter(field => fieldMatches(field, term));
+    if (matching.length === 0) {
+      return null;
+    }
+    score += Math.max(...matching.map(field => field.weight));
+    matching.forEach(field => matched.add(field));
+  }
+
+  if (terms.length > 1) {
+    const phrase = terms.join(' ');
+    const phraseFields = fields.filter(field => field.text.replace(/\s+/g, ' ').includes(phrase));
+    if (phraseFields.length > 0) {
+      score += Math.max(...phraseFields.map(field => field.weight));
+    }
+  }
+
+  const matches = [...new Set([...matched]
+    .sort((a, b) => b.weight - a.weight)
+    .map(field => field.label))];
+
+  return { score, matches };
+}
+
+/**
+ * Search objects of one resource type and rank them
+ *
+ * @param {Array<Object>} objects - Calendar objects or vCards ({ url, etag, data })
+ * @param {string} type - events, todos or contacts
+ * @param {string} query - Free-text query
+ * @returns {Array<{object: Object, score: number, matches: string[]}>} Best match first
+ */
+export function searchObjects(objects, type, query) {
+  return objects
+    .map(object => ({ object, result: object.data ? scoreSearchMatch(object.data, type, query) : null }))
+    .filter(({ result }) => result)
+    .map(({ object, result }) => ({ object, ...result }))
+    .sort((a, b) => b.score - a.score);
+}
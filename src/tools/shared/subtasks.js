@@ -0,0 +1,200 @@
+/**
+ * Subtask hierarchies for todos (RFC 5545 RELATED-TO;RELTYPE=PARENT)
+ * Links todos to their parent by UID and arranges lists as trees with roll-up completion
+ */
+
+import ICAL from 'ical.js';
+import { getMasterComponent } from './ical-component.js';
+
+/**
+ * Get the UID of a todo's parent
+ * RELATED-TO without RELTYPE means PARENT (RFC 5545 section 3.2.15).
+ * @param {ICAL.Component} vtodo - VTODO component
+ * @returns {string|null} Parent UID
+ */
+export function getParentUid(vtodo) {
+  const relation = vtodo.getAllProperties('related-to')
+    .find(property => (property.getParameter('reltype') || 'PARENT').toUpperCase() === 'PARENT');
+  const uid = relation ? String(relation.getFirstValue() || '').trim() : '';
+  return uid || null;
+}
+
+/**
+ * Set or remove a todo's parent, keeping SIBLING and CHILD relations
+ * @param {ICAL.Component} vtodo - VTODO component
+ * @param {string|null} parentUid - Parent UID, or empty/null to make the todo top-level
+ */
+export function setParentUid(vtodo, parentUid) {
+  vtodo.getAllProperties('related-to')
+    .filter(property => (property.getParameter('reltype') || 'PARENT').toUpperCase() === 'PARENT')
+    .forEach(property => vtodo.removeProperty(property));
+
+  if (parentUid) {
+    const property = new ICAL.Property('related-to', vtodo);
+    property.setParameter('reltype', 'PARENT');
+    property.setValue(parentUid);
+    vtodo.addProperty(property);
+  }
+}
+
+/**
+ * Read the fields the tree needs from a todo
+ */
+function readTodo(todo) {
+  try {
+    const vtodo = getMasterComponent(new ICAL.Component(ICAL.parse(todo.data)), 'vtodo');
+    return {
+      uid: vtodo.getFirstPropertyValue('uid') || null,
+      parentUid: getParentUid(vtodo),
+      summary: vtodo.getFirstPropertyValue('summary') || null,
+      status: vtodo.getFirstPropertyValue('status') || 'NEEDS-ACTION',
+      percentComplete: Number(vtodo.getFirstPropertyValue('percent-complete')) || 0,
+    };
+  } catch {
+    return { uid: null, parentUid: null, summary: null, status: 'NEEDS-ACTION', percentComplete: 0 };
+  }
+}
+
+/**
+ * Link todos to their parents
+ * Todos whose parent is not in the list become roots; a link that would close a cycle is ignored.
+ *
+ * @param {Array<Object>} todos - Todos ({ url, etag, data })
+ * @returns {{roots: Array<Object>, nodes: Array<Object>}} Nodes ({ todo, uid, parentUid, parent, children, ... })
+ */
+function linkTodos(todos) {
+  const nodes = todos.map(todo => ({ todo, ...readTodo(todo), parent: null, children: [] }));
+  const byUid = new Map();
+  nodes.forEach(node => {
+    if (node.uid && !byUid.has(node.uid)) {
+      byUid.set(node.uid, node);
+    }
+  });
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parentUid ? byUid.get(node.parentUid) : null;
+    let ancestor = parent;
+    while (ancestor && ancestor !== node) {
+      ancestor = ancestor.parent;
+    }
+
+    if (parent && !ancestor) {
+      node.parent = parent;
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return { roots, nodes };
+}
+
+/**
+ * Completion of a todo including its subtasks
+ * COMPLETED counts as 100%. A todo with subtasks averages their roll-ups, leaving out cancelled ones;
+ * without subtasks its PERCENT-COMPLETE is used.
+ */
+function getRollupPercent(node) {
+  if (node.status === 'COMPLETED') {
+    return 100;
+  }
+  const active = node.children.filter(child => child.status !== 'CANCELLED');
+  if (active.length === 0) {
+    return node.percentComplete;
+  }
+  return Math.round(active.reduce((sum, child) => sum + getRollupPercent(child), 0) / active.length);
+}
+
+/**
+ * Order todos as a tree and annotate each with its place in it
+ * Roots and siblings keep the given order, so sort first. Each returned todo is a copy with
+ * _tree: { depth, parentUid, parentSummary, subtasks, completedSubtasks, rollupPercent }.
+ * Subtask counts and roll-ups come from allTodos, so filtering a list does not change them.
+ *
+ * @param {Array<Object>} todos - Todos to show
+ * @param {Array<Object>} [allTodos=todos] - Todos to count subtasks in (e.g. before filtering)
+ * @returns {Array<Object>} Todos in depth-first tree order
+ */
+export function arrangeTodoTree(todos, allTodos = todos) {
+  const stats = new Map();
+  linkTodos(allTodos).nodes.forEach(node => {
+    if (node.uid && !stats.has(node.uid)) {
+      stats.set(node.uid, {
+        subtasks: node.children.length,
+        completedSubtasks: node.children.filter(child => child.status === 'COMPLETED').length,
+        rollupPercent: getRollupPercent(node),
+      });
+    }
+  });
+
+  const arranged = [];
+  const visit = (node, depth) => {
+    arranged.push({
+      ...node.todo,
+      _tree: {
+        depth,
+        parentUid: node.parentUid,
+        parentSummary: node.parent?.summary ?? null,
+        ...(stats.get(node.uid) || {
+          subtasks: node.children.length,
+          completedSubtasks: node.children.filter(child => child.status === 'COMPLETED').length,
+          rollupPercent: getRollupPercent(node),
+        }),
+      },
+    });
+    node.children.forEach(child => visit(child, depth + 1));
+  };
+  linkTodos(todos).roots.forEach(root => visit(root, 0));
+
+  return arranged;
+}
+
+/**
+ * Get a todo and all its subtasks, arranged as a tree with the todo as root
+ * @param {Array<Object>} todos - All todos of the calendar
+ * @param {string} todoUrl - URL of the todo
+ * @returns {Array<Object>|null} Arranged todos, or null if the URL is not in the list
+ */
+export function getTodoSubtree(todos, todoUrl) {
+  const { nodes } = linkTodos(todos);
+  const root = nodes.find(node => node.todo.url === todoUrl);
+  if (!root) {
+    return null;
+  }
+
+  const subtree = [];
+  const collect = (node) => {
+    subtree.push(node.todo);
+    node.children.forEach(collect);
+  };
+  collect(root);
+
+  return arrangeTodoTree(subtree);
+}
+
+/**
+ * Check that a todo can become a subtask of another
+ *
+ * @param {Array<Object>} todos - Todos of the calendar
+ * @param {string} parentUid - UID of the intended parent
+ * @param {string|null} [uid] - UID of the todo being linked (null for a new todo)
+ * @throws {Error} If the parent is missing, is the todo itself, or is one of its subtasks
+ */
+export function assertValidParent(todos, parentUid, uid = null) {
+  const { nodes } = linkTodos(todos);
+  const parent = nodes.find(node => node.uid === parentUid);
+
+  if (!parent) {
+    throw new Error(`Parent todo not found: no todo with UID ${parentUid} in this calendar`);
+  }
+  if (uid && parentUid === uid) {
+    throw new Error('A todo cannot be its own parent');
+  }
+
+  for (let ancestor = parent; uid && ancestor; ancestor = ancestor.parent) {
+    if (ancestor.uid === uid) {
+      throw new Error(`Todo ${parentUid} is a subtask of this todo and cannot become its parent`);
+    }
+  }
+}
@@ -0,0 +1,327 @@
+/**
+ * IANA timezone helpers (RFC 5545 section 3.6.5)
+ * Builds VTIMEZONE components from the runtime's Intl timezone data so that
+ * TZID-qualified times keep their wall-clock time across DST changes
+ */
+
+import ICAL from 'ical.js';
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const UTC_ALIASES = ['UTC', 'Etc/UTC', 'GMT', 'Etc/GMT', 'Z'];
+
+const offsetFormatters = new Map();
+
+/**
+ * Check whether a timezone ID is a valid IANA timezone
+ * @param {string} tzid - Timezone ID (e.g., Europe/Berlin)
+ * @returns {boolean}
+ */
+export function isValidTimezone(tzid) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tzid });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether a timezone ID denotes UTC (written as a Z suffix instead of a TZID)
+ * @param {string} tzid - Timezone ID
+ * @returns {boolean}
+ */
+export function isUtcTimezone(tzid) {
+  return UTC_ALIASES.includes(tzid);
+}
+
+/**
+ * Get a timezone's UTC offset at an instant
+ * @param {string} tzid - IANA timezone ID
+ * @param {Date} date - Instant
+ * @returns {number} Offset in minutes (e.g., 60 for Europe/Berlin in winter)
+ */
+export function getTimezoneOffset(tzid, date) {
+  if (!offsetFormatters.has(tzid)) {
+    offsetFormatters.set(tzid, new Intl.DateTimeFormat('en-US', { timeZone: tzid, timeZoneName: 'longOffset' }));
+  }
+
+  const name = offsetFormatters.get(tzid).formatToParts(date).find(part => part.type === 'timeZoneName').value;
+  const match = name.match(/GMT([+-])(\d{2}):?(\d{2})?/);
+  if (!match) {
+    return 0;
+  }
+
+  const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Get the abbreviation of a timezone at an instant (e.g., CET, EDT)
+ * Returns null where Intl only knows a GMT offset
+ */
+function getTimezoneAbbreviation(tzid, date) {
+  for (const locale of ['en-US', 'en-GB']) {
+    const name = new Intl.DateTimeFormat(locale, { timeZone: tzid, timeZoneName: 'short' })
+      .formatToParts(date)
+      .find(part => part.type === 'timeZoneName')?.value;
+    if (name && /^[A-Z]{2,5}$/.test(name)) {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the UTC offset changes of a timezone within a calendar year
+ * @param {string} tzid - IANA timezone ID
+ * @param {number} year - Calendar year
+ * @returns {Array<{at: Date, from: number, to: number}>} Transitions with offsets in minutes
+ */
+export function findTransitions(tzid, year) {
+  const transitions = [];
+  const yearEnd = Date.UTC(year + 1, 0, 1);
+  let previous = Date.UTC(year, 0, 1);
+  let previousOffset = getTimezoneOffset(tzid, new Date(previous));
+
+  for (let time = previous + DAY_MS; time <= yearEnd; time += DAY_MS) {
+    const offset = getTimezoneOffset(tzid, new Date(time));
+
+    if (offset !== previousOffset) {
+      // Narrow the change down to the minute
+      let low = previous;
+      let high = time;
+      while (high - low > MINUTE_MS) {
+        const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+        if (getTimezoneOffset(tzid, new Date(middle)) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ at: new Date(high), from: previousOffset, to: offset });
+    }
+
+    previous = time;
+    previousOffset = offset;
+  }
+
+  return transitions;
+}
+
+/**
+ * Convert wall-clock components (read from a Date's UTC fields) into a floating ICAL.Time
+ */
+function toFloatingTime(wallClock) {
+  return ICAL.Time.fromData({
+    year: wallClock.getUTCFullYear(),
+    month: wallClock.getUTCMonth() + 1,
+    day: wallClock.getUTCDate(),
+    hour: wallClock.getUTCHours(),
+    minute: wallClock.getUTCMinutes(),
+    second: wallClock.getUTCSeconds(),
+  });
+}
+
+/**
+ * Describe a transition as a yearly rule: month, weekday and ordinal (-1 = last)
+ */
+function describeTransition(transition) {
+  const local = new Date(transition.at.getTime() + transition.from * MINUTE_MS);
+  const month = local.getUTCMonth() + 1;
+  const day = local.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), month, 0)).getUTCDate();
+  const ordinal = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+
+  return {
+    local,
+    month,
+    byDay: `${ordinal}${WEEKDAYS[local.getUTCDay()]}`,
+    time: local.toISOString().slice(11, 19),
+  };
+}
+
+/**
+ * Create a STANDARD or DAYLIGHT observance
+ */
+function createObservance(name, start, from, to, abbreviation) {
+  const observance = new ICAL.Component(name);
+  observance.addPropertyWithValue('dtstart', start);
+  observance.addPropertyWithValue('tzoffsetfrom', ICAL.UtcOffset.fromSeconds(from * 60));
+  observance.addPropertyWithValue('tzoffsetto', ICAL.UtcOffset.fromSeconds(to * 60));
+  if (abbreviation) {
+    observance.addPropertyWithValue('tzname', abbreviation);
+  }
+  return observance;
+}
+
+/**
+ * Build a VTIMEZONE component for an IANA timezone
+ * Observances start in the given year and repeat yearly when the following year follows the same rule.
+ *
+ * @param {string} tzid - IANA timezone ID
+ * @param {number} [year] - First year covered (default: last year, so that earlier dates in the current year resolve)
+ * @returns {ICAL.Component} VTIMEZONE component
+ */
+export function buildVTimezone(tzid, year = new Date().getUTCFullYear() - 1) {
+  const vtimezone = new ICAL.Component('vtimezone');
+  vtimezone.addPropertyWithValue('tzid', tzid);
+
+  const transitions = findTransitions(tzid, year);
+
+  if (transitions.length === 0) {
+    const start = new Date(Date.UTC(year, 0, 1));
+    const offset = getTimezoneOffset(tzid, start);
+    vtimezone.addSubcomponent(
+      createObservance('standard', toFloatingTime(start), offset, offset, getTimezoneAbbreviation(tzid, start))
+    );
+    return vtimezone;
+  }
+
+  const nextYearRules = findTransitions(tzid, year + 1).map(describeTransition);
+
+  transitions.forEach(transition => {
+    const rule = describeTransition(transition);
+    const name = transition.to > transition.from ? 'daylight' : 'standard';
+    const observance = createObservance(
+      name,
+      toFloatingTime(rule.local),
+      transition.from,
+      transition.to,
+      getTimezoneAbbreviation(tzid, transition.at)
+    );
+
+    const repeats = nextYearRules.some(next =>
+      next.month === rule.month && next.byDay === rule.byDay && next.time === rule.time
+    );
+    if (repeats) {
+      observance.addPropertyWithValue('rrule', ICAL.Recur.fromData({
+        freq: 'YEARLY',
+        byday: [rule.byDay],
+        bymonth: [rule.month],
+      }));
+    }
+
+    vtimezone.addSubcomponent(observance);
+  });
+
+  return vtimezone;
+}
+
+/**
+ * Check whether an ISO 8601 string has no UTC offset (a wall-clock time)
+ */
+function isWallClockTime(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value);
+}
+
+/**
+ * Get the wall-clock time in a timezone for a date value
+ * Values without an offset are already wall-clock times in that timezone.
+ *
+ * @param {string|Date} value - ISO 8601 date
+ * @param {string} tzid - IANA timezone ID
+ * @returns {Date} Date whose UTC fields hold the wall-clock time
+ */
+function toWallClock(value, tzid) {
+  if (isWallClockTime(value)) {
+    return new Date(`${value}Z`);
+  }
+  const instant = new Date(value);
+  return new Date(instant.getTime() + getTimezoneOffset(tzid, instant) * MINUTE_MS);
+}
+
+/**
+ * Format a date as a local iCal date-time in a timezone, for use with TZID
+ * @param {string|Date} value - ISO 8601 date; values without an offset are taken as wall-clock times in the timezone
+ * @param {string} tzid - IANA timezone ID
+ * @returns {string} Local date-time (YYYYMMDDTHHmmss)
+ *
+ * @example
+ * formatICalDateInTimezone('2025-03-10T09:00:00', 'Europe/Berlin') // Returns: 20250310T090000
+ * formatICalDateInTimezone('2025-03-10T08:00:00Z', 'Europe/Berlin') // Returns: 20250310T090000
+ */
+export function formatICalDateInTimezone(value, tzid) {
+  return toWallClock(value, tzid).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, '');
+}
+
+/**
+ * Resolve a date value to an instant, reading values without an offset as wall-clock times in a timezone
+ * @param {string|Date} value - ISO 8601 date
+ * @param {string} tzid - IANA timezone ID
+ * @returns {Date} Instant
+ *
+ * @example
+ * zonedTimeToDate('2025-03-10T09:00:00', 'Europe/Berlin') // Returns: 2025-03-10T08:00:00.000Z
+ */
+export function zonedTimeToDate(value, tzid) {
+  if (!isWallClockTime(value)) {
+    return new Date(value);
+  }
+
+  const wallClock = new Date(`${value}Z`).getTime();
+  // The offset at the guessed instant may differ near a transition, so check once more
+  let instant = wallClock - getTimezoneOffset(tzid, new Date(wallClock)) * MINUTE_MS;
+  instant = wallClock - getTimezoneOffset(tzid, new Date(instant)) * MINUTE_MS;
+  return new Date(instant);
+}
+
+/**
+ * Build an iCalendar date property line, TZID-qualified unless the timezone is UTC
+ * @param {string} name - Property name (e.g., DTSTART, EXDATE)
+ * @param {string|Date|Array<string|Date>} value - ISO 8601 date, or several for list properties
+ * @param {string} tzid - IANA timezone ID
+ * @returns {string} Property line
+ *
+ * @example
+ * formatZonedDateProperty('DTSTART', '2025-03-10T09:00:00', 'Europe/Berlin')
+ * // Returns: DTSTART;TZID=Europe/Berlin:20250310T090000
+ */
+export function formatZonedDateProperty(name, value, tzid) {
+  const values = Array.isArray(value) ? value : [value];
+
+  if (isUtcTimezone(tzid)) {
+    return `${name}:${values.map(v => `${formatICalDateInTimezone(v, 'UTC')}Z`).join(',')}`;
+  }
+  return `${name};TZID=${tzid}:${values.map(v => formatICalDateInTimezone(v, tzid)).join(',')}`;
+}
+
+/**
+ * Get the iCalendar lines of a VTIMEZONE for use in hand-built calendar objects
+ * @param {string} tzid - IANA timezone ID
+ * @param {string|Date} firstDate - Earliest date the calendar object refers to
+ * @returns {string[]} VTIMEZONE lines (empty for UTC)
+ */
+export function buildVTimezoneLines(tzid, firstDate) {
+  if (isUtcTimezone(tzid)) {
+    return [];
+  }
+  const year = zonedTimeToDate(firstDate, tzid).getUTCFullYear() - 1;
+  return buildVTimezone(tzid, year).toString().split(/\r?\n/);
+}
+
+/**
+ * Register generated zones for TZIDs that a calendar object references without a VTIMEZONE
+ * ical.js falls back to its TimezoneService for those, instead of treating the times as floating.
+ *
+ * @param {string} icalData - iCalendar data
+ */
+export function registerMissingTimezones(icalData) {
+  const tzids = new Set([...icalData.matchAll(/;TZID="?([^";:]+)"?[;:]/g)].map(match => match[1]));
+
+  tzids.forEach(tzid => {
+    if (!ICAL.TimezoneService.has(tzid) && !isUtcTimezone(tzid) && isValidTimezone(tzid)) {
+      ICAL.TimezoneService.register(buildVTimezone(tzid));
+    }
+  });
+}
+
+/**
+ * Get the timezone used to display dates (DISPLAY_TIMEZONE, default UTC)
+ * @returns {string} IANA timezone ID
+ */
+export function getDisplayTimezone() {
+  const tzid = process.env.DISPLAY_TIMEZONE;
+  return tzid && isValidTimezone(tzid) ? tzid : 'UTC';
+}
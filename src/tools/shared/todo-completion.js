@@ -0,0 +1,432 @@
+/**
+ * Completing todos, including recurring ones (RFC 5545 sections 3.6.2 and 3.8.2.1)
+ * A recurring todo is completed one occurrence at a time, following one of two client conventions:
+ * - advance: the todo moves on to its next occurrence (DTSTART/DUE) and a completed copy records
+ *   the finished one (Apple Reminders, Tasks.org)
+ * - instance: a RECURRENCE-ID override marks the occurrence as completed and the series stays as is
+ *   (Thunderbird)
+ * STATUS, PERCENT-COMPLETE, COMPLETED and LAST-MODIFIED are always changed together.
+ */
+
+import ICAL from 'ical.js';
+import { generateUID, getParentCollectionUrl } from './helpers.js';
+import {
+  parseICalComponent,
+  getMasterComponent,
+  findOverrideComponent,
+  setDateProperty,
+  touchComponent,
+} from './ical-component.js';
+import { createOverride, MAX_OCCURRENCE_ITERATIONS } from './recurrence.js';
+import { registerMissingTimezones } from './timezones.js';
+
+/**
+ * Completion conventions for recurring todos
+ */
+export const COMPLETION_MODES = ['advance', 'instance'];
+
+/**
+ * JSON Schema for the mode argument in tool inputSchemas
+ */
+export const completionModeInputSchema = {
+  type: 'string',
+  enum: COMPLETION_MODES,
+  description: 'Optional, recurring todos only: "advance" moves the todo to its next occurrence and keeps a completed copy (Apple Reminders, Tasks.org); "instance" marks just this occurrence as completed with a RECURRENCE-ID override (Thunderbird). Default: "instance" if the todo already has completed occurrences, otherwise "advance".',
+};
+
+/**
+ * JSON Schema properties for tools that change one todo or a list of todos
+ */
+export const todoSelectionInputProperties = {
+  todo_url: {
+    type: 'string',
+    description: 'The URL of the todo (single todo)',
+  },
+  todo_etag: {
+    type: 'string',
+    description: 'The etag of the todo (required with todo_url for conflict detection)',
+  },
+  todos: {
+    type: 'array',
+    description: 'Several todos at once instead of todo_url (max 50). Each is written on its own; ETag conflicts are reported per todo.',
+    items: {
+      type: 'object',
+      properties: {
+        todo_url: { type: 'string', description: 'The URL of the todo' },
+        todo_etag: { type: 'string', description: 'Optional etag from the last read; omit to use the current one' },
+      },
+      required: ['todo_url'],
+    },
+    maxItems: 50,
+  },
+};
+
+/**
+ * Get the todos to change from validated tool arguments (todo_url or todos)
+ * @param {Object} validated - Arguments validated with completeTodoSchema or reopenTodoSchema
+ * @returns {Array<{url: string, etag?: string}>}
+ */
+export function getSelectedTodos(validated) {
+  if (validated.todos) {
+    return validated.todos.map(todo => ({ url: todo.todo_url, etag: todo.todo_etag }));
+  }
+  return [{ url: validated.todo_url, etag: validated.todo_etag }];
+}
+
+/**
+ * Check whether a todo repeats
+ * @param {ICAL.Component} vtodo - VTODO component
+ * @returns {boolean}
+ */
+export function isRecurringTodo(vtodo) {
+  return vtodo.hasProperty('rrule') || vtodo.hasProperty('rdate');
+}
+
+/**
+ * Set STATUS, PERCENT-COMPLETE and COMPLETED for a finished todo
+ * @param {ICAL.Component} vtodo - VTODO component (master or override)
+ * @param {Date} [completedAt=new Date()] - Completion time
+ */
+export function markTodoCompleted(vtodo, completedAt = new Date()) {
+  vtodo.updatePropertyWithValue('status', 'COMPLETED');
+  vtodo.updatePropertyWithValue('percent-complete', 100);
+  vtodo.updatePropertyWithValue('completed', ICAL.Time.fromJSDate(completedAt, true));
+  touchComponent(vtodo);
+}
+
+/**
+ * Clear STATUS, PERCENT-COMPLETE and COMPLETED of a finished todo
+ * @param {ICAL.Component} vtodo - VTODO component (master or override)
+ */
+export function markTodoOpen(vtodo) {
+  vtodo.updatePropertyWithValue('status', 'NEEDS-ACTION');
+  vtodo.removeAllProperties('percent-complete');
+  vtodo.removeAllProperties('completed');
+  touchComponent(vtodo);
+}
+
+/**
+ * Check whether a todo component is marked as done
+ */
+function isDone(vtodo) {
+  return vtodo.getFirstPropertyValue('status') === 'COMPLETED' || vtodo.hasProperty('completed');
+}
+
+/**
+ * Get the completion state of an occurrence from its override
+ */
+function isOccurrenceClosed(vcalendar, time) {
+  const status = findOverrideComponent(vcalendar, time, 'vtodo')?.getFirstPropertyValue('status');
+  return status === 'COMPLETED' || status === 'CANCELLED';
+}
+
+/**
+ * Find the first occurrence that is neither completed nor cancelled by an override
+ * @param {ICAL.Component} vcalendar - VCALENDAR containing the todo
+ * @param {ICAL.Component} master - Recurring VTODO with DTSTART
+ * @returns {ICAL.Time|null} Start of the occurrence, or null if all are closed
+ */
+export function findOpenOccurrence(vcalendar, master) {
+  const expansion = new ICAL.RecurExpansion({
+    component: master,
+    dtstart: master.getFirstPropertyValue('dtstart'),
+  });
+
+  let next;
+  for (let i = 0; i < MAX_OCCURRENCE_ITERATIONS && (next = expansion.next()); i++) {
+    if (!isOccurrenceClosed(vcalendar, next)) {
+      return next;
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick the convention a recurring todo already follows
+ * @param {ICAL.Component} vcalendar - VCALENDAR containing the todo
+ * @returns {string} instance if it has completed occurrence overrides, otherwise advance
+ */
+export function detectCompletionMode(vcalendar) {
+  const hasCompletedOverride = vcalendar.getAllSubcomponents('vtodo').some(vtodo =>
+    vtodo.hasProperty('recurrence-id') && vtodo.getFirstPropertyValue('status') === 'COMPLETED'
+  );
+  return hasCompletedOverride ? 'instance' : 'advance';
+}
+
+/**
+ * Build a completed, non-recurring copy of the current occurrence
+ */
+function buildCompletedCopy(vcalendar, master, completedAt) {
+  const copy = new ICAL.Component(ICAL.parse(vcalendar.toString()));
+  copy.getAllSubcomponents('vtodo').forEach(vtodo => copy.removeSubcomponent(vtodo));
+
+  const vtodo = new ICAL.Component(ICAL.parse(master.toString()));
+  ['rrule', 'rdate', 'exdate', 'sequence'].forEach(name => vtodo.removeAllProperties(name));
+  vtodo.getAllSubcomponents('valarm').forEach(valarm => vtodo.removeSubcomponent(valarm));
+  vtodo.updatePropertyWithValue('uid', generateUID('todo'));
+  markTodoCompleted(vtodo, completedAt);
+
+  copy.addSubcomponent(vtodo);
+  return copy;
+}
+
+/**
+ * Move a recurring todo to its next occurrence
+ * Shifts DTSTART and DUE, counts the finished occurrence against COUNT and reopens the todo.
+ * @returns {ICAL.Time|null} New DTSTART, or null if the series has no further occurrence
+ */
+function advanceToNextOccurrence(master) {
+  const start = master.getFirstPropertyValue('dtstart');
+  const startTime = start.toJSDate().getTime();
+  const expansion = new ICAL.RecurExpansion({ component: master, dtstart: start });
+
+  let next = null;
+  let consumed = 0;
+  for (let i = 0; i < MAX_OCCURRENCE_ITERATIONS; i++) {
+    const time = expansion.next();
+    if (!time || time.toJSDate().getTime() > startTime) {
+      next = time || null;
+      break;
+    }
+    consumed++;
+  }
+
+  if (!next) {
+    return null;
+  }
+
+  if (master.hasProperty('due')) {
+    const due = next.clone();
+    due.addDuration(master.getFirstPropertyValue('due').subtractDate(start));
+    setDateProperty(master, 'DUE', due);
+  }
+  setDateProperty(master, 'DTSTART', next.clone());
+
+  const rrule = master.getFirstPropertyValue('rrule');
+  if (rrule?.count) {
+    rrule.count = Math.max(rrule.count - consumed, 1);
+    master.updatePropertyWithValue('rrule', rrule);
+  }
+
+  // RDATEs before the new start would otherwise come back as occurrences
+  master.getAllProperties('rdate').forEach(property => {
+    const remaining = property.getValues().filter(value => (value.start || value).toJSDate().getTime() >= next.toJSDate().getTime());
+    if (remaining.length === 0) {
+      master.removeProperty(property);
+    } else {
+      property.setValues(remaining);
+    }
+  });
+
+  markTodoOpen(master);
+
+  return next;
+}
+
+/**
+ * Complete a todo, or the current occurrence of a recurring todo
+ * Modifies vcalendar in place.
+ *
+ * @param {ICAL.Component} vcalendar - VCALENDAR containing the todo
+ * @param {Object} [options]
+ * @param {string} [options.mode] - advance or instance (default: detectCompletionMode)
+ * @param {Date} [options.completedAt=new Date()] - Completion time
+ * @returns {{changed: boolean, recurring: boolean, mode: string|null, occurrence: ICAL.Time|null,
+ *   next: ICAL.Time|null, finished: boolean, completedCopy: ICAL.Component|null}}
+ *   changed is false for todos that were already completed; occurrence is the completed occurrence and next
+ *   the following open one; finished means nothing is left to do; completedCopy is a new VCALENDAR to store
+ *   for the advance mode
+ * @throws {Error} If a recurring todo has no DTSTART
+ */
+export function completeTodo(vcalendar, { mode, completedAt = new Date() } = {}) {
+  const master = getMasterComponent(vcalendar, 'vtodo');
+  const recurring = isRecurringTodo(master);
+
+  if (isDone(master)) {
+    return { changed: false, recurring, mode: null, occurrence: null, next: null, finished: true, completedCopy: null };
+  }
+
+  if (!recurring) {
+    markTodoCompleted(master, completedAt);
+    return { changed: true, recurring, mode: null, occurrence: null, next: null, finished: true, completedCopy: null };
+  }
+
+  if (!master.hasProperty('dtstart')) {
+    throw new Error('Recurring todo has no DTSTART, so its occurrences cannot be determined');
+  }
+
+  const completionMode = mode || detectCompletionMode(vcalendar);
+
+  if (completionMode === 'advance') {
+    const occurrence = master.getFirstPropertyValue('dtstart').clone();
+    const completedCopy = buildCompletedCopy(vcalendar, master, completedAt);
+    const next = advanceToNextOccurrence(master);
+    if (!next) {
+      // Last occurrence: complete the todo itself, no copy needed
+      markTodoCompleted(master, completedAt);
+      return { changed: true, recurring, mode: completionMode, occurrence, next: null, finished: true, completedCopy: null };
+    }
+    return { changed: true, recurring, mode: completionMode, occurrence, next, finished: false, completedCopy };
+  }
+
+  const occurrence = findOpenOccurrence(vcalendar, master);
+  if (!occurrence) {
+    markTodoCompleted(master, completedAt);
+    return { changed: true, recurring, mode: completionMode, occurrence: null, next: null, finished: true, completedCopy: null };
+  }
+
+  const override = findOverrideComponent(vcalendar, occurrence, 'vtodo') || createOverride(vcalendar, master, occurrence);
+  markTodoCompleted(override, completedAt);
+
+  const next = findOpenOccurrence(vcalendar, master);
+  if (!next) {
+    markTodoCompleted(master, completedAt);
+  }
+  return { changed: true, recurring, mode: completionMode, occurrence, next, finished: !next, completedCopy: null };
+}
+
+/**
+ * Reopen a completed todo
+ * A finished todo is reopened as a whole; otherwise the latest completed occurrence override of a
+ * recurring todo is reopened. Todos moved on with the advance mode are already open.
+ * Modifies vcalendar in place.
+ *
+ * @param {ICAL.Component} vcalendar - VCALENDAR containing the todo
+ * @returns {{changed: boolean, occurrence: ICAL.Time|null}} changed is false if nothing was completed;
+ *   occurrence is the reopened occurrence of a recurring todo
+ */
+export function reopenTodo(vcalendar) {
+  const master = getMasterComponent(vcalendar, 'vtodo');
+
+  if (isDone(master)) {
+    markTodoOpen(master);
+    return { changed: true, occurrence: null };
+  }
+
+  const latest = vcalendar.getAllSubcomponents('vtodo')
+    .filter(vtodo => vtodo.hasProperty('recurrence-id') && isDone(vtodo))
+    .sort((a, b) => b.getFirstPropertyValue('recurrence-id').compare(a.getFirstPropertyValue('recurrence-id')))[0];
+
+  if (!latest) {
+    return { changed: false, occurrence: null };
+  }
+
+  markTodoOpen(latest);
+  return { changed: true, occurrence: latest.getFirstPropertyValue('recurrence-id') };
+}
+
+/**
+ * Key for matching a todo URL with the URL the server reports for it
+ * Servers may percent-encode the same path differently (e.g. %40 for @).
+ */
+function toUrlKey(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${decodeURIComponent(parsed.pathname)}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Store the copies of a written todo next to it
+ * @returns {Promise<Object>} completed_copy with url, etag and uid of the last copy, or copy_error
+ */
+async function createCopies(client, todoUrl, copies) {
+  const calendarUrl = getParentCollectionUrl(todoUrl);
+  const fields = {};
+  for (const copy of copies) {
+    const uid = getMasterComponent(copy, 'vtodo').getFirstPropertyValue('uid');
+    const url = new URL(`${uid}.ics`, calendarUrl).href;
+    try {
+      const created = await client.createTodo({
+        calendar: { url: calendarUrl },
+        filename: `${uid}.ics`,
+        iCalString: copy.toString(),
+      });
+      if (created?.ok === false) {
+        throw new Error(`status ${created.status} ${created.statusText || ''}`.trim());
+      }
+      // tsdav returns the fetch Response of the PUT
+      fields.completed_copy = { url, etag: created?.headers?.get('etag') || null, uid };
+    } catch (error) {
+      fields.copy_error = `The todo was written, but storing the completed copy ${url} failed: ${error.message}`;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Apply a change to several todos, each written with its own ETag check
+ * Todos are fetched per calendar in one request. A todo whose ETag no longer matches, or that the
+ * server rejects with 412, is reported as a conflict and left unchanged; the others are still written.
+ *
+ * @param {Object} client - CalDAV client
+ * @param {Array<{url: string, etag?: string}>} items - Todos; without etag the fetched one is used
+ * @param {Function} change - (vcalendar) => { changed, details?, copies? }, modifies vcalendar in place;
+ *   copies are new VCALENDARs stored next to the todo once it was written
+ * @returns {Promise<Array<Object>>} Per todo: { url, status, etag, ... } with status 'updated',
+ *   'unchanged', 'conflict', 'not_found' or 'error'; a written todo whose copy could not be stored
+ *   stays 'updated' and gets copy_error
+ */
+export async function changeTodos(client, items, change) {
+  const byCalendar = new Map();
+  items.forEach(item => {
+    const calendarUrl = getParentCollectionUrl(item.url);
+    byCalendar.set(calendarUrl, [...(byCalendar.get(calendarUrl) || []), item.url]);
+  });
+
+  const fetched = new Map();
+  for (const [calendarUrl, objectUrls] of byCalendar) {
+    const objects = await client.fetchCalendarObjects({ calendar: { url: calendarUrl }, objectUrls });
+    (objects || []).forEach(object => fetched.set(toUrlKey(object.url), object));
+  }
+
+  const results = [];
+  for (const item of items) {
+    const todo = fetched.get(toUrlKey(item.url));
+    if (!todo?.data) {
+      results.push({ url: item.url, status: 'not_found', message: `Todo not found: ${item.url}` });
+      continue;
+    }
+
+    if (item.etag && todo.etag && item.etag !== todo.etag) {
+      results.push({
+        url: item.url,
+        status: 'conflict',
+        etag: todo.etag,
+        message: `Precondition failed (412): ${item.url} was modified, its current etag is ${todo.etag}. Reload it before trying again.`,
+      });
+      continue;
+    }
+
+    try {
+      registerMissingTimezones(todo.data);
+      const vcalendar = parseICalComponent(todo.data);
+      const { changed, details = {}, copies = [] } = change(vcalendar);
+      if (!changed) {
+        results.push({ url: item.url, status: 'unchanged', etag: todo.etag || null, ...details });
+        continue;
+      }
+
+      const response = await client.updateTodo({
+        todo: { url: item.url, data: vcalendar.toString(), etag: item.etag || todo.etag },
+      });
+      if (response?.ok === false) {
+        results.push(response.status === 412
+          ? { url: item.url, status: 'conflict', message: `Precondition failed (412): ${item.url} was modified while it was being written. Reload it before trying again.` }
+          : { url: item.url, status: 'error', message: `Updating ${item.url} failed with status ${response.status} ${response.statusText || ''}`.trim() });
+        continue;
+      }
+
+      // tsdav returns the fetch Response of the PUT
+      const etag = response?.headers?.get('etag') || null;
+      results.push({ url: item.url, status: 'updated', etag, ...details, ...await createCopies(client, item.url, copies) });
+    } catch (error) {
+      const conflict = /412|precondition/i.test(error.message);
+      results.push({ url: item.url, status: conflict ? 'conflict' : 'error', message: error.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,191 @@
+/**
+ * Client-side VTODO filters for todo_query
+ * Todos are parsed with ical.js, so TZID and VALUE=DATE dates, folded lines and parameters are read correctly.
+ */
+
+import ICAL from 'ical.js';
+import { getMasterComponent, getCategories, findOverrideComponent } from './ical-component.js';
+import { registerMissingTimezones } from './timezones.js';
+import { isRecurringTodo, findOpenOccurrence } from './todo-completion.js';
+
+/**
+ * Statuses that take a todo off the open list
+ */
+const CLOSED_STATUSES = ['COMPLETED', 'CANCELLED'];
+
+/**
+ * Time of a date property in milliseconds, or null
+ * A DATE value is read as the start of that day; with endOfDay as the end of it, so that a todo due
+ * on a day is only overdue once the day is over.
+ */
+function toTime(value, { endOfDay = false } = {}) {
+  if (!(value instanceof ICAL.Time)) {
+    return null;
+  }
+  if (value.isDate && endOfDay) {
+    const nextDay = value.clone();
+    nextDay.day += 1;
+    return nextDay.toJSDate().getTime();
+  }
+  return value.toJSDate().getTime();
+}
+
+/**
+ * Read DTSTART and the due time of a todo component
+ * Without DUE the due time is DTSTART + DURATION (RFC 5545 section 3.6.2).
+ */
+function readDates(vtodo) {
+  const start = vtodo.getFirstPropertyValue('dtstart');
+  let due = vtodo.getFirstPropertyValue('due');
+  const duration = vtodo.getFirstPropertyValue('duration');
+  if (!due && start && duration) {
+    due = start.clone();
+    due.addDuration(duration);
+  }
+  return { start, due };
+}
+
+/**
+ * Get the component and dates of the current occurrence of a todo
+ * A recurring todo completed occurrence by occurrence (RECURRENCE-ID overrides) is due with its
+ * first open occurrence, read from its override if it has one.
+ */
+function readCurrentOccurrence(vcalendar, master) {
+  const dates = readDates(master);
+  if (!isRecurringTodo(master) || !dates.start) {
+    return { vtodo: master, ...dates };
+  }
+
+  const occurrence = findOpenOccurrence(vcalendar, master);
+  if (!occurrence) {
+    return { vtodo: master, ...dates };
+  }
+
+  const override = findOverrideComponent(vcalendar, occurrence, 'vtodo');
+  if (override) {
+    return { vtodo: override, ...readDates(override) };
+  }
+
+  let due = null;
+  if (dates.due) {
+    due = occurrence.clone();
+    due.addDuration(dates.due.subtractDate(dates.start));
+  }
+  return { vtodo: master, start: occurrence, due };
+}
+
+/**
+ * Read the fields the filters use from a todo
+ * Dates, status and progress are those of the current occurrence of a recurring todo.
+ *
+ * @param {string} icalData - iCalendar data of the todo
+ * @returns {Object|null} { summary, status, priority, percentComplete, categories, start, due, dueEnd, dueDate,
+ *   completed }, times in milliseconds; dueDate is YYYY-MM-DD for DATE due dates; null if the data cannot be parsed
+ */
+export function readTodoFields(icalData) {
+  try {
+    registerMissingTimezones(icalData);
+    const vcalendar = new ICAL.Component(ICAL.parse(icalData));
+    const master = getMasterComponent(vcalendar, 'vtodo');
+    const { vtodo, start, due } = readCurrentOccurrence(vcalendar, master);
+
+    const status = String(vtodo.getFirstPropertyValue('status') || 'NEEDS-ACTION').toUpperCase();
+    const percent = vtodo.getFirstPropertyValue('percent-complete');
+
+    return {
+      summary: String(master.getFirstPropertyValue('summary') || ''),
+      status,
+      priority: Number(master.getFirstPropertyValue('priority')) || 0,
+      percentComplete: percent !== null ? Number(percent) || 0 : (status === 'COMPLETED' ? 100 : 0),
+      categories: getCategories(master),
+      start: toTime(start),
+      due: toTime(due),
+      dueEnd: toTime(due, { endOfDay: true }),
+      dueDate: due?.isDate ? due.toString() : null,
+      completed: toTime(master.getFirstPropertyValue('completed')),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a time lies in an optional, inclusive range
+ */
+function inRange(time, from, to) {
+  if (time === null) {
+    return false;
+  }
+  return (from === undefined || time >= from) && (to === undefined || time <= to);
+}
+
+/**
+ * Time of an ISO 8601 filter argument in milliseconds, or undefined
+ */
+function toFilterTime(value) {
+  return value ? new Date(value).getTime() : undefined;
+}
+
+/**
+ * Build a todo predicate from validated todo_query arguments
+ * All given filters must match. Todos that cannot be parsed never match.
+ *
+ * @param {Object} filters - Arguments validated with todoQuerySchema
+ * @param {Date} [now=new Date()] - Reference time for overdue
+ * @returns {Function} (todo) => boolean for { url, etag, data } objects
+ */
+export function createTodoFilter(filters, now = new Date()) {
+  const summary = filters.summary_filter?.toLowerCase();
+  const categories = filters.categories?.map(category => category.toLowerCase());
+  const dueFrom = toFilterTime(filters.time_range_start);
+  const dueTo = toFilterTime(filters.time_range_end);
+  const startFrom = toFilterTime(filters.start_after);
+  const startTo = toFilterTime(filters.start_before);
+  const completedFrom = toFilterTime(filters.completed_after);
+  const completedTo = toFilterTime(filters.completed_before);
+  const hasPriorityRange = filters.priority_min !== undefined || filters.priority_max !== undefined;
+  const hasPercentRange = filters.percent_complete_min !== undefined || filters.percent_complete_max !== undefined;
+
+  return (todo) => {
+    const fields = todo.data ? readTodoFields(todo.data) : null;
+    if (!fields) {
+      return false;
+    }
+
+    if (summary && !fields.summary.toLowerCase().includes(summary)) {
+      return false;
+    }
+    if (filters.status_filter && fields.status !== filters.status_filter) {
+      return false;
+    }
+    if ((dueFrom !== undefined || dueTo !== undefined) && !inRange(fields.due, dueFrom, dueTo)) {
+      return false;
+    }
+    // PRIORITY 0 means undefined, so such todos are outside every range
+    if (hasPriorityRange && !inRange(fields.priority || null, filters.priority_min, filters.priority_max)) {
+      return false;
+    }
+    if (hasPercentRange && !inRange(fields.percentComplete, filters.percent_complete_min, filters.percent_complete_max)) {
+      return false;
+    }
+    if (filters.overdue !== undefined) {
+      const isOverdue = fields.dueEnd !== null && fields.dueEnd <= now.getTime() && !CLOSED_STATUSES.includes(fields.status);
+      if (isOverdue !== filters.overdue) {
+        return false;
+      }
+    }
+    if (filters.no_due_date !== undefined && (fields.due === null) !== filters.no_due_date) {
+      return false;
+    }
+    if (categories && !fields.categories.some(category => categories.includes(category.toLowerCase()))) {
+      return false;
+    }
+    if ((startFrom !== undefined || startTo !== undefined) && !inRange(fields.start, startFrom, startTo)) {
+      return false;
+    }
+    if ((completedFrom !== undefined || completedTo !== undefined) && !inRange(fields.completed, completedFrom, completedTo)) {
+      return false;
+    }
+    return true;
+  };
+}
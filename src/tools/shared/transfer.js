@@ -0,0 +1,116 @@
+/**
+ * Move and copy calendar objects (events and todos) between calendars
+ * Uses WebDAV MOVE/COPY and falls back to GET, PUT and DELETE when the server does not support them
+ */
+
+import ICAL from 'ical.js';
+import { logger } from '../../logger.js';
+import { fetchCalendarObjectByUrl, getParentCollectionUrl } from './helpers.js';
+import { moveOrCopy } from './webdav.js';
+
+/**
+ * MOVE/COPY responses that mean "not supported here", so the GET-PUT-DELETE fallback is tried
+ * 403/502 are returned by servers that refuse cross-collection or cross-server requests
+ */
+const FALLBACK_STATUSES = [403, 405, 501, 502];
+
+/**
+ * Get the main component name of a calendar object
+ * @param {string} icalData - iCalendar data
+ * @returns {string|null} VEVENT, VTODO or VJOURNAL
+ */
+function getComponentName(icalData) {
+  const vcalendar = new ICAL.Component(ICAL.parse(icalData));
+  const component = ['vevent', 'vtodo', 'vjournal'].find(name => vcalendar.getFirstSubcomponent(name));
+  return component ? component.toUpperCase() : null;
+}
+
+/**
+ * Move or copy a calendar object to another calendar, keeping its UID and all properties
+ * ETag-safe: nothing is written if the source no longer matches etag, and the fallback removes
+ * its copy again if the source changes before it can be deleted.
+ *
+ * @param {Object} client - CalDAV client
+ * @param {Object} params
+ * @param {string} params.mode - 'move' or 'copy'
+ * @param {string} params.sourceUrl - URL of the event or todo
+ * @param {string} params.etag - ETag of the event or todo
+ * @param {Object} params.targetCalendar - Calendar from fetchCalendars
+ * @returns {Promise<{url: string, etag: string|null, component: string, strategy: string}>}
+ *   strategy is 'webdav' (MOVE/COPY) or 'fallback' (GET-PUT-DELETE)
+ * @throws {Error} If the target cannot hold the object or the source changed
+ */
+export async function transferCalendarObject(client, { mode, sourceUrl, etag, targetCalendar }) {
+  const sourceCalendarUrl = getParentCollectionUrl(sourceUrl);
+  if (sourceCalendarUrl === targetCalendar.url) {
+    throw new Error(`The object is already in ${targetCalendar.url}. A calendar cannot hold two objects with the same UID.`);
+  }
+
+  const source = await fetchCalendarObjectByUrl(client, sourceUrl);
+  if (source.etag && source.etag !== etag) {
+    throw new Error(`Precondition failed (412): ${sourceUrl} was modified, its current etag is ${source.etag}. Reload it before trying again.`);
+  }
+
+  const component = getComponentName(source.data);
+  if (targetCalendar.components && component && !targetCalendar.components.includes(component)) {
+    throw new Error(`Calendar ${targetCalendar.url} does not accept ${component} objects (supports: ${targetCalendar.components.join(', ')})`);
+  }
+
+  const filename = sourceUrl.substring(sourceUrl.lastIndexOf('/') + 1);
+  const destinationUrl = new URL(filename, targetCalendar.url).href;
+
+  const result = await moveOrCopy(client, mode === 'move' ? 'MOVE' : 'COPY', sourceUrl, destinationUrl, { etag });
+  if (result.ok) {
+    return { url: destinationUrl, etag: result.etag, component, strategy: 'webdav' };
+  }
+  if (!FALLBACK_STATUSES.includes(result.status)) {
+    throw new Error(`${mode === 'move' ? 'MOVE' : 'COPY'} failed with status ${result.status} ${result.statusText}`);
+  }
+
+  logger.debug({ status: result.status, sourceUrl }, `${mode} not supported, falling back to GET-PUT-DELETE`);
+
+  // PUT with If-None-Match: * never overwrites an object at the destination
+  const created = await client.createCalendarObject({
+    calendar: targetCalendar,
+    filename,
+    iCalString: source.data,
+  });
+  if (created.ok === false) {
+    throw new Error(`Creating ${destinationUrl} failed with status ${created.status} ${created.statusText}`);
+  }
+  // tsdav returns the fetch Response of the PUT
+  const createdEtag = created.headers?.get('etag') || null;
+
+  if (mode === 'move') {
+    const deleted = await client.deleteCalendarObject({
+      calendarObject: { url: sourceUrl, etag },
+    });
+
+    if (deleted.ok === false) {
+      // Undo the copy so the object does not end up in both calendars
+      const rollbackError = await deleteCopy(client, destinationUrl, createdEtag);
+      const failure = `Deleting ${sourceUrl} failed with status ${deleted.status} ${deleted.statusText}`;
+      if (rollbackError) {
+        throw new Error(`${failure}, and removing the copy failed too (${rollbackError}). The object is now in both calendars; delete ${destinationUrl} or ${sourceUrl} by hand.`);
+      }
+      throw new Error(`${failure}; the move was rolled back`);
+    }
+  }
+
+  return { url: destinationUrl, etag: createdEtag, component, strategy: 'fallback' };
+}
+
+/**
+ * Delete the copy made by a failed fallback move
+ * @returns {Promise<string|null>} Why the copy could not be deleted, or null if it was
+ */
+async function deleteCopy(client, url, etag) {
+  try {
+    const result = await client.deleteCalendarObject({
+      calendarObject: { url, ...(etag && { etag }) },
+    });
+    return result.ok === false ? `status ${result.status} ${result.statusText}` : null;
+  } catch (error) {
+    return error.message;
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Minimal WebDAV helpers for requests tsdav does not cover
+ * (scheduling discovery, calendar default alarms, MOVE/COPY)
+ */
+
+/**
+ * Escape text for use inside an XML element
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Decode the XML entities used in property text
+ * @param {string} text - Escaped text
+ * @returns {string} Raw text
+ */
+export function unescapeXml(text) {
+  return String(text)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#13;/g, '\r')
+    .replace(/&#10;/g, '\n')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Find the inner XML of the first element with the given local name (namespace prefix agnostic)
+ * @param {string} xml - XML document
+ * @param {string} localName - Element name without prefix
+ * @returns {string|null} Inner XML
+ */
+export function findElement(xml, localName) {
+  const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${localName}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${localName}>`, 'i'));
+  return match ? match[1] : null;
+}
+
+/**
+ * Find the inner XML of all elements with the given local name
+ * @param {string} xml - XML document
+ * @param {string} localName - Element name without prefix
+ * @returns {string[]} Inner XML of each element
+ */
+export function findElements(xml, localName) {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${localName}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${localName}>`, 'gi');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+/**
+ * Extract the hrefs inside a property element, resolved against a base URL
+ * @param {string} xml - PROPFIND response
+ * @param {string} localName - Property element name (e.g. schedule-outbox-URL)
+ * @param {string} baseUrl - URL used to resolve relative hrefs
+ * @returns {string[]} Hrefs (URLs are absolute, mailto: addresses unchanged)
+ */
+export function extractHrefs(xml, localName, baseUrl) {
+  const property = findElement(xml, localName);
+  if (!property) {
+    return [];
+  }
+  return findElements(property, 'href').map(href => {
+    const value = href.trim();
+    return /^mailto:/i.test(value) ? value : new URL(value, baseUrl).href;
+  });
+}
+
+/**
+ * Time limit for raw WebDAV requests, so a stalled server cannot hang a tool
+ */
+export const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * PROPFIND a URL with Depth: 0
+ * @param {Object} client - DAV client (for authHeaders)
+ * @param {string} url - Resource URL
+ * @param {string} props - Inner XML of <d:prop> (prefixes d: DAV, c: CalDAV)
+ * @returns {Promise<string>} Multistatus response body
+ * @throws {Error} If the server responds with an error status
+ */
+export async function propfind(client, url, props) {
+  const response = await fetch(url, {
+    method: 'PROPFIND',
+    headers: {
+      'Content-Type': 'text/xml; charset=utf-8',
+      Depth: '0',
+      ...client.authHeaders,
+    },
+    body: '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">\n' +
+      `  <d:prop>${props}</d:prop>\n` +
+      '</d:propfind>',
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`PROPFIND ${url} failed with status ${response.status} ${response.statusText}`);
+  }
+  return response.text();
+}
+
+/**
+ * MOVE or COPY a resource (RFC 4918 sections 9.8 and 9.9)
+ * Never overwrites an existing destination.
+ *
+ * @param {Object} client - DAV client (for authHeaders)
+ * @param {string} method - 'MOVE' or 'COPY'
+ * @param {string} sourceUrl - Resource URL
+ * @param {string} destinationUrl - Target URL
+ * @param {Object} [options]
+ * @param {string} [options.etag] - Only proceed if the source still has this ETag
+ * @returns {Promise<{ok: boolean, status: number, statusText: string, etag: string|null}>} Response status
+ */
+export async function moveOrCopy(client, method, sourceUrl, destinationUrl, { etag } = {}) {
+  const response = await fetch(sourceUrl, {
+    method,
+    headers: {
+      Destination: destinationUrl,
+      Overwrite: 'F',
+      ...(etag && { 'If-Match': etag }),
+      ...client.authHeaders,
+    },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  return {
+    ok: response.ok,
+    status: response.status,
+    statusText: response.statusText,
+    etag: response.headers.get('etag'),
+  };
+}
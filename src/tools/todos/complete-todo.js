@@ -0,0 +1,80 @@
+import { tsdavManager } from '../../tsdav-client.js';
+import { validateInput, completeTodoSchema } from '../../validation.js';
+import { formatSuccess, formatTodoBulkResult } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
+import {
+  completeTodo as completeTodoData,
+  completionModeInputSchema,
+  todoSelectionInputProperties,
+  getSelectedTodos,
+  changeTodos,
+} from '../shared/todo-completion.js';
+
+/**
+ * Describe what completing a todo did
+ */
+function describeCompletion(result) {
+  const details = { recurring: result.recurring };
+  if (!result.changed) {
+    details.message = 'The todo was already completed';
+    return details;
+  }
+  if (!result.recurring) {
+    return details;
+  }
+
+  details.mode = result.mode;
+  details.completed_occurrence = result.occurrence?.toString() || null;
+  details.next_occurrence = result.next?.toString() || null;
+
+  if (result.finished) {
+    details.message = 'Completed the last occurrence; the repeating task is done';
+  } else if (result.mode === 'advance') {
+    details.message = `Completed the occurrence of ${details.completed_occurrence}; the task now starts ${details.next_occurrence}`;
+  } else {
+    details.message = `Completed the occurrence of ${details.completed_occurrence}; next open occurrence ${details.next_occurrence}`;
+  }
+  return details;
+}
+
+/**
+ * Mark todos as done; recurring todos move on to their next occurrence
+ */
+export const completeTodo = {
+  name: 'complete_todo',
+  description: 'Mark a todo/task as completed (STATUS, PERCENT-COMPLETE, COMPLETED and LAST-MODIFIED are set together). For repeating tasks only the current occurrence is completed and the task moves on to its next due date. Pass todo_url + todo_etag for one task or "todos" to tick off several at once; ETag conflicts are then reported per task. Use this instead of update_todo to tick off tasks.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...todoSelectionInputProperties,
+      mode: completionModeInputSchema,
+    },
+  },
+  outputSchema: writeResultOutputSchema,
+  handler: async (args) => {
+    const validated = validateInput(completeTodoSchema, args);
+    const client = tsdavManager.getCalDavClient();
+
+    const results = await changeTodos(client, getSelectedTodos(validated), (vcalendar) => {
+      const result = completeTodoData(vcalendar, { mode: validated.mode });
+      return {
+        changed: result.changed,
+        details: describeCompletion(result),
+        copies: result.completedCopy ? [result.completedCopy] : [],
+      };
+    });
+
+    if (validated.todos) {
+      return formatTodoBulkResult('Todos completed', results);
+    }
+
+    const [{ status, ...details }] = results;
+    if (status !== 'updated' && status !== 'unchanged') {
+      throw new Error(details.message);
+    }
+    const operation = details.recurring && status === 'updated'
+      ? 'Recurring todo occurrence completed successfully'
+      : 'Todo completed successfully';
+    return formatSuccess(operation, details);
+  },
+};
@@ -1,14 +1,20 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, createTodoSchema, sanitizeICalString } from '../../validation.js';
 import { formatSuccess } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
 import { formatICalDate } from '../shared/helpers.js';
+import { parseICalComponent } from '../shared/ical-component.js';
+import { alarmInputSchema, addAlarms } from '../shared/alarms.js';
+import { assertValidParent } from '../shared/subtasks.js';
+import { recurrenceInputSchema, buildRecurrenceLines } from '../shared/recurrence.js';
+import { buildVTimezoneLines, formatZonedDateProperty } from '../shared/timezones.js';
 
 /**
  * Create a new todo/task in a calendar
  */
 export const createTodo = {
   name: 'create_todo',
-  description: 'Create a new todo/task in a calendar. Use this when user wants to add a task, todo item, or reminder with optional due date, priority, and status.',
+  description: 'Create a new todo/task in a calendar. Use this when user wants to add a task, todo item, or reminder with optional due date, priority, and status. Supports repeating tasks (e.g., "take out the trash every Tuesday") via recurrence; mark them done with complete_todo.',
   inputSchema: {
     type: 'object',
     properties: {
@@ -26,7 +32,15 @@ export const createTodo = {
       },
       due_date: {
         type: 'string',
-        description: 'Optional due date in ISO 8601 format (e.g., 2025-12-31T23:59:59+02:00)',
+        description: 'Optional due date in ISO 8601 format (e.g., 2025-12-31T23:59:59+02:00). Without an offset it is read in timezone, if given.',
+      },
+      start_date: {
+        type: 'string',
+        description: 'Optional start date in ISO 8601 format (DTSTART). Without an offset it is read in timezone, if given.',
+      },
+      timezone: {
+        type: 'string',
+        description: 'Optional: IANA timezone for the start and due dates (e.g., Europe/Berlin), stored as local times with TZID',
       },
       priority: {
         type: 'number',
@@ -41,13 +55,32 @@ export const createTodo = {
         type: 'number',
         description: 'Optional completion percentage (0-100)',
       },
+      alarms: {
+        type: 'array',
+        items: alarmInputSchema,
+        description: 'Optional: Reminders, relative to the due date (e.g., [{"trigger": "-P1D"}]) or absolute datetimes',
+      },
+      recurrence: {
+        ...recurrenceInputSchema,
+        description: 'Optional: Recurrence rule (RRULE) for a repeating task. The first occurrence is start_date, or due_date if no start_date is given. Use either count or until, not both.',
+      },
+      parent_uid: {
+        type: 'string',
+        description: 'Optional: UID of a todo in the same calendar to create this todo as its subtask (stored as RELATED-TO;RELTYPE=PARENT)',
+      },
     },
     required: ['calendar_url', 'summary'],
   },
+  outputSchema: writeResultOutputSchema,
   handler: async (args) => {
     const validated = validateInput(createTodoSchema, args);
     const client = tsdavManager.getCalDavClient();
 
+    if (validated.parent_uid) {
+      const todos = await client.fetchTodos({ calendar: { url: validated.calendar_url } });
+      assertValidParent(todos, validated.parent_uid);
+    }
+
     // Build VTODO iCalendar string
     const uid = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}@tsdav-mcp`;
     const dtstamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
@@ -55,6 +88,16 @@ export const createTodo = {
     let vtodo = 'BEGIN:VCALENDAR\r\n';
     vtodo += 'VERSION:2.0\r\n';
     vtodo += 'PRODID:-//tsdav-mcp-server//NONSGML v1.2.0//EN\r\n';
+
+    // RRULE is anchored on DTSTART (RFC 5545 section 3.8.5.3), so recurring todos always get one
+    const startDate = validated.start_date || (validated.recurrence && validated.due_date);
+
+    if ((startDate || validated.due_date) && validated.timezone) {
+      buildVTimezoneLines(validated.timezone, startDate || validated.due_date).forEach(line => {
+        vtodo += `${line}\r\n`;
+      });
+    }
+
     vtodo += 'BEGIN:VTODO\r\n';
     vtodo += `UID:${uid}\r\n`;
     vtodo += `DTSTAMP:${dtstamp}\r\n`;
@@ -74,7 +117,15 @@ export const createTodo = {
       vtodo += `PRIORITY:${validated.priority}\r\n`;
     }
 
-    if (validated.due_date) {
+    if (startDate && validated.timezone) {
+      vtodo += `${formatZonedDateProperty('DTSTART', startDate, validated.timezone)}\r\n`;
+    } else if (startDate) {
+      vtodo += `DTSTART:${formatICalDate(startDate)}\r\n`;
+    }
+
+    if (validated.due_date && validated.timezone) {
+      vtodo += `${formatZonedDateProperty('DUE', validated.due_date, validated.timezone)}\r\n`;
+    } else if (validated.due_date) {
       const dueDate = new Date(validated.due_date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
       vtodo += `DUE:${dueDate}\r\n`;
     }
@@ -83,9 +134,24 @@ export const createTodo = {
       vtodo += `PERCENT-COMPLETE:${validated.percent_complete}\r\n`;
     }
 
+    const recurrenceLines = buildRecurrenceLines({ recurrence: validated.recurrence, timezone: validated.timezone });
+    recurrenceLines.forEach(line => {
+      vtodo += `${line}\r\n`;
+    });
+
+    if (validated.parent_uid) {
+      vtodo += `RELATED-TO;RELTYPE=PARENT:${sanitizeICalString(validated.parent_uid)}\r\n`;
+    }
+
     vtodo += 'END:VTODO\r\n';
     vtodo += 'END:VCALENDAR\r\n';
 
+    if (validated.alarms?.length) {
+      const vcalendar = parseICalComponent(vtodo);
+      addAlarms(vcalendar.getFirstSubcomponent('vtodo'), validated.alarms);
+      vtodo = vcalendar.toString();
+    }
+
     const result = await client.createTodo({
       calendar: { url: validated.calendar_url },
       filename: `${Date.now()}.ics`,
@@ -96,6 +162,12 @@ export const createTodo = {
       url: result.url,
       etag: result.etag,
       summary: validated.summary,
+      ...(validated.alarms?.length && { alarms: validated.alarms.length }),
+      ...(recurrenceLines.length && { recurrence: recurrenceLines }),
+      ...(validated.parent_uid && {
+        parent_uid: validated.parent_uid,
+        message: `Created as a subtask of ${validated.parent_uid}`,
+      }),
     });
   },
 };
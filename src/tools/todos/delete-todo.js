@@ -1,6 +1,7 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, deleteTodoSchema } from '../../validation.js';
 import { formatSuccess } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
 
 /**
  * Delete a todo/task permanently
@@ -22,6 +23,7 @@ export const deleteTodo = {
     },
     required: ['todo_url', 'todo_etag'],
   },
+  outputSchema: writeResultOutputSchema,
   handler: async (args) => {
     const validated = validateInput(deleteTodoSchema, args);
     const client = tsdavManager.getCalDavClient();
@@ -0,0 +1,40 @@
+import { tsdavManager } from '../../tsdav-client.js';
+import { validateInput, getTodoTreeSchema } from '../../validation.js';
+import { formatTodoList } from '../../formatters.js';
+import { todoListOutputSchema } from '../../output-schemas.js';
+import { getTodoSubtree } from '../shared/subtasks.js';
+import { getParentCollectionUrl } from '../shared/helpers.js';
+
+/**
+ * Get a todo together with all its subtasks
+ */
+export const getTodoTree = {
+  name: 'get_todo_tree',
+  description: 'Get a todo together with its subtasks (and their subtasks), shown as an indented tree with completion rolled up from the subtasks. Use this to check the progress of a project or a task broken into steps.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      todo_url: {
+        type: 'string',
+        description: 'The URL of the todo at the top of the tree',
+      },
+    },
+    required: ['todo_url'],
+  },
+  outputSchema: todoListOutputSchema,
+  handler: async (args) => {
+    const validated = validateInput(getTodoTreeSchema, args);
+    const client = tsdavManager.getCalDavClient();
+
+    // Subtasks are linked by UID, so load the whole calendar
+    const calendarUrl = getParentCollectionUrl(validated.todo_url);
+    const todos = await client.fetchTodos({ calendar: { url: calendarUrl } });
+
+    const tree = getTodoSubtree(todos, validated.todo_url);
+    if (!tree) {
+      throw new Error(`Todo not found: ${validated.todo_url}`);
+    }
+
+    return formatTodoList(tree, calendarUrl);
+  },
+};
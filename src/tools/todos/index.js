@@ -10,3 +10,6 @@ export { updateTodoRaw } from './update-todo-raw.js';
 export { deleteTodo } from './delete-todo.js';
 export { todoQuery } from './todo-query.js';
 export { todoMultiGet } from './todo-multi-get.js';
+export { getTodoTree } from './get-todo-tree.js';
+export { completeTodo } from './complete-todo.js';
+export { reopenTodo } from './reopen-todo.js';
@@ -1,13 +1,16 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, listTodosSchema } from '../../validation.js';
 import { formatTodoList } from '../../formatters.js';
+import { todoListOutputSchema } from '../../output-schemas.js';
+import { paginationInputProperties, sortObjects, paginate } from '../shared/pagination.js';
+import { arrangeTodoTree } from '../shared/subtasks.js';
 
 /**
  * List ALL todos/tasks from a calendar
  */
 export const listTodos = {
   name: 'list_todos',
-  description: 'List ALL todos/tasks from a calendar. WARNING: Returns all todos without filtering - use todo_query for searches with filters by status, summary, or due date.',
+  description: 'List ALL todos/tasks from a calendar, sorted by due date (or sort_by priority, created, status or summary) with subtasks under their parent, and paginated (limit/offset). WARNING: Returns todos without filtering - use todo_query for searches with filters by status, summary, due date, priority or categories.',
   inputSchema: {
     type: 'object',
     properties: {
@@ -15,9 +18,11 @@ export const listTodos = {
         type: 'string',
         description: 'The URL of the calendar containing todos',
       },
+      ...paginationInputProperties('todos'),
     },
     required: ['calendar_url'],
   },
+  outputSchema: todoListOutputSchema,
   handler: async (args) => {
     const validated = validateInput(listTodosSchema, args);
     const client = tsdavManager.getCalDavClient();
@@ -25,6 +30,7 @@ export const listTodos = {
     const calendar = { url: validated.calendar_url };
     const todos = await client.fetchTodos({ calendar });
 
-    return formatTodoList(todos, validated.calendar_url);
+    const page = paginate(arrangeTodoTree(sortObjects(todos, 'todos', validated.sort_by)), validated);
+    return formatTodoList(page.items, validated.calendar_url, page);
   },
 };
@@ -0,0 +1,49 @@
+import { tsdavManager } from '../../tsdav-client.js';
+import { validateInput, reopenTodoSchema } from '../../validation.js';
+import { formatSuccess, formatTodoBulkResult } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
+import {
+  reopenTodo as reopenTodoData,
+  todoSelectionInputProperties,
+  getSelectedTodos,
+  changeTodos,
+} from '../shared/todo-completion.js';
+
+/**
+ * Mark completed todos as open again
+ */
+export const reopenTodo = {
+  name: 'reopen_todo',
+  description: 'Reopen a completed todo/task: STATUS goes back to NEEDS-ACTION and COMPLETED and PERCENT-COMPLETE are removed, with LAST-MODIFIED updated. For repeating tasks completed one occurrence at a time, the latest completed occurrence is reopened. Pass todo_url + todo_etag for one task or "todos" for several; ETag conflicts are then reported per task.',
+  inputSchema: {
+    type: 'object',
+    properties: todoSelectionInputProperties,
+  },
+  outputSchema: writeResultOutputSchema,
+  handler: async (args) => {
+    const validated = validateInput(reopenTodoSchema, args);
+    const client = tsdavManager.getCalDavClient();
+
+    const results = await changeTodos(client, getSelectedTodos(validated), (vcalendar) => {
+      const { changed, occurrence } = reopenTodoData(vcalendar);
+      const details = {};
+      if (!changed) {
+        details.message = 'The todo was not completed';
+      } else if (occurrence) {
+        details.reopened_occurrence = occurrence.toString();
+        details.message = `Reopened the occurrence of ${details.reopened_occurrence}`;
+      }
+      return { changed, details };
+    });
+
+    if (validated.todos) {
+      return formatTodoBulkResult('Todos reopened', results);
+    }
+
+    const [{ status, ...details }] = results;
+    if (status !== 'updated' && status !== 'unchanged') {
+      throw new Error(details.message);
+    }
+    return formatSuccess('Todo reopened successfully', details);
+  },
+};
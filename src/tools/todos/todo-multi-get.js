@@ -1,6 +1,7 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, todoMultiGetSchema } from '../../validation.js';
 import { formatTodoList } from '../../formatters.js';
+import { todoListOutputSchema } from '../../output-schemas.js';
 
 /**
  * Batch fetch multiple specific todos by their URLs
@@ -19,6 +20,7 @@ export const todoMultiGet = {
     },
     required: ['todo_urls'],
   },
+  outputSchema: todoListOutputSchema,
   handler: async (args) => {
     const validated = validateInput(todoMultiGetSchema, args);
     const client = tsdavManager.getCalDavClient();
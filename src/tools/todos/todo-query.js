@@ -1,13 +1,17 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, todoQuerySchema } from '../../validation.js';
 import { formatTodoList } from '../../formatters.js';
+import { todoListOutputSchema } from '../../output-schemas.js';
+import { paginationInputProperties, sortObjects, paginate } from '../shared/pagination.js';
+import { arrangeTodoTree } from '../shared/subtasks.js';
+import { createTodoFilter } from '../shared/todo-filters.js';
 
 /**
  * Search and filter todos efficiently
  */
 export const todoQuery = {
   name: 'todo_query',
-  description: '⭐ PREFERRED: Search and filter todos efficiently. Use instead of list_todos to conserve tokens. Omit calendar_url to search across ALL calendars automatically.',
+  description: '⭐ PREFERRED: Search and filter todos efficiently by text, status, due date, priority, categories, progress, start date or completion date. All given filters must match. Use instead of list_todos to conserve tokens. Omit calendar_url to search across ALL calendars automatically.',
   inputSchema: {
     type: 'object',
     properties: {
@@ -32,9 +36,56 @@ export const todoQuery = {
         type: 'string',
         description: 'End datetime for due date filtering (ISO 8601). If provided, time_range_start is REQUIRED. Both dates together form a complete filter.',
       },
+      priority_min: {
+        type: 'number',
+        description: 'Optional: Lowest PRIORITY value to include, 1-9 (1 = highest priority, 9 = lowest). Todos without priority are left out. Example: priority_max 4 for high-priority tasks.',
+      },
+      priority_max: {
+        type: 'number',
+        description: 'Optional: Highest PRIORITY value to include, 1-9 (1 = highest priority, 9 = lowest).',
+      },
+      overdue: {
+        type: 'boolean',
+        description: 'Optional: true for open todos (not COMPLETED or CANCELLED) whose due date has passed; false for all others.',
+      },
+      no_due_date: {
+        type: 'boolean',
+        description: 'Optional: true for todos without a due date, false for todos with one.',
+      },
+      categories: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Optional: Todos with at least one of these categories (case-insensitive). Example: ["Work", "Urgent"]',
+      },
+      percent_complete_min: {
+        type: 'number',
+        description: 'Optional: Lowest PERCENT-COMPLETE to include, 0-100.',
+      },
+      percent_complete_max: {
+        type: 'number',
+        description: 'Optional: Highest PERCENT-COMPLETE to include, 0-100.',
+      },
+      start_after: {
+        type: 'string',
+        description: 'Optional: Todos starting (DTSTART) at or after this datetime (ISO 8601).',
+      },
+      start_before: {
+        type: 'string',
+        description: 'Optional: Todos starting (DTSTART) at or before this datetime (ISO 8601).',
+      },
+      completed_after: {
+        type: 'string',
+        description: 'Optional: Todos completed (COMPLETED timestamp) at or after this datetime (ISO 8601). Example: the start of last week for "what did I finish last week".',
+      },
+      completed_before: {
+        type: 'string',
+        description: 'Optional: Todos completed at or before this datetime (ISO 8601).',
+      },
+      ...paginationInputProperties('todos'),
     },
     required: [],
   },
+  outputSchema: todoListOutputSchema,
   handler: async (args) => {
     const validated = validateInput(todoQuerySchema, args);
     const client = tsdavManager.getCalDavClient();
@@ -66,47 +117,19 @@ export const todoQuery = {
       todos = todos.concat(calendarTodos);
     }
 
-    // Client-side filtering (tsdav doesn't support server-side VTODO filtering yet)
-    if (validated.summary_filter) {
-      const summaryLower = validated.summary_filter.toLowerCase();
-      todos = todos.filter(todo => {
-        const summary = todo.data?.match(/SUMMARY:(.+)/)?.[1] || '';
-        return summary.toLowerCase().includes(summaryLower);
-      });
-    }
-
-    if (validated.status_filter) {
-      todos = todos.filter(todo => {
-        const status = todo.data?.match(/STATUS:(.+)/)?.[1] || 'NEEDS-ACTION';
-        return status === validated.status_filter;
-      });
-    }
+    // Keep the unfiltered list so subtask roll-ups count filtered-out subtasks too
+    const allTodos = todos;
 
-    if (validated.time_range_start && validated.time_range_end) {
-      const startTime = new Date(validated.time_range_start).getTime();
-      const endTime = new Date(validated.time_range_end).getTime();
-
-      todos = todos.filter(todo => {
-        const dueMatch = todo.data?.match(/DUE:(\d{8}T\d{6}Z?)/);
-        if (!dueMatch) return false;
-
-        const dueStr = dueMatch[1];
-        const year = parseInt(dueStr.substr(0, 4));
-        const month = parseInt(dueStr.substr(4, 2)) - 1;
-        const day = parseInt(dueStr.substr(6, 2));
-        const hour = parseInt(dueStr.substr(9, 2));
-        const minute = parseInt(dueStr.substr(11, 2));
-        const dueTime = new Date(Date.UTC(year, month, day, hour, minute)).getTime();
-
-        return dueTime >= startTime && dueTime <= endTime;
-      });
-    }
+    // Client-side filtering (tsdav doesn't support server-side VTODO filtering yet)
+    todos = todos.filter(createTodoFilter(validated));
 
     // Determine calendar name for display
     const calendarName = calendarsToSearch.length === 1
       ? (calendarsToSearch[0].displayName || calendarsToSearch[0].url)
       : `All Calendars (${calendarsToSearch.length})`;
 
-    return formatTodoList(todos, calendarName);
+    // Matching subtasks are listed under their parent when it matches too
+    const page = paginate(arrangeTodoTree(sortObjects(todos, 'todos', validated.sort_by), allTodos), validated);
+    return formatTodoList(page.items, calendarName, page);
   },
 };
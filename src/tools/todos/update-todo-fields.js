@@ -1,8 +1,11 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput } from '../../validation.js';
 import { formatSuccess, formatError } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
 import { z } from 'zod';
 import { updateFields } from 'tsdav-utils';
+import { parseICalComponent, getMasterComponent } from '../shared/ical-component.js';
+import { setParentUid, assertValidParent } from '../shared/subtasks.js';
 
 /**
  * Schema for field-based todo updates
@@ -13,7 +16,8 @@ import { updateFields } from 'tsdav-utils';
 const updateTodoFieldsSchema = z.object({
   todo_url: z.string().url('Todo URL must be a valid URL'),
   todo_etag: z.string().min(1, 'Todo etag is required'),
-  fields: z.record(z.string()).optional()
+  fields: z.record(z.string()).optional(),
+  parent_uid: z.string().trim().max(255).optional()
 });
 
 /**
@@ -24,10 +28,11 @@ const updateTodoFieldsSchema = z.object({
  * - Any standard VTODO property (SUMMARY, DESCRIPTION, STATUS, PRIORITY, DUE, etc.)
  * - Custom X-* properties for extensions
  * - Field-agnostic: no pre-defined field list required
+ * - parent_uid links the todo to a parent as a subtask (RELATED-TO;RELTYPE=PARENT)
  */
 export const updateTodoFields = {
   name: 'update_todo',
-  description: 'PREFERRED: Update todo fields without iCal formatting. Supports: SUMMARY (title), DESCRIPTION (details), STATUS (NEEDS-ACTION/IN-PROCESS/COMPLETED/CANCELLED), PRIORITY (0-9), DUE (due date), PERCENT-COMPLETE (0-100), and any RFC 5545 VTODO property including custom X-* properties.',
+  description: 'PREFERRED: Update todo fields without iCal formatting. Supports: SUMMARY (title), DESCRIPTION (details), STATUS (NEEDS-ACTION/IN-PROCESS/COMPLETED/CANCELLED), PRIORITY (0-9), DUE (due date), PERCENT-COMPLETE (0-100), and any RFC 5545 VTODO property including custom X-* properties. Set parent_uid to make the todo a subtask of another todo. To tick off a task (especially a repeating one), use complete_todo.',
   inputSchema: {
     type: 'object',
     properties: {
@@ -71,10 +76,15 @@ export const updateTodoFields = {
             description: 'Completion percentage: 0-100'
           }
         }
+      },
+      parent_uid: {
+        type: 'string',
+        description: 'Optional: UID of a todo in the same calendar to make this todo its subtask (RELATED-TO;RELTYPE=PARENT). Empty string makes it a top-level todo again.'
       }
     },
     required: ['todo_url', 'todo_etag']
   },
+  outputSchema: writeResultOutputSchema,
   handler: async (args) => {
     try {
       const validated = validateInput(updateTodoFieldsSchema, args);
@@ -95,7 +105,19 @@ export const updateTodoFields = {
 
       // Step 2: Update fields using tsdav-utils (field-agnostic)
       // Accepts any RFC 5545 VTODO property name (UPPERCASE)
-      const updatedData = updateFields(todoObject, validated.fields || {});
+      let updatedData = updateFields(todoObject, validated.fields || {});
+
+      // Step 2b: Re-parent with ical.js (RELATED-TO needs the RELTYPE parameter)
+      if (validated.parent_uid !== undefined) {
+        const vcalendar = parseICalComponent(updatedData);
+        const vtodo = getMasterComponent(vcalendar, 'vtodo');
+        if (validated.parent_uid) {
+          const calendarTodos = await client.fetchTodos({ calendar: { url: calendarUrl } });
+          assertValidParent(calendarTodos, validated.parent_uid, vtodo.getFirstPropertyValue('uid'));
+        }
+        setParentUid(vtodo, validated.parent_uid);
+        updatedData = vcalendar.toString();
+      }
 
       // Step 3: Send the updated todo back to server
       const updateResponse = await client.updateTodo({
@@ -106,14 +128,19 @@ export const updateTodoFields = {
         }
       });
 
+      const updatedFields = [
+        ...Object.keys(validated.fields || {}),
+        ...(validated.parent_uid !== undefined ? ['RELATED-TO'] : [])
+      ];
+
       return formatSuccess('Todo updated successfully', {
         etag: updateResponse.etag,
-        updated_fields: Object.keys(validated.fields || {}),
-        message: `Updated ${Object.keys(validated.fields || {}).length} field(s): ${Object.keys(validated.fields || {}).join(', ')}`
+        updated_fields: updatedFields,
+        message: `Updated ${updatedFields.length} field(s): ${updatedFields.join(', ')}`
       });
 
     } catch (error) {
-      return formatError('update_todo', error);
+      return formatError(error, 'update_todo');
     }
   }
 };
@@ -1,6 +1,7 @@
 import { tsdavManager } from '../../tsdav-client.js';
 import { validateInput, updateTodoSchema } from '../../validation.js';
 import { formatSuccess } from '../../formatters.js';
+import { writeResultOutputSchema } from '../../output-schemas.js';
 
 /**
  * Update an existing todo/task with raw VTODO iCal data
@@ -26,6 +27,7 @@ export const updateTodoRaw = {
     },
     required: ['todo_url', 'todo_etag', 'updated_ical_data'],
   },
+  outputSchema: writeResultOutputSchema,
   handler: async (args) => {
     const validated = validateInput(updateTodoSchema, args);
     const client = tsdavManager.getCalDavClient();
@@ -1,6 +1,7 @@
 import { DAVClient } from 'tsdav';
 import { logger } from './logger.js';
 import { CalDAVError, CardDAVError } from './error-handler.js';
+import { discoverSchedulingUrls } from './tools/shared/scheduling.js';
 
 /**
  * Singleton CalDAV/CardDAV Client Manager
@@ -15,6 +16,7 @@ class TsdavClientManager {
     this.cardDavClient = null;
     this.config = null;
     this.authMethod = null;
+    this.schedulingInfo = null;
   }
 
   /**
@@ -38,6 +40,7 @@ class TsdavClientManager {
   async initialize(config) {
     this.config = config;
     this.authMethod = config.authMethod || 'Basic';
+    this.schedulingInfo = null;
 
     try {
       // Determine authentication method
@@ -182,6 +185,21 @@ class TsdavClientManager {
     return this.calDavClient;
   }
 
+  /**
+   * Get the principal's scheduling collections (RFC 6638), discovered once per login
+   * @returns {Promise<{principalUrl: string|null, outboxUrl: string|null, inboxUrl: string|null, userAddresses: string[]}>}
+   */
+  async getSchedulingInfo() {
+    if (!this.schedulingInfo) {
+      this.schedulingInfo = await discoverSchedulingUrls(this.getCalDavClient());
+      logger.debug({
+        outboxUrl: this.schedulingInfo.outboxUrl,
+        inboxUrl: this.schedulingInfo.inboxUrl,
+      }, 'CalDAV scheduling discovery completed');
+    }
+    return this.schedulingInfo;
+  }
+
   /**
    * Get CardDAV client
    */
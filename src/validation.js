@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { SORT_FIELDS, MAX_PAGE_SIZE } from './tools/shared/pagination.js';
 
 /**
  * Validation schemas for all MCP tools
@@ -11,6 +12,61 @@ const dateTimeWithOptionalOffset = z.union([
   z.string().regex(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}$/, 'Invalid datetime format') // Without timezone
 ]);
 
+// Helper: Calendar date without time, as used by all-day events
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const dateOnly = z.string().regex(DATE_ONLY_PATTERN, 'Invalid date format (expected YYYY-MM-DD)');
+
+/**
+ * Whether event arguments describe an all-day event
+ * all_day defaults to true when start_date is a date without time
+ * @param {Object} data - create_event arguments
+ * @returns {boolean}
+ */
+export function isAllDayInput(data) {
+  return data.all_day ?? DATE_ONLY_PATTERN.test(data.start_date || '');
+}
+
+// Helper: IANA timezone ID such as "Europe/Berlin", checked against the runtime's Intl data
+const ianaTimezone = z.string().refine((value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}, 'Invalid IANA timezone (expected e.g. Europe/Berlin, America/New_York)');
+
+// Helper: RFC 7986 COLOR value, one of the CSS3 extended color keywords such as "tomato"
+const CSS_COLOR_NAMES = new Set([
+  'aliceblue', 'antiquewhite', 'aqua', 'aquamarine', 'azure', 'beige', 'bisque', 'black', 'blanchedalmond',
+  'blue', 'blueviolet', 'brown', 'burlywood', 'cadetblue', 'chartreuse', 'chocolate', 'coral',
+  'cornflowerblue', 'cornsilk', 'crimson', 'cyan', 'darkblue', 'darkcyan', 'darkgoldenrod', 'darkgray',
+  'darkgreen', 'darkgrey', 'darkkhaki', 'darkmagenta', 'darkolivegreen', 'darkorange', 'darkorchid',
+  'darkred', 'darksalmon', 'darkseagreen', 'darkslateblue', 'darkslategray', 'darkslategrey',
+  'darkturquoise', 'darkviolet', 'deeppink', 'deepskyblue', 'dimgray', 'dimgrey', 'dodgerblue', 'firebrick',
+  'floralwhite', 'forestgreen', 'fuchsia', 'gainsboro', 'ghostwhite', 'gold', 'goldenrod', 'gray', 'green',
+  'greenyellow', 'grey', 'honeydew', 'hotpink', 'indianred', 'indigo', 'ivory', 'khaki', 'lavender',
+  'lavenderblush', 'lawngreen', 'lemonchiffon', 'lightblue', 'lightcoral', 'lightcyan',
+  'lightgoldenrodyellow', 'lightgray', 'lightgreen', 'lightgrey', 'lightpink', 'lightsalmon',
+  'lightseagreen', 'lightskyblue', 'lightslategray', 'lightslategrey', 'lightsteelblue', 'lightyellow',
+  'lime', 'limegreen', 'linen', 'magenta', 'maroon', 'mediumaquamarine', 'mediumblue', 'mediumorchid',
+  'mediumpurple', 'mediumseagreen', 'mediumslateblue', 'mediumspringgreen', 'mediumturquoise',
+  'mediumvioletred', 'midnightblue', 'mintcream', 'mistyrose', 'moccasin', 'navajowhite', 'navy', 'oldlace',
+  'olive', 'olivedrab', 'orange', 'orangered', 'orchid', 'palegoldenrod', 'palegreen', 'paleturquoise',
+  'palevioletred', 'papayawhip', 'peachpuff', 'peru', 'pink', 'plum', 'powderblue', 'purple', 'red',
+  'rosybrown', 'royalblue', 'saddlebrown', 'salmon', 'sandybrown', 'seagreen', 'seashell', 'sienna',
+  'silver', 'skyblue', 'slateblue', 'slategray', 'slategrey', 'snow', 'springgreen', 'steelblue', 'tan',
+  'teal', 'thistle', 'tomato', 'turquoise', 'violet', 'wheat', 'white', 'whitesmoke', 'yellow',
+  'yellowgreen',
+]);
+
+const cssColorName = z.string()
+  .transform((value) => value.trim().toLowerCase())
+  .refine((value) => CSS_COLOR_NAMES.has(value), 'Color must be a CSS3 color name (e.g., "tomato", "darkblue")');
+
+// Helper: RFC 5545 duration such as -PT15M, P1D or -P1W
+export const DURATION_PATTERN = /^[+-]?P(?:\d+W|(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+S)?)?)$/;
+
 // Helper: Optional URL that gracefully handles LLM placeholder values
 // Transforms common LLM-generated placeholders ("", "unknown", "default", etc.) to undefined
 const optionalUrl = (message) =>
@@ -33,6 +89,85 @@ const optionalUrl = (message) =>
     z.string().url(message).optional()
   );
 
+// Helper: limit, offset and sort_by of list and query tools (see tools/shared/pagination.js)
+const paginationFields = (type) => ({
+  limit: z.number().int().min(1).max(MAX_PAGE_SIZE).optional(),
+  offset: z.number().int().min(0).optional(),
+  sort_by: z.enum(SORT_FIELDS[type]).optional(),
+});
+
+// Helper: response_format accepted by every tool (see tools/shared/response-format.js)
+export const responseFormatSchema = z.object({
+  response_format: z.enum(['markdown', 'json', 'both']).optional(),
+});
+
+// Helper: RRULE BYDAY entry with optional ordinal (e.g., "MO", "1FR", "-1SU")
+const byDayValue = z.string().regex(
+  /^[+-]?([1-9]|[1-4]\d|5[0-3])?(MO|TU|WE|TH|FR|SA|SU)$/i,
+  'Invalid BYDAY value (expected e.g. MO, 1FR, -1SU)'
+);
+
+/**
+ * Recurrence rule (RRULE) arguments shared by events and todos
+ * COUNT and UNTIL are mutually exclusive (RFC 5545 section 3.3.10)
+ */
+export const recurrenceSchema = z.object({
+  freq: z.enum(['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY']),
+  interval: z.number().int().min(1).max(999).optional(),
+  count: z.number().int().min(1).max(1000).optional(),
+  until: z.union([dateTimeWithOptionalOffset, dateOnly]).optional(),
+  by_day: z.array(byDayValue).min(1).optional(),
+  by_month_day: z.array(
+    z.number().int().min(-31).max(31).refine(day => day !== 0, 'BYMONTHDAY cannot be 0')
+  ).min(1).optional(),
+}).refine((data) => !(data.count && data.until), {
+  message: 'Use either count or until, not both',
+  path: ['until'],
+});
+
+/**
+ * Calendar user schemas for ORGANIZER and ATTENDEE (RFC 5545 section 3.2)
+ */
+export const organizerSchema = z.object({
+  email: z.string().email('Invalid organizer email'),
+  name: z.string().max(200).optional(),
+});
+
+export const attendeeSchema = z.object({
+  email: z.string().email('Invalid attendee email'),
+  name: z.string().max(200).optional(),
+  role: z.enum(['CHAIR', 'REQ-PARTICIPANT', 'OPT-PARTICIPANT', 'NON-PARTICIPANT']).optional(),
+  partstat: z.enum(['NEEDS-ACTION', 'ACCEPTED', 'DECLINED', 'TENTATIVE', 'DELEGATED']).optional(),
+  rsvp: z.boolean().optional(),
+  cutype: z.enum(['INDIVIDUAL', 'GROUP', 'RESOURCE', 'ROOM', 'UNKNOWN']).optional(),
+});
+
+/**
+ * Reminder schema for VALARM (RFC 5545 section 3.6.6)
+ */
+export const alarmSchema = z.object({
+  trigger: z.string().refine(
+    (value) => DURATION_PATTERN.test(value) || dateTimeWithOptionalOffset.safeParse(value).success,
+    'Trigger must be a duration like -PT15M or an ISO 8601 datetime'
+  ),
+  related: z.enum(['START', 'END']).optional(),
+  action: z.enum(['DISPLAY', 'EMAIL']).optional(),
+  description: z.string().max(1000).optional(),
+  summary: z.string().max(500).optional(),
+  attendees: z.array(z.string().email('Invalid alarm recipient email')).optional(),
+  repeat: z.number().int().min(1).max(100).optional(),
+  duration: z.string().regex(DURATION_PATTERN, 'Invalid repeat duration').optional(),
+}).refine((data) => data.action !== 'EMAIL' || data.attendees?.length, {
+  message: 'EMAIL reminders need at least one recipient in attendees',
+  path: ['attendees'],
+}).refine((data) => (data.repeat === undefined) === (data.duration === undefined), {
+  message: 'repeat and duration must be given together',
+  path: ['repeat'],
+}).refine((data) => !data.related || DURATION_PATTERN.test(data.trigger), {
+  message: 'related only applies to relative (duration) triggers',
+  path: ['related'],
+});
+
 // CalDAV Schemas
 export const listCalendarsSchema = z.object({});
 
@@ -40,37 +175,185 @@ export const listEventsSchema = z.object({
   calendar_url: optionalUrl('Invalid calendar URL'),
   time_range_start: dateTimeWithOptionalOffset.optional(),
   time_range_end: dateTimeWithOptionalOffset.optional(),
+  ...paginationFields('events'),
+});
+
+/**
+ * Conference (RFC 7986 CONFERENCE) arguments
+ */
+export const conferenceSchema = z.object({
+  uri: z.string().url('Invalid conference URI').regex(/^\S+$/, 'Conference URI must not contain spaces'),
+  features: z.array(z.enum(['AUDIO', 'CHAT', 'FEED', 'MODERATOR', 'PHONE', 'SCREEN', 'VIDEO'])).optional(),
+  label: z.string().min(1).max(200).regex(/^[^\r\n]*$/, 'Label must be a single line').optional(),
 });
 
 export const createEventSchema = z.object({
   calendar_url: z.string().url('Invalid calendar URL'),
   summary: z.string().min(1, 'Summary is required').max(500),
-  start_date: dateTimeWithOptionalOffset,
-  end_date: dateTimeWithOptionalOffset,
+  start_date: z.union([dateTimeWithOptionalOffset, dateOnly]),
+  end_date: z.union([dateTimeWithOptionalOffset, dateOnly]).optional(),
+  all_day: z.boolean().optional(),
   description: z.string().max(5000).optional(),
   location: z.string().max(500).optional(),
-}).refine((data) => new Date(data.end_date) > new Date(data.start_date), {
+  recurrence: recurrenceSchema.optional(),
+  exdates: z.array(z.union([dateTimeWithOptionalOffset, dateOnly])).optional(),
+  rdates: z.array(z.union([dateTimeWithOptionalOffset, dateOnly])).optional(),
+  preview_weeks: z.number().int().min(1).max(104).optional(),
+  organizer: organizerSchema.optional(),
+  attendees: z.array(attendeeSchema).optional(),
+  notify_attendees: z.boolean().optional(),
+  alarms: z.array(alarmSchema).max(10).optional(),
+  timezone: ianaTimezone.optional(),
+  categories: z.array(z.string().min(1).max(100)).max(20).optional(),
+  class: z.enum(['PUBLIC', 'PRIVATE', 'CONFIDENTIAL']).optional(),
+  transp: z.enum(['OPAQUE', 'TRANSPARENT']).optional(),
+  priority: z.number().int().min(0).max(9).optional(), // 0=undefined, 1=highest, 9=lowest
+  url: z.string().url('Invalid event URL').optional(),
+  status: z.enum(['TENTATIVE', 'CONFIRMED', 'CANCELLED']).optional(),
+  color: cssColorName.optional(),
+  conferences: z.array(conferenceSchema).max(10).optional(),
+  check_conflicts: z.enum(['calendar', 'all']).optional(),
+  allow_conflicts: z.boolean().optional(),
+}).refine((data) => data.end_date || isAllDayInput(data), {
+  message: 'End date is required (optional only for all-day events)',
+  path: ['end_date'],
+}).refine((data) => {
+  if (!data.end_date) return true;
+  // All-day end dates are the last day of the event, so a single day has end_date == start_date
+  if (isAllDayInput(data)) return data.end_date.slice(0, 10) >= data.start_date.slice(0, 10);
+  return new Date(data.end_date) > new Date(data.start_date);
+}, {
   message: 'End date must be after start date',
   path: ['end_date'],
+}).refine((data) => !isAllDayInput(data) || !data.timezone, {
+  message: 'All-day events are not anchored to a timezone',
+  path: ['timezone'],
+}).refine((data) => !data.recurrence?.until || new Date(data.recurrence.until) >= new Date(data.start_date), {
+  message: 'Recurrence until must not be before start date',
+  path: ['recurrence', 'until'],
+}).refine((data) => !data.attendees?.length || data.organizer, {
+  message: 'Organizer is required when inviting attendees',
+  path: ['organizer'],
 });
 
 export const updateEventSchema = z.object({
   event_url: z.string().url('Invalid event URL'),
   event_etag: z.string().min(1, 'ETag is required'),
   updated_ical_data: z.string().min(1, 'iCal data is required'),
+  notify_attendees: z.boolean().optional(),
+});
+
+export const updateEventOccurrenceSchema = z.object({
+  event_url: z.string().url('Invalid event URL'),
+  event_etag: z.string().min(1, 'ETag is required'),
+  occurrence_date: z.union([
+    dateTimeWithOptionalOffset,
+    z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format'),
+  ]),
+  scope: z.enum(['this-only', 'this-and-following', 'all']),
+  action: z.enum(['modify', 'cancel']).default('modify'),
+  fields: z.record(z.string()).optional(),
+  notify_attendees: z.boolean().optional(),
+}).refine((data) => data.action === 'cancel' || (data.fields && Object.keys(data.fields).length > 0), {
+  message: 'At least one field is required when action is "modify"',
+  path: ['fields'],
+});
+
+export const manageEventAttendeesSchema = z.object({
+  event_url: z.string().url('Invalid event URL'),
+  event_etag: z.string().min(1, 'ETag is required'),
+  organizer: organizerSchema.optional(),
+  add: z.array(attendeeSchema).optional(),
+  update: z.array(attendeeSchema).optional(),
+  remove: z.array(z.string().email('Invalid attendee email')).optional(),
+  notify_attendees: z.boolean().optional(),
+}).refine((data) => data.organizer || data.add?.length || data.update?.length || data.remove?.length, {
+  message: 'Provide at least one of: organizer, add, update, remove',
+});
+
+export const listInvitationsSchema = z.object({
+  include_responded: z.boolean().optional(),
+});
+
+export const respondToInvitationSchema = z.object({
+  invitation_url: z.string().url('Invalid invitation URL'),
+  response: z.enum(['ACCEPTED', 'DECLINED', 'TENTATIVE']),
+  calendar_url: z.string().url('Invalid calendar URL').optional(),
+  attendee_email: z.string().email('Invalid attendee email').optional(),
+  comment: z.string().max(1000).optional(),
+}).refine((data) => data.response === 'DECLINED' || data.calendar_url, {
+  message: 'calendar_url is required when accepting an invitation',
+  path: ['calendar_url'],
+});
+
+export const manageAlarmsSchema = z.object({
+  object_url: z.string().url('Invalid event or todo URL'),
+  object_etag: z.string().min(1, 'ETag is required').optional(),
+  add: z.array(alarmSchema).max(10).optional(),
+  remove: z.array(z.union([z.string().min(1), z.number().int().min(1)])).optional(),
+  remove_all: z.boolean().optional(),
+}).refine((data) => !(data.add?.length || data.remove?.length || data.remove_all) || data.object_etag, {
+  message: 'object_etag is required when changing reminders',
+  path: ['object_etag'],
+});
+
+/**
+ * Attachment (ATTACH) arguments: a URI reference or base64 inline data
+ */
+export const attachmentSchema = z.object({
+  uri: z.string().url('Invalid attachment URI').optional(),
+  data: z.string()
+    .transform((value) => value.replace(/\s+/g, ''))
+    .pipe(z.string().min(1).regex(/^[A-Za-z0-9+/]+={0,2}$/, 'Attachment data must be base64-encoded'))
+    .optional(),
+  filename: z.string().min(1).max(255).optional(),
+  fmttype: z.string().regex(/^[\w.+-]+\/[\w.+-]+$/, 'Invalid media type (expected e.g. application/pdf)').optional(),
+}).refine((data) => !!data.uri !== !!data.data, {
+  message: 'Provide either uri or data',
+}).refine((data) => !data.data || data.filename, {
+  message: 'filename is required for inline data',
+  path: ['filename'],
+});
+
+export const manageAttachmentsSchema = z.object({
+  object_url: z.string().url('Invalid event or todo URL'),
+  object_etag: z.string().min(1, 'ETag is required').optional(),
+  add: z.array(attachmentSchema).max(10).optional(),
+  remove: z.array(z.union([z.string().min(1), z.number().int().min(1)])).optional(),
+  managed: z.boolean().optional(),
+}).refine((data) => !(data.add?.length || data.remove?.length) || data.object_etag, {
+  message: 'object_etag is required when changing attachments',
+  path: ['object_etag'],
+}).refine((data) => !data.managed || (data.add || []).every(attachment => attachment.data), {
+  message: 'Managed attachments are uploaded files: pass data, or add links without managed',
+  path: ['add'],
 });
 
 export const deleteEventSchema = z.object({
   event_url: z.string().url('Invalid event URL'),
   event_etag: z.string().min(1, 'ETag is required'),
+  notify_attendees: z.boolean().optional(),
 });
 
+export const moveEventSchema = z.object({
+  event_url: z.string().url('Invalid event URL'),
+  event_etag: z.string().min(1, 'ETag is required'),
+  target_calendar_url: z.string().url('Invalid calendar URL'),
+});
+
+export const copyEventSchema = moveEventSchema;
+
 export const calendarQuerySchema = z.object({
   calendar_url: optionalUrl('Invalid calendar URL'),
   time_range_start: dateTimeWithOptionalOffset.optional(),
   time_range_end: dateTimeWithOptionalOffset.optional(),
   summary_filter: z.string().optional(),
   location_filter: z.string().optional(),
+  category_filter: z.string().optional(),
+  description_filter: z.string().optional(),
+  attendee_filter: z.string().optional(),
+  status_filter: z.enum(['TENTATIVE', 'CONFIRMED', 'CANCELLED']).optional(),
+  ...paginationFields('events'),
 }).refine((data) => {
   // Rule 1: If ANY time field used, BOTH must be present
   if (data.time_range_start || data.time_range_end) {
@@ -80,11 +363,63 @@ export const calendarQuerySchema = z.object({
   // Rule 2: At least ONE filter type must exist
   return !!(data.calendar_url ||
             data.summary_filter ||
-            data.location_filter);
+            data.location_filter ||
+            data.category_filter ||
+            data.description_filter ||
+            data.attendee_filter ||
+            data.status_filter);
 }, {
   message: "Provide: (time_range with BOTH dates) OR (text filter) OR (both)"
 });
 
+export const freeBusyQuerySchema = z.object({
+  time_range_start: dateTimeWithOptionalOffset,
+  time_range_end: dateTimeWithOptionalOffset,
+  calendar_urls: z.array(z.string().url('Invalid calendar URL')).optional(),
+  min_free_minutes: z.number().int().min(1).max(1440).optional(),
+}).refine((data) => new Date(data.time_range_end) > new Date(data.time_range_start), {
+  message: 'time_range_end must be after time_range_start',
+  path: ['time_range_end'],
+}).refine((data) => new Date(data.time_range_end) - new Date(data.time_range_start) <= 366 * 24 * 60 * 60 * 1000, {
+  message: 'Time range must not exceed one year',
+  path: ['time_range_end'],
+});
+
+// Helper: Local time of day such as "09:00"
+const timeOfDay = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Invalid time of day (expected HH:MM)');
+
+export const workingHoursSchema = z.object({
+  start: timeOfDay,
+  end: timeOfDay,
+  days: z.array(z.enum(['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'])).min(1).optional(),
+}).refine((data) => data.end > data.start, {
+  message: 'Working hours must end after they start',
+  path: ['end'],
+});
+
+export const findMeetingTimeSchema = z.object({
+  attendees: z.array(z.string().email('Invalid attendee email')).optional(),
+  calendar_urls: z.array(z.string().url('Invalid calendar URL')).optional(),
+  include_my_calendars: z.boolean().optional(),
+  duration_minutes: z.number().int().min(5).max(1440),
+  window_start: dateTimeWithOptionalOffset,
+  window_end: dateTimeWithOptionalOffset,
+  working_hours: workingHoursSchema.optional(),
+  timezone: ianaTimezone.optional(),
+  buffer_minutes: z.number().int().min(0).max(240).optional(),
+  preferred_time: z.union([z.enum(['morning', 'midday', 'afternoon']), timeOfDay]).optional(),
+  max_results: z.number().int().min(1).max(20).optional(),
+}).refine((data) => new Date(data.window_end) > new Date(data.window_start), {
+  message: 'window_end must be after window_start',
+  path: ['window_end'],
+}).refine((data) => new Date(data.window_end) - new Date(data.window_start) <= 62 * 24 * 60 * 60 * 1000, {
+  message: 'Search window must not exceed 62 days',
+  path: ['window_end'],
+}).refine((data) => data.attendees?.length || data.calendar_urls?.length || data.include_my_calendars !== false, {
+  message: 'Provide attendees or calendar_urls, or include your own calendars',
+  path: ['attendees'],
+});
+
 export const makeCalendarSchema = z.object({
   display_name: z.string().min(1, 'Display name is required').max(200),
   description: z.string().max(500).optional(),
@@ -99,11 +434,12 @@ export const updateCalendarSchema = z.object({
   description: z.string().max(500).optional(),
   color: z.string().regex(/^#[0-9A-Fa-f]{6}$/).optional(),
   timezone: z.string().optional(),
+  default_alarms: z.array(alarmSchema).max(10).optional(),
 }).refine(data => {
   // At least one field must be provided for update
-  return data.display_name || data.description || data.color || data.timezone;
+  return data.display_name || data.description || data.color || data.timezone || data.default_alarms;
 }, {
-  message: 'At least one field (display_name, description, color, or timezone) must be provided for update',
+  message: 'At least one field (display_name, description, color, timezone, or default_alarms) must be provided for update',
 });
 
 export const deleteCalendarSchema = z.object({
@@ -120,6 +456,7 @@ export const listAddressbooksSchema = z.object({});
 
 export const listContactsSchema = z.object({
   addressbook_url: z.string().url('Invalid addressbook URL'),
+  ...paginationFields('contacts'),
 });
 
 export const createContactSchema = z.object({
@@ -149,6 +486,7 @@ export const addressBookQuerySchema = z.object({
   name_filter: z.string().optional(),
   email_filter: z.string().optional(),
   organization_filter: z.string().optional(),
+  ...paginationFields('contacts'),
 }).refine((data) => {
   // At least one filter required
   return !!(data.name_filter ||
@@ -166,6 +504,7 @@ export const addressBookMultiGetSchema = z.object({
 // VTODO (Task) Schemas
 export const listTodosSchema = z.object({
   calendar_url: z.string().url('Invalid calendar URL'),
+  ...paginationFields('todos'),
 });
 
 export const createTodoSchema = z.object({
@@ -176,6 +515,14 @@ export const createTodoSchema = z.object({
   priority: z.number().int().min(0).max(9).optional(), // 0=undefined, 1=highest, 9=lowest
   status: z.enum(['NEEDS-ACTION', 'IN-PROCESS', 'COMPLETED', 'CANCELLED']).optional(),
   percent_complete: z.number().int().min(0).max(100).optional(),
+  alarms: z.array(alarmSchema).max(10).optional(),
+  timezone: ianaTimezone.optional(),
+  parent_uid: z.string().trim().min(1).max(255).optional(),
+  start_date: dateTimeWithOptionalOffset.optional(), // DTSTART
+  recurrence: recurrenceSchema.optional(),
+}).refine((data) => !data.recurrence || data.start_date || data.due_date, {
+  message: 'Recurring todos need a start_date or due_date for the first occurrence',
+  path: ['recurrence'],
 });
 
 export const updateTodoSchema = z.object({
@@ -195,6 +542,18 @@ export const todoQuerySchema = z.object({
   status_filter: z.enum(['NEEDS-ACTION', 'IN-PROCESS', 'COMPLETED', 'CANCELLED']).optional(),
   time_range_start: dateTimeWithOptionalOffset.optional(),
   time_range_end: dateTimeWithOptionalOffset.optional(),
+  priority_min: z.number().int().min(1).max(9).optional(),
+  priority_max: z.number().int().min(1).max(9).optional(),
+  overdue: z.boolean().optional(),
+  no_due_date: z.boolean().optional(),
+  categories: z.array(z.string().trim().min(1)).min(1).optional(),
+  percent_complete_min: z.number().int().min(0).max(100).optional(),
+  percent_complete_max: z.number().int().min(0).max(100).optional(),
+  start_after: dateTimeWithOptionalOffset.optional(),
+  start_before: dateTimeWithOptionalOffset.optional(),
+  completed_after: dateTimeWithOptionalOffset.optional(),
+  completed_before: dateTimeWithOptionalOffset.optional(),
+  ...paginationFields('todos'),
 }).refine((data) => {
   // Rule 1: If ANY time field used, BOTH must be present
   if (data.time_range_start || data.time_range_end) {
@@ -204,15 +563,72 @@ export const todoQuerySchema = z.object({
   // Rule 2: At least ONE filter type must exist
   return !!(data.calendar_url ||
             data.summary_filter ||
-            data.status_filter);
+            data.status_filter ||
+            data.priority_min !== undefined ||
+            data.priority_max !== undefined ||
+            data.overdue !== undefined ||
+            data.no_due_date !== undefined ||
+            data.categories ||
+            data.percent_complete_min !== undefined ||
+            data.percent_complete_max !== undefined ||
+            data.start_after ||
+            data.start_before ||
+            data.completed_after ||
+            data.completed_before);
 }, {
-  message: "Provide: (time_range with BOTH dates) OR (text/status filter) OR (both)"
+  message: "Provide: (time_range with BOTH dates) OR (text/status/priority/date filter) OR (both)"
+}).refine((data) => (data.priority_min ?? 1) <= (data.priority_max ?? 9), {
+  message: 'priority_min must not be greater than priority_max',
+  path: ['priority_min'],
+}).refine((data) => (data.percent_complete_min ?? 0) <= (data.percent_complete_max ?? 100), {
+  message: 'percent_complete_min must not be greater than percent_complete_max',
+  path: ['percent_complete_min'],
+}).refine((data) => !(data.overdue && data.no_due_date), {
+  message: 'A todo without due date cannot be overdue',
+  path: ['overdue'],
 });
 
 export const todoMultiGetSchema = z.object({
   todo_urls: z.array(z.string().url('Invalid todo URL')).min(1, 'At least one todo URL required'),
 });
 
+export const getTodoTreeSchema = z.object({
+  todo_url: z.string().url('Invalid todo URL'),
+});
+
+// complete_todo and reopen_todo take one todo (todo_url + todo_etag) or a list of todos
+const todoStateChangeFields = {
+  todo_url: z.string().url('Invalid todo URL').optional(),
+  todo_etag: z.string().min(1, 'ETag is required').optional(),
+  todos: z.array(z.object({
+    todo_url: z.string().url('Invalid todo URL'),
+    todo_etag: z.string().min(1, 'ETag must not be empty').optional(),
+  })).min(1, 'At least one todo required').max(50, 'At most 50 todos per request').optional(),
+};
+
+const isSingleOrBulkTodo = (data) => (data.todos ? !data.todo_url : !!(data.todo_url && data.todo_etag));
+const singleOrBulkTodoMessage = { message: 'Provide either todo_url with todo_etag, or a todos list' };
+
+export const completeTodoSchema = z.object({
+  ...todoStateChangeFields,
+  mode: z.enum(['advance', 'instance']).optional(),
+}).refine(isSingleOrBulkTodo, singleOrBulkTodoMessage);
+
+export const reopenTodoSchema = z.object(todoStateChangeFields).refine(isSingleOrBulkTodo, singleOrBulkTodoMessage);
+
+// Agenda Schemas
+export const getAgendaSchema = z.object({
+  date: z.string().regex(DATE_ONLY_PATTERN, 'Date must be YYYY-MM-DD').optional(),
+  timezone: ianaTimezone.optional(),
+});
+
+// Search Schemas
+export const fullTextSearchSchema = z.object({
+  query: z.string().trim().min(2, 'Query must have at least 2 characters').max(200),
+  types: z.array(z.enum(['events', 'todos', 'contacts'])).min(1).optional(),
+  limit: z.number().int().min(1).max(50).optional(),
+});
+
 /**
  * Validate input against a schema
  */